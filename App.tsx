@@ -14,6 +14,7 @@ import LandingPage from './components/LandingPage';
 import Footer from './components/Footer';
 import LoginModal from './components/LoginModal';
 import AppointmentTypePicker from './components/AppointmentTypePicker';
+import { logout } from './services/bookingApi';
 
 const App: React.FC = () => {
   const [currentStep, setCurrentStep] = useState<Step>(Step.SELECT_DATE);
@@ -58,7 +59,10 @@ const App: React.FC = () => {
   }, []);
 
   const handleOpenLoginModal = () => setIsLoginModalOpen(true);
-  const handleLogout = () => setIsAdmin(false);
+  const handleLogout = () => {
+    setIsAdmin(false);
+    logout();
+  };
   const handleLoginSuccess = () => {
     setIsAdmin(true);
     setIsLoginModalOpen(false);
@@ -1,48 +0,0 @@
-const Stripe = require('stripe');
-
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  try {
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-    const { amount, currency = 'usd', description = 'Consultation Payment' } = req.body;
-
-    if (!amount || amount < 50) {
-      return res.status(400).json({ error: 'Invalid amount. Minimum $0.50' });
-    }
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      description,
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
-
-    res.status(200).json({
-      success: true,
-      client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id
-    });
-
-  } catch (error) {
-    console.error('Stripe payment error:', error);
-    res.status(500).json({ 
-      error: 'Payment processing failed',
-      message: error.message 
-    });
-  }
-}
\ No newline at end of file
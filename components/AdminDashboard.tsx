@@ -6,6 +6,19 @@ import DatePicker from './DatePicker';
 import { CONSULTATION_OPTIONS } from './consultationOptions';
 import { ChevronDownIcon, ChevronUpIcon, TrashIcon, SparklesIcon } from './IconComponents';
 import CVBuilder from './CVBuilder';
+import PriceCatalogSettings from './PriceCatalogSettings';
+import CouponSettings from './CouponSettings';
+import { toMajorUnits, toMinorUnits } from './payments/paymentUtils';
+import {
+    fetchConsultations,
+    updateConsultationPrice,
+    fetchSchedule,
+    saveRecurringSlots,
+    saveOverrideSlots,
+    fetchAppointments,
+    cancelAppointment,
+    toBooking,
+} from '../services/bookingApi';
 
 const MORNING_SLOTS = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '12:00', '12:30'];
 const AFTERNOON_SLOTS = ['14:00', '14:30', '15:00', '15:30', '16:00', '16:30', '17:00', '17:30'];
@@ -20,7 +33,7 @@ const formatDateToKey = (date: Date): string => {
 
 type SortableKeys = 'name' | 'date' | 'consultationTitle';
 type SortDirection = 'ascending' | 'descending';
-type AdminTab = 'bookings' | 'settings' | 'cv_builder';
+type AdminTab = 'bookings' | 'settings' | 'coupons' | 'cv_builder';
 
 interface SortConfig {
     key: SortableKeys;
@@ -30,6 +43,7 @@ interface SortConfig {
 const AdminDashboard: React.FC = () => {
     const [activeTab, setActiveTab] = useState<AdminTab>('bookings');
     const [prices, setPrices] = useState<{[key: string]: string}>({});
+    const [priceCurrencies, setPriceCurrencies] = useState<{[key: string]: string}>({});
     const [pricesChanged, setPricesChanged] = useState(false);
     const [availability, setAvailability] = useState<Availability>({}); // Date-specific overrides
     const [recurringAvailability, setRecurringAvailability] = useState<RecurringAvailability>({}); // Recurring schedule
@@ -58,50 +72,51 @@ const AdminDashboard: React.FC = () => {
     const [isRecurringScheduleVisible, setIsRecurringScheduleVisible] = useState(true);
     const [isSpecificDatesVisible, setIsSpecificDatesVisible] = useState(true);
 
-    // Refs for auto-saving logic
+    // Ref for the debounced save notification
     const notificationTimer = useRef<number | null>(null);
-    const hasLoaded = useRef(false);
 
     useEffect(() => {
-        // Load prices
-        const storedPrices = localStorage.getItem('consultationPrices');
-        const initialPrices: {[key: string]: string} = storedPrices ? JSON.parse(storedPrices) : {};
-        // Ensure all options have a price, using default if not set
-        CONSULTATION_OPTIONS.forEach(opt => {
-            if (!initialPrices[opt.priceKey]) {
+        const loadDashboard = async () => {
+            // Load prices, falling back to the catalog defaults for anything the server doesn't know
+            const initialPrices: {[key: string]: string} = {};
+            const currencies: {[key: string]: string} = {};
+            CONSULTATION_OPTIONS.forEach(opt => {
                 initialPrices[opt.priceKey] = opt.defaultPrice;
+            });
+            try {
+                const consultations = await fetchConsultations();
+                consultations.forEach(consultation => {
+                    const option = CONSULTATION_OPTIONS.find(opt => opt.id === consultation.id);
+                    if (option) {
+                        initialPrices[option.priceKey] = String(toMajorUnits(consultation.price, consultation.currency));
+                        currencies[option.priceKey] = consultation.currency;
+                    }
+                });
+            } catch (error) {
+                console.error("Failed to load consultation prices", error);
+            }
+            setPrices(initialPrices);
+            setPriceCurrencies(currencies);
+
+            // Load recurring availability and date-specific overrides
+            try {
+                const schedule = await fetchSchedule();
+                setRecurringAvailability(schedule.recurring);
+                setAvailability(schedule.overrides);
+            } catch (error) {
+                console.error("Failed to load availability", error);
             }
-        });
-        setPrices(initialPrices);
 
-        // Load availability overrides
-        try {
-            const storedAvailability = localStorage.getItem('appointmentAvailability');
-            if (storedAvailability) setAvailability(JSON.parse(storedAvailability));
-        } catch (error) {
-            console.error("Failed to parse availability from localStorage", error);
-        }
+            // Load bookings
+            try {
+                const appointments = await fetchAppointments();
+                setBookings(appointments.filter(a => a.status !== 'cancelled').map(toBooking));
+            } catch (error) {
+                console.error("Failed to load bookings", error);
+            }
+        };
 
-        // Load recurring availability
-        try {
-            const storedRecurring = localStorage.getItem('recurringAppointmentAvailability');
-            if (storedRecurring) setRecurringAvailability(JSON.parse(storedRecurring));
-        } catch (error) {
-            console.error("Failed to parse recurring availability from localStorage", error);
-        }
-        
-        // Load bookings
-        try {
-            const storedBookings = localStorage.getItem('confirmedBookings');
-            if (storedBookings) setBookings(JSON.parse(storedBookings));
-        } catch (error) {
-            console.error("Failed to parse bookings from localStorage", error);
-        }
-        
-        const timer = setTimeout(() => {
-            hasLoaded.current = true;
-        }, 200);
-        return () => clearTimeout(timer);
+        loadDashboard();
     }, []);
     
     const showNotification = (message: string) => {
@@ -123,10 +138,17 @@ const AdminDashboard: React.FC = () => {
         setPricesChanged(true);
     };
 
-    const handleSavePrices = () => {
-        localStorage.setItem('consultationPrices', JSON.stringify(prices));
-        setPricesChanged(false);
-        showNotification('Prices updated successfully!');
+    const handleSavePrices = async () => {
+        try {
+            await Promise.all(CONSULTATION_OPTIONS.map(opt =>
+                updateConsultationPrice(opt.id, toMinorUnits(prices[opt.priceKey], priceCurrencies[opt.priceKey] || 'EUR'))
+            ));
+            setPricesChanged(false);
+            showNotification('Prices updated successfully!');
+        } catch (error) {
+            console.error("Failed to save prices", error);
+            showNotification('Could not save prices. Please try again.');
+        }
     };
 
     const handleResetPrices = () => {
@@ -138,17 +160,15 @@ const AdminDashboard: React.FC = () => {
         setPricesChanged(true);
     };
 
-    useEffect(() => {
-        if (!hasLoaded.current) return;
-        localStorage.setItem('appointmentAvailability', JSON.stringify(availability));
-        showDebouncedSaveNotification('Settings saved!');
-    }, [availability, showDebouncedSaveNotification]);
-
-    useEffect(() => {
-        if (!hasLoaded.current) return;
-        localStorage.setItem('recurringAppointmentAvailability', JSON.stringify(recurringAvailability));
-        showDebouncedSaveNotification('Settings saved!');
-    }, [recurringAvailability, showDebouncedSaveNotification]);
+    const persistSlots = useCallback(async (save: () => Promise<void>) => {
+        try {
+            await save();
+            showDebouncedSaveNotification('Settings saved!');
+        } catch (error) {
+            console.error("Failed to save availability", error);
+            showNotification('Could not save availability. Please try again.');
+        }
+    }, [showDebouncedSaveNotification]);
     
     const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
@@ -161,23 +181,21 @@ const AdminDashboard: React.FC = () => {
 
     const handleSlotToggle = (date: Date, slot: string) => {
         const dateKey = formatDateToKey(date);
-        setAvailability(prev => {
-            const currentSlots = prev[dateKey] ?? getRecurringSlotsForDate(date);
-            const newSlots = currentSlots.includes(slot)
-                ? currentSlots.filter(s => s !== slot)
-                : [...currentSlots, slot].sort();
-            return { ...prev, [dateKey]: newSlots };
-        });
+        const currentSlots = availability[dateKey] ?? getRecurringSlotsForDate(date);
+        const newSlots = currentSlots.includes(slot)
+            ? currentSlots.filter(s => s !== slot)
+            : [...currentSlots, slot].sort();
+        setAvailability(prev => ({ ...prev, [dateKey]: newSlots }));
+        persistSlots(() => saveOverrideSlots(dateKey, newSlots));
     };
     
     const handleRecurringSlotToggle = (dayIndex: number, slot: string) => {
-        setRecurringAvailability(prev => {
-            const currentSlots = prev[dayIndex] || [];
-            const newSlots = currentSlots.includes(slot)
-                ? currentSlots.filter(s => s !== slot)
-                : [...currentSlots, slot].sort();
-            return { ...prev, [dayIndex]: newSlots };
-        });
+        const currentSlots = recurringAvailability[dayIndex] || [];
+        const newSlots = currentSlots.includes(slot)
+            ? currentSlots.filter(s => s !== slot)
+            : [...currentSlots, slot].sort();
+        setRecurringAvailability(prev => ({ ...prev, [dayIndex]: newSlots }));
+        persistSlots(() => saveRecurringSlots(dayIndex, newSlots));
     };
 
     const handleDateSelect = (date: Date) => {
@@ -194,12 +212,16 @@ const AdminDashboard: React.FC = () => {
         setIsCancelModalOpen(false);
     };
 
-    const handleDeleteBooking = () => {
-        if (!bookingToCancel) return;
-        const updatedBookings = bookings.filter(b => !(b.date === bookingToCancel.date && b.time === bookingToCancel.time));
-        setBookings(updatedBookings);
-        localStorage.setItem('confirmedBookings', JSON.stringify(updatedBookings));
-        showNotification(`Booking for ${bookingToCancel.name} on ${bookingToCancel.date} has been canceled.`);
+    const handleDeleteBooking = async () => {
+        if (!bookingToCancel?.id) return;
+        try {
+            await cancelAppointment(bookingToCancel.id);
+            setBookings(prev => prev.filter(b => b.id !== bookingToCancel.id));
+            showNotification(`Booking for ${bookingToCancel.name} on ${bookingToCancel.date} has been canceled.`);
+        } catch (error) {
+            console.error("Failed to cancel booking", error);
+            showNotification('Could not cancel the booking. Please try again.');
+        }
         closeCancelModal();
     };
 
@@ -388,6 +410,7 @@ const AdminDashboard: React.FC = () => {
                                 Changes to availability are saved automatically. Remember to save any price changes.
                             </p>
                         </div>
+                        <PriceCatalogSettings onNotify={showNotification} />
                         <div className="space-y-8">
                              <div className="p-6 bg-white rounded-lg shadow-md border border-gray-200">
                                 <button onClick={() => setIsRecurringScheduleVisible(!isRecurringScheduleVisible)} className={`flex justify-between items-center w-full ${isRecurringScheduleVisible ? 'mb-4' : ''}`}>
@@ -457,6 +480,12 @@ const AdminDashboard: React.FC = () => {
                         </div>
                     </div>
                 );
+            case 'coupons':
+                return (
+                    <div className="p-6 sm:p-8 lg:p-10">
+                        <CouponSettings onNotify={showNotification} />
+                    </div>
+                );
             case 'cv_builder':
                 return <CVBuilder />;
             default:
@@ -490,6 +519,7 @@ const AdminDashboard: React.FC = () => {
                 <nav className="-mb-px flex space-x-8 px-8" aria-label="Tabs">
                     <TabButton tabName="bookings" currentTab={activeTab}>Bookings</TabButton>
                     <TabButton tabName="settings" currentTab={activeTab}>Settings</TabButton>
+                    <TabButton tabName="coupons" currentTab={activeTab}>Coupons</TabButton>
                     <TabButton tabName="cv_builder" currentTab={activeTab}>CV Builder</TabButton>
                 </nav>
             </div>
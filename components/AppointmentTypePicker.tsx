@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { CONSULTATION_OPTIONS } from './consultationOptions';
 import { ConsultationOption } from '../types';
+import { fetchConsultations } from '../services/bookingApi';
+import { toMajorUnits } from './payments/paymentUtils';
 import { BriefcaseIcon, DocumentTextIcon, DocumentPencilIcon, UsersIcon } from './IconComponents';
 
 interface AppointmentTypePickerProps {
@@ -20,14 +22,16 @@ const AppointmentTypePicker: React.FC<AppointmentTypePickerProps> = ({ onSelect,
     const [prices, setPrices] = useState<{ [key: string]: string }>({});
 
     useEffect(() => {
-        const storedPrices = localStorage.getItem('consultationPrices');
-        const loadedPrices: { [key: string]: string } = storedPrices ? JSON.parse(storedPrices) : {};
-
-        const initialPrices: { [key: string]: string } = {};
-        CONSULTATION_OPTIONS.forEach(opt => {
-            initialPrices[opt.priceKey] = loadedPrices[opt.priceKey] || opt.defaultPrice;
-        });
-        setPrices(initialPrices);
+        fetchConsultations()
+            .then(consultations => {
+                const loadedPrices: { [key: string]: string } = {};
+                consultations.forEach(consultation => {
+                    const option = CONSULTATION_OPTIONS.find(opt => opt.id === consultation.id);
+                    if (option) loadedPrices[option.priceKey] = String(toMajorUnits(consultation.price, consultation.currency));
+                });
+                setPrices(loadedPrices);
+            })
+            .catch(error => console.error("Failed to load consultation prices", error));
     }, []);
 
     return (
@@ -1,8 +1,9 @@
 
 
 import React, { useEffect } from 'react';
-import { AppointmentDetails, Booking } from '../types';
+import { AppointmentDetails } from '../types';
 import { CalendarIcon, ClockIcon, WhatsAppIcon, GoogleCalendarIcon, UserIcon, BriefcaseIcon } from './IconComponents';
+import { createAppointment, formatDateToKey, BookingApiError } from '../services/bookingApi';
 
 interface ConfirmationProps {
   details: AppointmentDetails;
@@ -11,37 +12,19 @@ interface ConfirmationProps {
 
 const Confirmation: React.FC<ConfirmationProps> = ({ details, onRestart }) => {
   useEffect(() => {
-    const formatDateToKey = (date: Date): string => {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-    };
-
-    const newBooking: Booking = {
-        name: details.name,
+    createAppointment({
+        consultation_id: details.consultation.id,
         date: formatDateToKey(details.date),
         time: details.time,
-        consultationTitle: details.consultation.title,
-    };
-
-    try {
-        const existingBookingsRaw = localStorage.getItem('confirmedBookings');
-        const existingBookings: Booking[] = existingBookingsRaw ? JSON.parse(existingBookingsRaw) : [];
-        
-        // Avoid adding duplicate bookings if user refreshes the page
-        const isDuplicate = existingBookings.some(
-            b => b.date === newBooking.date && b.time === newBooking.time
-        );
-
-        if (!isDuplicate) {
-            const updatedBookings = [...existingBookings, newBooking];
-            localStorage.setItem('confirmedBookings', JSON.stringify(updatedBookings));
+        customer_name: details.name,
+        customer_email: details.email,
+        customer_phone: details.whatsapp || undefined,
+    }).catch(error => {
+        // A 409 means this booking was already recorded (e.g. the page was refreshed)
+        if (!(error instanceof BookingApiError && error.status === 409)) {
+            console.error("Failed to save booking", error);
         }
-
-    } catch (error) {
-        console.error("Failed to save booking to localStorage", error);
-    }
+    });
   }, [details]);
 
 
@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CONSULTATION_OPTIONS } from './consultationOptions';
+import { TrashIcon } from './IconComponents';
+import { formatMoney, toMinorUnits } from './payments/paymentUtils';
+import {
+    ApiCoupon,
+    NewCoupon,
+    fetchCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+} from '../services/bookingApi';
+
+interface CouponSettingsProps {
+    onNotify: (message: string) => void;
+}
+
+interface CouponDraft {
+    code: string;
+    description: string;
+    discountType: 'percent' | 'fixed';
+    value: string;
+    currency: string;
+    validFrom: string;
+    validUntil: string;
+    maxRedemptions: string;
+    maxRedemptionsPerUser: string;
+    consultationIds: string[];
+}
+
+const EMPTY_DRAFT: CouponDraft = {
+    code: '',
+    description: '',
+    discountType: 'percent',
+    value: '',
+    currency: 'EUR',
+    validFrom: '',
+    validUntil: '',
+    maxRedemptions: '',
+    maxRedemptionsPerUser: '',
+    consultationIds: [],
+};
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 bg-white text-gray-900 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm';
+
+const optionalInt = (value: string): number | null => (value.trim() ? parseInt(value, 10) : null);
+
+// Date inputs give YYYY-MM-DD; a coupon is valid from the start of its first day to the end of its last
+const toCoupon = (draft: CouponDraft): NewCoupon => ({
+    code: draft.code.trim().toUpperCase(),
+    description: draft.description.trim() || null,
+    discount_type: draft.discountType,
+    discount_value: draft.discountType === 'percent'
+        ? parseInt(draft.value, 10)
+        : toMinorUnits(draft.value, draft.currency),
+    currency: draft.discountType === 'fixed' ? draft.currency.toUpperCase() : null,
+    valid_from: draft.validFrom ? `${draft.validFrom}T00:00:00Z` : null,
+    valid_until: draft.validUntil ? `${draft.validUntil}T23:59:59Z` : null,
+    max_redemptions: optionalInt(draft.maxRedemptions),
+    max_redemptions_per_user: optionalInt(draft.maxRedemptionsPerUser),
+    consultation_ids: draft.consultationIds.length > 0 ? draft.consultationIds : null,
+    active: true,
+});
+
+const describeDiscount = (coupon: ApiCoupon): string => (
+    coupon.discount_type === 'percent'
+        ? `${coupon.discount_value}% off`
+        : `${formatMoney(coupon.discount_value, coupon.currency || 'EUR')} off`
+);
+
+const describeValidity = (coupon: ApiCoupon): string => {
+    if (!coupon.valid_from && !coupon.valid_until) return 'No end date';
+    const from = coupon.valid_from ? coupon.valid_from.slice(0, 10) : '';
+    const until = coupon.valid_until ? coupon.valid_until.slice(0, 10) : '';
+    return `${from || '…'} – ${until || '…'}`;
+};
+
+/**
+ * Discount codes customers can enter at checkout. Coupons that have been used cannot be
+ * deleted, only deactivated, so their redemptions stay on record.
+ */
+const CouponSettings: React.FC<CouponSettingsProps> = ({ onNotify }) => {
+    const [coupons, setCoupons] = useState<ApiCoupon[]>([]);
+    const [draft, setDraft] = useState<CouponDraft>(EMPTY_DRAFT);
+
+    const loadCoupons = useCallback(async () => {
+        try {
+            setCoupons(await fetchCoupons());
+        } catch (error) {
+            console.error("Failed to load coupons", error);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadCoupons();
+    }, [loadCoupons]);
+
+    const toggleConsultation = (consultationId: string) => {
+        setDraft(prev => ({
+            ...prev,
+            consultationIds: prev.consultationIds.includes(consultationId)
+                ? prev.consultationIds.filter(id => id !== consultationId)
+                : [...prev.consultationIds, consultationId],
+        }));
+    };
+
+    const handleCreate = async () => {
+        if (!/^[A-Za-z0-9_-]{3,64}$/.test(draft.code.trim()) || !draft.value || Number(draft.value) <= 0) {
+            onNotify('Enter a code of at least 3 letters or digits and a discount.');
+            return;
+        }
+        if (draft.discountType === 'percent' && Number(draft.value) > 100) {
+            onNotify('A percent discount cannot exceed 100.');
+            return;
+        }
+
+        try {
+            await createCoupon(toCoupon(draft));
+            setDraft(EMPTY_DRAFT);
+            await loadCoupons();
+            onNotify(`Coupon ${draft.code.trim().toUpperCase()} created!`);
+        } catch (error) {
+            console.error("Failed to create coupon", error);
+            onNotify(error instanceof Error ? error.message : 'Could not create the coupon. Please try again.');
+        }
+    };
+
+    const handleToggleActive = async (coupon: ApiCoupon) => {
+        try {
+            const updated = await updateCoupon(coupon.id, { active: !coupon.active });
+            setCoupons(prev => prev.map(c => (c.id === coupon.id ? { ...updated, redemption_count: c.redemption_count } : c)));
+            onNotify(`Coupon ${coupon.code} ${updated.active ? 'activated' : 'deactivated'}.`);
+        } catch (error) {
+            console.error("Failed to update coupon", error);
+            onNotify('Could not update the coupon. Please try again.');
+        }
+    };
+
+    const handleDelete = async (coupon: ApiCoupon) => {
+        try {
+            await deleteCoupon(coupon.id);
+            setCoupons(prev => prev.filter(c => c.id !== coupon.id));
+            onNotify(`Coupon ${coupon.code} deleted.`);
+        } catch (error) {
+            console.error("Failed to delete coupon", error);
+            onNotify(error instanceof Error ? error.message : 'Could not delete the coupon. Please try again.');
+        }
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md border border-gray-200 space-y-8">
+            <div>
+                <h2 className="text-2xl font-bold text-brand-dark mb-2">Coupons</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Customers enter these codes at checkout. The discount is applied to the price in the currency they pay in;
+                    fixed discounts are converted at the current exchange rate.
+                </p>
+                {coupons.length > 0 ? (
+                    <table className="min-w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500">
+                                <th className="py-1">Code</th>
+                                <th className="py-1">Discount</th>
+                                <th className="py-1">Valid</th>
+                                <th className="py-1">Used</th>
+                                <th className="py-1">Status</th>
+                                <th className="py-1"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {coupons.map(coupon => (
+                                <tr key={coupon.id}>
+                                    <td className="py-2">
+                                        <span className="font-mono font-semibold">{coupon.code}</span>
+                                        {coupon.description && <p className="text-xs text-gray-500">{coupon.description}</p>}
+                                    </td>
+                                    <td className="py-2">{describeDiscount(coupon)}</td>
+                                    <td className="py-2">{describeValidity(coupon)}</td>
+                                    <td className="py-2">
+                                        {coupon.redemption_count ?? 0}
+                                        {coupon.max_redemptions ? ` / ${coupon.max_redemptions}` : ''}
+                                    </td>
+                                    <td className="py-2">
+                                        <button
+                                            onClick={() => handleToggleActive(coupon)}
+                                            className={`text-xs font-semibold py-1 px-2 rounded-full ${coupon.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                                        >
+                                            {coupon.active ? 'Active' : 'Inactive'}
+                                        </button>
+                                    </td>
+                                    <td className="py-2 text-right">
+                                        <button
+                                            onClick={() => handleDelete(coupon)}
+                                            className="text-red-600 hover:text-red-800"
+                                            aria-label={`Delete coupon ${coupon.code}`}
+                                        >
+                                            <TrashIcon />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-sm text-gray-500">No coupons yet.</p>
+                )}
+            </div>
+
+            <div>
+                <h3 className="text-xl font-bold text-brand-dark mb-4">New Coupon</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="coupon-code" className="block text-sm font-medium text-gray-700">Code</label>
+                        <input
+                            type="text"
+                            id="coupon-code"
+                            value={draft.code}
+                            onChange={(e) => setDraft(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                            className={inputClassName}
+                            placeholder="FIRSTVISIT"
+                        />
+                    </div>
+                    <div className="md:col-span-2">
+                        <label htmlFor="coupon-description" className="block text-sm font-medium text-gray-700">Description</label>
+                        <input
+                            type="text"
+                            id="coupon-description"
+                            value={draft.description}
+                            onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+                            className={inputClassName}
+                            placeholder="e.g., 20% off your first consultation"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="coupon-type" className="block text-sm font-medium text-gray-700">Discount type</label>
+                        <select
+                            id="coupon-type"
+                            value={draft.discountType}
+                            onChange={(e) => setDraft(prev => ({ ...prev, discountType: e.target.value as CouponDraft['discountType'] }))}
+                            className={inputClassName}
+                        >
+                            <option value="percent">Percent</option>
+                            <option value="fixed">Fixed amount</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="coupon-value" className="block text-sm font-medium text-gray-700">
+                            {draft.discountType === 'percent' ? 'Percent off' : 'Amount off'}
+                        </label>
+                        <input
+                            type="number"
+                            id="coupon-value"
+                            min="0"
+                            max={draft.discountType === 'percent' ? 100 : undefined}
+                            value={draft.value}
+                            onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+                            className={inputClassName}
+                            placeholder={draft.discountType === 'percent' ? 'e.g., 20' : 'e.g., 15'}
+                        />
+                    </div>
+                    {draft.discountType === 'fixed' && (
+                        <div>
+                            <label htmlFor="coupon-currency" className="block text-sm font-medium text-gray-700">Currency</label>
+                            <input
+                                type="text"
+                                id="coupon-currency"
+                                maxLength={3}
+                                value={draft.currency}
+                                onChange={(e) => setDraft(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                                className={inputClassName}
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="coupon-valid-from" className="block text-sm font-medium text-gray-700">Valid from</label>
+                        <input
+                            type="date"
+                            id="coupon-valid-from"
+                            value={draft.validFrom}
+                            onChange={(e) => setDraft(prev => ({ ...prev, validFrom: e.target.value }))}
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="coupon-valid-until" className="block text-sm font-medium text-gray-700">Valid until</label>
+                        <input
+                            type="date"
+                            id="coupon-valid-until"
+                            value={draft.validUntil}
+                            onChange={(e) => setDraft(prev => ({ ...prev, validUntil: e.target.value }))}
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="coupon-max" className="block text-sm font-medium text-gray-700">Total uses</label>
+                        <input
+                            type="number"
+                            id="coupon-max"
+                            min="1"
+                            value={draft.maxRedemptions}
+                            onChange={(e) => setDraft(prev => ({ ...prev, maxRedemptions: e.target.value }))}
+                            className={inputClassName}
+                            placeholder="Unlimited"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="coupon-max-per-user" className="block text-sm font-medium text-gray-700">Uses per customer</label>
+                        <input
+                            type="number"
+                            id="coupon-max-per-user"
+                            min="1"
+                            value={draft.maxRedemptionsPerUser}
+                            onChange={(e) => setDraft(prev => ({ ...prev, maxRedemptionsPerUser: e.target.value }))}
+                            className={inputClassName}
+                            placeholder="Unlimited"
+                        />
+                    </div>
+                </div>
+                <fieldset className="mt-4">
+                    <legend className="block text-sm font-medium text-gray-700">Applies to (none selected means all consultations)</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+                        {CONSULTATION_OPTIONS.map(option => (
+                            <label key={option.id} className="flex items-center text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.consultationIds.includes(option.id)}
+                                    onChange={() => toggleConsultation(option.id)}
+                                    className="mr-2"
+                                />
+                                {option.title}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <div className="flex justify-end mt-4">
+                    <button
+                        onClick={handleCreate}
+                        className="bg-brand-blue text-white font-semibold py-2 px-6 rounded-lg hover:bg-opacity-90 transition-colors"
+                    >
+                        Create Coupon
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CouponSettings;
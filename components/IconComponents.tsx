@@ -24,6 +24,14 @@ export const PaystackIcon = () => (
     <svg width="100" height="20" viewBox="0 0 100.3 19.8" className="h-5 w-auto" fill="#011B33"><path d="M93.3 4.2h5.5v15.6h-5.5zM22.4 4.2h5.5v15.6h-5.5zM56 4.2h5.5v15.6h-5.5zM0 13.9h19.8v5.8H0zM83.6 14.2c0-3-1.6-4.6-4.2-4.6h-7v9.3h7c2.7 0 4.2-1.6 4.2-4.7zm-5.5 0c0 .9-.4 1.4-1.3 1.4h-1.4v-2.9h1.4c.9 0 1.3.5 1.3 1.5zM44.5 14.2c0-3-1.6-4.6-4.2-4.6h-7v9.3h7c2.7 0 4.2-1.6 4.2-4.7zm-5.5 0c0 .9-.4 1.4-1.3 1.4h-1.4v-2.9h1.4c.9 0 1.3.5 1.3 1.5zM69.8 14.2c0-3-1.6-4.6-4.2-4.6h-7v9.3h7c2.7 0 4.2-1.6 4.2-4.7zm-5.5 0c0 .9-.4 1.4-1.3 1.4h-1.4v-2.9h1.4c.9 0 1.3.5 1.3 1.5zM11 0C4.9 0 0 4.9 0 11v.3h19.8v-5C19.8 2.8 15.8 0 11 0z"></path></svg>
 );
 
+export const PayPalIcon = () => (
+    <svg width="80" height="20" viewBox="0 0 80 20" className="h-5 w-auto" xmlns="http://www.w3.org/2000/svg"><text x="0" y="16" fontFamily="Verdana, sans-serif" fontSize="17" fontStyle="italic" fontWeight="bold"><tspan fill="#003087">Pay</tspan><tspan fill="#009CDE">Pal</tspan></text></svg>
+);
+
+export const BankTransferIcon = () => (
+    <svg className="w-8 h-8 text-gray-700" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M3 10l9-6 9 6M5 10v8m4.667-8v8m4.666-8v8M19 10v8M3 21h18" /></svg>
+);
+
 export const CreditCardIcon = () => (
     <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" /></svg>
 );
@@ -1,59 +1,160 @@
 
 import React, { useState, useEffect } from 'react';
+import {
+    ApiSession,
+    BookingApiError,
+    TwoFactorSetup,
+    completeTwoFactorLogin,
+    enableTwoFactor,
+    isTwoFactorChallenge,
+    login,
+    logout,
+    setupTwoFactor,
+} from '../services/bookingApi';
 
 interface LoginModalProps {
     isOpen: boolean;
     onClose: () => void;
-    onLoginSuccess: () => void;
+    onLoginSuccess: (session: ApiSession) => void;
 }
 
+// Password first; then a code if the account has two-factor authentication, or setting it up if the role requires it
+type Step = 'password' | 'code' | 'setup' | 'recovery-codes';
+
+const inputClassName = (error: string) =>
+    `mt-1 block w-full px-3 py-2 bg-white text-gray-900 border rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm ${error ? 'border-red-500' : 'border-gray-200'}`;
+
 const LoginModal: React.FC<LoginModalProps> = ({ isOpen, onClose, onLoginSuccess }) => {
+    const [step, setStep] = useState<Step>('password');
+    const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [code, setCode] = useState('');
+    const [challengeToken, setChallengeToken] = useState('');
+    const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+    const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+    const [enabledSession, setEnabledSession] = useState<ApiSession | null>(null);
     const [error, setError] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
 
-    // Hardcoded password for demonstration
-    const CORRECT_PASSWORD = 'Jessica96';
-
     useEffect(() => {
         // Reset state when modal opens
         if (isOpen) {
+            setStep('password');
+            setEmail('');
             setPassword('');
+            setCode('');
+            setChallengeToken('');
+            setSetup(null);
+            setRecoveryCodes([]);
+            setEnabledSession(null);
             setError('');
             setIsSubmitting(false);
         }
     }, [isOpen]);
-    
+
     if (!isOpen) {
         return null;
     }
 
-    const handleLoginAttempt = (e: React.FormEvent) => {
+    // Customers get no dashboard; staff whose role requires a second factor set it up first
+    const continueWith = async (session: ApiSession) => {
+        if (session.two_factor_setup_required) {
+            setSetup(await setupTwoFactor());
+            setCode('');
+            setStep('setup');
+        } else if (session.permissions.length === 0) {
+            await logout();
+            setError('This account has no staff access.');
+        } else {
+            onLoginSuccess(session);
+        }
+    };
+
+    const submit = (attempt: () => Promise<void>, unauthorizedMessage: string) => async (e: React.FormEvent) => {
         e.preventDefault();
         setError('');
         setIsSubmitting(true);
-        
-        // Simulate network delay
-        setTimeout(() => {
-            if (password === CORRECT_PASSWORD) {
-                onLoginSuccess();
-            } else {
-                setError('Incorrect password. Please try again.');
-            }
+
+        try {
+            await attempt();
+        } catch (err) {
+            setError(err instanceof BookingApiError && (err.status === 400 || err.status === 401)
+                ? unauthorizedMessage
+                : 'Could not log in. Please try again later.');
+        } finally {
             setIsSubmitting(false);
-        }, 500);
+        }
     };
 
+    // The server checks the password and says what the account may do
+    const handleLoginAttempt = submit(async () => {
+        const result = await login(email, password);
+        if (isTwoFactorChallenge(result)) {
+            setChallengeToken(result.challenge_token);
+            setCode('');
+            setStep('code');
+        } else {
+            await continueWith(result);
+        }
+    }, 'Incorrect email or password. Please try again.');
+
+    const handleCodeAttempt = submit(async () => {
+        await continueWith(await completeTwoFactorLogin(challengeToken, code));
+    }, 'Incorrect code, or the login took too long. Please try again.');
+
+    // The recovery codes are shown once, before going on to the dashboard
+    const handleSetupAttempt = submit(async () => {
+        const { recovery_codes, ...session } = await enableTwoFactor(code);
+        setRecoveryCodes(recovery_codes);
+        setEnabledSession(session);
+        setStep('recovery-codes');
+    }, 'Incorrect code. Please try again.');
+
+    const spinner = (
+        <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+    );
+
+    const submitButton = (label: string, disabled: boolean) => (
+        <button
+            type="submit"
+            disabled={isSubmitting || disabled}
+            className="w-full flex justify-center bg-brand-blue text-white font-semibold py-2 px-4 rounded-lg hover:bg-opacity-90 transition-colors disabled:bg-gray-400"
+        >
+            {isSubmitting ? spinner : label}
+        </button>
+    );
+
+    const codeInput = (label: string) => (
+        <div>
+            <label htmlFor="code-input" className="block text-sm font-medium text-gray-700">
+                {label}
+            </label>
+            <input
+                type="text"
+                id="code-input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                className={inputClassName(error)}
+                autoFocus
+            />
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        </div>
+    );
+
     return (
-        <div 
-            className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in" 
-            onClick={onClose} 
-            role="dialog" 
-            aria-modal="true" 
+        <div
+            className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 animate-fade-in"
+            onClick={onClose}
+            role="dialog"
+            aria-modal="true"
             aria-labelledby="login-modal-title"
         >
-            <div 
-                className="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm mx-4" 
+            <div
+                className="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm mx-4"
                 onClick={(e) => e.stopPropagation()}
             >
                 <div className="flex justify-between items-center">
@@ -63,38 +164,88 @@ const LoginModal: React.FC<LoginModalProps> = ({ isOpen, onClose, onLoginSuccess
                     </button>
                 </div>
 
-                <form onSubmit={handleLoginAttempt} className="mt-4 space-y-4">
-                    <div>
-                        <label htmlFor="password-input" className="block text-sm font-medium text-gray-700">
-                            Password
-                        </label>
-                        <input
-                            type="password"
-                            id="password-input"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            className={`mt-1 block w-full px-3 py-2 bg-white text-gray-900 border rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm ${error ? 'border-red-500' : 'border-gray-200'}`}
-                            autoFocus
-                        />
-                        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
-                    </div>
+                {step === 'password' && (
+                    <form onSubmit={handleLoginAttempt} className="mt-4 space-y-4">
+                        <div>
+                            <label htmlFor="email-input" className="block text-sm font-medium text-gray-700">
+                                Email
+                            </label>
+                            <input
+                                type="email"
+                                id="email-input"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                autoComplete="username"
+                                className={inputClassName(error)}
+                                autoFocus
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="password-input" className="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <input
+                                type="password"
+                                id="password-input"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                autoComplete="current-password"
+                                className={inputClassName(error)}
+                            />
+                            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+                        </div>
 
-                    <button
-                        type="submit"
-                        disabled={isSubmitting || !password}
-                        className="w-full flex justify-center bg-brand-blue text-white font-semibold py-2 px-4 rounded-lg hover:bg-opacity-90 transition-colors disabled:bg-gray-400"
-                    >
-                        {isSubmitting ? (
-                            <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                            </svg>
-                        ) : 'Login'}
-                    </button>
-                </form>
+                        {submitButton('Login', !email || !password)}
+                    </form>
+                )}
+
+                {step === 'code' && (
+                    <form onSubmit={handleCodeAttempt} className="mt-4 space-y-4">
+                        <p className="text-sm text-gray-600">
+                            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                        </p>
+                        {codeInput('Code')}
+                        {submitButton('Verify', !code)}
+                    </form>
+                )}
+
+                {step === 'setup' && setup && (
+                    <form onSubmit={handleSetupAttempt} className="mt-4 space-y-4">
+                        <p className="text-sm text-gray-600">
+                            Your role requires two-factor authentication. Add this account to your authenticator app,
+                            then enter the code it shows.
+                        </p>
+                        <div className="text-sm">
+                            <a href={setup.otpauth_uri} className="text-brand-blue underline">Open in authenticator app</a>
+                            <p className="mt-2 text-gray-600">Or enter this key by hand:</p>
+                            <code className="block mt-1 p-2 bg-gray-100 rounded break-all">{setup.secret}</code>
+                        </div>
+                        {codeInput('Code')}
+                        {submitButton('Turn on', !code)}
+                    </form>
+                )}
+
+                {step === 'recovery-codes' && enabledSession && (
+                    <div className="mt-4 space-y-4">
+                        <p className="text-sm text-gray-600">
+                            Two-factor authentication is on. Keep these recovery codes somewhere safe: each one logs you in
+                            once if you lose your phone. They are not shown again.
+                        </p>
+                        <ul className="grid grid-cols-2 gap-1 p-2 bg-gray-100 rounded font-mono text-sm">
+                            {recoveryCodes.map((recoveryCode) => <li key={recoveryCode}>{recoveryCode}</li>)}
+                        </ul>
+                        <button
+                            type="button"
+                            onClick={() => onLoginSuccess(enabledSession)}
+                            className="w-full flex justify-center bg-brand-blue text-white font-semibold py-2 px-4 rounded-lg hover:bg-opacity-90 transition-colors"
+                        >
+                            I saved them, continue
+                        </button>
+                    </div>
+                )}
             </div>
         </div>
     );
 };
 
-export default LoginModal;
\ No newline at end of file
+export default LoginModal;
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CONSULTATION_OPTIONS } from './consultationOptions';
+import { TrashIcon } from './IconComponents';
+import { formatMoney, toMinorUnits } from './payments/paymentUtils';
+import {
+    ApiConsultationPrices,
+    ApiExchangeRate,
+    fetchConsultationPrices,
+    saveConsultationPrice,
+    deleteConsultationPrice,
+    fetchExchangeRates,
+    uploadExchangeRates,
+    refreshExchangeRates,
+    deleteExchangeRate,
+} from '../services/bookingApi';
+
+interface PriceCatalogSettingsProps {
+    onNotify: (message: string) => void;
+}
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 bg-white text-gray-900 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm';
+
+// Parses "NGN=1650" lines (or "NGN 1650") into a rate table; returns null if a line is malformed
+const parseRates = (text: string): Record<string, number> | null => {
+    const rates: Record<string, number> = {};
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const match = line.match(/^([A-Za-z]{3})\s*[=:\s]\s*([0-9]*\.?[0-9]+)$/);
+        if (!match || Number(match[2]) <= 0) return null;
+        rates[match[1].toUpperCase()] = Number(match[2]);
+    }
+    return rates;
+};
+
+/**
+ * Fixed consultation prices per currency and the exchange rates used for every other currency.
+ * Base prices are edited in the Consultation Prices card of the settings tab.
+ */
+const PriceCatalogSettings: React.FC<PriceCatalogSettingsProps> = ({ onNotify }) => {
+    const [catalog, setCatalog] = useState<{ [consultationId: string]: ApiConsultationPrices }>({});
+    const [newPrices, setNewPrices] = useState<{ [consultationId: string]: { currency: string; amount: string } }>({});
+    const [rates, setRates] = useState<ApiExchangeRate[]>([]);
+    const [feedConfigured, setFeedConfigured] = useState(false);
+    const [rateBase, setRateBase] = useState('EUR');
+    const [rateText, setRateText] = useState('');
+
+    const loadCatalog = useCallback(async () => {
+        const entries = await Promise.all(CONSULTATION_OPTIONS.map(async option => {
+            try {
+                return [option.id, await fetchConsultationPrices(option.id)] as const;
+            } catch (error) {
+                console.error(`Failed to load prices for ${option.id}`, error);
+                return null;
+            }
+        }));
+        setCatalog(Object.fromEntries(entries.filter((entry): entry is NonNullable<typeof entry> => entry !== null)));
+    }, []);
+
+    const loadRates = useCallback(async () => {
+        try {
+            const data = await fetchExchangeRates();
+            setRates(data.rates);
+            setFeedConfigured(data.feed_configured);
+        } catch (error) {
+            console.error("Failed to load exchange rates", error);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadCatalog();
+        loadRates();
+    }, [loadCatalog, loadRates]);
+
+    const handleAddPrice = async (consultationId: string) => {
+        const entry = newPrices[consultationId];
+        const currency = entry?.currency.trim().toUpperCase() || '';
+        if (!/^[A-Z]{3}$/.test(currency) || !entry.amount || Number(entry.amount) < 0) {
+            onNotify('Enter a 3-letter currency code and a price.');
+            return;
+        }
+
+        try {
+            await saveConsultationPrice(consultationId, currency, toMinorUnits(entry.amount, currency));
+            setNewPrices(prev => ({ ...prev, [consultationId]: { currency: '', amount: '' } }));
+            await loadCatalog();
+            onNotify(`${currency} price saved!`);
+        } catch (error) {
+            console.error("Failed to save price", error);
+            onNotify(error instanceof Error ? error.message : 'Could not save the price. Please try again.');
+        }
+    };
+
+    const handleRemovePrice = async (consultationId: string, currency: string) => {
+        try {
+            await deleteConsultationPrice(consultationId, currency);
+            await loadCatalog();
+            onNotify(`${currency} price removed; it will be converted from the base price.`);
+        } catch (error) {
+            console.error("Failed to remove price", error);
+            onNotify('Could not remove the price. Please try again.');
+        }
+    };
+
+    const handleUploadRates = async () => {
+        const parsed = parseRates(rateText);
+        if (!/^[A-Za-z]{3}$/.test(rateBase) || !parsed || Object.keys(parsed).length === 0) {
+            onNotify('Enter one rate per line, e.g. NGN=1650.');
+            return;
+        }
+
+        try {
+            setRates(await uploadExchangeRates(rateBase.toUpperCase(), parsed));
+            setRateText('');
+            onNotify('Exchange rates saved!');
+        } catch (error) {
+            console.error("Failed to upload exchange rates", error);
+            onNotify(error instanceof Error ? error.message : 'Could not save exchange rates. Please try again.');
+        }
+    };
+
+    const handleRefreshRates = async () => {
+        try {
+            setRates(await refreshExchangeRates());
+            onNotify('Exchange rates refreshed!');
+        } catch (error) {
+            console.error("Failed to refresh exchange rates", error);
+            onNotify('Could not reach the exchange rate feed. Please try again.');
+        }
+    };
+
+    const handleRemoveRate = async (rate: ApiExchangeRate) => {
+        try {
+            await deleteExchangeRate(rate.base_currency, rate.quote_currency);
+            setRates(prev => prev.filter(r => r !== rate));
+        } catch (error) {
+            console.error("Failed to remove exchange rate", error);
+            onNotify('Could not remove the exchange rate. Please try again.');
+        }
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md border border-gray-200 space-y-8">
+            <div>
+                <h2 className="text-2xl font-bold text-brand-dark mb-2">Prices in Other Currencies</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Payment providers that do not take the base currency (Paystack charges in NGN, GHS, ZAR or KES) use a fixed price
+                    from here, or else the base price converted at the exchange rates below.
+                </p>
+                <div className="space-y-6">
+                    {CONSULTATION_OPTIONS.map(option => {
+                        const entry = catalog[option.id];
+                        const draft = newPrices[option.id] || { currency: '', amount: '' };
+
+                        return (
+                            <div key={option.id} className="border border-gray-200 rounded-lg p-4">
+                                <div className="flex justify-between items-center mb-2">
+                                    <h3 className="font-semibold text-brand-dark">{option.title}</h3>
+                                    {entry && (
+                                        <span className="text-sm text-gray-500">Base: {formatMoney(entry.base.amount, entry.base.currency)}</span>
+                                    )}
+                                </div>
+                                <ul className="divide-y divide-gray-100 mb-3">
+                                    {entry?.prices.map(price => (
+                                        <li key={price.currency} className="flex justify-between items-center py-1 text-sm">
+                                            <span>{formatMoney(price.amount, price.currency)}</span>
+                                            <button
+                                                onClick={() => handleRemovePrice(option.id, price.currency)}
+                                                className="text-red-600 hover:text-red-800"
+                                                aria-label={`Remove ${price.currency} price`}
+                                            >
+                                                <TrashIcon />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <div className="flex gap-2 items-end">
+                                    <input
+                                        type="text"
+                                        maxLength={3}
+                                        value={draft.currency}
+                                        onChange={(e) => setNewPrices(prev => ({ ...prev, [option.id]: { ...draft, currency: e.target.value } }))}
+                                        className={`${inputClassName} w-24`}
+                                        placeholder="NGN"
+                                        aria-label="Currency"
+                                    />
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={draft.amount}
+                                        onChange={(e) => setNewPrices(prev => ({ ...prev, [option.id]: { ...draft, amount: e.target.value } }))}
+                                        className={inputClassName}
+                                        placeholder="e.g., 75000"
+                                        aria-label="Price"
+                                    />
+                                    <button
+                                        onClick={() => handleAddPrice(option.id)}
+                                        className="bg-brand-blue text-white font-semibold py-2 px-4 rounded-lg hover:bg-opacity-90 transition-colors whitespace-nowrap"
+                                    >
+                                        Set Price
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <h2 className="text-2xl font-bold text-brand-dark">Exchange Rates</h2>
+                    {feedConfigured && (
+                        <button
+                            onClick={handleRefreshRates}
+                            className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors"
+                        >
+                            Refresh from Feed
+                        </button>
+                    )}
+                </div>
+                <p className="text-sm text-gray-600 mb-4">
+                    Uploaded rates are kept until you change them and take precedence over rates from the feed.
+                </p>
+                {rates.length > 0 ? (
+                    <table className="min-w-full text-sm mb-4">
+                        <thead>
+                            <tr className="text-left text-gray-500">
+                                <th className="py-1">Pair</th>
+                                <th className="py-1">Rate</th>
+                                <th className="py-1">Source</th>
+                                <th className="py-1">Updated</th>
+                                <th className="py-1"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {rates.map(rate => (
+                                <tr key={`${rate.base_currency}-${rate.quote_currency}`}>
+                                    <td className="py-1">{rate.base_currency} → {rate.quote_currency}</td>
+                                    <td className="py-1">{rate.rate}</td>
+                                    <td className="py-1">{rate.source === 'admin' ? 'Uploaded' : 'Feed'}</td>
+                                    <td className="py-1">{rate.updated_at}</td>
+                                    <td className="py-1 text-right">
+                                        <button
+                                            onClick={() => handleRemoveRate(rate)}
+                                            className="text-red-600 hover:text-red-800"
+                                            aria-label={`Remove ${rate.base_currency} to ${rate.quote_currency} rate`}
+                                        >
+                                            <TrashIcon />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-sm text-gray-500 mb-4">No exchange rates yet.</p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                        <label htmlFor="rate-base" className="block text-sm font-medium text-gray-700">Base currency</label>
+                        <input
+                            type="text"
+                            id="rate-base"
+                            maxLength={3}
+                            value={rateBase}
+                            onChange={(e) => setRateBase(e.target.value.toUpperCase())}
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div className="md:col-span-3">
+                        <label htmlFor="rate-table" className="block text-sm font-medium text-gray-700">Rates, one per line</label>
+                        <textarea
+                            id="rate-table"
+                            rows={4}
+                            value={rateText}
+                            onChange={(e) => setRateText(e.target.value)}
+                            className={inputClassName}
+                            placeholder={'NGN=1650\nGHS=16.4\nKES=140'}
+                        />
+                    </div>
+                </div>
+                <div className="flex justify-end mt-4">
+                    <button
+                        onClick={handleUploadRates}
+                        className="bg-brand-blue text-white font-semibold py-2 px-6 rounded-lg hover:bg-opacity-90 transition-colors"
+                    >
+                        Save Rates
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PriceCatalogSettings;
@@ -1,6 +1,6 @@
 
-import React, { useMemo } from 'react';
-import { Booking } from '../types';
+import React, { useEffect, useState } from 'react';
+import { fetchOpenSlots } from '../services/bookingApi';
 
 interface TimeSlotPickerProps {
   selectedDate: Date;
@@ -9,69 +9,30 @@ interface TimeSlotPickerProps {
   onBack: () => void;
 }
 
-const formatDateToKey = (date: Date): string => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-};
-
-const getBookedSlotsForDate = (date: Date): string[] => {
-    try {
-        const storedBookings = localStorage.getItem('confirmedBookings');
-        if (!storedBookings) {
-            return [];
-        }
-        const allBookings: Booking[] = JSON.parse(storedBookings);
-        const dateKey = formatDateToKey(date);
-        return allBookings
-            .filter(booking => booking.date === dateKey)
-            .map(booking => booking.time);
-
-    } catch (error) {
-        console.error("Failed to parse bookings from localStorage", error);
-        return [];
-    }
-};
-
-const getAvailableSlotsFromStorage = (date: Date): string[] => {
-    try {
-        const storedOverrides = localStorage.getItem('appointmentAvailability');
-        const storedRecurring = localStorage.getItem('recurringAppointmentAvailability');
-        
-        const overrides = storedOverrides ? JSON.parse(storedOverrides) : {};
-        const recurring = storedRecurring ? JSON.parse(storedRecurring) : {};
-        
-        const dateKey = formatDateToKey(date);
-        
-        // 1. Check for a specific date override first.
-        if (overrides[dateKey] !== undefined) {
-            return overrides[dateKey];
-        }
-
-        // 2. Fallback to the recurring schedule for the corresponding day of the week.
-        const dayOfWeek = date.getDay(); // 0 for Sunday, 1 for Monday...
-        const recurringDayIndex = (dayOfWeek === 0) ? 6 : dayOfWeek - 1; // Map to Mon-Sun (0-6)
-        if (recurring[recurringDayIndex]) {
-            return recurring[recurringDayIndex];
-        }
-
-        // 3. If no availability is set for this date or day of the week, return empty.
-        return [];
-
-    } catch (error) {
-        console.error("Failed to parse availability from localStorage", error);
-        return [];
-    }
-};
+const TimeSlotPicker: React.FC<TimeSlotPickerProps> = ({ selectedDate, selectedTime, onTimeSelect, onBack }) => {
+  const [availableSlots, setAvailableSlots] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
 
+  useEffect(() => {
+    let isCurrent = true;
+    setIsLoading(true);
 
-const TimeSlotPicker: React.FC<TimeSlotPickerProps> = ({ selectedDate, selectedTime, onTimeSelect, onBack }) => {
+    // Availability and existing bookings live on the server, so every customer sees the same slots
+    fetchOpenSlots(selectedDate)
+      .then(slots => {
+        if (isCurrent) setAvailableSlots(slots);
+      })
+      .catch(error => {
+        console.error("Failed to load available slots", error);
+        if (isCurrent) setAvailableSlots([]);
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
 
-  const availableSlots = useMemo(() => {
-    const allPossibleSlots = getAvailableSlotsFromStorage(selectedDate);
-    const bookedSlots = getBookedSlotsForDate(selectedDate);
-    return allPossibleSlots.filter(slot => !bookedSlots.includes(slot));
+    return () => {
+      isCurrent = false;
+    };
   }, [selectedDate]);
 
   return (
@@ -79,7 +40,9 @@ const TimeSlotPicker: React.FC<TimeSlotPickerProps> = ({ selectedDate, selectedT
       <h3 className="text-lg font-semibold text-center mb-4">
         Select a time for: <span className="text-brand-blue">{selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</span>
       </h3>
-      {availableSlots.length > 0 ? (
+      {isLoading ? (
+          <p className="text-center text-gray-500 py-8">Loading available times...</p>
+      ) : availableSlots.length > 0 ? (
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
             {availableSlots.map(time => (
             <button
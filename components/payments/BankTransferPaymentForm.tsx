@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { PaymentData, PaymentSuccessData } from './PaymentForm';
+import { LoadingSpinner } from '../LoadingSpinner';
+import { formatMoney, toMinorUnits, createIdempotencyKey } from './paymentUtils';
+import { formatDateToKey } from '../../services/bookingApi';
+
+interface BankTransferPaymentFormProps {
+  paymentData: PaymentData;
+  onSuccess: (data: PaymentSuccessData) => void;
+  onError: (error: string) => void;
+  onBack: () => void;
+}
+
+interface TransferInstructions {
+  account_holder: string;
+  iban: string;
+  bic: string | null;
+  bank_name: string | null;
+  amount: number;
+  currency: string;
+  reference: string;
+  pay_by?: string;
+}
+
+const BankTransferPaymentForm: React.FC<BankTransferPaymentFormProps> = ({
+  paymentData,
+  onSuccess,
+  onError,
+  onBack
+}) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [instructions, setInstructions] = useState<TransferInstructions | null>(null);
+  const [copiedField, setCopiedField] = useState<string | null>(null);
+  const [idempotencyKey] = useState(createIdempotencyKey);
+
+  const handleCreateTransfer = async () => {
+    setIsCreating(true);
+
+    try {
+      const { metadata = {} } = paymentData;
+      const appointmentDate = metadata.appointmentDate instanceof Date
+        ? formatDateToKey(metadata.appointmentDate)
+        : metadata.appointmentDate;
+
+      const response = await fetch('/api/payments/bank-transfer', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: JSON.stringify({
+          amount: toMinorUnits(paymentData.amount, paymentData.currency),
+          currency: paymentData.currency,
+          consultation_id: metadata.consultationId,
+          customer_email: paymentData.customerEmail,
+          customer_name: paymentData.customerName || undefined,
+          date: appointmentDate,
+          time: metadata.appointmentTime,
+          // The server works out the discounted and taxed amount itself
+          coupon_code: metadata.couponCode,
+          customer_country: metadata.customerCountry,
+          customer_vat_id: metadata.customerVatId,
+        }),
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || result.success === false) {
+        throw new Error(result.message || result.error || 'Failed to create bank transfer');
+      }
+
+      setInstructions(result.data.instructions);
+    } catch (error) {
+      onError(error instanceof Error ? error.message : 'Failed to create bank transfer');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async (field: string, value: string) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopiedField(field);
+      setTimeout(() => setCopiedField(null), 2000);
+    } catch (error) {
+      console.error('Copy to clipboard failed:', error);
+    }
+  };
+
+  const handleDone = () => {
+    if (!instructions) return;
+
+    onSuccess({
+      paymentMethod: 'bank_transfer',
+      transactionId: instructions.reference,
+      amount: paymentData.amount,
+      currency: paymentData.currency,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  if (isCreating) {
+    return (
+      <div className="text-center py-8">
+        <LoadingSpinner />
+        <p className="text-gray-600 mt-2">Preparing your transfer details...</p>
+      </div>
+    );
+  }
+
+  if (!instructions) {
+    return (
+      <div className="space-y-6">
+        <div className="text-center">
+          <h3 className="text-xl font-semibold text-gray-900">Pay by Bank Transfer</h3>
+          <p className="text-gray-600 text-sm mt-1">Transfer the amount from your own bank (Überweisung)</p>
+        </div>
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-2">
+            <span className="text-blue-800 font-medium">Amount to transfer:</span>
+            <div className="text-2xl font-bold text-blue-900">
+              {paymentData.currency} {paymentData.amount}
+            </div>
+          </div>
+          <div className="text-blue-700 text-sm space-y-1">
+            <p>{paymentData.description}</p>
+            <p>You will get our bank details and a payment reference. Your booking is confirmed once the transfer arrives, usually within 1-2 business days.</p>
+          </div>
+        </div>
+
+        <div className="flex justify-between pt-4">
+          <button
+            type="button"
+            onClick={onBack}
+            className="bg-gray-200 text-gray-800 font-semibold py-3 px-6 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Back
+          </button>
+          <button
+            type="button"
+            onClick={handleCreateTransfer}
+            className="bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Get Transfer Details
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const rows = [
+    { field: 'account_holder', label: 'Account holder', value: instructions.account_holder },
+    { field: 'iban', label: 'IBAN', value: instructions.iban },
+    { field: 'bic', label: 'BIC', value: instructions.bic },
+    { field: 'bank_name', label: 'Bank', value: instructions.bank_name },
+    { field: 'amount', label: 'Amount', value: formatMoney(instructions.amount, instructions.currency) },
+    { field: 'reference', label: 'Payment reference', value: instructions.reference },
+  ].filter((row): row is { field: string; label: string; value: string } => !!row.value);
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h3 className="text-xl font-semibold text-gray-900">Transfer Details</h3>
+        <p className="text-gray-600 text-sm mt-1">Enter these details in your banking app</p>
+      </div>
+
+      <div className="bg-white border-2 border-gray-200 rounded-lg divide-y divide-gray-200">
+        {rows.map((row) => (
+          <div key={row.field} className="flex justify-between items-center p-3">
+            <div>
+              <p className="text-xs text-gray-500">{row.label}</p>
+              <p className={`font-medium text-gray-900 ${row.field === 'iban' || row.field === 'reference' ? 'font-mono' : ''}`}>
+                {row.value}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleCopy(row.field, row.value)}
+              className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+            >
+              {copiedField === row.field ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Reference Notice */}
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+        <p className="text-sm font-medium text-yellow-800">Use the payment reference exactly as shown</p>
+        <p className="text-xs text-yellow-700 mt-1">
+          Put it in the reference field (Verwendungszweck) of your transfer. Without it we cannot match your payment to your booking.
+        </p>
+      </div>
+
+      {instructions.pay_by && (
+        <p className="text-sm text-gray-600">
+          Please make sure the money arrives by {new Date(instructions.pay_by).toLocaleString('en-GB', { dateStyle: 'full', timeStyle: 'short' })}.
+          Your slot is kept for you until then; after that the booking is cancelled.
+        </p>
+      )}
+
+      <div className="flex justify-end pt-4">
+        <button
+          type="button"
+          onClick={handleDone}
+          className="bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          I have noted the details
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export { BankTransferPaymentForm };
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { PaymentData, PaymentSuccessData } from './PaymentForm';
+import { LoadingSpinner } from '../LoadingSpinner';
+import { formatDateToKey } from '../../services/bookingApi';
+import { createIdempotencyKey, toMinorUnits } from './paymentUtils';
+
+interface PayPalPaymentFormProps {
+  paymentData: PaymentData;
+  onSuccess: (data: PaymentSuccessData) => void;
+  onError: (error: string) => void;
+  onBack: () => void;
+}
+
+// PayPal client ID - in production this should come from environment variables
+const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID || 'your_paypal_client_id';
+
+declare global {
+  interface Window {
+    paypal: any;
+  }
+}
+
+const postJson = async (url: string, body?: Record<string, any>, headers: Record<string, string> = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(body || {}),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.success === false) {
+    throw new Error(result.message || result.error || 'PayPal request failed');
+  }
+
+  return result.data;
+};
+
+const PayPalPaymentForm: React.FC<PayPalPaymentFormProps> = ({
+  paymentData,
+  onSuccess,
+  onError,
+  onBack
+}) => {
+  const [paypalLoaded, setPaypalLoaded] = useState(false);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const buttonsRef = useRef<HTMLDivElement>(null);
+  const [idempotencyKey] = useState(createIdempotencyKey);
+  // Only the checkout that created the order may capture it
+  const checkoutTokenRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    // Load PayPal JS SDK for the payment currency
+    if (!window.paypal) {
+      const script = document.createElement('script');
+      script.src = `https://www.paypal.com/sdk/js?client-id=${PAYPAL_CLIENT_ID}&currency=${paymentData.currency}&intent=capture`;
+      script.onload = () => {
+        setPaypalLoaded(true);
+      };
+      script.onerror = () => {
+        onError('Failed to load PayPal. Please try again.');
+      };
+      document.head.appendChild(script);
+    } else {
+      setPaypalLoaded(true);
+    }
+  }, [onError, paymentData.currency]);
+
+  useEffect(() => {
+    if (!paypalLoaded || !buttonsRef.current) return;
+
+    const { metadata = {} } = paymentData;
+    const appointmentDate = metadata.appointmentDate instanceof Date
+      ? formatDateToKey(metadata.appointmentDate)
+      : metadata.appointmentDate;
+
+    const buttons = window.paypal.Buttons({
+      style: { layout: 'vertical', label: 'pay' },
+
+      // The order is created server-side so the amount and slot hold are recorded with it
+      createOrder: async () => {
+        const order = await postJson('/api/payments/paypal/orders', {
+          amount: toMinorUnits(paymentData.amount, paymentData.currency),
+          currency: paymentData.currency,
+          consultation_id: metadata.consultationId,
+          customer_email: paymentData.customerEmail,
+          customer_name: paymentData.customerName || undefined,
+          date: appointmentDate,
+          time: metadata.appointmentTime,
+          // The server works out the discounted and taxed amount itself
+          coupon_code: metadata.couponCode,
+          customer_country: metadata.customerCountry,
+          customer_vat_id: metadata.customerVatId,
+        }, { 'Idempotency-Key': idempotencyKey });
+
+        checkoutTokenRef.current = order.checkout_token;
+        return order.order_id;
+      },
+
+      onApprove: async (data: { orderID: string }) => {
+        setIsCapturing(true);
+
+        try {
+          const capture = await postJson(`/api/payments/paypal/orders/${data.orderID}/capture`, undefined, {
+            Authorization: `Bearer ${checkoutTokenRef.current}`,
+          });
+
+          if (capture.status !== 'succeeded') {
+            throw new Error('PayPal could not complete the payment. Please try another funding source.');
+          }
+
+          onSuccess({
+            paymentMethod: 'paypal',
+            transactionId: capture.capture_id,
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            timestamp: new Date().toISOString()
+          });
+        } catch (error) {
+          onError(error instanceof Error ? error.message : 'Payment failed');
+        } finally {
+          setIsCapturing(false);
+        }
+      },
+
+      onError: (error: unknown) => {
+        console.error('PayPal payment error:', error);
+        onError(error instanceof Error ? error.message : 'PayPal payment failed');
+      },
+    });
+
+    buttons.render(buttonsRef.current);
+
+    return () => {
+      buttons.close?.();
+    };
+  }, [paypalLoaded, paymentData, onSuccess, onError, idempotencyKey]);
+
+  if (!paypalLoaded) {
+    return (
+      <div className="text-center py-8">
+        <LoadingSpinner />
+        <p className="text-gray-600 mt-2">Loading payment form...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center">
+        <h3 className="text-xl font-semibold text-gray-900">Pay with PayPal</h3>
+        <p className="text-gray-600 text-sm mt-1">Log in to PayPal to approve the payment</p>
+      </div>
+
+      {/* Payment Summary */}
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-blue-800 font-medium">Amount to pay:</span>
+          <div className="text-2xl font-bold text-blue-900">
+            {paymentData.currency} {paymentData.amount}
+          </div>
+        </div>
+        <div className="text-blue-700 text-sm">
+          <p>{paymentData.description}</p>
+        </div>
+      </div>
+
+      {/* PayPal Buttons */}
+      {isCapturing ? (
+        <div className="text-center py-4">
+          <LoadingSpinner />
+          <p className="text-gray-600 mt-2">Completing your payment...</p>
+        </div>
+      ) : null}
+      <div ref={buttonsRef} className={isCapturing ? 'hidden' : ''} />
+
+      {/* Security Notice */}
+      <div className="bg-green-50 border border-green-200 rounded-lg p-3">
+        <div className="flex items-center">
+          <svg className="w-5 h-5 text-green-600 mr-2" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clipRule="evenodd" />
+          </svg>
+          <div>
+            <p className="text-sm font-medium text-green-800">Secure Payment</p>
+            <p className="text-xs text-green-700">Protected by PayPal Buyer Protection</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex justify-between pt-4">
+        <button
+          type="button"
+          onClick={onBack}
+          disabled={isCapturing}
+          className="bg-gray-200 text-gray-800 font-semibold py-3 px-6 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export { PayPalPaymentForm };
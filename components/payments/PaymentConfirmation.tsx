@@ -14,7 +14,13 @@ const PaymentConfirmation: React.FC<PaymentConfirmationProps> = ({
   onConfirm,
   onBack
 }) => {
-  const methodDisplayName = selectedMethod === 'stripe' ? 'Stripe' : 'Paystack';
+  const methodDisplayNames: Record<string, string> = {
+    stripe: 'Stripe',
+    paystack: 'Paystack',
+    paypal: 'PayPal',
+    bank_transfer: 'Bank Transfer'
+  };
+  const methodDisplayName = methodDisplayNames[selectedMethod || ''] || 'Paystack';
 
   const handleConfirm = () => {
     onConfirm({
@@ -79,6 +85,18 @@ const PaymentConfirmation: React.FC<PaymentConfirmationProps> = ({
               <p>• Apple Pay and Google Pay supported</p>
               <p>• 3D Secure authentication for added security</p>
             </>
+          ) : selectedMethod === 'paypal' ? (
+            <>
+              <p>• Secure payment processing via PayPal</p>
+              <p>• Pay from your PayPal balance, bank account or cards</p>
+              <p>• PayPal Buyer Protection</p>
+            </>
+          ) : selectedMethod === 'bank_transfer' ? (
+            <>
+              <p>• SEPA transfer from any bank account in euro</p>
+              <p>• Quote the payment reference so we can match your transfer</p>
+              <p>• Your booking is confirmed once the money arrives</p>
+            </>
           ) : (
             <>
               <p>• Secure payment processing via Paystack</p>
@@ -2,13 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { PaymentMethodSelector } from './PaymentMethodSelector';
 import { StripePaymentForm } from './StripePaymentForm';
 import { PaystackPaymentForm } from './PaystackPaymentForm';
+import { PayPalPaymentForm } from './PayPalPaymentForm';
+import { BankTransferPaymentForm } from './BankTransferPaymentForm';
 import { PaymentConfirmation } from './PaymentConfirmation';
 import { PaymentSuccess } from './PaymentSuccess';
 import { PaymentError } from './PaymentError';
 import { LoadingSpinner } from '../LoadingSpinner';
 import { AppointmentDetails } from '../../types';
+import { ApiPaymentQuote, ApiPrice, ApiTaxBreakdown, BookingApiError, fetchConsultationPrice, fetchPaymentQuote } from '../../services/bookingApi';
+import { formatMoney, toMajorUnits } from './paymentUtils';
 
-export type PaymentMethod = 'stripe' | 'paystack' | null;
+export type PaymentMethod = 'stripe' | 'paystack' | 'paypal' | 'bank_transfer' | null;
 export type PaymentStep = 'select' | 'form' | 'processing' | 'confirmation' | 'success' | 'error';
 
 interface PaymentFormProps {
@@ -24,8 +28,18 @@ export interface PaymentSuccessData {
   amount: number;
   currency: string;
   timestamp: string;
+  tax?: ApiTaxBreakdown;
 }
 
+// EU member states first: VAT depends on whether the customer is in the EU
+const BILLING_COUNTRIES = [
+  'DE', 'AT', 'BE', 'BG', 'CY', 'CZ', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE',
+  'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK',
+  'AU', 'CA', 'CH', 'GB', 'GH', 'IN', 'KE', 'NG', 'NO', 'TR', 'UA', 'US', 'ZA',
+];
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
 export interface PaymentData {
   amount: number;
   currency: string;
@@ -46,6 +60,17 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
   const [paymentData, setPaymentData] = useState<PaymentData | null>(null);
   const [errorMessage, setErrorMessage] = useState<string>('');
   const [successData, setSuccessData] = useState<PaymentSuccessData | null>(null);
+  // Price in the currency the selected provider charges in
+  const [quote, setQuote] = useState<ApiPrice | null>(null);
+  const [isQuoting, setIsQuoting] = useState(false);
+  // What the server charges once the coupon and VAT are applied
+  const [checkout, setCheckout] = useState<ApiPaymentQuote | null>(null);
+  const [isUpdatingCheckout, setIsUpdatingCheckout] = useState(false);
+  const [couponCode, setCouponCode] = useState('');
+  const [couponError, setCouponError] = useState('');
+  const [billingCountry, setBillingCountry] = useState('DE');
+  const [vatId, setVatId] = useState('');
+  const [taxError, setTaxError] = useState('');
 
   useEffect(() => {
     // Initialize payment data
@@ -56,6 +81,7 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
       customerEmail: details.email || '',
       customerName: details.name || '',
       metadata: {
+        consultationId: details.consultation?.id,
         appointmentType: details.consultation?.title,
         appointmentDate: details.date,
         appointmentTime: details.time,
@@ -63,10 +89,99 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
     });
   }, [price, details]);
 
-  const handleMethodSelect = (method: PaymentMethod) => {
+  const handleMethodSelect = async (method: PaymentMethod) => {
     setSelectedMethod(method);
-    setCurrentStep('form');
     setErrorMessage('');
+
+    const consultationId = details.consultation?.id;
+    if (!method || !consultationId) {
+      setCurrentStep('form');
+      return;
+    }
+
+    setIsQuoting(true);
+    try {
+      const providerPrice = await fetchConsultationPrice(consultationId, method);
+      setQuote(providerPrice);
+      setPaymentData(prev => prev && {
+        ...prev,
+        amount: toMajorUnits(providerPrice.amount, providerPrice.currency),
+        currency: providerPrice.currency,
+      });
+      setCurrentStep('form');
+    } catch (error) {
+      // Consultations the catalog does not know are charged at the price shown
+      if (error instanceof BookingApiError && error.status === 404) {
+        setCurrentStep('form');
+      } else {
+        console.error('Failed to load price:', error);
+        setErrorMessage(error instanceof Error ? error.message : 'Could not load the price');
+        setCurrentStep('error');
+      }
+    } finally {
+      setIsQuoting(false);
+    }
+  };
+
+  // The amounts are only shown here; the server applies the coupon and VAT to its own price when charging
+  const updateCheckout = async (changes: { couponCode?: string; country?: string; vatId?: string }) => {
+    const consultationId = details.consultation?.id;
+    if (!quote || !selectedMethod || !consultationId) return;
+
+    setIsUpdatingCheckout(true);
+    try {
+      const updated = await fetchPaymentQuote(consultationId, selectedMethod, {
+        currency: quote.currency,
+        couponCode: checkout?.coupon_code,
+        country: billingCountry,
+        vatId: vatId.trim(),
+        customerEmail: details.email,
+        ...changes,
+      });
+      setCheckout(updated);
+      setPaymentData(prev => prev && {
+        ...prev,
+        amount: toMajorUnits(updated.amount, updated.currency),
+        metadata: {
+          ...prev.metadata,
+          couponCode: updated.coupon_code,
+          customerCountry: updated.tax.customer_country,
+          customerVatId: updated.tax.customer_vat_id ?? undefined,
+        },
+      });
+    } finally {
+      setIsUpdatingCheckout(false);
+    }
+  };
+
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) return;
+
+    setCouponError('');
+    try {
+      await updateCheckout({ couponCode: couponCode.trim() });
+    } catch (error) {
+      setCouponError(error instanceof Error ? error.message : 'This coupon cannot be used');
+    }
+  };
+
+  const handleRemoveCoupon = async () => {
+    setCouponCode('');
+    setCouponError('');
+    try {
+      await updateCheckout({ couponCode: undefined });
+    } catch (error) {
+      setCouponError(error instanceof Error ? error.message : 'Could not remove the coupon');
+    }
+  };
+
+  const handleTaxDetailsChange = async (changes: { country?: string; vatId?: string }) => {
+    setTaxError('');
+    try {
+      await updateCheckout(changes);
+    } catch (error) {
+      setTaxError(error instanceof Error ? error.message : 'Could not work out the VAT');
+    }
   };
 
   const handlePaymentSubmit = async (formData: any) => {
@@ -84,7 +199,13 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
   };
 
   const handlePaymentComplete = (data: PaymentSuccessData) => {
-    setSuccessData(data);
+    // A bank transfer is still outstanding; its form already showed the transfer details
+    if (data.paymentMethod === 'bank_transfer') {
+      onPaymentSuccess(data);
+      return;
+    }
+
+    setSuccessData({ ...data, tax: checkout?.tax });
     setCurrentStep('success');
     // Delay callback to show success message
     setTimeout(() => {
@@ -98,6 +219,12 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
   };
 
   const handleRetry = () => {
+    // The price never loaded, so load it again rather than charge in the wrong currency
+    if (selectedMethod && !quote) {
+      handleMethodSelect(selectedMethod);
+      return;
+    }
+
     setCurrentStep('form');
     setErrorMessage('');
   };
@@ -106,11 +233,34 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
     setCurrentStep('select');
     setSelectedMethod(null);
     setErrorMessage('');
+    setQuote(null);
+    // Coupons are priced in the provider's currency, so choosing another provider starts over
+    setCheckout(null);
+    setCouponCode('');
+    setCouponError('');
+    setBillingCountry('DE');
+    setVatId('');
+    setTaxError('');
+    setPaymentData(prev => prev && {
+      ...prev,
+      amount: price,
+      currency: 'EUR',
+      metadata: { ...prev.metadata, couponCode: undefined, customerCountry: undefined, customerVatId: undefined },
+    });
   };
 
   const renderCurrentStep = () => {
     switch (currentStep) {
       case 'select':
+        if (isQuoting) {
+          return (
+            <div className="text-center py-8">
+              <LoadingSpinner />
+              <p className="text-gray-600 mt-2">Loading price...</p>
+            </div>
+          );
+        }
+
         return (
           <PaymentMethodSelector
             onMethodSelect={handleMethodSelect}
@@ -121,6 +271,28 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
       case 'form':
         if (!selectedMethod || !paymentData) return null;
         
+        if (selectedMethod === 'bank_transfer') {
+          return (
+            <BankTransferPaymentForm
+              paymentData={paymentData}
+              onSuccess={handlePaymentComplete}
+              onError={handlePaymentError}
+              onBack={handleBackToMethod}
+            />
+          );
+        }
+
+        if (selectedMethod === 'paypal') {
+          return (
+            <PayPalPaymentForm
+              paymentData={paymentData}
+              onSuccess={handlePaymentComplete}
+              onError={handlePaymentError}
+              onBack={handleBackToMethod}
+            />
+          );
+        }
+
         return selectedMethod === 'stripe' ? (
           <StripePaymentForm
             paymentData={paymentData}
@@ -197,10 +369,99 @@ const PaymentForm: React.FC<PaymentFormProps> = ({
           </div>
           <div className="flex justify-between items-center">
             <span className="text-gray-700 font-medium">Amount:</span>
-            <span className="text-2xl font-bold text-green-600">€{price}</span>
+            <span className="text-2xl font-bold text-green-600">
+              {checkout?.original_amount !== undefined && (
+                <span className="text-base font-normal text-gray-400 line-through mr-2">
+                  {formatMoney(checkout.original_amount, checkout.currency)}
+                </span>
+              )}
+              {checkout
+                ? formatMoney(checkout.amount, checkout.currency)
+                : quote ? formatMoney(quote.amount, quote.currency) : `€${price}`}
+            </span>
           </div>
+          {checkout && (
+            <p className="text-right text-xs text-gray-500 mt-1">
+              {checkout.tax.tax_treatment === 'standard'
+                ? `incl. ${checkout.tax.tax_rate}% VAT (${formatMoney(checkout.tax.tax_amount, checkout.currency)})`
+                : checkout.tax.tax_treatment === 'reverse_charge'
+                  ? 'Net price; VAT reverse charged to you'
+                  : 'Net price; no German VAT outside the EU'}
+            </p>
+          )}
         </div>
 
+        {/* Billing details decide the VAT */}
+        {currentStep === 'form' && quote && (
+          <div className="mb-4 grid grid-cols-2 gap-2">
+            <select
+              value={billingCountry}
+              onChange={(e) => {
+                setBillingCountry(e.target.value);
+                handleTaxDetailsChange({ country: e.target.value });
+              }}
+              disabled={isUpdatingCheckout}
+              aria-label="Billing country"
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm"
+            >
+              {BILLING_COUNTRIES.map(code => (
+                <option key={code} value={code}>{countryNames.of(code)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={vatId}
+              onChange={(e) => setVatId(e.target.value)}
+              onBlur={() => {
+                if (vatId.trim() !== (checkout?.tax.customer_vat_id ?? '')) {
+                  handleTaxDetailsChange({ vatId: vatId.trim() });
+                }
+              }}
+              placeholder="VAT ID (businesses)"
+              aria-label="VAT ID"
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm"
+            />
+            {taxError && <p className="col-span-2 text-sm text-red-600">{taxError}</p>}
+          </div>
+        )}
+
+        {/* Coupon */}
+        {currentStep === 'form' && quote && (
+          <div className="mb-6">
+            {checkout?.coupon_code ? (
+              <div className="flex justify-between items-center bg-green-50 border border-green-200 rounded-lg p-3 text-sm">
+                <span className="text-green-800">
+                  Coupon <strong>{checkout.coupon_code}</strong>: −{formatMoney(checkout.discount_amount ?? 0, checkout.currency)}
+                </span>
+                <button onClick={handleRemoveCoupon} className="text-green-800 underline hover:text-green-900">
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                    placeholder="Coupon code"
+                    aria-label="Coupon code"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-brand-blue focus:border-brand-blue sm:text-sm"
+                  />
+                  <button
+                    onClick={handleApplyCoupon}
+                    disabled={isUpdatingCheckout || !couponCode.trim()}
+                    className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+                  >
+                    {isUpdatingCheckout ? 'Checking...' : 'Apply'}
+                  </button>
+                </div>
+                {couponError && <p className="text-sm text-red-600 mt-1">{couponError}</p>}
+              </>
+            )}
+          </div>
+        )}
+
         {/* Payment Content */}
         {renderCurrentStep()}
       </div>
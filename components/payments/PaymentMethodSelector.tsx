@@ -1,5 +1,5 @@
 import React from 'react';
-import { StripeIcon, PaystackIcon, CreditCardIcon } from '../IconComponents';
+import { StripeIcon, PaystackIcon, PayPalIcon, BankTransferIcon, CreditCardIcon } from '../IconComponents';
 import { PaymentMethod } from './PaymentForm';
 
 interface PaymentMethodSelectorProps {
@@ -27,6 +27,22 @@ const PaymentMethodSelector: React.FC<PaymentMethodSelectorProps> = ({
       icon: <PaystackIcon />,
       availability: 'Africa',
       features: ['Bank Transfer', 'Mobile Money', 'USSD', 'Cards']
+    },
+    {
+      id: 'paypal' as PaymentMethod,
+      name: 'PayPal',
+      description: 'Pay with your PayPal account',
+      icon: <PayPalIcon />,
+      availability: 'Europe & Global',
+      features: ['PayPal Balance', 'Bank Account', 'Cards', 'Buyer Protection']
+    },
+    {
+      id: 'bank_transfer' as PaymentMethod,
+      name: 'Bank Transfer',
+      description: 'Pay by SEPA bank transfer (Überweisung) from your own bank',
+      icon: <BankTransferIcon />,
+      availability: 'SEPA',
+      features: ['No Fees', 'Any SEPA Bank', 'Confirmed on Receipt']
     }
   ];
 
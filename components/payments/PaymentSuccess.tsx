@@ -1,11 +1,20 @@
 import React from 'react';
 import { PaymentSuccessData } from './PaymentForm';
+import { formatMoney } from './paymentUtils';
 
 interface PaymentSuccessProps {
   data: PaymentSuccessData;
 }
 
+// The line a receipt needs when no German VAT was charged
+const TAX_NOTES: Record<string, string> = {
+  reverse_charge: 'Reverse charge: VAT to be accounted for by the recipient',
+  not_taxable: 'Not taxable in Germany: service supplied outside the EU',
+};
+
 const PaymentSuccess: React.FC<PaymentSuccessProps> = ({ data }) => {
+  const { tax } = data;
+
   const formatDate = (timestamp: string) => {
     return new Date(timestamp).toLocaleString('en-GB', {
       dateStyle: 'medium',
@@ -24,6 +33,13 @@ const PaymentSuccess: React.FC<PaymentSuccessProps> = ({ data }) => {
       currency: data.currency,
       paymentMethod: data.paymentMethod,
       timestamp: data.timestamp,
+      ...(tax && {
+        netAmount: formatMoney(tax.net_amount, data.currency),
+        vatRate: `${tax.tax_rate}%`,
+        vatAmount: formatMoney(tax.tax_amount, data.currency),
+        customerVatId: tax.customer_vat_id ?? undefined,
+        vatNote: TAX_NOTES[tax.tax_treatment],
+      }),
       status: 'Success'
     };
 
@@ -78,6 +94,28 @@ const PaymentSuccess: React.FC<PaymentSuccessProps> = ({ data }) => {
               </span>
             </div>
 
+            {tax && (
+              <>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Net:</span>
+                  <span className="font-medium text-gray-900">{formatMoney(tax.net_amount, data.currency)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">VAT ({tax.tax_rate}%):</span>
+                  <span className="font-medium text-gray-900">{formatMoney(tax.tax_amount, data.currency)}</span>
+                </div>
+                {tax.customer_vat_id && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Your VAT ID:</span>
+                    <span className="font-mono text-sm font-medium text-gray-900">{tax.customer_vat_id}</span>
+                  </div>
+                )}
+                {TAX_NOTES[tax.tax_treatment] && (
+                  <p className="text-xs text-gray-500">{TAX_NOTES[tax.tax_treatment]}</p>
+                )}
+              </>
+            )}
+
             <div className="flex justify-between">
               <span className="text-gray-600">Payment Method:</span>
               <span className="font-medium text-gray-900 capitalize">
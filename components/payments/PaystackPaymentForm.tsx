@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { PaymentData, PaymentSuccessData } from './PaymentForm';
 import { LoadingSpinner } from '../LoadingSpinner';
+import { formatMoney, toMinorUnits } from './paymentUtils';
 
 interface PaystackPaymentFormProps {
   paymentData: PaymentData;
@@ -67,12 +68,8 @@ const PaystackPaymentForm: React.FC<PaystackPaymentFormProps> = ({
     }));
   };
 
-  const convertCurrencyToKobo = (amount: number, currency: string): number => {
-    // Convert EUR to Kobo (NGN smallest unit)
-    // In production, you'd use real-time exchange rates
-    const exchangeRate = currency === 'EUR' ? 1600 : 1; // Approximate EUR to NGN rate
-    return Math.round(amount * exchangeRate * 100); // Convert to kobo
-  };
+  // The amount arrives already priced in a Paystack currency (NGN, GHS, ZAR, KES) by the catalog
+  const amountInMinorUnits = toMinorUnits(paymentData.amount, paymentData.currency);
 
   const handlePayment = () => {
     if (!paystackLoaded || !window.PaystackPop) {
@@ -87,21 +84,17 @@ const PaystackPaymentForm: React.FC<PaystackPaymentFormProps> = ({
 
     setIsLoading(true);
 
-    const amountInKobo = convertCurrencyToKobo(paymentData.amount, paymentData.currency);
-
     const handler = window.PaystackPop.setup({
       key: PAYSTACK_PUBLIC_KEY,
       email: paymentData.customerEmail,
-      amount: amountInKobo,
-      currency: 'NGN', // Paystack primarily works with NGN
+      amount: amountInMinorUnits,
+      currency: paymentData.currency,
       firstname: formData.firstName,
       lastname: formData.lastName,
       phone: formData.phone,
       ref: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       metadata: {
         ...paymentData.metadata,
-        originalAmount: paymentData.amount,
-        originalCurrency: paymentData.currency,
         customerName: `${formData.firstName} ${formData.lastName}`,
       },
       callback: function(response: any) {
@@ -145,10 +138,7 @@ const PaystackPaymentForm: React.FC<PaystackPaymentFormProps> = ({
           <span className="text-green-800 font-medium">Amount to pay:</span>
           <div className="text-right">
             <div className="text-2xl font-bold text-green-900">
-              {paymentData.currency} {paymentData.amount}
-            </div>
-            <div className="text-sm text-green-700">
-              ≈ ₦{Math.round(paymentData.amount * 1600).toLocaleString()}
+              {formatMoney(amountInMinorUnits, paymentData.currency)}
             </div>
           </div>
         </div>
@@ -276,7 +266,7 @@ const PaystackPaymentForm: React.FC<PaystackPaymentFormProps> = ({
             </>
           ) : (
             <>
-              Pay ₦{Math.round(paymentData.amount * 1600).toLocaleString()}
+              Pay {formatMoney(amountInMinorUnits, paymentData.currency)}
               <svg className="w-4 h-4 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
               </svg>
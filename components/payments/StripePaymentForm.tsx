@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { PaymentData, PaymentSuccessData } from './PaymentForm';
 import { LoadingSpinner } from '../LoadingSpinner';
+import { formatDateToKey } from '../../services/bookingApi';
+import { createIdempotencyKey, formatMoney, toMinorUnits } from './paymentUtils';
 
 interface StripePaymentFormProps {
   paymentData: PaymentData;
@@ -21,8 +23,9 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
   const [isLoading, setIsLoading] = useState(false);
   const [stripeLoaded, setStripeLoaded] = useState(false);
   const [stripe, setStripe] = useState<any>(null);
-  const [cardComplete, setCardComplete] = useState(false);
-  const [formErrors, setFormErrors] = useState<Record<string, string>>({});
+  const [elements, setElements] = useState<any>(null);
+  const paymentElementRef = useRef<HTMLDivElement>(null);
+  const [idempotencyKey] = useState(createIdempotencyKey);
 
   useEffect(() => {
     // Load Stripe script
@@ -45,43 +48,68 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
     }
   }, [onError]);
 
+  // The payment intent is created server-side so the amount, coupon, VAT and slot hold are recorded with it
+  const createPaymentIntent = async () => {
+    const { metadata = {} } = paymentData;
+    const appointmentDate = metadata.appointmentDate instanceof Date
+      ? formatDateToKey(metadata.appointmentDate)
+      : metadata.appointmentDate;
+
+    const response = await fetch('/api/payments/stripe/payment-intent', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify({
+        amount: toMinorUnits(paymentData.amount, paymentData.currency),
+        currency: paymentData.currency,
+        consultation_id: metadata.consultationId,
+        customer_email: paymentData.customerEmail,
+        customer_name: paymentData.customerName || undefined,
+        date: appointmentDate,
+        time: metadata.appointmentTime,
+        // The server works out the discounted and taxed amount itself
+        coupon_code: metadata.couponCode,
+        customer_country: metadata.customerCountry,
+        customer_vat_id: metadata.customerVatId,
+      }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.success === false) {
+      throw new Error(result.message || result.error || 'Failed to start the payment');
+    }
+
+    return result.data.client_secret as string;
+  };
+
+  // First the payment is created and Stripe's payment form shown; then the customer pays with it
   const handleSubmit = async (event: React.FormEvent) => {
     event.preventDefault();
-    
+
     if (!stripe || !stripeLoaded) {
       onError('Payment system not ready. Please try again.');
       return;
     }
 
     setIsLoading(true);
-    setFormErrors({});
 
     try {
-      // Create checkout session on backend
-      const response = await fetch('/api/create-checkout-session', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          amount: paymentData.amount * 100, // Convert to cents
-          currency: paymentData.currency.toLowerCase(),
-          description: paymentData.description,
-          customerEmail: paymentData.customerEmail,
-          metadata: paymentData.metadata,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to create checkout session');
+      if (!elements) {
+        const stripeElements = stripe.elements({ clientSecret: await createPaymentIntent() });
+        stripeElements.create('payment').mount(paymentElementRef.current);
+        setElements(stripeElements);
+        return;
       }
 
-      const { sessionId } = await response.json();
-
-      // Redirect to Stripe Checkout
-      const { error } = await stripe.redirectToCheckout({
-        sessionId: sessionId,
+      // Stripe sends the customer back to the return URL once the payment is through
+      const { error } = await stripe.confirmPayment({
+        elements,
+        confirmParams: {
+          return_url: `${window.location.origin}?payment=success&method=stripe`,
+          receipt_email: paymentData.customerEmail,
+        },
       });
 
       if (error) {
@@ -96,46 +124,6 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
     }
   };
 
-  const handleCheckoutRedirect = async () => {
-    if (!stripe) {
-      onError('Payment system not ready. Please try again.');
-      return;
-    }
-
-    setIsLoading(true);
-
-    try {
-      // For demo purposes, we'll simulate the existing redirect flow
-      // In production, this would use the backend API
-      const result = await stripe.redirectToCheckout({
-        lineItems: [{
-          price_data: {
-            currency: paymentData.currency.toLowerCase(),
-            product_data: {
-              name: paymentData.description,
-            },
-            unit_amount: paymentData.amount * 100, // Convert to cents
-          },
-          quantity: 1,
-        }],
-        mode: 'payment',
-        successUrl: `${window.location.origin}?payment=success&method=stripe`,
-        cancelUrl: `${window.location.origin}?payment=cancel`,
-        customerEmail: paymentData.customerEmail,
-        metadata: paymentData.metadata,
-      });
-
-      if (result.error) {
-        throw new Error(result.error.message);
-      }
-
-    } catch (error) {
-      console.error('Stripe checkout error:', error);
-      onError(error instanceof Error ? error.message : 'Payment failed');
-      setIsLoading(false);
-    }
-  };
-
   if (!stripeLoaded) {
     return (
       <div className="text-center py-8">
@@ -188,9 +176,13 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
 
       {/* Payment Form */}
       <form onSubmit={handleSubmit} className="space-y-4">
+        <div ref={paymentElementRef} />
+
         <div className="bg-gray-50 rounded-lg p-4">
           <p className="text-sm text-gray-700 mb-3">
-            Click the button below to be securely redirected to Stripe's checkout page where you can complete your payment.
+            {elements
+              ? 'Enter your payment details above to complete your payment.'
+              : 'Continue to enter your payment details in Stripe\'s secure payment form.'}
           </p>
           <div className="flex items-center text-xs text-gray-600">
             <svg className="w-4 h-4 mr-2 text-green-500" fill="currentColor" viewBox="0 0 20 20">
@@ -211,8 +203,7 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
             Back
           </button>
           <button
-            type="button"
-            onClick={handleCheckoutRedirect}
+            type="submit"
             disabled={isLoading}
             className="bg-blue-600 text-white font-semibold py-3 px-8 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 flex items-center"
           >
@@ -221,9 +212,11 @@ const StripePaymentForm: React.FC<StripePaymentFormProps> = ({
                 <LoadingSpinner size="small" className="mr-2" />
                 Processing...
               </>
+            ) : !elements ? (
+              'Continue to payment'
             ) : (
               <>
-                Pay €{paymentData.amount}
+                Pay {formatMoney(toMinorUnits(paymentData.amount, paymentData.currency), paymentData.currency)}
                 <svg className="w-4 h-4 ml-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
                 </svg>
@@ -7,6 +7,8 @@ export { default as PaymentForm } from './PaymentForm';
 export { PaymentMethodSelector } from './PaymentMethodSelector';
 export { StripePaymentForm } from './StripePaymentForm';
 export { PaystackPaymentForm } from './PaystackPaymentForm';
+export { PayPalPaymentForm } from './PayPalPaymentForm';
+export { BankTransferPaymentForm } from './BankTransferPaymentForm';
 export { PaymentConfirmation } from './PaymentConfirmation';
 export { PaymentSuccess } from './PaymentSuccess';
 export { PaymentError } from './PaymentError';
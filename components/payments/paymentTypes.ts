@@ -7,7 +7,7 @@ export interface CreateCheckoutSessionRequest {
   customerEmail: string;
   customerName?: string;
   metadata?: Record<string, any>;
-  paymentMethod: 'stripe' | 'paystack';
+  paymentMethod: PaymentProvider;
   successUrl: string;
   cancelUrl: string;
 }
@@ -39,7 +39,7 @@ export interface PaymentWebhookData {
 
 export interface PaymentStatusRequest {
   sessionId: string;
-  paymentMethod: 'stripe' | 'paystack';
+  paymentMethod: PaymentProvider;
 }
 
 export interface PaymentStatusResponse {
@@ -85,7 +85,7 @@ export interface PaymentMethodsResponse {
 
 export interface PaymentConfigResponse {
   environment: 'development' | 'production';
-  supportedMethods: ('stripe' | 'paystack')[];
+  supportedMethods: PaymentProvider[];
   defaultCurrency: string;
   minimumAmount: number;
   maximumAmount: number;
@@ -171,7 +171,7 @@ export interface VerifyWebhookResponse {
 }
 
 // Export commonly used type unions
-export type PaymentProvider = 'stripe' | 'paystack';
+export type PaymentProvider = 'stripe' | 'paystack' | 'paypal' | 'bank_transfer';
 export type PaymentStatus = 'pending' | 'processing' | 'succeeded' | 'failed' | 'canceled';
 export type PaymentCurrency = 'USD' | 'EUR' | 'GBP' | 'NGN' | 'GHS' | 'KES' | 'UGX' | 'ZAR';
 
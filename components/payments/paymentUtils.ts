@@ -1,5 +1,16 @@
 // Payment validation and utility functions
 
+// Minor-unit conversion and formatting, shared with the API so both sides agree on ISO 4217 exponents
+export {
+  Money,
+  getCurrencyExponent,
+  toMinorUnits,
+  toMajorUnits,
+  toDecimalString,
+  formatMoney,
+  isValidMinorAmount
+} from '../../src/utils/money.js';
+
 export interface CardValidation {
   isValid: boolean;
   errors: string[];
@@ -177,6 +188,15 @@ export const generateTransactionId = (): string => {
   return `TXN_${timestamp}_${random}`.toUpperCase();
 };
 
+// One key per checkout attempt: the backend answers a repeated request with the same key
+// (double click, network retry) with the original response instead of charging again
+export const createIdempotencyKey = (): string => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
 export const sanitizePaymentData = (data: any) => {
   // Remove sensitive data before logging or storing
   const sanitized = { ...data };
@@ -192,11 +212,22 @@ export const sanitizePaymentData = (data: any) => {
   return sanitized;
 };
 
-export const isPaymentMethodAvailable = (method: 'stripe' | 'paystack', country?: string): boolean => {
-  if (method === 'stripe') {
-    // Stripe is available globally
+export const isPaymentMethodAvailable = (method: 'stripe' | 'paystack' | 'paypal' | 'bank_transfer', country?: string): boolean => {
+  if (method === 'stripe' || method === 'paypal') {
+    // Stripe and PayPal are available globally
     return true;
   }
+
+  if (method === 'bank_transfer') {
+    // SEPA credit transfers reach us from any account in the SEPA area
+    const sepaCountries = [
+      'AT', 'BE', 'BG', 'CH', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR',
+      'GB', 'GR', 'HR', 'HU', 'IE', 'IS', 'IT', 'LI', 'LT', 'LU', 'LV', 'MC',
+      'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK', 'SM', 'VA', 'AD'
+    ];
+
+    return country ? sepaCountries.includes(country.toUpperCase()) : true;
+  }
   
   if (method === 'paystack') {
     // Paystack is primarily for African countries
@@ -231,7 +262,7 @@ export const getCurrencyForCountry = (country: string): string => {
 
 export const calculateProcessingFee = (
   amount: number, 
-  paymentMethod: 'stripe' | 'paystack'
+  paymentMethod: 'stripe' | 'paystack' | 'paypal' | 'bank_transfer'
 ): number => {
   // These are example rates - use actual provider rates
   if (paymentMethod === 'stripe') {
@@ -239,6 +270,11 @@ export const calculateProcessingFee = (
     return Math.round((amount * 0.029 + 0.30) * 100) / 100;
   }
   
+  if (paymentMethod === 'paypal') {
+    // PayPal: 3.49% + €0.39 (European commercial rate)
+    return Math.round((amount * 0.0349 + 0.39) * 100) / 100;
+  }
+  
   if (paymentMethod === 'paystack') {
     // Paystack: 1.5% (capped at ₦2,000 for Nigerian cards)
     return Math.round(amount * 0.015 * 100) / 100;
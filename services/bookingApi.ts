@@ -0,0 +1,414 @@
+// Client for the booking backend (/api/appointments, /api/consultations, /api/availability, /api/exchange-rates, /api/coupons,
+// /api/payments/quote) and staff login (/api/auth)
+
+import { Availability, Booking, RecurringAvailability } from '../types';
+
+export interface ApiConsultation {
+  id: string;
+  title: string;
+  description: string;
+  duration: number;
+  price: number; // In cents
+  currency: string;
+}
+
+// A consultation price in one currency; amount in the currency's smallest unit
+export interface ApiPrice {
+  consultation_id: string;
+  amount: number;
+  currency: string;
+  source: 'base' | 'catalog' | 'converted';
+  exchange_rate?: number;
+  provider?: string;
+}
+
+export interface ApiConsultationPrices {
+  base: { amount: number; currency: string };
+  prices: { consultation_id: string; amount: number; currency: string }[];
+}
+
+export interface ApiExchangeRate {
+  base_currency: string;
+  quote_currency: string;
+  rate: number;
+  source: 'admin' | 'feed';
+  updated_at: string;
+}
+
+export interface ApiCoupon {
+  id: string;
+  code: string;
+  description?: string | null;
+  discount_type: 'percent' | 'fixed';
+  discount_value: number; // Percent, or the currency's smallest unit for fixed discounts
+  currency: string | null;
+  valid_from: string | null;
+  valid_until: string | null;
+  max_redemptions: number | null;
+  max_redemptions_per_user: number | null;
+  consultation_ids: string[] | null;
+  active: boolean;
+  redemption_count?: number;
+}
+
+export type NewCoupon = Omit<ApiCoupon, 'id' | 'redemption_count'>;
+
+export type TaxTreatment = 'standard' | 'reverse_charge' | 'not_taxable';
+
+// How VAT splits what the customer pays; amounts in the currency's smallest unit
+export interface ApiTaxBreakdown {
+  net_amount: number;
+  tax_amount: number;
+  gross_amount: number;
+  tax_rate: number; // Percent
+  tax_treatment: TaxTreatment;
+  customer_country: string;
+  customer_vat_id: string | null;
+}
+
+// What a booking costs with a provider, after any coupon and VAT
+export interface ApiPaymentQuote {
+  consultation_id: string;
+  provider: string;
+  amount: number;
+  currency: string;
+  coupon_code?: string;
+  original_amount?: number;
+  discount_amount?: number;
+  tax: ApiTaxBreakdown;
+}
+
+export interface ApiAppointment {
+  id: string;
+  consultation_id: string;
+  consultation_title: string;
+  date: string;
+  time: string;
+  status: 'pending' | 'confirmed' | 'completed' | 'cancelled';
+  customer_name: string;
+  customer_email: string;
+  customer_phone?: string;
+}
+
+// What booking returns: the customer's details are only shown to them and to staff
+export type ApiBookedAppointment = Omit<ApiAppointment, 'customer_name' | 'customer_email' | 'customer_phone'>;
+
+export type StaffRole = 'owner' | 'consultant' | 'accountant' | 'support';
+
+export interface ApiUser {
+  id: string;
+  email: string;
+  name: string;
+  role: StaffRole | 'customer';
+}
+
+export interface ApiSession {
+  user: ApiUser;
+  permissions: string[]; // Empty for customers, and for staff whose role requires two-factor authentication until they set it up
+  two_factor_setup_required: boolean;
+  access_token: string;
+  refresh_token: string;
+  expires_in: number; // Seconds
+}
+
+// What login answers for accounts with two-factor authentication, instead of a session
+export interface TwoFactorChallenge {
+  two_factor_required: true;
+  challenge_token: string;
+  expires_in: number; // Seconds
+}
+
+export interface TwoFactorSetup {
+  secret: string; // Base32, to type into the authenticator app
+  otpauth_uri: string; // What the app scans as a QR code
+}
+
+export interface NewAppointment {
+  consultation_id: string;
+  date: string;
+  time: string;
+  customer_name: string;
+  customer_email: string;
+  customer_phone?: string;
+}
+
+export class BookingApiError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'BookingApiError';
+  }
+}
+
+const AUTH_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const formatDateToKey = (date: Date): string => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const storeSession = (session: ApiSession) => {
+  sessionStorage.setItem(AUTH_TOKEN_KEY, session.access_token);
+  sessionStorage.setItem(REFRESH_TOKEN_KEY, session.refresh_token);
+};
+
+const clearSession = () => {
+  sessionStorage.removeItem(AUTH_TOKEN_KEY);
+  sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Access tokens are short-lived; swap the refresh token for new ones. False if the session is over.
+const refreshSession = async (): Promise<boolean> => {
+  const refreshToken = sessionStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+
+  const response = await fetch('/api/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || body.success === false) {
+    clearSession();
+    return false;
+  }
+  storeSession(body.data);
+  return true;
+};
+
+const request = async <T>(path: string, options: RequestInit = {}, retryOnExpiry = true): Promise<T> => {
+  const token = sessionStorage.getItem(AUTH_TOKEN_KEY);
+  const response = await fetch(`/api${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers,
+    },
+  });
+
+  if (response.status === 401 && token && retryOnExpiry && await refreshSession()) {
+    return request<T>(path, options, false);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.success === false) {
+    throw new BookingApiError(body.message || body.error || 'Request failed', response.status);
+  }
+
+  return body.data as T;
+};
+
+// Staff login
+
+export const isTwoFactorChallenge = (result: ApiSession | TwoFactorChallenge): result is TwoFactorChallenge =>
+  'two_factor_required' in result;
+
+export const login = async (email: string, password: string): Promise<ApiSession | TwoFactorChallenge> => {
+  const result = await request<ApiSession | TwoFactorChallenge>('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  if (!isTwoFactorChallenge(result)) {
+    storeSession(result);
+  }
+  return result;
+};
+
+// The 6-digit code from the authenticator app, or else one of the recovery codes
+export const completeTwoFactorLogin = async (challengeToken: string, code: string): Promise<ApiSession> => {
+  const proof = /^\s*\d{3}\s*\d{3}\s*$/.test(code) ? { code } : { recovery_code: code };
+  const session = await request<ApiSession>('/auth/login/2fa', {
+    method: 'POST',
+    body: JSON.stringify({ challenge_token: challengeToken, ...proof }),
+  });
+  storeSession(session);
+  return session;
+};
+
+export const setupTwoFactor = async (): Promise<TwoFactorSetup> => {
+  return request<TwoFactorSetup>('/auth/2fa/setup', { method: 'POST' });
+};
+
+// Replaces the session with one that passed the second factor; the recovery codes are only shown now
+export const enableTwoFactor = async (code: string): Promise<ApiSession & { recovery_codes: string[] }> => {
+  const session = await request<ApiSession & { recovery_codes: string[] }>('/auth/2fa/enable', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  });
+  storeSession(session);
+  return session;
+};
+
+export const logout = async (): Promise<void> => {
+  const refreshToken = sessionStorage.getItem(REFRESH_TOKEN_KEY);
+  clearSession();
+
+  if (refreshToken) {
+    await request('/auth/logout', { method: 'POST', body: JSON.stringify({ refresh_token: refreshToken }) }).catch(() => undefined);
+  }
+};
+
+export const toBooking = (appointment: ApiAppointment): Booking => ({
+  id: appointment.id,
+  name: appointment.customer_name,
+  date: appointment.date,
+  time: appointment.time,
+  consultationTitle: appointment.consultation_title,
+  status: appointment.status,
+});
+
+// Consultations
+
+export const fetchConsultations = async (): Promise<ApiConsultation[]> => {
+  const data = await request<{ consultations: ApiConsultation[] }>('/consultations');
+  return data.consultations;
+};
+
+export const updateConsultationPrice = async (consultationId: string, priceInCents: number): Promise<ApiConsultation> => {
+  const data = await request<{ consultation: ApiConsultation }>(`/consultations/${consultationId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ price: priceInCents }),
+  });
+  return data.consultation;
+};
+
+// Price in the currency the provider charges in, or in `currency` if given
+export const fetchConsultationPrice = async (consultationId: string, provider: string, currency?: string): Promise<ApiPrice> => {
+  const params = new URLSearchParams({ provider, ...(currency ? { currency } : {}) });
+  const data = await request<{ price: ApiPrice }>(`/consultations/${consultationId}/price?${params}`);
+  return data.price;
+};
+
+export const fetchConsultationPrices = async (consultationId: string): Promise<ApiConsultationPrices> => {
+  return request(`/consultations/${consultationId}/prices`);
+};
+
+export const saveConsultationPrice = async (consultationId: string, currency: string, amount: number): Promise<void> => {
+  await request(`/consultations/${consultationId}/prices/${currency}`, {
+    method: 'PUT',
+    body: JSON.stringify({ amount }),
+  });
+};
+
+export const deleteConsultationPrice = async (consultationId: string, currency: string): Promise<void> => {
+  await request(`/consultations/${consultationId}/prices/${currency}`, { method: 'DELETE' });
+};
+
+// Exchange rates
+
+export const fetchExchangeRates = async (): Promise<{ rates: ApiExchangeRate[]; feed_configured: boolean }> => {
+  return request('/exchange-rates');
+};
+
+export const uploadExchangeRates = async (base: string, rates: Record<string, number>): Promise<ApiExchangeRate[]> => {
+  const data = await request<{ rates: ApiExchangeRate[] }>('/exchange-rates', {
+    method: 'PUT',
+    body: JSON.stringify({ base, rates }),
+  });
+  return data.rates;
+};
+
+export const refreshExchangeRates = async (): Promise<ApiExchangeRate[]> => {
+  const data = await request<{ rates: ApiExchangeRate[] }>('/exchange-rates/refresh', { method: 'POST' });
+  return data.rates;
+};
+
+export const deleteExchangeRate = async (base: string, quote: string): Promise<void> => {
+  await request(`/exchange-rates/${base}/${quote}`, { method: 'DELETE' });
+};
+
+// Coupons
+
+export const fetchCoupons = async (): Promise<ApiCoupon[]> => {
+  const data = await request<{ coupons: ApiCoupon[] }>('/coupons');
+  return data.coupons;
+};
+
+export const createCoupon = async (coupon: NewCoupon): Promise<ApiCoupon> => {
+  const data = await request<{ coupon: ApiCoupon }>('/coupons', {
+    method: 'POST',
+    body: JSON.stringify(coupon),
+  });
+  return data.coupon;
+};
+
+export const updateCoupon = async (couponId: string, changes: Partial<NewCoupon>): Promise<ApiCoupon> => {
+  const data = await request<{ coupon: ApiCoupon }>(`/coupons/${couponId}`, {
+    method: 'PUT',
+    body: JSON.stringify(changes),
+  });
+  return data.coupon;
+};
+
+export const deleteCoupon = async (couponId: string): Promise<void> => {
+  await request(`/coupons/${couponId}`, { method: 'DELETE' });
+};
+
+// Quotes
+
+export const fetchPaymentQuote = async (
+  consultationId: string,
+  provider: string,
+  options: { currency?: string; couponCode?: string; country?: string; vatId?: string; customerEmail?: string } = {}
+): Promise<ApiPaymentQuote> => {
+  return request('/payments/quote', {
+    method: 'POST',
+    body: JSON.stringify({
+      provider,
+      consultation_id: consultationId,
+      currency: options.currency,
+      coupon_code: options.couponCode || undefined,
+      customer_country: options.country || undefined,
+      customer_vat_id: options.vatId || undefined,
+      customer_email: options.customerEmail || undefined,
+    }),
+  });
+};
+
+// Availability
+
+export const fetchOpenSlots = async (date: Date): Promise<string[]> => {
+  const data = await request<{ slots: string[] }>(`/availability/${formatDateToKey(date)}`);
+  return data.slots;
+};
+
+export const fetchSchedule = async (): Promise<{ recurring: RecurringAvailability; overrides: Availability }> => {
+  return request('/availability');
+};
+
+export const saveRecurringSlots = async (dayIndex: number, slots: string[]): Promise<void> => {
+  await request(`/availability/recurring/${dayIndex}`, {
+    method: 'PUT',
+    body: JSON.stringify({ slots }),
+  });
+};
+
+export const saveOverrideSlots = async (dateKey: string, slots: string[]): Promise<void> => {
+  await request(`/availability/overrides/${dateKey}`, {
+    method: 'PUT',
+    body: JSON.stringify({ slots }),
+  });
+};
+
+// Appointments
+
+export const createAppointment = async (appointment: NewAppointment): Promise<ApiBookedAppointment> => {
+  const data = await request<{ appointment: ApiBookedAppointment }>('/appointments', {
+    method: 'POST',
+    body: JSON.stringify(appointment),
+  });
+  return data.appointment;
+};
+
+export const fetchAppointments = async (): Promise<ApiAppointment[]> => {
+  const data = await request<{ appointments: ApiAppointment[] }>('/appointments?limit=500');
+  return data.appointments;
+};
+
+export const cancelAppointment = async (appointmentId: string): Promise<void> => {
+  await request(`/appointments/${appointmentId}/cancel`, { method: 'POST' });
+};
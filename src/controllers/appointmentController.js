@@ -0,0 +1,224 @@
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import User from '../models/User.js';
+import AvailabilityService from '../services/availabilityService.js';
+import BookingService from '../services/bookingService.js';
+import AppointmentPolicy from '../policies/appointmentPolicy.js';
+import { accessDenied } from '../policies/paymentPolicy.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+class AppointmentController {
+  static async createAppointment(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        consultation_id,
+        date,
+        time,
+        customer_name,
+        customer_email,
+        customer_phone,
+        notes
+      } = req.body;
+
+      const consultation = await Consultation.findById(consultation_id);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      if (!(await AvailabilityService.isSlotOpen(date, time))) {
+        return res.status(409).json({
+          success: false,
+          message: 'The selected time slot is no longer available'
+        });
+      }
+
+      const user = await User.findOrCreateByEmail({
+        email: customer_email,
+        name: customer_name,
+        phone: customer_phone
+      });
+
+      const appointment = await Appointment.create({
+        user_id: user.id,
+        consultation_id,
+        date,
+        time,
+        status: 'pending',
+        notes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment created successfully',
+        data: {
+          // Anyone can book with any email address, so nothing stored for that customer is echoed back
+          appointment: (await Appointment.findById(appointment.id)).toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The selected time slot is no longer available'
+        });
+      }
+
+      logger.error('Error creating appointment:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getAppointments(req, res, next) {
+    try {
+      const { status, startDate, endDate, limit = 50, offset = 0 } = req.query;
+
+      const appointments = await Appointment.findAll({
+        status,
+        startDate,
+        endDate,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Appointments retrieved successfully',
+        data: {
+          appointments,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting appointments:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getAppointment(req, res, next) {
+    try {
+      const appointment = await Appointment.findById(req.params.appointmentId);
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+
+      if (!AppointmentPolicy.view(req.user, appointment)) {
+        return next(accessDenied(req, 'view', `appointment:${appointment.id}`));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Appointment retrieved successfully',
+        data: {
+          appointment
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting appointment:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async updateAppointmentStatus(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const appointment = await Appointment.findById(req.params.appointmentId);
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+
+      const { status, notes } = req.body;
+
+      if (status === appointment.status) {
+        await appointment.updateStatus(status, { notes });
+      } else {
+        await BookingService.transition(appointment, status, { reason: 'admin_update', notes });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Appointment status updated successfully',
+        data: {
+          appointment
+        }
+      });
+
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another appointment already occupies this time slot'
+        });
+      }
+
+      logger.error('Error updating appointment status:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async cancelAppointment(req, res, next) {
+    try {
+      const appointment = await Appointment.findById(req.params.appointmentId);
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+
+      if (!BookingService.canTransition(appointment.status, 'cancelled')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment cannot be cancelled in its current status'
+        });
+      }
+
+      await BookingService.transition(appointment, 'cancelled', { reason: 'admin_cancel' });
+
+      res.status(200).json({
+        success: true,
+        message: 'Appointment cancelled successfully',
+        data: {
+          appointment
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error cancelling appointment:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default AppointmentController;
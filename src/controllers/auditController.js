@@ -0,0 +1,84 @@
+import AuditService from '../services/auditService.js';
+import { AUDIT_COLUMNS } from '../models/AuditLog.js';
+import { toCsv } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const validationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class AuditController {
+  // Newest first; ?format=csv downloads the same page as CSV, with the columns the hashes cover
+  static async getAuditLog(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { actor_id, action, target_type, target_id, from, to, format, limit = 100, offset = 0 } = req.query;
+
+      const entries = await AuditService.list({
+        actor_id,
+        action,
+        target_type,
+        target_id,
+        from,
+        to,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      if (format === 'csv') {
+        res.set({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': 'attachment; filename="audit-log.csv"'
+        });
+        return res.status(200).send(toCsv([...AUDIT_COLUMNS, 'hash'], entries));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit log retrieved successfully',
+        data: {
+          entries
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting audit log:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async verifyAuditLog(req, res, next) {
+    try {
+      const result = await AuditService.verify();
+
+      if (!result.valid) {
+        logger.error(`Audit log chain broken at entry ${result.broken_at}: ${result.reason}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: result.valid ? 'Audit log is intact' : 'Audit log has been tampered with',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error verifying audit log:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default AuditController;
@@ -0,0 +1,253 @@
+import User from '../models/User.js';
+import AuthService from '../services/authService.js';
+import TwoFactorService from '../services/twoFactorService.js';
+import { hasSecondFactorIfRequired, permissionsFor } from '../policies/roles.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const validationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class AuthController {
+  static async register(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { email, password, name, phone } = req.body;
+      const session = await AuthService.register({ email, password, name, phone });
+
+      res.status(201).json({
+        success: true,
+        message: 'Account created successfully',
+        data: session
+      });
+
+    } catch (error) {
+      logger.error('Error registering user:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async login(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { email, password } = req.body;
+      const session = await AuthService.login({ email, password });
+
+      res.status(200).json({
+        success: true,
+        message: session.two_factor_required
+          ? 'Enter the code from your authenticator app to finish logging in'
+          : 'Logged in successfully',
+        data: session
+      });
+
+    } catch (error) {
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { refresh_token }. The token is used up; the response carries the next one.
+  static async refresh(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const session = await AuthService.refresh(req.body.refresh_token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tokens refreshed successfully',
+        data: session
+      });
+
+    } catch (error) {
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Succeeds for unknown tokens too, so logging out twice is harmless
+  static async logout(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      await AuthService.logout(req.body.refresh_token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error logging out:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Answers the same whether or not the email has an account
+  static async requestPasswordReset(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      await AuthService.requestPasswordReset(req.body.email);
+
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a link to reset the password has been sent to it'
+      });
+
+    } catch (error) {
+      logger.error('Error requesting password reset:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async resetPassword(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { token, password } = req.body;
+      await AuthService.resetPassword(token, password);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully, please log in with your new password'
+      });
+
+    } catch (error) {
+      logger.error('Error resetting password:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { challenge_token, code } or { challenge_token, recovery_code }
+  static async completeTwoFactorLogin(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { challenge_token, code, recovery_code } = req.body;
+      const session = await TwoFactorService.completeLogin(challenge_token, { code, recovery_code });
+
+      res.status(200).json({
+        success: true,
+        message: 'Logged in successfully',
+        data: session
+      });
+
+    } catch (error) {
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async setupTwoFactor(req, res, next) {
+    try {
+      const setup = await TwoFactorService.setup(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Add the secret to your authenticator app, then confirm it with a code',
+        data: setup
+      });
+
+    } catch (error) {
+      logger.error('Error setting up two-factor authentication:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Answers with the recovery codes and new tokens; the user's other sessions are logged out
+  static async enableTwoFactor(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const session = await TwoFactorService.enable(req.user.id, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication turned on. Keep the recovery codes somewhere safe; they are not shown again',
+        data: session
+      });
+
+    } catch (error) {
+      logger.error('Error turning on two-factor authentication:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async disableTwoFactor(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { code, recovery_code } = req.body;
+      await TwoFactorService.disable(req.user.id, { code, recovery_code });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication turned off'
+      });
+
+    } catch (error) {
+      logger.error('Error turning off two-factor authentication:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+      res.status(200).json({
+        success: true,
+        message: 'New recovery codes issued; the old ones no longer work',
+        data: {
+          recovery_codes: recoveryCodes
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error replacing recovery codes:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async getCurrentUser(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User retrieved successfully',
+        data: {
+          user,
+          permissions: hasSecondFactorIfRequired(req.user) ? permissionsFor(user.role) : []
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting current user:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default AuthController;
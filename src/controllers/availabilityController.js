@@ -0,0 +1,144 @@
+import Availability from '../models/Availability.js';
+import AvailabilityService from '../services/availabilityService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+class AvailabilityController {
+  static async getOpenSlots(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { date } = req.params;
+      const slots = await AvailabilityService.getOpenSlots(date);
+
+      res.status(200).json({
+        success: true,
+        message: 'Available slots retrieved successfully',
+        data: {
+          date,
+          slots
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting available slots:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getSchedule(req, res, next) {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const [recurring, overrides] = await Promise.all([
+        Availability.getRecurring(),
+        Availability.getOverrides(startDate, endDate)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Availability schedule retrieved successfully',
+        data: {
+          recurring,
+          overrides
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting availability schedule:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async setRecurringSlots(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const dayOfWeek = parseInt(req.params.dayOfWeek);
+      const slots = await Availability.setRecurring(dayOfWeek, req.body.slots);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recurring availability updated successfully',
+        data: {
+          day_of_week: dayOfWeek,
+          slots
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating recurring availability:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async setOverrideSlots(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { date } = req.params;
+      const slots = await Availability.setOverride(date, req.body.slots);
+
+      res.status(200).json({
+        success: true,
+        message: 'Availability override saved successfully',
+        data: {
+          date,
+          slots
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error saving availability override:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async removeOverride(req, res, next) {
+    try {
+      const removed = await Availability.removeOverride(req.params.date);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'No availability override exists for this date'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Availability override removed successfully',
+        data: {
+          date: req.params.date
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error removing availability override:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default AvailabilityController;
@@ -0,0 +1,126 @@
+import CalendarFeed from '../models/CalendarFeed.js';
+import Consultation from '../models/Consultation.js';
+import CalendarService from '../services/calendarService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+class CalendarController {
+  // The subscription feed itself; the token in the URL is the only credential
+  static async getFeed(req, res, next) {
+    try {
+      const feed = await CalendarService.findFeedByToken(req.params.token);
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const calendar = await CalendarService.renderFeed(feed);
+      await feed.recordAccess();
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="bookings.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.status(200).send(calendar);
+
+    } catch (error) {
+      logger.error('Error rendering calendar feed:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getFeeds(req, res, next) {
+    try {
+      const feeds = await CalendarFeed.findAll();
+
+      res.status(200).json({
+        success: true,
+        message: 'Calendar feeds retrieved successfully',
+        data: {
+          feeds
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting calendar feeds:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { name, email?, consultation_ids? }. The URL is only shown once; to replace a lost one,
+  // create a new feed and revoke the old one.
+  static async createFeed(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, consultation_ids } = req.body;
+
+      for (const consultationId of consultation_ids || []) {
+        if (!(await Consultation.findById(consultationId))) {
+          return res.status(404).json({
+            success: false,
+            message: `Consultation not found: ${consultationId}`
+          });
+        }
+      }
+
+      const { feed, token } = await CalendarService.createFeed({ name, email, consultation_ids });
+
+      res.status(201).json({
+        success: true,
+        message: 'Calendar feed created successfully',
+        data: {
+          feed,
+          url: feedUrl(req, token)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating calendar feed:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async revokeFeed(req, res, next) {
+    try {
+      const feed = await CalendarFeed.findById(req.params.feedId);
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      if (!feed.revoked_at) {
+        await feed.revoke();
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Calendar feed revoked successfully',
+        data: {
+          feed
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error revoking calendar feed:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+}
+
+export default CalendarController;
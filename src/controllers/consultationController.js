@@ -0,0 +1,239 @@
+import Consultation from '../models/Consultation.js';
+import ConsultationPrice from '../models/ConsultationPrice.js';
+import PricingService from '../services/pricingService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+class ConsultationController {
+  static async getConsultations(req, res, next) {
+    try {
+      const consultations = await Consultation.findAll();
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultations retrieved successfully',
+        data: {
+          consultations
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting consultations:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getConsultation(req, res, next) {
+    try {
+      const consultation = await Consultation.findById(req.params.consultationId);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation retrieved successfully',
+        data: {
+          consultation
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting consultation:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async createConsultation(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const consultation = await Consultation.create(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Consultation created successfully',
+        data: {
+          consultation
+        }
+      });
+
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A consultation with this ID already exists'
+        });
+      }
+
+      logger.error('Error creating consultation:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async updateConsultation(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const consultation = await Consultation.findById(req.params.consultationId);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      await consultation.update(req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation updated successfully',
+        data: {
+          consultation
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating consultation:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getConsultationPrices(req, res, next) {
+    try {
+      const consultation = await Consultation.findById(req.params.consultationId);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation prices retrieved successfully',
+        data: await PricingService.listPrices(consultation)
+      });
+
+    } catch (error) {
+      logger.error('Error getting consultation prices:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  // Price to charge with a provider (?provider=paystack), optionally in a given currency (&currency=GHS)
+  static async getConsultationQuote(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const consultation = await Consultation.findById(req.params.consultationId);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const { provider, currency } = req.query;
+      const price = provider
+        ? await PricingService.getPriceForProvider(consultation, provider, currency)
+        : await PricingService.getPrice(consultation, currency);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation price retrieved successfully',
+        data: {
+          price
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting consultation quote:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async setConsultationPrice(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const consultation = await Consultation.findById(req.params.consultationId);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const price = await PricingService.setPrice(consultation, req.params.currency, req.body.amount);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation price saved successfully',
+        data: {
+          price
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error setting consultation price:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Without a fixed price the currency falls back to conversion from the base price
+  static async deleteConsultationPrice(req, res, next) {
+    try {
+      const deleted = await ConsultationPrice.delete(req.params.consultationId, req.params.currency);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation price not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Consultation price deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deleting consultation price:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default ConsultationController;
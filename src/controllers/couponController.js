@@ -0,0 +1,214 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Consultation from '../models/Consultation.js';
+import CouponService from '../services/couponService.js';
+import PricingService from '../services/pricingService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discount_type',
+  'discount_value',
+  'currency',
+  'valid_from',
+  'valid_until',
+  'max_redemptions',
+  'max_redemptions_per_user',
+  'consultation_ids',
+  'active'
+];
+
+const pickCouponFields = (body) => {
+  return Object.fromEntries(COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+};
+
+class CouponController {
+  // Body: { code, consultation_id, currency?, provider?, user_id?, customer_email? }
+  static async validateCoupon(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { code, consultation_id, currency, provider, user_id, customer_email } = req.body;
+
+      const consultation = await Consultation.findById(consultation_id);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const quote = await CouponService.quote(code, {
+        consultation,
+        currency: provider
+          ? await PricingService.getCurrencyForProvider(consultation, provider, currency)
+          : currency || consultation.currency,
+        user_id,
+        customer_email
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon applied successfully',
+        data: {
+          code: quote.coupon.code,
+          description: quote.coupon.description,
+          discount_type: quote.coupon.discount_type,
+          discount_value: quote.coupon.discount_value,
+          original_amount: quote.original_amount,
+          discount_amount: quote.discount_amount,
+          amount: quote.amount,
+          currency: quote.currency
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error validating coupon:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async getCoupons(req, res, next) {
+    try {
+      const coupons = await CouponService.list();
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupons retrieved successfully',
+        data: {
+          coupons
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting coupons:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async createCoupon(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const coupon = await CouponService.create(pickCouponFields(req.body));
+
+      res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: {
+          coupon
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating coupon:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async updateCoupon(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const coupon = await Coupon.findById(req.params.couponId);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      // The code is what customers have been given, so it cannot be changed
+      const { code, ...changes } = pickCouponFields(req.body);
+      await CouponService.update(coupon, changes);
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: {
+          coupon
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating coupon:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async deleteCoupon(req, res, next) {
+    try {
+      const coupon = await Coupon.findById(req.params.couponId);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      await CouponService.remove(coupon);
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deleting coupon:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async getCouponRedemptions(req, res, next) {
+    try {
+      const coupon = await Coupon.findById(req.params.couponId);
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      const redemptions = await CouponRedemption.findByCouponId(coupon.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Coupon redemptions retrieved successfully',
+        data: {
+          coupon,
+          redemptions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting coupon redemptions:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default CouponController;
@@ -0,0 +1,98 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import ExchangeRateService from '../services/exchangeRateService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+class ExchangeRateController {
+  static async getExchangeRates(req, res, next) {
+    try {
+      const rates = await ExchangeRateService.list();
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rates retrieved successfully',
+        data: {
+          rates,
+          feed_configured: ExchangeRateService.isFeedConfigured()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting exchange rates:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { base: 'EUR', rates: { NGN: 1650, GHS: 16.4 } }
+  static async uploadExchangeRates(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { base, rates } = req.body;
+      const stored = await ExchangeRateService.upload(base, rates);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rates saved successfully',
+        data: {
+          stored,
+          rates: await ExchangeRateService.list()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error uploading exchange rates:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async refreshExchangeRates(req, res, next) {
+    try {
+      const stored = await ExchangeRateService.refresh();
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rates refreshed successfully',
+        data: {
+          stored,
+          rates: await ExchangeRateService.list()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error refreshing exchange rates:', error);
+      next(error instanceof ApiError ? error : new ApiError(502, `Exchange rate feed failed: ${error.message}`));
+    }
+  }
+
+  static async deleteExchangeRate(req, res, next) {
+    try {
+      const deleted = await ExchangeRate.delete(req.params.base, req.params.quote);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exchange rate not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Exchange rate deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deleting exchange rate:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+}
+
+export default ExchangeRateController;
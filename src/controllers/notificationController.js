@@ -0,0 +1,121 @@
+import Notification from '../models/Notification.js';
+import MessagingOptOut from '../models/MessagingOptOut.js';
+import MessagingService from '../services/messagingService.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const validationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class NotificationController {
+  // Every message the outbox queued, with what the provider reported about its delivery
+  static async getDeliveryLog(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { channel, status, template, recipient, payment_id, appointment_id, limit = 50, offset = 0 } = req.query;
+
+      const notifications = await Notification.findAll({
+        channel,
+        status,
+        template,
+        recipient,
+        payment_id,
+        appointment_id,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Notifications retrieved successfully',
+        data: {
+          notifications
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting notifications:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getOptOuts(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { channel, limit = 50, offset = 0 } = req.query;
+      const optOuts = await MessagingOptOut.findAll({ channel, limit: parseInt(limit), offset: parseInt(offset) });
+
+      res.status(200).json({
+        success: true,
+        message: 'Opt-outs retrieved successfully',
+        data: {
+          optOuts
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting opt-outs:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { phone, channel }; for customers who asked to stop some other way than replying STOP
+  static async createOptOut(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const optOut = await MessagingService.optOut(req.body.phone, req.body.channel, 'admin');
+
+      res.status(201).json({
+        success: true,
+        message: 'Opt-out recorded successfully',
+        data: {
+          optOut
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error recording opt-out:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async deleteOptOut(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const removed = await MessagingService.optIn(req.params.phone, req.params.channel);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Opt-out not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Opt-out removed successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error removing opt-out:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+}
+
+export default NotificationController;
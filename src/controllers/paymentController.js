@@ -1,11 +1,104 @@
 import StripeService from '../services/stripeService.js';
 import PaystackService from '../services/paystackService.js';
+import FlutterwaveService from '../services/flutterwaveService.js';
+import PayPalService from '../services/paypalService.js';
+import BankTransferService from '../services/bankTransferService.js';
+import PaymentService from '../services/paymentService.js';
+import PricingService from '../services/pricingService.js';
+import RefundService from '../services/refundService.js';
+import InvoiceService from '../services/invoiceService.js';
+import AuthService from '../services/authService.js';
+import ProviderRegistry from '../providers/provider-registry.js';
 import Payment from '../models/Payment.js';
+import Consultation from '../models/Consultation.js';
+import Invoice from '../models/Invoice.js';
+import PaymentPolicy, { accessDenied } from '../policies/paymentPolicy.js';
 import logger from '../utils/logger.js';
 import { validationResult } from 'express-validator';
 import { ApiError } from '../utils/errors.js';
+import { toMinorUnits } from '../utils/money.js';
+
+const sendPdf = (res, document, pdf) => {
+  res.status(200)
+    .set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${document.number}.pdf"`,
+      'Content-Length': pdf.length
+    })
+    .send(pdf);
+};
 
 class PaymentController {
+  static async createPaymentIntent(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { provider } = req.params;
+      if (!ProviderRegistry.has(provider)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unsupported payment provider: ${provider}`
+        });
+      }
+
+      const {
+        amount,
+        currency,
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        customer_id,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
+      } = req.body;
+
+      const result = await PaymentService.createIntent(provider, {
+        amount,
+        currency,
+        user_id: req.user?.id,
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        customer_id,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment intent created successfully',
+        data: {
+          payment_id: result.payment.id,
+          provider,
+          provider_payment_id: result.intent.id,
+          client_secret: result.intent.clientSecret,
+          redirect_url: result.intent.redirectUrl,
+          hold_expires_at: result.hold_expires_at
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating payment intent:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
   static async createStripePaymentIntent(req, res, next) {
     try {
       const errors = validationResult(req);
@@ -20,23 +113,33 @@ class PaymentController {
       const {
         amount,
         currency = 'USD',
-        user_id,
         consultation_id,
         appointment_id,
         customer_email,
         customer_name,
-        customer_id
+        customer_id,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
       } = req.body;
 
       const result = await StripeService.createPaymentIntent({
         amount,
         currency,
-        user_id,
+        user_id: req.user?.id,
         consultation_id,
         appointment_id,
         customer_email,
         customer_name,
-        customer_id
+        customer_id,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
       });
 
       res.status(201).json({
@@ -45,13 +148,14 @@ class PaymentController {
         data: {
           payment_id: result.payment.id,
           client_secret: result.client_secret,
-          payment_intent_id: result.payment_intent_id
+          payment_intent_id: result.payment_intent_id,
+          hold_expires_at: result.hold_expires_at
         }
       });
 
     } catch (error) {
       logger.error('Error creating Stripe payment intent:', error);
-      next(new ApiError(500, error.message));
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
     }
   }
 
@@ -67,25 +171,27 @@ class PaymentController {
       }
 
       const {
-        price_id,
         amount,
         currency = 'USD',
-        user_id,
         consultation_id,
         appointment_id,
         customer_email,
-        customer_name
+        customer_name,
+        customer_country,
+        customer_vat_id
       } = req.body;
 
       const result = await StripeService.createCheckoutSession({
-        price_id,
         amount,
         currency,
-        user_id,
+        user_id: req.user?.id,
         consultation_id,
         appointment_id,
         customer_email,
-        customer_name
+        customer_name,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
       });
 
       res.status(201).json({
@@ -100,7 +206,7 @@ class PaymentController {
 
     } catch (error) {
       logger.error('Error creating Stripe checkout session:', error);
-      next(new ApiError(500, error.message));
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
     }
   }
 
@@ -118,21 +224,31 @@ class PaymentController {
       const {
         amount,
         currency = 'NGN',
-        user_id,
         consultation_id,
         appointment_id,
         customer_email,
-        customer_name
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
       } = req.body;
 
       const result = await PaystackService.initializePayment({
         amount,
         currency,
-        user_id,
+        user_id: req.user?.id,
         consultation_id,
         appointment_id,
         customer_email,
-        customer_name
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
       });
 
       res.status(201).json({
@@ -142,13 +258,15 @@ class PaymentController {
           payment_id: result.payment.id,
           authorization_url: result.authorization_url,
           access_code: result.access_code,
-          reference: result.reference
+          reference: result.reference,
+          checkout_token: AuthService.issueCheckoutToken(result.payment),
+          hold_expires_at: result.hold_expires_at
         }
       });
 
     } catch (error) {
       logger.error('Error initializing Paystack payment:', error);
-      next(new ApiError(500, error.message));
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
     }
   }
 
@@ -163,27 +281,404 @@ class PaymentController {
         });
       }
 
+      const payment = await Payment.findByProviderPaymentId(reference);
+      if (!payment || payment.provider !== 'paystack') {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!PaymentPolicy.complete(req.user, payment)) {
+        return next(accessDenied(req, 'complete', `payment:${payment.id}`));
+      }
+
       const result = await PaystackService.verifyPayment(reference);
 
-      if (!result) {
+      res.status(200).json({
+        success: true,
+        message: 'Payment verified successfully',
+        data: {
+          payment: result.payment.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error verifying Paystack payment:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async initializeFlutterwavePayment(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        amount,
+        currency = 'NGN',
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
+      } = req.body;
+
+      const result = await FlutterwaveService.initializePayment({
+        amount,
+        currency,
+        user_id: req.user?.id,
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment initialized successfully',
+        data: {
+          payment_id: result.payment.id,
+          payment_link: result.payment_link,
+          tx_ref: result.tx_ref,
+          checkout_token: AuthService.issueCheckoutToken(result.payment),
+          hold_expires_at: result.hold_expires_at
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error initializing Flutterwave payment:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async verifyFlutterwavePayment(req, res, next) {
+    try {
+      const { txRef } = req.params;
+
+      if (!txRef) {
+        return res.status(400).json({
+          success: false,
+          message: 'Transaction reference is required'
+        });
+      }
+
+      const payment = await Payment.findByProviderPaymentId(txRef);
+      if (!payment || payment.provider !== 'flutterwave') {
         return res.status(404).json({
           success: false,
           message: 'Payment not found'
         });
       }
 
+      if (!PaymentPolicy.complete(req.user, payment)) {
+        return next(accessDenied(req, 'complete', `payment:${payment.id}`));
+      }
+
+      const result = await FlutterwaveService.verifyPayment(txRef);
+
       res.status(200).json({
         success: true,
         message: 'Payment verified successfully',
         data: {
-          payment: result.payment.toJSON(),
-          transaction_data: result.transaction_data
+          payment: result.payment.toPublicJSON()
         }
       });
 
     } catch (error) {
-      logger.error('Error verifying Paystack payment:', error);
-      next(new ApiError(500, error.message));
+      logger.error('Error verifying Flutterwave payment:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async createPayPalOrder(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        amount,
+        currency = 'EUR',
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
+      } = req.body;
+
+      const result = await PayPalService.createOrder({
+        amount,
+        currency,
+        user_id: req.user?.id,
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'PayPal order created successfully',
+        data: {
+          payment_id: result.payment.id,
+          order_id: result.order_id,
+          approve_url: result.approve_url,
+          checkout_token: AuthService.issueCheckoutToken(result.payment),
+          hold_expires_at: result.hold_expires_at
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating PayPal order:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async capturePayPalOrder(req, res, next) {
+    try {
+      const { orderId } = req.params;
+
+      const payment = await Payment.findByProviderPaymentId(orderId);
+      if (!payment || payment.provider !== 'paypal') {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!PaymentPolicy.complete(req.user, payment)) {
+        return next(accessDenied(req, 'complete', `payment:${payment.id}`));
+      }
+
+      const result = await PayPalService.captureOrder(orderId);
+
+      res.status(200).json({
+        success: true,
+        message: 'PayPal order captured successfully',
+        data: {
+          payment: result.payment.toPublicJSON(),
+          capture_id: result.capture.captureId,
+          status: result.capture.status
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error capturing PayPal order:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async createBankTransfer(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        amount,
+        currency = 'EUR',
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id
+      } = req.body;
+
+      const result = await BankTransferService.createTransfer({
+        amount,
+        currency,
+        user_id: req.user?.id,
+        consultation_id,
+        appointment_id,
+        customer_email,
+        customer_name,
+        date,
+        time,
+        coupon_code,
+        customer_country,
+        customer_vat_id,
+        idempotency_key: req.idempotencyKey
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Bank transfer created successfully',
+        data: {
+          payment_id: result.payment.id,
+          reference: result.reference,
+          instructions: result.instructions,
+          hold_expires_at: result.hold_expires_at
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating bank transfer:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async markBankTransferReceived(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { paymentId } = req.params;
+      const { amount, note } = req.body;
+
+      const payment = await BankTransferService.markReceived(paymentId, {
+        amount,
+        note,
+        received_by: req.user?.id
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank transfer marked as received',
+        data: {
+          payment: payment.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error marking bank transfer as received:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async importBankStatement(req, res, next) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send the CAMT.053 statement as an application/xml request body'
+        });
+      }
+
+      const result = await BankTransferService.importStatement(req.body, {
+        imported_by: req.user?.id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Bank statement imported successfully',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error importing bank statement:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { provider, consultation_id, currency?, coupon_code?, customer_country?, customer_vat_id?, customer_email? }
+  static async getQuote(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const { provider, consultation_id, currency } = req.body;
+      if (!ProviderRegistry.has(provider)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unsupported payment provider: ${provider}`
+        });
+      }
+
+      const consultation = await Consultation.findById(consultation_id);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consultation not found'
+        });
+      }
+
+      const price = await PaymentService.priceFor(provider, {
+        consultation_id,
+        coupon_code: req.body.coupon_code,
+        customer_country: req.body.customer_country,
+        customer_vat_id: req.body.customer_vat_id,
+        user_id: req.user?.id,
+        customer_email: req.body.customer_email
+      }, await PricingService.getCurrencyForProvider(consultation, provider, currency));
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote calculated successfully',
+        data: {
+          consultation_id,
+          provider,
+          amount: price.amount,
+          currency: price.currency,
+          coupon_code: price.coupon?.code,
+          original_amount: price.original_amount,
+          discount_amount: price.discount_amount,
+          tax: price.tax
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error calculating quote:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
     }
   }
 
@@ -199,6 +694,10 @@ class PaymentController {
         });
       }
 
+      if (!PaymentPolicy.view(req.user, payment)) {
+        return next(accessDenied(req, 'view', `payment:${payment.id}`));
+      }
+
       res.status(200).json({
         success: true,
         message: 'Payment status retrieved successfully',
@@ -218,6 +717,10 @@ class PaymentController {
       const { userId } = req.params;
       const { limit = 10, offset = 0 } = req.query;
 
+      if (!PaymentPolicy.listForUser(req.user, userId)) {
+        return next(accessDenied(req, 'view', `user:${userId}:payments`));
+      }
+
       const payments = await Payment.findByUserId(userId, parseInt(limit), parseInt(offset));
 
       res.status(200).json({
@@ -238,6 +741,15 @@ class PaymentController {
 
   static async refundPayment(req, res, next) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { paymentId } = req.params;
       const { amount, reason = 'requested_by_customer' } = req.body;
 
@@ -249,45 +761,167 @@ class PaymentController {
         });
       }
 
-      if (payment.status !== 'succeeded') {
-        return res.status(400).json({
+      if (!PaymentPolicy.refund(req.user)) {
+        return next(accessDenied(req, 'refund', `payment:${payment.id}`));
+      }
+
+      const refund = await RefundService.refund(payment, {
+        // Refund amounts are given in major units, e.g. 25.50
+        amount: amount ? toMinorUnits(amount, payment.currency) : null,
+        reason,
+        idempotencyKey: req.idempotencyKey
+      });
+      const ledger = await RefundService.getLedger(payment);
+
+      res.status(200).json({
+        success: true,
+        message: 'Refund processed successfully',
+        data: {
+          refund,
+          payment_id: payment.id,
+          payment_status: payment.status,
+          refunded_amount: ledger.refunded_amount,
+          refundable_amount: ledger.refundable_amount
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error processing refund:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async getPaymentRefunds(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        return res.status(404).json({
           success: false,
-          message: 'Payment must be successful to process refund'
+          message: 'Payment not found'
         });
       }
 
-      let refundResult;
-
-      if (payment.provider === 'stripe') {
-        refundResult = await StripeService.refundPayment(
-          payment.provider_payment_id,
-          amount ? Math.round(amount * 100) : null, // Convert to cents
-          reason
-        );
-      } else if (payment.provider === 'paystack') {
-        refundResult = await PaystackService.refundPayment(
-          payment.provider_payment_id,
-          amount ? Math.round(amount * 100) : null, // Convert to kobo
-          reason
-        );
-      } else {
-        return res.status(400).json({
+      if (!PaymentPolicy.view(req.user, payment)) {
+        return next(accessDenied(req, 'view', `payment:${payment.id}`));
+      }
+
+      const ledger = await RefundService.getLedger(payment);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment refunds retrieved successfully',
+        data: {
+          payment_id: payment.id,
+          payment_status: payment.status,
+          amount: payment.amount,
+          currency: payment.currency,
+          ...ledger
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting payment refunds:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getPaymentInvoice(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        return res.status(404).json({
           success: false,
-          message: 'Unsupported payment provider for refunds'
+          message: 'Payment not found'
         });
       }
 
+      if (!PaymentPolicy.view(req.user, payment)) {
+        return next(accessDenied(req, 'view', `payment:${payment.id}`));
+      }
+
+      // Issued on first request for payments that succeeded before invoicing was in place
+      const invoice = await InvoiceService.issueForPayment(payment);
+
+      sendPdf(res, invoice, InvoiceService.renderPdf(invoice));
+
+    } catch (error) {
+      logger.error('Error getting payment invoice:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  static async getPaymentCreditNotes(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!PaymentPolicy.view(req.user, payment)) {
+        return next(accessDenied(req, 'view', `payment:${payment.id}`));
+      }
+
+      if (await Invoice.findInvoiceForPayment(payment.id)) {
+        // Catch up on credit notes that could not be issued with their refund
+        await InvoiceService.issueCreditNotes(payment);
+      }
+      const { invoice, credit_notes } = await InvoiceService.listForPayment(payment);
+
       res.status(200).json({
         success: true,
-        message: 'Refund processed successfully',
+        message: 'Payment credit notes retrieved successfully',
         data: {
-          refund: refundResult,
-          payment_id: payment.id
+          payment_id: payment.id,
+          invoice,
+          credit_notes
         }
       });
 
     } catch (error) {
-      logger.error('Error processing refund:', error);
+      logger.error('Error getting payment credit notes:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  static async getPaymentCreditNote(req, res, next) {
+    try {
+      const { paymentId, creditNoteId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!PaymentPolicy.view(req.user, payment)) {
+        return next(accessDenied(req, 'view', `payment:${payment.id}`));
+      }
+
+      const creditNote = await Invoice.findById(creditNoteId);
+      if (!creditNote || creditNote.type !== 'credit_note' || creditNote.payment_id !== paymentId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit note not found'
+        });
+      }
+
+      const invoice = await Invoice.findById(creditNote.invoice_id);
+
+      sendPdf(res, creditNote, InvoiceService.renderPdf(creditNote, invoice));
+
+    } catch (error) {
+      logger.error('Error getting credit note:', error);
       next(new ApiError(500, error.message));
     }
   }
@@ -304,6 +938,7 @@ class PaymentController {
       }
 
       const stats = await Payment.getPaymentStats(startDate, endDate);
+      const taxStats = await Payment.getTaxStats(startDate, endDate);
 
       // Organize stats by provider and status
       const organizedStats = stats.reduce((acc, stat) => {
@@ -323,6 +958,7 @@ class PaymentController {
         message: 'Payment statistics retrieved successfully',
         data: {
           stats: organizedStats,
+          tax: taxStats,
           period: { startDate, endDate }
         }
       });
@@ -345,6 +981,10 @@ class PaymentController {
         });
       }
 
+      if (!PaymentPolicy.cancel(req.user, payment)) {
+        return next(accessDenied(req, 'cancel', `payment:${payment.id}`));
+      }
+
       if (!['pending', 'processing'].includes(payment.status)) {
         return res.status(400).json({
           success: false,
@@ -352,7 +992,8 @@ class PaymentController {
         });
       }
 
-      await payment.updateStatus('cancelled');
+      // Frees the slot and the coupon and records the cancellation, like a cancellation from the provider
+      await PaymentService.markCancelled(payment, { id: payment.provider_payment_id });
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,133 @@
+import StaffService from '../services/staffService.js';
+import TwoFactorService from '../services/twoFactorService.js';
+import { STAFF_ROLES, permissionsFor } from '../policies/roles.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ApiError } from '../utils/errors.js';
+
+const validationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+class StaffController {
+  // The staff, what each role may do and which roles need a second factor
+  static async getStaff(req, res, next) {
+    try {
+      const staff = await StaffService.list();
+
+      res.status(200).json({
+        success: true,
+        message: 'Staff retrieved successfully',
+        data: {
+          staff,
+          roles: Object.fromEntries(STAFF_ROLES.map(role => [role, permissionsFor(role)])),
+          two_factor_roles: await TwoFactorService.requiredRoles()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting staff:', error);
+      next(new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { email, name, role }. Existing customers keep their account and get the role.
+  static async addStaff(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const { email, name, role } = req.body;
+      const { user, invited } = await StaffService.add({ email, name, role });
+
+      res.status(201).json({
+        success: true,
+        message: invited ? 'Staff member added and invited to set a password' : 'Staff member added successfully',
+        data: {
+          user,
+          invited
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error adding staff member:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { role }; 'customer' takes staff access away
+  static async updateStaffRole(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const user = await StaffService.setRole(req.params.userId, req.body.role);
+
+      res.status(200).json({
+        success: true,
+        message: 'Staff role updated successfully',
+        data: {
+          user
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating staff role:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // Body: { required }. Members without a second factor lose their permissions from their next refresh.
+  static async updateTwoFactorRole(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const twoFactorRoles = await TwoFactorService.setRoleRequired(req.params.role, req.body.required);
+
+      res.status(200).json({
+        success: true,
+        message: req.body.required
+          ? `Two-factor authentication is now required for the ${req.params.role} role`
+          : `Two-factor authentication is no longer required for the ${req.params.role} role`,
+        data: {
+          two_factor_roles: twoFactorRoles
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating two-factor requirement:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+
+  // For staff who lost their authenticator app and their recovery codes
+  static async resetTwoFactor(req, res, next) {
+    try {
+      if (validationErrors(req, res)) return;
+
+      const user = await TwoFactorService.reset(req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset; the user has been logged out',
+        data: {
+          user
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error resetting two-factor authentication:', error);
+      next(error instanceof ApiError ? error : new ApiError(500, error.message));
+    }
+  }
+}
+
+export default StaffController;
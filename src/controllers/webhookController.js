@@ -1,44 +1,40 @@
-import StripeService from '../services/stripeService.js';
-import PaystackService from '../services/paystackService.js';
+import WebhookService from '../services/webhookService.js';
+import MessagingService from '../services/messagingService.js';
+import WebhookLog from '../models/WebhookLog.js';
+import ProviderRegistry from '../providers/provider-registry.js';
 import logger from '../utils/logger.js';
-import { v4 as uuidv4 } from 'uuid';
 import db from '../database/database.js';
 
 class WebhookController {
-  static async handleStripeWebhook(req, res) {
-    const signature = req.headers['stripe-signature'];
-    const eventBody = req.body;
+  static async handleProviderWebhook(req, res) {
+    const { provider } = req.params;
 
-    try {
-      // Log incoming webhook
-      const webhookLogId = uuidv4();
-      await this.logWebhook({
-        id: webhookLogId,
-        provider: 'stripe',
-        event_type: 'unknown',
-        event_id: 'unknown',
-        payload: JSON.stringify(eventBody),
-        signature: signature
+    if (!ProviderRegistry.has(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unsupported payment provider: ${provider}`
       });
+    }
 
-      // Process the webhook
-      const result = await StripeService.handleWebhookEvent(eventBody, signature);
+    // Signatures are computed over the raw body, so keep it exactly as received
+    const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
+    const signature = ProviderRegistry.get(provider).getWebhookSignature(req.headers);
 
-      // Update webhook log as processed
-      await this.updateWebhookLog(webhookLogId, true, null);
+    try {
+      const { log, duplicate } = await WebhookService.receive(provider, payload, signature);
+
+      // Providers redeliver events; acknowledge repeats so they stop, without applying them twice
+      if (duplicate) {
+        logger.info(`Duplicate ${provider} webhook ignored: ${log?.event_id}`);
+        return res.status(200).json({ received: true, duplicate: true });
+      }
 
-      logger.info('Stripe webhook processed successfully');
-      res.status(200).json(result);
+      logger.info(`${provider} webhook processed successfully`);
+      res.status(200).json({ received: true });
 
     } catch (error) {
-      logger.error('Error processing Stripe webhook:', error);
-      
-      // Update webhook log with error
-      await this.updateWebhookLog(
-        webhookLogId || uuidv4(),
-        false,
-        error.message
-      );
+      // Verified events that failed to process are queued for a retry by WebhookService
+      logger.error(`Error processing ${provider} webhook:`, error);
 
       res.status(400).json({
         success: false,
@@ -47,42 +43,51 @@ class WebhookController {
     }
   }
 
-  static async handlePaystackWebhook(req, res) {
-    const signature = req.headers['x-paystack-signature'];
-    const eventBody = req.body;
+  // Delivery reports and replies for WhatsApp and SMS sent through Twilio
+  static async handleTwilioMessagingWebhook(req, res) {
+    // Twilio signs the public URL it called, which a proxy in front of us may have rewritten
+    const url = process.env.TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
 
     try {
-      // Log incoming webhook
-      const webhookLogId = uuidv4();
-      await this.logWebhook({
-        id: webhookLogId,
-        provider: 'paystack',
-        event_type: eventBody.event || 'unknown',
-        event_id: eventBody.data?.id || eventBody.data?.reference || 'unknown',
-        payload: JSON.stringify(eventBody),
-        signature: signature
+      await MessagingService.handleTwilioWebhook(url, req.body || {}, req.headers['x-twilio-signature']);
+
+      // An empty TwiML response: acknowledged, nothing to reply
+      res.status(200).type('text/xml').send('<Response></Response>');
+    } catch (error) {
+      logger.error('Error processing Twilio messaging webhook:', error);
+
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
       });
+    }
+  }
+
+  // Meta asks for the challenge back before it subscribes the webhook
+  static verifyWhatsAppSubscription(req, res) {
+    const challenge = MessagingService.verifyWhatsAppSubscription(req.query);
 
-      // Process the webhook
-      const result = await PaystackService.handleWebhookEvent(eventBody, signature);
+    if (challenge === null) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid verify token'
+      });
+    }
 
-      // Update webhook log as processed
-      await this.updateWebhookLog(webhookLogId, true, null);
+    res.status(200).type('text/plain').send(challenge);
+  }
 
-      logger.info('Paystack webhook processed successfully');
-      res.status(200).json(result);
+  // Delivery reports and replies for WhatsApp sent through the Cloud API
+  static async handleWhatsAppWebhook(req, res) {
+    const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
 
+    try {
+      await MessagingService.handleWhatsAppCloudWebhook(payload, req.headers['x-hub-signature-256']);
+      res.status(200).json({ received: true });
     } catch (error) {
-      logger.error('Error processing Paystack webhook:', error);
-      
-      // Update webhook log with error
-      await this.updateWebhookLog(
-        webhookLogId || uuidv4(),
-        false,
-        error.message
-      );
+      logger.error('Error processing WhatsApp webhook:', error);
 
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         message: error.message
       });
@@ -94,6 +99,7 @@ class WebhookController {
       const {
         provider,
         processed,
+        dead_letter,
         limit = 50,
         offset = 0,
         startDate,
@@ -113,6 +119,10 @@ class WebhookController {
         params.push(processed === 'true');
       }
 
+      if (dead_letter !== undefined) {
+        query += dead_letter === 'true' ? ' AND dead_lettered_at IS NOT NULL' : ' AND dead_lettered_at IS NULL';
+      }
+
       if (startDate) {
         query += ' AND created_at >= ?';
         params.push(startDate);
@@ -140,7 +150,7 @@ class WebhookController {
       // Parse payload JSON for each log
       const formattedLogs = logs.map(log => ({
         ...log,
-        payload: this.safeJSONParse(log.payload)
+        payload: WebhookController.safeJSONParse(log.payload)
       }));
 
       res.status(200).json({
@@ -169,17 +179,7 @@ class WebhookController {
     try {
       const { webhookId } = req.params;
 
-      // Get webhook log
-      const log = await new Promise((resolve, reject) => {
-        db.get('SELECT * FROM webhook_logs WHERE id = ?', [webhookId], (err, row) => {
-          if (err) {
-            logger.error('Error fetching webhook log:', err);
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        });
-      });
+      const log = await WebhookLog.findById(webhookId);
 
       if (!log) {
         return res.status(404).json({
@@ -195,35 +195,34 @@ class WebhookController {
         });
       }
 
-      const payload = this.safeJSONParse(log.payload);
-      let result;
-
-      if (log.provider === 'stripe') {
-        result = await StripeService.handleWebhookEvent(payload, log.signature);
-      } else if (log.provider === 'paystack') {
-        result = await PaystackService.handleWebhookEvent(payload, log.signature);
-      } else {
+      if (!ProviderRegistry.has(log.provider)) {
         return res.status(400).json({
           success: false,
           message: 'Unsupported webhook provider'
         });
       }
 
-      // Update webhook log as processed
-      await this.updateWebhookLog(webhookId, true, null);
+      // Admins may retry at any time, including deliveries that were dead-lettered
+      const retried = await WebhookService.retry(log, { force: true });
+      if (!retried) {
+        return res.status(409).json({
+          success: false,
+          message: 'Webhook is being retried already'
+        });
+      }
 
       logger.info(`Webhook ${webhookId} retry successful`);
       res.status(200).json({
         success: true,
         message: 'Webhook retried successfully',
-        data: result
+        data: {
+          received: true,
+          attempts: log.attempts
+        }
       });
 
     } catch (error) {
       logger.error('Error retrying webhook:', error);
-      
-      // Update webhook log with new error
-      await this.updateWebhookLog(req.params.webhookId, false, error.message);
 
       res.status(500).json({
         success: false,
@@ -313,51 +312,6 @@ class WebhookController {
   }
 
   // Helper methods
-  static async logWebhook(webhookData) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO webhook_logs (
-          id, provider, event_type, event_id, payload, signature
-        ) VALUES (?, ?, ?, ?, ?, ?)
-      `;
-
-      db.run(query, [
-        webhookData.id,
-        webhookData.provider,
-        webhookData.event_type,
-        webhookData.event_id,
-        webhookData.payload,
-        webhookData.signature
-      ], function(err) {
-        if (err) {
-          logger.error('Error logging webhook:', err);
-          reject(err);
-        } else {
-          resolve(webhookData);
-        }
-      });
-    });
-  }
-
-  static async updateWebhookLog(webhookId, processed, errorMessage = null) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        UPDATE webhook_logs 
-        SET processed = ?, error_message = ?
-        WHERE id = ?
-      `;
-
-      db.run(query, [processed, errorMessage, webhookId], function(err) {
-        if (err) {
-          logger.error('Error updating webhook log:', err);
-          reject(err);
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
   static safeJSONParse(jsonString) {
     try {
       return JSON.parse(jsonString);
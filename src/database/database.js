@@ -26,6 +26,276 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign key constraints
 db.run('PRAGMA foreign_keys = ON');
 
+// Values allowed by the payments CHECK constraints. SQLite cannot alter a constraint in place,
+// so adding a value here rebuilds an existing payments table on the next start.
+export const PAYMENT_PROVIDERS = ['stripe', 'paystack', 'flutterwave', 'paypal', 'bank_transfer'];
+export const PAYMENT_STATUSES = [
+  'pending', 'processing', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'
+];
+
+const sqlList = (values) => values.map(value => `'${value}'`).join(', ');
+
+const paymentsTableDefinition = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id TEXT PRIMARY KEY,
+    appointment_id TEXT,
+    user_id TEXT NOT NULL,
+    consultation_id TEXT NOT NULL,
+    provider TEXT NOT NULL CHECK(provider IN (${sqlList(PAYMENT_PROVIDERS)})),
+    provider_payment_id TEXT UNIQUE,
+    provider_customer_id TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    status TEXT DEFAULT 'pending' CHECK(status IN (${sqlList(PAYMENT_STATUSES)})),
+    payment_method TEXT,
+    customer_email TEXT,
+    customer_name TEXT,
+    customer_country TEXT,
+    customer_vat_id TEXT,
+    net_amount INTEGER,
+    tax_amount INTEGER,
+    tax_rate REAL,
+    tax_treatment TEXT,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (consultation_id) REFERENCES consultations(id),
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id)
+  )
+`;
+
+const paymentsIndexes = [
+  'CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_payments_appointment_id ON payments(appointment_id)',
+  'CREATE INDEX IF NOT EXISTS idx_payments_provider_payment_id ON payments(provider_payment_id)'
+];
+
+// payment_id is optional so events that never led to a payment, such as a rejected amount, can be audited too
+const paymentEventsTableDefinition = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id TEXT PRIMARY KEY,
+    payment_id TEXT,
+    event_type TEXT NOT NULL,
+    event_data TEXT,
+    webhook_id TEXT,
+    processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payment_id) REFERENCES payments(id)
+  )
+`;
+
+const paymentEventsIndexes = [
+  'CREATE INDEX IF NOT EXISTS idx_payment_events_payment_id ON payment_events(payment_id)',
+  'CREATE INDEX IF NOT EXISTS idx_payment_events_event_type ON payment_events(event_type)'
+];
+
+const run = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+};
+
+const query = (method, sql) => {
+  return new Promise((resolve, reject) => {
+    db[method](sql, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+};
+
+// Copy an outdated payments table into one built from the current definition
+const migratePaymentsTable = async () => {
+  const { sql } = await query('get', `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'payments'`);
+
+  const upToDate = [...PAYMENT_PROVIDERS, ...PAYMENT_STATUSES].every(value => sql.includes(`'${value}'`));
+  if (upToDate) {
+    return;
+  }
+
+  const columns = await query('all', 'PRAGMA table_info(payments)');
+  const columnList = columns.map(column => column.name).join(', ');
+
+  logger.info('Rebuilding payments table to update its constraints');
+
+  // Foreign keys must be off while the referenced table is swapped out
+  await run('PRAGMA foreign_keys = OFF');
+
+  try {
+    await run('BEGIN TRANSACTION');
+    await run(paymentsTableDefinition('payments_migrated'));
+    await run(`INSERT INTO payments_migrated (${columnList}) SELECT ${columnList} FROM payments`);
+    await run('DROP TABLE payments');
+    await run('ALTER TABLE payments_migrated RENAME TO payments');
+    for (const index of paymentsIndexes) {
+      await run(index);
+    }
+    await run('COMMIT');
+  } catch (err) {
+    logger.error('Error rebuilding payments table:', err);
+    await run('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await run('PRAGMA foreign_keys = ON');
+  }
+};
+
+// payment_events.payment_id was NOT NULL before events without a payment were recorded
+const migratePaymentEventsTable = async () => {
+  const columns = await query('all', 'PRAGMA table_info(payment_events)');
+  if (!columns.find(column => column.name === 'payment_id')?.notnull) {
+    return;
+  }
+
+  logger.info('Rebuilding payment_events table to make payment_id optional');
+
+  // Copy the audit trail as it is, even rows whose payment has gone
+  await run('PRAGMA foreign_keys = OFF');
+
+  try {
+    await run('BEGIN TRANSACTION');
+    await run(paymentEventsTableDefinition('payment_events_migrated'));
+    await run(`
+      INSERT INTO payment_events_migrated (id, payment_id, event_type, event_data, webhook_id, processed_at)
+      SELECT id, payment_id, event_type, event_data, webhook_id, processed_at FROM payment_events
+    `);
+    await run('DROP TABLE payment_events');
+    await run('ALTER TABLE payment_events_migrated RENAME TO payment_events');
+    for (const index of paymentEventsIndexes) {
+      await run(index);
+    }
+    await run('COMMIT');
+  } catch (err) {
+    logger.error('Error rebuilding payment_events table:', err);
+    await run('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    await run('PRAGMA foreign_keys = ON');
+  }
+};
+
+// VAT breakdown added to payments; payments taken before it have none
+const paymentTaxColumns = {
+  customer_country: 'TEXT',
+  customer_vat_id: 'TEXT',
+  net_amount: 'INTEGER',
+  tax_amount: 'INTEGER',
+  tax_rate: 'REAL',
+  tax_treatment: 'TEXT'
+};
+
+const migratePaymentTaxColumns = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(payments)')).map(column => column.name);
+
+  for (const name of Object.keys(paymentTaxColumns).filter(name => !columns.includes(name))) {
+    await run(`ALTER TABLE payments ADD COLUMN ${name} ${paymentTaxColumns[name]}`);
+  }
+};
+
+// Retry bookkeeping added to webhook_logs after the table first shipped
+const webhookLogRetryColumns = {
+  attempts: 'INTEGER NOT NULL DEFAULT 0',
+  next_retry_at: 'DATETIME',
+  dead_lettered_at: 'DATETIME'
+};
+
+const migrateWebhookLogsTable = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(webhook_logs)')).map(column => column.name);
+  const missing = Object.keys(webhookLogRetryColumns).filter(name => !columns.includes(name));
+
+  for (const name of missing) {
+    await run(`ALTER TABLE webhook_logs ADD COLUMN ${name} ${webhookLogRetryColumns[name]}`);
+  }
+
+  if (missing.includes('attempts')) {
+    // Logged events passed verification and were attempted once; queue the failed ones for a retry
+    await run('UPDATE webhook_logs SET attempts = 1 WHERE event_id IS NOT NULL OR processed = TRUE');
+    await run(`
+      UPDATE webhook_logs SET next_retry_at = '${new Date().toISOString()}'
+      WHERE event_id IS NOT NULL AND processed = FALSE
+    `);
+  }
+
+  await run('CREATE INDEX IF NOT EXISTS idx_webhook_logs_next_retry_at ON webhook_logs(next_retry_at)');
+};
+
+// Delivery reports from messaging providers, added to notifications after the table first shipped
+const notificationDeliveryColumns = {
+  delivery_status: 'TEXT',
+  delivery_updated_at: 'DATETIME'
+};
+
+const migrateNotificationsTable = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(notifications)')).map(column => column.name);
+
+  for (const name of Object.keys(notificationDeliveryColumns).filter(name => !columns.includes(name))) {
+    await run(`ALTER TABLE notifications ADD COLUMN ${name} ${notificationDeliveryColumns[name]}`);
+  }
+
+  await run('CREATE INDEX IF NOT EXISTS idx_notifications_provider_message_id ON notifications(provider_message_id)');
+};
+
+// Accounts added to users, which until then only held customers who booked as guests, and
+// later their second factor. totp_secret is set from the start of enrollment and totp_enabled_at
+// once a code has confirmed it; totp_last_step keeps a code from being used twice.
+const userAccountColumns = {
+  password_hash: 'TEXT',
+  role: "TEXT NOT NULL DEFAULT 'customer'",
+  totp_secret: 'TEXT',
+  totp_enabled_at: 'DATETIME',
+  totp_last_step: 'INTEGER'
+};
+
+const migrateUsersTable = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(users)')).map(column => column.name);
+
+  for (const name of Object.keys(userAccountColumns).filter(name => !columns.includes(name))) {
+    await run(`ALTER TABLE users ADD COLUMN ${name} ${userAccountColumns[name]}`);
+  }
+
+  // The single admin role became the owner when staff roles were introduced
+  await run("UPDATE users SET role = 'owner' WHERE role = 'admin'");
+};
+
+// Whether the session passed a second factor, added after refresh tokens first shipped
+const migrateRefreshTokensTable = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(refresh_tokens)')).map(column => column.name);
+
+  if (!columns.includes('two_factor')) {
+    await run('ALTER TABLE refresh_tokens ADD COLUMN two_factor BOOLEAN NOT NULL DEFAULT FALSE');
+  }
+};
+
+// Revision of the appointment's calendar entry, added after the table first shipped
+const migrateAppointmentsTable = async () => {
+  const columns = (await query('all', 'PRAGMA table_info(appointments)')).map(column => column.name);
+
+  if (!columns.includes('sequence')) {
+    await run('ALTER TABLE appointments ADD COLUMN sequence INTEGER NOT NULL DEFAULT 0');
+  }
+};
+
+// Refunds issued before the refunds ledger only left their details in the payment's metadata,
+// and partial ones wrongly marked the whole payment refunded
+const backfillRefunds = async () => {
+  await run(`
+    INSERT INTO refunds (id, payment_id, provider, provider_refund_id, amount, currency, status, reason, created_at)
+    SELECT
+      lower(hex(randomblob(16))), p.id, p.provider, json_extract(p.metadata, '$.refund_id'),
+      COALESCE(json_extract(p.metadata, '$.refund_amount'), p.amount), p.currency, 'succeeded',
+      json_extract(p.metadata, '$.refund_reason'), p.updated_at
+    FROM payments p
+    WHERE p.status = 'refunded'
+      AND json_valid(p.metadata)
+      AND json_extract(p.metadata, '$.refund_id') IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM refunds r WHERE r.payment_id = p.id)
+  `);
+
+  await run(`
+    UPDATE payments SET status = 'partially_refunded', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'refunded'
+      AND amount > (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.payment_id = payments.id)
+      AND EXISTS (SELECT 1 FROM refunds r WHERE r.payment_id = payments.id)
+  `);
+};
+
 export const initializeDatabase = async () => {
   return new Promise((resolve, reject) => {
     db.serialize(() => {
@@ -36,6 +306,11 @@ export const initializeDatabase = async () => {
           email TEXT UNIQUE NOT NULL,
           name TEXT NOT NULL,
           phone TEXT,
+          password_hash TEXT,
+          role TEXT NOT NULL DEFAULT 'customer',
+          totp_secret TEXT,
+          totp_enabled_at DATETIME,
+          totp_last_step INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
@@ -43,6 +318,78 @@ export const initializeDatabase = async () => {
         if (err) logger.error('Error creating users table:', err);
       });
 
+      // Refresh tokens, stored as hashes. Each login starts a family; refreshing replaces the token
+      // with the next one in its family, and presenting a replaced token revokes the whole family.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          family_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME,
+          replaced_by TEXT,
+          two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating refresh_tokens table:', err);
+      });
+
+      // Single-use password reset tokens, stored as hashes
+      db.run(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          expires_at DATETIME NOT NULL,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating password_reset_tokens table:', err);
+      });
+
+      // Single-use recovery codes for logging in without the authenticator app, stored as hashes.
+      // A new set replaces the old one.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_codes (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          code_hash TEXT NOT NULL UNIQUE,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating recovery_codes table:', err);
+      });
+
+      // Roles whose members only get their permissions after a second factor
+      db.run(`
+        CREATE TABLE IF NOT EXISTS two_factor_roles (
+          role TEXT PRIMARY KEY,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating two_factor_roles table:', err);
+      });
+
+      // Login challenges waiting for a second factor, with the codes tried against each
+      db.run(`
+        CREATE TABLE IF NOT EXISTS login_challenges (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating login_challenges table:', err);
+      });
+
       // Consultations table
       db.run(`
         CREATE TABLE IF NOT EXISTS consultations (
@@ -51,6 +398,7 @@ export const initializeDatabase = async () => {
           description TEXT,
           duration INTEGER NOT NULL DEFAULT 30,
           price INTEGER NOT NULL,
+          currency TEXT NOT NULL DEFAULT 'EUR',
           stripe_price_id TEXT,
           paystack_plan_code TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -60,6 +408,85 @@ export const initializeDatabase = async () => {
         if (err) logger.error('Error creating consultations table:', err);
       });
 
+      // Fixed prices per consultation and currency. consultations.price is the base price;
+      // currencies without an entry here are converted from it with exchange_rates
+      db.run(`
+        CREATE TABLE IF NOT EXISTS consultation_prices (
+          consultation_id TEXT NOT NULL,
+          currency TEXT NOT NULL,
+          amount INTEGER NOT NULL CHECK(amount >= 0),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (consultation_id, currency),
+          FOREIGN KEY (consultation_id) REFERENCES consultations(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating consultation_prices table:', err);
+      });
+
+      // Units of quote_currency per unit of base_currency, uploaded by an admin or cached from the
+      // rates feed (source 'feed')
+      db.run(`
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+          base_currency TEXT NOT NULL,
+          quote_currency TEXT NOT NULL,
+          rate REAL NOT NULL CHECK(rate > 0),
+          source TEXT NOT NULL DEFAULT 'admin' CHECK(source IN ('admin', 'feed')),
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (base_currency, quote_currency)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating exchange_rates table:', err);
+      });
+
+      // Discount codes. percent coupons take discount_value percent off; fixed coupons take
+      // discount_value minor units of `currency` off. consultation_ids is a JSON array, NULL for all
+      db.run(`
+        CREATE TABLE IF NOT EXISTS coupons (
+          id TEXT PRIMARY KEY,
+          code TEXT UNIQUE NOT NULL,
+          description TEXT,
+          discount_type TEXT NOT NULL CHECK(discount_type IN ('percent', 'fixed')),
+          discount_value INTEGER NOT NULL CHECK(discount_value > 0),
+          currency TEXT,
+          valid_from DATETIME,
+          valid_until DATETIME,
+          max_redemptions INTEGER,
+          max_redemptions_per_user INTEGER,
+          consultation_ids TEXT,
+          active BOOLEAN DEFAULT TRUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          CHECK(discount_type = 'fixed' OR discount_value <= 100),
+          CHECK(discount_type = 'percent' OR currency IS NOT NULL)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating coupons table:', err);
+      });
+
+      // Coupon uses. A redemption is reserved when the payment starts, redeemed when it succeeds
+      // and released when it fails; reserved and redeemed ones count against the coupon's limits
+      db.run(`
+        CREATE TABLE IF NOT EXISTS coupon_redemptions (
+          id TEXT PRIMARY KEY,
+          coupon_id TEXT NOT NULL,
+          payment_id TEXT UNIQUE,
+          user_id TEXT,
+          customer_email TEXT,
+          consultation_id TEXT NOT NULL,
+          original_amount INTEGER NOT NULL,
+          discount_amount INTEGER NOT NULL,
+          currency TEXT NOT NULL,
+          status TEXT DEFAULT 'reserved' CHECK(status IN ('reserved', 'redeemed', 'released')),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+          FOREIGN KEY (payment_id) REFERENCES payments(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating coupon_redemptions table:', err);
+      });
+
       // Appointments table
       db.run(`
         CREATE TABLE IF NOT EXISTS appointments (
@@ -71,6 +498,7 @@ export const initializeDatabase = async () => {
           status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'completed', 'cancelled')),
           payment_id TEXT,
           notes TEXT,
+          sequence INTEGER NOT NULL DEFAULT 0,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (user_id) REFERENCES users(id),
@@ -82,48 +510,225 @@ export const initializeDatabase = async () => {
       });
 
       // Payments table
+      db.run(paymentsTableDefinition('payments'), (err) => {
+        if (err) logger.error('Error creating payments table:', err);
+      });
+
+      // Payment events table for audit trail
+      db.run(paymentEventsTableDefinition('payment_events'), (err) => {
+        if (err) logger.error('Error creating payment_events table:', err);
+      });
+
+      // Refunds ledger. pending and succeeded refunds count against the payment's refundable balance
       db.run(`
-        CREATE TABLE IF NOT EXISTS payments (
+        CREATE TABLE IF NOT EXISTS refunds (
           id TEXT PRIMARY KEY,
+          payment_id TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          provider_refund_id TEXT,
+          amount INTEGER NOT NULL CHECK(amount > 0),
+          currency TEXT NOT NULL,
+          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed', 'cancelled')),
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(provider, provider_refund_id),
+          FOREIGN KEY (payment_id) REFERENCES payments(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating refunds table:', err);
+      });
+
+      // Invoices and the credit notes that correct them. Numbers run per type and year without gaps,
+      // so rows are never deleted, and each holds a copy of what was billed as it was printed.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL CHECK(type IN ('invoice', 'credit_note')),
+          number TEXT UNIQUE NOT NULL,
+          year INTEGER NOT NULL,
+          sequence INTEGER NOT NULL,
+          payment_id TEXT NOT NULL,
+          refund_id TEXT UNIQUE,
+          invoice_id TEXT,
+          description TEXT NOT NULL,
+          net_amount INTEGER NOT NULL,
+          tax_amount INTEGER NOT NULL,
+          tax_rate REAL NOT NULL,
+          tax_treatment TEXT NOT NULL,
+          amount INTEGER NOT NULL CHECK(amount > 0),
+          currency TEXT NOT NULL,
+          customer_name TEXT,
+          customer_email TEXT,
+          customer_country TEXT,
+          customer_vat_id TEXT,
+          payment_method TEXT,
+          payment_reference TEXT,
+          issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(type, year, sequence),
+          FOREIGN KEY (payment_id) REFERENCES payments(id),
+          FOREIGN KEY (refund_id) REFERENCES refunds(id),
+          FOREIGN KEY (invoice_id) REFERENCES invoices(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating invoices table:', err);
+      });
+
+      // Outbox of messages to customers and the consultant. A message is written here alongside
+      // whatever triggered it and delivered by a worker, retried at next_attempt_at until it is
+      // sent or runs out of attempts. dedupe_key keeps a repeated trigger from sending twice.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS notifications (
+          id TEXT PRIMARY KEY,
+          channel TEXT NOT NULL DEFAULT 'email',
+          template TEXT NOT NULL,
+          recipient TEXT NOT NULL,
+          subject TEXT,
+          body TEXT NOT NULL,
+          attachments TEXT,
+          payment_id TEXT,
           appointment_id TEXT,
-          user_id TEXT NOT NULL,
+          dedupe_key TEXT UNIQUE,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at DATETIME,
+          last_error TEXT,
+          provider_message_id TEXT,
+          sent_at DATETIME,
+          delivery_status TEXT,
+          delivery_updated_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (payment_id) REFERENCES payments(id),
+          FOREIGN KEY (appointment_id) REFERENCES appointments(id)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating notifications table:', err);
+      });
+
+      // Phone numbers (E.164) that asked not to get messages on a channel, by replying STOP or through an admin
+      db.run(`
+        CREATE TABLE IF NOT EXISTS messaging_opt_outs (
+          phone TEXT NOT NULL,
+          channel TEXT NOT NULL CHECK(channel IN ('whatsapp', 'sms')),
+          source TEXT NOT NULL CHECK(source IN ('reply', 'admin')),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (phone, channel)
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating messaging_opt_outs table:', err);
+      });
+
+      // Calendar subscriptions; only a hash of the token in the feed URL is kept
+      db.run(`
+        CREATE TABLE IF NOT EXISTS calendar_feeds (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          email TEXT,
+          consultation_ids TEXT,
+          token_hash TEXT NOT NULL UNIQUE,
+          last_accessed_at DATETIME,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating calendar_feeds table:', err);
+      });
+
+      // Weekly recurring availability (day_of_week: 0 = Monday ... 6 = Sunday)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS availability_rules (
+          day_of_week INTEGER PRIMARY KEY CHECK(day_of_week BETWEEN 0 AND 6),
+          slots TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating availability_rules table:', err);
+      });
+
+      // Date-specific availability overrides, take precedence over the weekly rules
+      db.run(`
+        CREATE TABLE IF NOT EXISTS availability_overrides (
+          date TEXT PRIMARY KEY,
+          slots TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating availability_overrides table:', err);
+      });
+
+      // Temporary slot reservations taken while a payment is in flight
+      db.run(`
+        CREATE TABLE IF NOT EXISTS slot_holds (
+          id TEXT PRIMARY KEY,
           consultation_id TEXT NOT NULL,
-          provider TEXT NOT NULL CHECK(provider IN ('stripe', 'paystack')),
-          provider_payment_id TEXT UNIQUE,
-          provider_customer_id TEXT,
-          amount INTEGER NOT NULL,
-          currency TEXT NOT NULL DEFAULT 'USD',
-          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'succeeded', 'failed', 'cancelled', 'refunded')),
-          payment_method TEXT,
-          customer_email TEXT,
-          customer_name TEXT,
-          metadata TEXT,
+          date TEXT NOT NULL,
+          time TEXT NOT NULL,
+          status TEXT DEFAULT 'active' CHECK(status IN ('active', 'converted', 'released', 'expired')),
+          payment_id TEXT,
+          appointment_id TEXT,
+          expires_at DATETIME NOT NULL,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users(id),
           FOREIGN KEY (consultation_id) REFERENCES consultations(id),
+          FOREIGN KEY (payment_id) REFERENCES payments(id),
           FOREIGN KEY (appointment_id) REFERENCES appointments(id)
         )
       `, (err) => {
-        if (err) logger.error('Error creating payments table:', err);
+        if (err) logger.error('Error creating slot_holds table:', err);
       });
 
-      // Payment events table for audit trail
+      // Idempotency-Key records: the request a key was first used for and the response it got
       db.run(`
-        CREATE TABLE IF NOT EXISTS payment_events (
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          key TEXT PRIMARY KEY,
+          request_hash TEXT NOT NULL,
+          status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed')),
+          response_status INTEGER,
+          response_body TEXT,
+          expires_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) logger.error('Error creating idempotency_keys table:', err);
+      });
+
+      // Audit log of state-changing staff actions. Append-only: the triggers below refuse updates
+      // and deletes, and each entry's hash covers the previous entry's, so an edit made to the file
+      // behind the application's back breaks the chain from that entry on.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
           id TEXT PRIMARY KEY,
-          payment_id TEXT NOT NULL,
-          event_type TEXT NOT NULL,
-          event_data TEXT,
-          webhook_id TEXT,
-          processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (payment_id) REFERENCES payments(id)
+          sequence INTEGER UNIQUE NOT NULL,
+          actor_id TEXT,
+          actor_email TEXT,
+          actor_role TEXT,
+          action TEXT NOT NULL,
+          target_type TEXT NOT NULL,
+          target_id TEXT,
+          before_value TEXT,
+          after_value TEXT,
+          ip TEXT,
+          request_id TEXT,
+          created_at TEXT NOT NULL,
+          prev_hash TEXT NOT NULL,
+          hash TEXT UNIQUE NOT NULL
         )
       `, (err) => {
-        if (err) logger.error('Error creating payment_events table:', err);
+        if (err) logger.error('Error creating audit_log table:', err);
       });
 
-      // Webhook logs table
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+
+      // Webhook logs table. attempts counts processing attempts, which only verified deliveries get;
+      // failed ones are retried at next_retry_at until they run out of attempts and are dead-lettered
       db.run(`
         CREATE TABLE IF NOT EXISTS webhook_logs (
           id TEXT PRIMARY KEY,
@@ -134,6 +739,9 @@ export const initializeDatabase = async () => {
           signature TEXT,
           processed BOOLEAN DEFAULT FALSE,
           error_message TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_retry_at DATETIME,
+          dead_lettered_at DATETIME,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `, (err) => {
@@ -141,18 +749,57 @@ export const initializeDatabase = async () => {
           logger.error('Error creating webhook_logs table:', err);
           reject(err);
         } else {
-          logger.info('Database tables initialized successfully');
-          resolve();
+          migratePaymentsTable()
+            .then(migratePaymentTaxColumns)
+            .then(migratePaymentEventsTable)
+            .then(migrateWebhookLogsTable)
+            .then(migrateNotificationsTable)
+            .then(migrateAppointmentsTable)
+            .then(migrateUsersTable)
+            .then(migrateRefreshTokensTable)
+            .then(backfillRefunds)
+            .then(() => {
+              logger.info('Database tables initialized successfully');
+              resolve();
+            })
+            .catch(reject);
         }
       });
 
       // Create indexes for better performance
-      db.run('CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id)');
-      db.run('CREATE INDEX IF NOT EXISTS idx_payments_appointment_id ON payments(appointment_id)');
-      db.run('CREATE INDEX IF NOT EXISTS idx_payments_provider_payment_id ON payments(provider_payment_id)');
-      db.run('CREATE INDEX IF NOT EXISTS idx_payment_events_payment_id ON payment_events(payment_id)');
+      paymentsIndexes.forEach(index => db.run(index));
+      paymentEventsIndexes.forEach(index => db.run(index));
+      db.run('CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_id ON coupon_redemptions(coupon_id)');
+      // One invoice per payment; credit notes are one per refund
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_payment_invoice
+        ON invoices(payment_id) WHERE type = 'invoice'
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_invoices_payment_id ON invoices(payment_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_notifications_next_attempt_at ON notifications(status, next_attempt_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_notifications_payment_id ON notifications(payment_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id)');
       db.run('CREATE INDEX IF NOT EXISTS idx_webhook_logs_event_id ON webhook_logs(event_id)');
       db.run('CREATE INDEX IF NOT EXISTS idx_appointments_user_id ON appointments(user_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_appointments_date ON appointments(date)');
+      // A slot can only be held by one live appointment at a time
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_active_slot
+        ON appointments(date, time) WHERE status IN ('pending', 'confirmed')
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_slot_holds_payment_id ON slot_holds(payment_id)');
+      // Only one active hold per slot; stale holds are expired before new ones are taken
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_holds_active_slot
+        ON slot_holds(date, time) WHERE status = 'active'
+      `);
+      db.run('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)');
     });
   });
 };
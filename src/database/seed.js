@@ -0,0 +1,57 @@
+import Consultation from '../models/Consultation.js';
+import AuthService from '../services/authService.js';
+import logger from '../utils/logger.js';
+
+// Mirrors CONSULTATION_OPTIONS and the landing page offer in the frontend; prices are in cents
+const DEFAULT_CONSULTATIONS = [
+  {
+    id: 'introductory_consultation_20',
+    title: 'Introductory Consultation',
+    description: 'A one-time investment for a clear, personalized strategy.',
+    duration: 30,
+    price: 2000,
+    currency: 'EUR'
+  },
+  {
+    id: 'degree_recognition',
+    title: 'Degree Recognition (ZAB)',
+    description: 'Support for the recognition of your school/university degrees via the Central Office for Foreign Education (ZAB).',
+    duration: 30,
+    price: 5000,
+    currency: 'EUR'
+  },
+  {
+    id: 'integration_course',
+    title: 'Integration Course Application',
+    description: 'We help you apply for a government-funded integration course to learn German and integrate successfully.',
+    duration: 30,
+    price: 3000,
+    currency: 'EUR'
+  },
+  {
+    id: 'study_apprenticeship',
+    title: 'CV & Application Letter Service',
+    description: 'Professional CV, motivation Letter and Cover letter tailored to fit your professional job market.',
+    duration: 30,
+    price: 5000,
+    currency: 'EUR'
+  },
+  {
+    id: 'visa_extension',
+    title: 'Visa & Residence Permit',
+    description: 'General consultation on all questions regarding visa applications, extensions, and residence permits.',
+    duration: 30,
+    price: 4000,
+    currency: 'EUR'
+  }
+];
+
+export const seedDatabase = async () => {
+  await Consultation.seed(DEFAULT_CONSULTATIONS);
+  logger.info('Default consultations seeded');
+
+  // The first owner, who can add the other staff
+  if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+    await AuthService.ensureOwner({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD });
+  }
+};
@@ -0,0 +1,54 @@
+import { ApiError } from './errorHandler.js';
+import AuditService from '../services/auditService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Record a state-changing admin call in the audit log. Goes last before the controller, after
+ * validation and idempotencyMiddleware, so rejected requests and replayed responses are not
+ * recorded. The target's state is loaded before the handler runs and again before a successful
+ * response goes out; without a loader the response's data is recorded as the state after.
+ * @param {string} action - e.g. 'coupon.update'; the part before the dot is the target type
+ * @param {Object} options
+ * @param {Function} options.id - (req, data) => the target's ID; data is the response's data, undefined
+ *   before the handler runs, so creates return undefined then
+ * @param {Function} [options.load] - (id, req) => the target as stored, or null once it is gone
+ * @returns {Function} Express middleware
+ */
+const audit = (action, { id = () => undefined, load } = {}) => async (req, res, next) => {
+  const targetType = action.split('.')[0];
+
+  const snapshot = async (targetId, data) => {
+    if (!load) {
+      return data ?? null;
+    }
+    return targetId === undefined ? null : (await load(targetId, req)) ?? null;
+  };
+
+  try {
+    const before = await snapshot(id(req));
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return json(body);
+      }
+
+      const targetId = id(req, body?.data ?? {});
+      snapshot(targetId, body?.data)
+        .then(after => AuditService.record(req, { action, target_type: targetType, target_id: targetId, before, after }))
+        .catch(error => logger.error(`Error recording ${action} in the audit log:`, error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    logger.error(`Error loading the target of ${action} for the audit log:`, error);
+    next(error instanceof ApiError ? error : new ApiError(500, error.message));
+  }
+};
+
+export default audit;
@@ -1,17 +1,27 @@
 import jwt from 'jsonwebtoken';
 import { ApiError } from './errorHandler.js';
+import { CHECKOUT_TOKEN } from '../services/authService.js';
 import logger from '../utils/logger.js';
 
-const authMiddleware = (req, res, next) => {
+/**
+ * @param {Object} options - { optional: let requests without a token through as guests,
+ *   checkout: also take a checkout token, which only carries the ID of the payment it was issued for }
+ */
+const authenticate = ({ optional = false, checkout = false } = {}) => (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
-      return next(new ApiError(401, 'No token provided, authorization denied'));
+      return optional ? next() : next(new ApiError(401, 'No token provided, authorization denied'));
     }
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Login challenges and checkout tokens are signed with the same secret but are not logins
+    if (decoded.purpose && !(checkout && decoded.purpose === CHECKOUT_TOKEN)) {
+      return next(new ApiError(401, 'Invalid token, authorization denied'));
+    }
     req.user = decoded;
 
     logger.info('User authenticated', {
@@ -40,4 +50,12 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+const authMiddleware = authenticate();
+
+// For starting a payment, which guests do too; a token that is sent still has to be valid
+export const optionalAuthMiddleware = authenticate({ optional: true });
+
+// For finishing a payment: a login, or the checkout token the payment was started with
+export const checkoutAuthMiddleware = authenticate({ checkout: true });
+
 export default authMiddleware;
\ No newline at end of file
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { ApiError } from './errorHandler.js';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import logger from '../utils/logger.js';
+import { isUniqueConstraintError } from '../utils/errors.js';
+import { stableStringify } from '../utils/json.js';
+
+// Printable ASCII without spaces, e.g. a UUID generated by the client
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// How long a stored response is replayed, and how long a key stays locked while its request runs
+const RESPONSE_RETENTION_MS = 24 * 60 * 60 * 1000;
+const IN_PROGRESS_LEASE_MS = 2 * 60 * 1000;
+
+// Whose key it is: the logged-in user, or a guest by the email they check out with. Keys are only
+// looked up among their owner's, so nobody else is replayed a response holding a client secret.
+const keyOwner = (req) => {
+  if (req.user?.id) {
+    return `user:${req.user.id}`;
+  }
+  const email = req.body?.customer_email;
+  return typeof email === 'string' ? `guest:${email.trim().toLowerCase()}` : 'guest';
+};
+
+// What the key is stored under
+const scopeKey = (req, key) => crypto.createHash('sha256').update(`${keyOwner(req)}\n${key}`).digest('hex');
+
+export const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${keyOwner(req)}\n${stableStringify(req.body ?? {})}`)
+    .digest('hex');
+};
+
+const expiresIn = (ms) => new Date(Date.now() + ms).toISOString();
+
+const inProgress = () => new ApiError(409, 'A request with this Idempotency-Key is still being processed');
+
+const claimKey = async (key, requestHash) => {
+  try {
+    return { record: await IdempotencyKey.create({ key, request_hash: requestHash, expires_at: expiresIn(IN_PROGRESS_LEASE_MS) }) };
+  } catch (error) {
+    if (!isUniqueConstraintError(error)) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findByKey(key);
+  if (existing && !existing.isExpired()) {
+    return { existing };
+  }
+
+  // The earlier use is past its retention (or its request died), so the key is free again
+  await IdempotencyKey.deleteExpired();
+  try {
+    return { record: await IdempotencyKey.create({ key, request_hash: requestHash, expires_at: expiresIn(IN_PROGRESS_LEASE_MS) }) };
+  } catch (error) {
+    // A repeat of the request took the freed key first
+    if (isUniqueConstraintError(error)) {
+      throw inProgress();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Honour an optional Idempotency-Key header on endpoints that create payments or refunds.
+ * The first request with a key runs normally and a successful response is stored. Repeating
+ * it replays that response instead of charging again; reusing the key for a different request
+ * is rejected with 422, and a repeat that arrives while the first is still running gets 409.
+ * Failed requests give the key back so the client can retry with it. Keys belong to the caller
+ * (see keyOwner): the same key from someone else is a different key.
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new ApiError(400, 'Idempotency-Key must be 1-255 printable characters without spaces'));
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, existing } = await claimKey(scopeKey(req, key), requestHash);
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return next(new ApiError(422, 'Idempotency-Key has already been used for a different request'));
+      }
+
+      if (existing.status === 'in_progress') {
+        return next(inProgress());
+      }
+
+      logger.info(`Replaying stored response for Idempotency-Key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.getResponseBody());
+    }
+
+    req.idempotencyKey = key;
+
+    // Store (or give up) the key before the response goes out, so an immediate retry sees the outcome
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const settle = succeeded
+        ? record.complete(res.statusCode, body, expiresIn(RESPONSE_RETENTION_MS))
+        : record.release();
+
+      settle
+        .catch(error => logger.error(`Error settling Idempotency-Key ${key}:`, error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Idempotency check failed:', error);
+    next(error instanceof ApiError ? error : new ApiError(500, error.message));
+  }
+};
+
+export default idempotencyMiddleware;
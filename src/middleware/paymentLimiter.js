@@ -0,0 +1,13 @@
+import rateLimit from 'express-rate-limit';
+
+// For the routes that start a payment or check a coupon code, which cost a gateway call or are worth guessing at.
+// Status checks, refunds and staff routes only get the general limit.
+const paymentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 payment requests per windowMs
+  message: 'Too many payment requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+export default paymentLimiter;
@@ -0,0 +1,49 @@
+import { ApiError } from './errorHandler.js';
+import { hasPermission, hasSecondFactorIfRequired } from '../policies/roles.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Only let through staff whose role has the permission. Runs after authMiddleware.
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, 'Authentication required'));
+  }
+
+  if (!hasSecondFactorIfRequired(req.user)) {
+    logger.warn('Permission denied without a second factor', {
+      userId: req.user.id,
+      role: req.user.role,
+      permission,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+
+    return next(new ApiError(403, 'Two-factor authentication required: set it up, then log in again'));
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    logger.warn('Permission denied', {
+      userId: req.user.id,
+      email: req.user.email,
+      role: req.user.role,
+      permission,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+
+    return next(new ApiError(403, `Permission required: ${permission}`));
+  }
+
+  logger.info('Permission granted', {
+    userId: req.user.id,
+    permission,
+    url: req.originalUrl
+  });
+
+  next();
+};
+
+export default requirePermission;
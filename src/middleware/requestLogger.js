@@ -1,10 +1,20 @@
+import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 
+// An X-Request-Id from a proxy in front is kept if it looks like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 const requestLogger = (req, res, next) => {
   const start = Date.now();
 
+  // Ties the log lines and audit log entries of one request together
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+  res.set('X-Request-Id', req.id);
+
   // Log request
   logger.info(`${req.method} ${req.originalUrl}`, {
+    requestId: req.id,
     method: req.method,
     url: req.originalUrl,
     ip: req.ip,
@@ -18,6 +28,7 @@ const requestLogger = (req, res, next) => {
     const level = res.statusCode >= 400 ? 'error' : 'info';
     
     logger[level](`${req.method} ${req.originalUrl} ${res.statusCode} - ${duration}ms`, {
+      requestId: req.id,
       method: req.method,
       url: req.originalUrl,
       statusCode: res.statusCode,
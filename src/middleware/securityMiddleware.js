@@ -1,6 +1,9 @@
 import { ApiError } from './errorHandler.js';
 import logger from '../utils/logger.js';
 
+// Recent request timestamps per IP. express-rate-limit owns req.rateLimit, so this has to live here.
+const recentRequestsByIp = new Map();
+
 const securityMiddleware = (req, res, next) => {
   // Check for common malicious patterns
   const suspiciousPatterns = [
@@ -41,12 +44,8 @@ const securityMiddleware = (req, res, next) => {
   // Rate limiting check (basic implementation)
   const rateLimitKey = `rate_limit_${req.ip}`;
   const now = Date.now();
-  
-  if (!req.rateLimit) {
-    req.rateLimit = new Map();
-  }
 
-  const requests = req.rateLimit.get(rateLimitKey) || [];
+  const requests = recentRequestsByIp.get(rateLimitKey) || [];
   const recentRequests = requests.filter(timestamp => now - timestamp < 60000); // 1 minute window
 
   if (recentRequests.length > 100) { // Max 100 requests per minute per IP
@@ -60,7 +59,7 @@ const securityMiddleware = (req, res, next) => {
   }
 
   recentRequests.push(now);
-  req.rateLimit.set(rateLimitKey, recentRequests);
+  recentRequestsByIp.set(rateLimitKey, recentRequests);
 
   // Content length check
   const maxContentLength = 10 * 1024 * 1024; // 10MB
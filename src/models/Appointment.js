@@ -0,0 +1,263 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Statuses that occupy a time slot
+export const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed'];
+
+class Appointment {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.consultation_id = data.consultation_id;
+    this.date = data.date;
+    this.time = data.time;
+    this.status = data.status || 'pending';
+    this.payment_id = data.payment_id;
+    this.notes = data.notes;
+    // Revision of the calendar entry, raised on every status change so calendars pick it up
+    this.sequence = data.sequence || 0;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+
+    // Joined columns, present on list queries
+    if (data.customer_name !== undefined) this.customer_name = data.customer_name;
+    if (data.customer_email !== undefined) this.customer_email = data.customer_email;
+    if (data.customer_phone !== undefined) this.customer_phone = data.customer_phone;
+    if (data.consultation_title !== undefined) this.consultation_title = data.consultation_title;
+    if (data.consultation_duration !== undefined) this.consultation_duration = data.consultation_duration;
+  }
+
+  static async create(appointmentData) {
+    const appointment = new Appointment(appointmentData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO appointments (
+          id, user_id, consultation_id, date, time, status, payment_id, notes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        appointment.id,
+        appointment.user_id,
+        appointment.consultation_id,
+        appointment.date,
+        appointment.time,
+        appointment.status,
+        appointment.payment_id,
+        appointment.notes
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating appointment:', err);
+          reject(err);
+        } else {
+          logger.info(`Appointment created with ID: ${appointment.id}`);
+          resolve(appointment);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT a.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone,
+               c.title as consultation_title, c.duration as consultation_duration
+        FROM appointments a
+        JOIN users u ON a.user_id = u.id
+        JOIN consultations c ON a.consultation_id = c.id
+        WHERE a.id = ?
+      `;
+
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding appointment by ID:', err);
+          reject(err);
+        } else if (row) {
+          resolve(new Appointment(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  static async findAll({ status, startDate, endDate, userId, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      let query = `
+        SELECT a.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone,
+               c.title as consultation_title
+        FROM appointments a
+        JOIN users u ON a.user_id = u.id
+        JOIN consultations c ON a.consultation_id = c.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (status) {
+        query += ' AND a.status = ?';
+        params.push(status);
+      }
+
+      if (startDate) {
+        query += ' AND a.date >= ?';
+        params.push(startDate);
+      }
+
+      if (endDate) {
+        query += ' AND a.date <= ?';
+        params.push(endDate);
+      }
+
+      if (userId) {
+        query += ' AND a.user_id = ?';
+        params.push(userId);
+      }
+
+      query += ' ORDER BY a.date DESC, a.time DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Error listing appointments:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Appointment(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Confirmed appointments on the given days, soonest first
+   * @param {string} startDate - 'YYYY-MM-DD'
+   * @param {string} endDate - 'YYYY-MM-DD', inclusive
+   * @returns {Promise<Array<Appointment>>}
+   */
+  static async findConfirmedBetween(startDate, endDate) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT a.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone,
+               c.title as consultation_title
+        FROM appointments a
+        JOIN users u ON a.user_id = u.id
+        JOIN consultations c ON a.consultation_id = c.id
+        WHERE a.status = 'confirmed' AND a.date BETWEEN ? AND ?
+        ORDER BY a.date ASC, a.time ASC
+      `;
+
+      db.all(query, [startDate, endDate], (err, rows) => {
+        if (err) {
+          logger.error('Error finding confirmed appointments:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Appointment(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Appointments for a calendar feed, soonest first. Cancelled ones are included so calendars
+   * that already have them learn of the cancellation.
+   * @param {Object} options - { startDate ('YYYY-MM-DD'), consultationIds (all when omitted) }
+   * @returns {Promise<Array<Appointment>>}
+   */
+  static async findForCalendar({ startDate, consultationIds } = {}) {
+    return new Promise((resolve, reject) => {
+      const filtered = consultationIds?.length > 0;
+      const placeholders = filtered ? consultationIds.map(() => '?').join(', ') : '';
+      const query = `
+        SELECT a.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone,
+               c.title as consultation_title, c.duration as consultation_duration
+        FROM appointments a
+        JOIN users u ON a.user_id = u.id
+        JOIN consultations c ON a.consultation_id = c.id
+        WHERE a.status IN ('confirmed', 'completed', 'cancelled') AND a.date >= ?
+        ${filtered ? `AND a.consultation_id IN (${placeholders})` : ''}
+        ORDER BY a.date ASC, a.time ASC
+      `;
+
+      db.all(query, [startDate, ...(filtered ? consultationIds : [])], (err, rows) => {
+        if (err) {
+          logger.error('Error finding appointments for calendar:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Appointment(row)));
+        }
+      });
+    });
+  }
+
+  static async findBookedTimes(date) {
+    return new Promise((resolve, reject) => {
+      const placeholders = ACTIVE_APPOINTMENT_STATUSES.map(() => '?').join(', ');
+      const query = `SELECT time FROM appointments WHERE date = ? AND status IN (${placeholders})`;
+
+      db.all(query, [date, ...ACTIVE_APPOINTMENT_STATUSES], (err, rows) => {
+        if (err) {
+          logger.error('Error finding booked times:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.time));
+        }
+      });
+    });
+  }
+
+  async updateStatus(status, additionalData = {}) {
+    const updates = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+    const values = [status];
+    const statusChanged = status !== this.status;
+
+    if (statusChanged) {
+      updates.push('sequence = sequence + 1');
+    }
+
+    if (additionalData.payment_id) {
+      updates.push('payment_id = ?');
+      values.push(additionalData.payment_id);
+    }
+
+    if (additionalData.notes !== undefined) {
+      updates.push('notes = ?');
+      values.push(additionalData.notes);
+    }
+
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE appointments SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating appointment status:', err);
+          reject(err);
+        } else {
+          logger.info(`Appointment ${this.id} status updated to ${status}`);
+          this.status = status;
+          if (statusChanged) this.sequence += 1;
+          if (additionalData.payment_id) this.payment_id = additionalData.payment_id;
+          if (additionalData.notes !== undefined) this.notes = additionalData.notes;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // What the public booking route returns: the slot, without the customer's contact details or notes
+  toPublicJSON() {
+    return {
+      id: this.id,
+      consultation_id: this.consultation_id,
+      consultation_title: this.consultation_title,
+      consultation_duration: this.consultation_duration,
+      date: this.date,
+      time: this.time,
+      status: this.status
+    };
+  }
+}
+
+export default Appointment;
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { stableStringify } from '../utils/json.js';
+
+// What the first entry chains to
+export const GENESIS_HASH = '0'.repeat(64);
+
+// The columns each entry's hash covers, in the order the CSV export lists them
+export const AUDIT_COLUMNS = [
+  'sequence', 'created_at', 'actor_id', 'actor_email', 'actor_role', 'action', 'target_type', 'target_id',
+  'before_value', 'after_value', 'ip', 'request_id', 'prev_hash'
+];
+
+// Appends wait for each other, so no two entries chain to the same predecessor
+let lastAppend = Promise.resolve();
+
+const get = (query, params) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const run = (query, params) => new Promise((resolve, reject) => {
+  db.run(query, params, (err) => (err ? reject(err) : resolve()));
+});
+
+class AuditLog {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.sequence = data.sequence;
+    this.actor_id = data.actor_id || null;
+    this.actor_email = data.actor_email || null;
+    this.actor_role = data.actor_role || null;
+    this.action = data.action;
+    this.target_type = data.target_type;
+    // Text, as stored, so the hash comes out the same when the entry is read back
+    this.target_id = data.target_id == null ? null : String(data.target_id);
+    // JSON of the target as it was before and after the action; null where it did not exist
+    this.before_value = typeof data.before_value === 'string' ? data.before_value : JSON.stringify(data.before_value ?? null);
+    this.after_value = typeof data.after_value === 'string' ? data.after_value : JSON.stringify(data.after_value ?? null);
+    this.ip = data.ip || null;
+    this.request_id = data.request_id || null;
+    this.created_at = data.created_at || new Date().toISOString();
+    this.prev_hash = data.prev_hash;
+    this.hash = data.hash;
+  }
+
+  /**
+   * Append an entry to the end of the chain.
+   * @param {Object} entryData - Actor, action, target and before/after values
+   * @returns {Promise<AuditLog>}
+   */
+  static async append(entryData) {
+    const appended = lastAppend.then(async () => {
+      const last = await get('SELECT sequence, hash FROM audit_log ORDER BY sequence DESC LIMIT 1', []);
+      const entry = new AuditLog({
+        ...entryData,
+        sequence: last ? last.sequence + 1 : 1,
+        prev_hash: last ? last.hash : GENESIS_HASH
+      });
+      entry.hash = entry.computeHash();
+
+      await run(`
+        INSERT INTO audit_log (id, ${AUDIT_COLUMNS.join(', ')}, hash)
+        VALUES (?, ${AUDIT_COLUMNS.map(() => '?').join(', ')}, ?)
+      `, [entry.id, ...AUDIT_COLUMNS.map(column => entry[column]), entry.hash]);
+
+      logger.info(`Audit log entry ${entry.sequence}: ${entry.action} on ${entry.target_type} ${entry.target_id ?? ''}`.trim());
+      return entry;
+    });
+
+    lastAppend = appended.catch(() => {});
+    return appended.catch((err) => {
+      logger.error('Error appending audit log entry:', err);
+      throw err;
+    });
+  }
+
+  /**
+   * Entries newest first. from is inclusive and to exclusive, both compared with created_at.
+   */
+  static async findAll({ actor_id, action, target_type, target_id, from, to, limit = 100, offset = 0 } = {}) {
+    const filters = { actor_id, action, target_type, target_id };
+    const columns = Object.keys(filters).filter(column => filters[column] !== undefined);
+    const conditions = ['1=1', ...columns.map(column => `${column} = ?`)];
+    const params = columns.map(column => filters[column]);
+
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push('created_at < ?');
+      params.push(to);
+    }
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM audit_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY sequence DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      db.all(query, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          logger.error('Error listing audit log:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new AuditLog(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * The chain in order, a page at a time.
+   * @param {number} afterSequence - The last sequence of the previous page (0 for the first)
+   * @param {number} limit
+   * @returns {Promise<Array<AuditLog>>}
+   */
+  static async findAfter(afterSequence, limit = 500) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM audit_log WHERE sequence > ? ORDER BY sequence ASC LIMIT ?',
+        [afterSequence, limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error reading audit log chain:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new AuditLog(row)));
+          }
+        }
+      );
+    });
+  }
+
+  computeHash() {
+    const fields = Object.fromEntries(AUDIT_COLUMNS.map(column => [column, this[column]]));
+    return crypto.createHash('sha256').update(stableStringify(fields)).digest('hex');
+  }
+
+  toJSON() {
+    const { before_value, after_value, ...entry } = this;
+    return {
+      ...entry,
+      before: JSON.parse(before_value),
+      after: JSON.parse(after_value)
+    };
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,140 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+const parseSlots = (slots) => {
+  try {
+    const parsed = JSON.parse(slots);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    logger.warn('Invalid JSON in availability slots:', slots);
+    return [];
+  }
+};
+
+const normalizeSlots = (slots) => [...new Set(slots)].sort();
+
+class Availability {
+  /**
+   * Map a YYYY-MM-DD date to the weekly rule index used by the admin dashboard
+   * (0 = Monday ... 6 = Sunday).
+   */
+  static dayOfWeekForDate(date) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 6 : day - 1;
+  }
+
+  static async getRecurring() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM availability_rules ORDER BY day_of_week', [], (err, rows) => {
+        if (err) {
+          logger.error('Error fetching recurring availability:', err);
+          reject(err);
+        } else {
+          resolve(rows.reduce((acc, row) => {
+            acc[row.day_of_week] = parseSlots(row.slots);
+            return acc;
+          }, {}));
+        }
+      });
+    });
+  }
+
+  static async getOverrides(startDate, endDate) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM availability_overrides WHERE 1=1';
+      const params = [];
+
+      if (startDate) {
+        query += ' AND date >= ?';
+        params.push(startDate);
+      }
+
+      if (endDate) {
+        query += ' AND date <= ?';
+        params.push(endDate);
+      }
+
+      query += ' ORDER BY date';
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error('Error fetching availability overrides:', err);
+          reject(err);
+        } else {
+          resolve(rows.reduce((acc, row) => {
+            acc[row.date] = parseSlots(row.slots);
+            return acc;
+          }, {}));
+        }
+      });
+    });
+  }
+
+  static async setRecurring(dayOfWeek, slots) {
+    const normalized = normalizeSlots(slots);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO availability_rules (day_of_week, slots) VALUES (?, ?)
+        ON CONFLICT(day_of_week) DO UPDATE SET slots = excluded.slots, updated_at = CURRENT_TIMESTAMP
+      `;
+
+      db.run(query, [dayOfWeek, JSON.stringify(normalized)], (err) => {
+        if (err) {
+          logger.error('Error saving recurring availability:', err);
+          reject(err);
+        } else {
+          logger.info(`Recurring availability updated for day ${dayOfWeek}`);
+          resolve(normalized);
+        }
+      });
+    });
+  }
+
+  static async setOverride(date, slots) {
+    const normalized = normalizeSlots(slots);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO availability_overrides (date, slots) VALUES (?, ?)
+        ON CONFLICT(date) DO UPDATE SET slots = excluded.slots, updated_at = CURRENT_TIMESTAMP
+      `;
+
+      db.run(query, [date, JSON.stringify(normalized)], (err) => {
+        if (err) {
+          logger.error('Error saving availability override:', err);
+          reject(err);
+        } else {
+          logger.info(`Availability override saved for ${date}`);
+          resolve(normalized);
+        }
+      });
+    });
+  }
+
+  static async removeOverride(date) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM availability_overrides WHERE date = ?', [date], function(err) {
+        if (err) {
+          logger.error('Error removing availability override:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  // An override for the exact date wins; otherwise the weekly rule applies
+  static async getSlotsForDate(date) {
+    const overrides = await Availability.getOverrides(date, date);
+    if (overrides[date] !== undefined) {
+      return overrides[date];
+    }
+
+    const recurring = await Availability.getRecurring();
+    return recurring[Availability.dayOfWeekForDate(date)] || [];
+  }
+}
+
+export default Availability;
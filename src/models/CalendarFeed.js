@@ -0,0 +1,129 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class CalendarFeed {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    // Whose calendar subscribes to it, e.g. the consultant's name
+    this.name = data.name;
+    this.email = data.email || null;
+    // Only appointments for these consultations; null for all of them
+    this.consultation_ids = typeof data.consultation_ids === 'string'
+      ? JSON.parse(data.consultation_ids)
+      : (data.consultation_ids?.length > 0 ? data.consultation_ids : null);
+    this.token_hash = data.token_hash;
+    this.last_accessed_at = data.last_accessed_at || null;
+    this.revoked_at = data.revoked_at || null;
+    this.created_at = data.created_at;
+  }
+
+  static async create(feedData) {
+    const feed = new CalendarFeed(feedData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO calendar_feeds (id, name, email, consultation_ids, token_hash)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        feed.id,
+        feed.name,
+        feed.email,
+        feed.consultation_ids ? JSON.stringify(feed.consultation_ids) : null,
+        feed.token_hash
+      ], (err) => {
+        if (err) {
+          logger.error('Error creating calendar feed:', err);
+          reject(err);
+        } else {
+          logger.info(`Calendar feed created with ID: ${feed.id}`);
+          resolve(feed);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM calendar_feeds WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding calendar feed:', err);
+          reject(err);
+        } else {
+          resolve(row ? new CalendarFeed(row) : null);
+        }
+      });
+    });
+  }
+
+  // Revoked feeds are not found
+  static async findByTokenHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM calendar_feeds WHERE token_hash = ? AND revoked_at IS NULL',
+        [tokenHash],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding calendar feed by token:', err);
+            reject(err);
+          } else {
+            resolve(row ? new CalendarFeed(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  static async findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM calendar_feeds ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing calendar feeds:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new CalendarFeed(row)));
+        }
+      });
+    });
+  }
+
+  async recordAccess() {
+    return this.update({ last_accessed_at: new Date().toISOString() });
+  }
+
+  async revoke() {
+    await this.update({ revoked_at: new Date().toISOString() });
+    logger.info(`Calendar feed ${this.id} revoked`);
+    return this;
+  }
+
+  async update(fields) {
+    const columns = Object.keys(fields);
+    const values = columns.map(column => fields[column]);
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE calendar_feeds SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating calendar feed:', err);
+          reject(err);
+        } else {
+          Object.assign(this, fields);
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // The token hash stays in the database
+  toJSON() {
+    const { token_hash, ...feed } = this;
+    return feed;
+  }
+}
+
+export default CalendarFeed;
@@ -0,0 +1,146 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'duration',
+  'price',
+  'currency',
+  'stripe_price_id',
+  'paystack_plan_code'
+];
+
+class Consultation {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.title = data.title;
+    this.description = data.description;
+    this.duration = data.duration || 30;
+    this.price = data.price;
+    this.currency = (data.currency || 'EUR').toUpperCase();
+    this.stripe_price_id = data.stripe_price_id;
+    this.paystack_plan_code = data.paystack_plan_code;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create(consultationData) {
+    const consultation = new Consultation(consultationData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO consultations (
+          id, title, description, duration, price, currency,
+          stripe_price_id, paystack_plan_code
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        consultation.id,
+        consultation.title,
+        consultation.description,
+        consultation.duration,
+        consultation.price,
+        consultation.currency,
+        consultation.stripe_price_id,
+        consultation.paystack_plan_code
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating consultation:', err);
+          reject(err);
+        } else {
+          logger.info(`Consultation created with ID: ${consultation.id}`);
+          resolve(consultation);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM consultations WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding consultation by ID:', err);
+          reject(err);
+        } else if (row) {
+          resolve(new Consultation(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  static async findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM consultations ORDER BY created_at ASC', [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing consultations:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Consultation(row)));
+        }
+      });
+    });
+  }
+
+  async update(changes) {
+    const updates = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        values.push(field === 'currency' ? changes[field].toUpperCase() : changes[field]);
+        this[field] = values[values.length - 1];
+      }
+    }
+
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE consultations SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating consultation:', err);
+          reject(err);
+        } else {
+          logger.info(`Consultation ${this.id} updated`);
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // Inserts catalog entries that do not exist yet; existing rows (and admin price edits) are kept
+  static async seed(consultations) {
+    const query = `
+      INSERT OR IGNORE INTO consultations (id, title, description, duration, price, currency)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    await Promise.all(consultations.map(data => new Promise((resolve, reject) => {
+      const consultation = new Consultation(data);
+      db.run(query, [
+        consultation.id,
+        consultation.title,
+        consultation.description,
+        consultation.duration,
+        consultation.price,
+        consultation.currency
+      ], (err) => {
+        if (err) {
+          logger.error('Error seeding consultation:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    })));
+  }
+}
+
+export default Consultation;
@@ -0,0 +1,93 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+class ConsultationPrice {
+  constructor(data) {
+    this.consultation_id = data.consultation_id;
+    this.currency = data.currency.toUpperCase();
+    this.amount = data.amount;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async find(consultationId, currency) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM consultation_prices WHERE consultation_id = ? AND currency = ?',
+        [consultationId, currency.toUpperCase()],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding consultation price:', err);
+            reject(err);
+          } else {
+            resolve(row ? new ConsultationPrice(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  static async findByConsultationId(consultationId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM consultation_prices WHERE consultation_id = ? ORDER BY currency',
+        [consultationId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error listing consultation prices:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new ConsultationPrice(row)));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Set the consultation's price in a currency, replacing any earlier one
+   * @param {string} consultationId
+   * @param {string} currency - ISO 4217 code
+   * @param {number} amount - Minor units
+   */
+  static async set(consultationId, currency, amount) {
+    const price = new ConsultationPrice({ consultation_id: consultationId, currency, amount });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO consultation_prices (consultation_id, currency, amount) VALUES (?, ?, ?)
+        ON CONFLICT(consultation_id, currency) DO UPDATE SET amount = excluded.amount, updated_at = CURRENT_TIMESTAMP
+      `;
+
+      db.run(query, [price.consultation_id, price.currency, price.amount], (err) => {
+        if (err) {
+          logger.error('Error setting consultation price:', err);
+          reject(err);
+        } else {
+          logger.info(`Consultation ${consultationId} priced at ${amount} ${price.currency}`);
+          resolve(price);
+        }
+      });
+    });
+  }
+
+  // Returns false if the consultation had no price in that currency
+  static async delete(consultationId, currency) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM consultation_prices WHERE consultation_id = ? AND currency = ?',
+        [consultationId, currency.toUpperCase()],
+        function(err) {
+          if (err) {
+            logger.error('Error deleting consultation price:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+}
+
+export default ConsultationPrice;
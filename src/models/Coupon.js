@@ -0,0 +1,211 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+const UPDATABLE_FIELDS = [
+  'description',
+  'discount_type',
+  'discount_value',
+  'currency',
+  'valid_from',
+  'valid_until',
+  'max_redemptions',
+  'max_redemptions_per_user',
+  'consultation_ids',
+  'active'
+];
+
+const parseConsultationIds = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    logger.warn('Invalid JSON in coupon consultation IDs:', value);
+    return null;
+  }
+};
+
+// Column value for a field; consultation_ids is stored as JSON and booleans as 0/1
+const toColumn = (field, value) => {
+  if (field === 'consultation_ids') {
+    return value && value.length > 0 ? JSON.stringify(value) : null;
+  }
+  if (field === 'active') {
+    return value ? 1 : 0;
+  }
+  if (field === 'currency') {
+    return value ? value.toUpperCase() : null;
+  }
+  return value ?? null;
+};
+
+class Coupon {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.code = data.code.toUpperCase();
+    this.description = data.description;
+    this.discount_type = data.discount_type;
+    this.discount_value = data.discount_value;
+    this.currency = data.currency ? data.currency.toUpperCase() : null;
+    this.valid_from = data.valid_from || null;
+    this.valid_until = data.valid_until || null;
+    this.max_redemptions = data.max_redemptions ?? null;
+    this.max_redemptions_per_user = data.max_redemptions_per_user ?? null;
+    this.consultation_ids = parseConsultationIds(data.consultation_ids);
+    this.active = data.active === undefined ? true : Boolean(data.active);
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create(couponData) {
+    const coupon = new Coupon(couponData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO coupons (
+          id, code, description, discount_type, discount_value, currency, valid_from, valid_until,
+          max_redemptions, max_redemptions_per_user, consultation_ids, active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        coupon.id,
+        coupon.code,
+        coupon.description,
+        coupon.discount_type,
+        coupon.discount_value,
+        coupon.currency,
+        coupon.valid_from,
+        coupon.valid_until,
+        coupon.max_redemptions,
+        coupon.max_redemptions_per_user,
+        toColumn('consultation_ids', coupon.consultation_ids),
+        toColumn('active', coupon.active)
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating coupon:', err);
+          reject(err);
+        } else {
+          logger.info(`Coupon created: ${coupon.code}`);
+          resolve(coupon);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM coupons WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding coupon by ID:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Coupon(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByCode(code) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM coupons WHERE code = ?', [code.trim().toUpperCase()], (err, row) => {
+        if (err) {
+          logger.error('Error finding coupon by code:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Coupon(row) : null);
+        }
+      });
+    });
+  }
+
+  // All coupons with how often each has been used (reserved or redeemed)
+  static async findAll() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT c.*, (
+          SELECT COUNT(*) FROM coupon_redemptions r
+          WHERE r.coupon_id = c.id AND r.status IN ('reserved', 'redeemed')
+        ) AS redemption_count
+        FROM coupons c
+        ORDER BY c.created_at DESC
+      `;
+
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing coupons:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => Object.assign(new Coupon(row), { redemption_count: row.redemption_count })));
+        }
+      });
+    });
+  }
+
+  async update(changes) {
+    const updates = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        values.push(toColumn(field, changes[field]));
+      }
+    }
+
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE coupons SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating coupon:', err);
+          reject(err);
+        } else {
+          Object.assign(this, new Coupon({ ...this, ...changes, code: this.code }));
+          logger.info(`Coupon ${this.code} updated`);
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async delete() {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM coupons WHERE id = ?', [this.id], (err) => {
+        if (err) {
+          logger.error('Error deleting coupon:', err);
+          reject(err);
+        } else {
+          logger.info(`Coupon ${this.code} deleted`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  appliesTo(consultationId) {
+    return !this.consultation_ids || this.consultation_ids.includes(consultationId);
+  }
+
+  // Whether the coupon can be used at the given time, ignoring its redemption limits
+  isValidAt(date = new Date()) {
+    if (!this.active) {
+      return false;
+    }
+    if (this.valid_from && date < new Date(this.valid_from)) {
+      return false;
+    }
+    return !(this.valid_until && date > new Date(this.valid_until));
+  }
+}
+
+export default Coupon;
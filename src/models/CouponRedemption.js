@@ -0,0 +1,218 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Redemptions in these statuses count against a coupon's limits
+export const COUNTED_REDEMPTION_STATUSES = ['reserved', 'redeemed'];
+
+const countedList = COUNTED_REDEMPTION_STATUSES.map(status => `'${status}'`).join(', ');
+
+// A customer is matched by user ID or, for guest bookings, by email address
+const customerClause = `
+  ((? IS NOT NULL AND user_id = ?) OR (? IS NOT NULL AND LOWER(customer_email) = ?))
+`;
+
+const customerParams = (userId, email) => {
+  const normalizedEmail = email ? email.toLowerCase() : null;
+  return [userId ?? null, userId ?? null, normalizedEmail, normalizedEmail];
+};
+
+class CouponRedemption {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.coupon_id = data.coupon_id;
+    this.payment_id = data.payment_id || null;
+    this.user_id = data.user_id || null;
+    this.customer_email = data.customer_email ? data.customer_email.toLowerCase() : null;
+    this.consultation_id = data.consultation_id;
+    this.original_amount = data.original_amount;
+    this.discount_amount = data.discount_amount;
+    this.currency = data.currency;
+    this.status = data.status || 'reserved';
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Record a reserved redemption, but only while the coupon is under its total and per-customer
+   * limits. The limit checks and the insert are one statement, so concurrent checkouts cannot
+   * use a coupon more often than allowed.
+   * @param {Coupon} coupon - The coupon being used
+   * @param {Object} redemptionData - user_id, customer_email, consultation_id, amounts, currency
+   * @returns {Promise<CouponRedemption|null>} Null if a limit has been reached
+   */
+  static async reserve(coupon, redemptionData) {
+    const redemption = new CouponRedemption({ ...redemptionData, coupon_id: coupon.id, status: 'reserved' });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO coupon_redemptions (
+          id, coupon_id, user_id, customer_email, consultation_id, original_amount, discount_amount, currency, status
+        )
+        SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+        WHERE (? IS NULL OR (
+          SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = ? AND status IN (${countedList})
+        ) < ?)
+        AND (? IS NULL OR (
+          SELECT COUNT(*) FROM coupon_redemptions
+          WHERE coupon_id = ? AND status IN (${countedList}) AND ${customerClause}
+        ) < ?)
+      `;
+
+      db.run(query, [
+        redemption.id,
+        redemption.coupon_id,
+        redemption.user_id,
+        redemption.customer_email,
+        redemption.consultation_id,
+        redemption.original_amount,
+        redemption.discount_amount,
+        redemption.currency,
+        redemption.status,
+        coupon.max_redemptions,
+        coupon.id,
+        coupon.max_redemptions,
+        coupon.max_redemptions_per_user,
+        coupon.id,
+        ...customerParams(redemption.user_id, redemption.customer_email),
+        coupon.max_redemptions_per_user
+      ], function(err) {
+        if (err) {
+          logger.error('Error reserving coupon redemption:', err);
+          reject(err);
+        } else {
+          resolve(this.changes === 1 ? redemption : null);
+        }
+      });
+    });
+  }
+
+  static async findByPaymentId(paymentId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM coupon_redemptions WHERE payment_id = ?', [paymentId], (err, row) => {
+        if (err) {
+          logger.error('Error finding coupon redemption by payment ID:', err);
+          reject(err);
+        } else {
+          resolve(row ? new CouponRedemption(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByCouponId(couponId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM coupon_redemptions WHERE coupon_id = ? ORDER BY created_at DESC',
+        [couponId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error finding coupon redemptions:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new CouponRedemption(row)));
+          }
+        }
+      );
+    });
+  }
+
+  // Reserved and redeemed uses of the coupon, in total and by the given customer
+  static async countForCoupon(couponId, userId = null, email = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          COUNT(*) AS total,
+          COALESCE(SUM(CASE WHEN ${customerClause} THEN 1 ELSE 0 END), 0) AS customer
+        FROM coupon_redemptions
+        WHERE coupon_id = ? AND status IN (${countedList})
+      `;
+
+      db.get(query, [...customerParams(userId, email), couponId], (err, row) => {
+        if (err) {
+          logger.error('Error counting coupon redemptions:', err);
+          reject(err);
+        } else {
+          resolve({ total: row.total, customer: row.customer });
+        }
+      });
+    });
+  }
+
+  /**
+   * Release the reservations of checkouts that were abandoned: reserved before the cutoff and still
+   * waiting on a payment that never got further than pending. Payments with a deadline of their own,
+   * such as bank transfers, keep their reservation until they are given up.
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Promise<number>} Number of reservations released
+   */
+  static async releaseAbandoned(cutoff) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE coupon_redemptions SET status = 'released', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'reserved' AND datetime(created_at) <= datetime(?)
+        AND (payment_id IS NULL OR payment_id IN (
+          SELECT id FROM payments
+          WHERE status = 'pending' AND json_extract(metadata, '$.payment_deadline') IS NULL
+        ))
+      `;
+
+      db.run(query, [cutoff], function(err) {
+        if (err) {
+          logger.error('Error releasing abandoned coupon reservations:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async attachPayment(paymentId) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE coupon_redemptions SET payment_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      db.run(query, [paymentId, this.id], (err) => {
+        if (err) {
+          logger.error('Error attaching payment to coupon redemption:', err);
+          reject(err);
+        } else {
+          this.payment_id = paymentId;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async updateStatus(status) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE coupon_redemptions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      db.run(query, [status, this.id], (err) => {
+        if (err) {
+          logger.error('Error updating coupon redemption status:', err);
+          reject(err);
+        } else {
+          logger.info(`Coupon redemption ${this.id} status updated to ${status}`);
+          this.status = status;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async delete() {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM coupon_redemptions WHERE id = ?', [this.id], (err) => {
+        if (err) {
+          logger.error('Error deleting coupon redemption:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+export default CouponRedemption;
@@ -0,0 +1,101 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+class ExchangeRate {
+  constructor(data) {
+    this.base_currency = data.base_currency;
+    this.quote_currency = data.quote_currency;
+    this.rate = data.rate;
+    this.source = data.source || 'admin';
+    this.updated_at = data.updated_at;
+  }
+
+  static async find(baseCurrency, quoteCurrency) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM exchange_rates WHERE base_currency = ? AND quote_currency = ?',
+        [baseCurrency.toUpperCase(), quoteCurrency.toUpperCase()],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding exchange rate:', err);
+            reject(err);
+          } else {
+            resolve(row ? new ExchangeRate(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  static async findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM exchange_rates ORDER BY base_currency, quote_currency', [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing exchange rates:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new ExchangeRate(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Store rates from one base currency, replacing earlier rates for the same pairs.
+   * Feed rates never overwrite rates an admin uploaded.
+   * @param {string} baseCurrency - ISO 4217 code
+   * @param {Object<string, number>} rates - Units of each quote currency per unit of the base currency
+   * @param {string} source - 'admin' or 'feed'
+   * @returns {Promise<number>} Number of rates stored
+   */
+  static async saveAll(baseCurrency, rates, source = 'admin') {
+    const base = baseCurrency.toUpperCase();
+    const entries = Object.entries(rates).filter(([quote]) => quote.toUpperCase() !== base);
+
+    const query = `
+      INSERT INTO exchange_rates (base_currency, quote_currency, rate, source) VALUES (?, ?, ?, ?)
+      ON CONFLICT(base_currency, quote_currency) DO UPDATE SET
+        rate = excluded.rate, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+      ${source === 'feed' ? "WHERE exchange_rates.source = 'feed'" : ''}
+    `;
+
+    const stored = await Promise.all(entries.map(([quote, rate]) => new Promise((resolve, reject) => {
+      db.run(query, [base, quote.toUpperCase(), rate, source], function(err) {
+        if (err) {
+          logger.error('Error saving exchange rate:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    })));
+
+    logger.info(`Saved ${entries.length} ${base} exchange rates from ${source}`);
+    return stored.reduce((sum, changes) => sum + changes, 0);
+  }
+
+  // Returns false if there was no such rate
+  static async delete(baseCurrency, quoteCurrency) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM exchange_rates WHERE base_currency = ? AND quote_currency = ?',
+        [baseCurrency.toUpperCase(), quoteCurrency.toUpperCase()],
+        function(err) {
+          if (err) {
+            logger.error('Error deleting exchange rate:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  // Age in milliseconds; updated_at is stored in UTC without a zone
+  ageMs(now = Date.now()) {
+    return now - new Date(`${this.updated_at.replace(' ', 'T')}Z`).getTime();
+  }
+}
+
+export default ExchangeRate;
@@ -0,0 +1,133 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+class IdempotencyKey {
+  constructor(data) {
+    this.key = data.key;
+    this.request_hash = data.request_hash;
+    this.status = data.status || 'in_progress';
+    this.response_status = data.response_status;
+    this.response_body = data.response_body;
+    this.expires_at = data.expires_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Claim a key for a request that is about to run.
+   * @param {Object} keyData - { key, request_hash, expires_at }
+   * @returns {Promise<IdempotencyKey>}
+   * @throws The SQLite unique constraint error when the key is already taken
+   */
+  static async create(keyData) {
+    const record = new IdempotencyKey(keyData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO idempotency_keys (key, request_hash, status, expires_at)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        record.key,
+        record.request_hash,
+        record.status,
+        record.expires_at
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(record);
+        }
+      });
+    });
+  }
+
+  static async findByKey(key) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM idempotency_keys WHERE key = ?', [key], (err, row) => {
+        if (err) {
+          logger.error('Error finding idempotency key:', err);
+          reject(err);
+        } else if (row) {
+          resolve(new IdempotencyKey(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Delete every key whose retention (or in-progress lease) has run out.
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  static async deleteExpired() {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [new Date().toISOString()], function(err) {
+        if (err) {
+          logger.error('Error deleting expired idempotency keys:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Store the response so repeats of the request can be answered with it.
+   * @param {number} status - HTTP status code
+   * @param {Object} body - JSON response body
+   * @param {string} expiresAt - When the stored response may be forgotten
+   */
+  async complete(status, body, expiresAt) {
+    const responseBody = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE idempotency_keys
+        SET status = 'completed', response_status = ?, response_body = ?, expires_at = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE key = ?
+      `;
+
+      db.run(query, [status, responseBody, expiresAt, this.key], (err) => {
+        if (err) {
+          logger.error('Error storing idempotent response:', err);
+          reject(err);
+        } else {
+          this.status = 'completed';
+          this.response_status = status;
+          this.response_body = responseBody;
+          this.expires_at = expiresAt;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // Give the key up so the request can be retried with it
+  async release() {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM idempotency_keys WHERE key = ? AND status = ?', [this.key, 'in_progress'], (err) => {
+        if (err) {
+          logger.error('Error releasing idempotency key:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  isExpired() {
+    return this.expires_at <= new Date().toISOString();
+  }
+
+  getResponseBody() {
+    return JSON.parse(this.response_body || 'null');
+  }
+}
+
+export default IdempotencyKey;
@@ -0,0 +1,160 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Number prefixes, e.g. INV-2026-00042 and CN-2026-00007
+export const INVOICE_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+class Invoice {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.type = data.type || 'invoice';
+    this.number = data.number;
+    this.year = data.year;
+    this.sequence = data.sequence;
+    this.payment_id = data.payment_id;
+    this.refund_id = data.refund_id || null;
+    this.invoice_id = data.invoice_id || null;
+    this.description = data.description;
+    // Amounts in minor units; amount is the gross
+    this.net_amount = data.net_amount;
+    this.tax_amount = data.tax_amount;
+    this.tax_rate = data.tax_rate;
+    this.tax_treatment = data.tax_treatment;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.customer_name = data.customer_name;
+    this.customer_email = data.customer_email;
+    this.customer_country = data.customer_country;
+    this.customer_vat_id = data.customer_vat_id;
+    this.payment_method = data.payment_method;
+    this.payment_reference = data.payment_reference;
+    this.issued_at = data.issued_at;
+  }
+
+  /**
+   * Issue an invoice or credit note under the next number of its type and year. The number is
+   * taken in the insert itself, so concurrent issues cannot share one, and a failed insert uses
+   * none up.
+   * @param {Object} invoiceData - type, payment_id, refund_id/invoice_id for credit notes, the billed details
+   * @returns {Promise<Invoice>}
+   */
+  static async issue(invoiceData) {
+    const invoice = new Invoice(invoiceData);
+    const issuedAt = new Date();
+    const year = issuedAt.getUTCFullYear();
+
+    await new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO invoices (
+          id, type, number, year, sequence, payment_id, refund_id, invoice_id, description,
+          net_amount, tax_amount, tax_rate, tax_treatment, amount, currency, customer_name, customer_email,
+          customer_country, customer_vat_id, payment_method, payment_reference, issued_at
+        )
+        SELECT
+          ?, ?, printf('%s-%d-%05d', ?, ?, COALESCE(MAX(sequence), 0) + 1), ?, COALESCE(MAX(sequence), 0) + 1,
+          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        FROM invoices WHERE type = ? AND year = ?
+      `;
+
+      db.run(query, [
+        invoice.id,
+        invoice.type,
+        INVOICE_PREFIXES[invoice.type],
+        year,
+        year,
+        invoice.payment_id,
+        invoice.refund_id,
+        invoice.invoice_id,
+        invoice.description,
+        invoice.net_amount,
+        invoice.tax_amount,
+        invoice.tax_rate,
+        invoice.tax_treatment,
+        invoice.amount,
+        invoice.currency,
+        invoice.customer_name,
+        invoice.customer_email,
+        invoice.customer_country,
+        invoice.customer_vat_id,
+        invoice.payment_method,
+        invoice.payment_reference,
+        issuedAt.toISOString(),
+        invoice.type,
+        year
+      ], (err) => {
+        if (err) {
+          logger.error('Error issuing invoice:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    const issued = await Invoice.findById(invoice.id);
+    logger.info(`Issued ${issued.type} ${issued.number} for payment ${issued.payment_id}`);
+    return issued;
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM invoices WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding invoice by ID:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Invoice(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findInvoiceForPayment(paymentId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM invoices WHERE payment_id = ? AND type = 'invoice'", [paymentId], (err, row) => {
+        if (err) {
+          logger.error('Error finding invoice for payment:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Invoice(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByRefundId(refundId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM invoices WHERE refund_id = ?', [refundId], (err, row) => {
+        if (err) {
+          logger.error('Error finding credit note by refund ID:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Invoice(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findCreditNotes(invoiceId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM invoices WHERE invoice_id = ? AND type = 'credit_note' ORDER BY sequence",
+        [invoiceId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error finding credit notes:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new Invoice(row)));
+          }
+        }
+      );
+    });
+  }
+}
+
+export default Invoice;
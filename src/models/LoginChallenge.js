@@ -0,0 +1,74 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class LoginChallenge {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.attempts = data.attempts || 0;
+    this.created_at = data.created_at;
+  }
+
+  static async create(challengeData) {
+    const challenge = new LoginChallenge(challengeData);
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO login_challenges (id, user_id) VALUES (?, ?)',
+        [challenge.id, challenge.user_id],
+        (err) => {
+          if (err) {
+            logger.error('Error creating login challenge:', err);
+            reject(err);
+          } else {
+            resolve(challenge);
+          }
+        }
+      );
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM login_challenges WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding login challenge:', err);
+          reject(err);
+        } else {
+          resolve(row ? new LoginChallenge(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Count a code tried against this challenge. Counted before the code is checked, so codes
+   * sent at the same time cannot get past the limit together.
+   * @param {number} maxAttempts
+   * @returns {Promise<boolean>} False once the challenge has taken maxAttempts codes
+   */
+  async claimAttempt(maxAttempts) {
+    const claimed = await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE login_challenges SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+        [this.id, maxAttempts],
+        function(err) {
+          if (err) {
+            logger.error('Error counting login challenge attempt:', err);
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+
+    if (claimed) {
+      this.attempts += 1;
+    }
+    return claimed;
+  }
+}
+
+export default LoginChallenge;
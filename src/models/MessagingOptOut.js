@@ -0,0 +1,100 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+export const MESSAGING_CHANNELS = ['whatsapp', 'sms'];
+
+class MessagingOptOut {
+  constructor(data) {
+    this.phone = data.phone;
+    this.channel = data.channel;
+    // 'reply' when the customer answered STOP, 'admin' when staff recorded it for them
+    this.source = data.source;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Record an opt-out. Opting out again keeps the original entry.
+   * @param {Object} optOutData - { phone (E.164), channel, source }
+   * @returns {Promise<MessagingOptOut>}
+   */
+  static async create(optOutData) {
+    const optOut = new MessagingOptOut(optOutData);
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT OR IGNORE INTO messaging_opt_outs (phone, channel, source) VALUES (?, ?, ?)',
+        [optOut.phone, optOut.channel, optOut.source],
+        (err) => {
+          if (err) {
+            logger.error('Error recording messaging opt-out:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+
+    logger.info(`${optOut.phone} opted out of ${optOut.channel} messages (${optOut.source})`);
+    return MessagingOptOut.find(optOut.phone, optOut.channel);
+  }
+
+  static async find(phone, channel) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM messaging_opt_outs WHERE phone = ? AND channel = ?',
+        [phone, channel],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding messaging opt-out:', err);
+            reject(err);
+          } else {
+            resolve(row ? new MessagingOptOut(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  static async findAll({ channel, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM messaging_opt_outs
+        ${channel ? 'WHERE channel = ?' : ''}
+        ORDER BY created_at DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      db.all(query, [...(channel ? [channel] : []), limit, offset], (err, rows) => {
+        if (err) {
+          logger.error('Error listing messaging opt-outs:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new MessagingOptOut(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Lift an opt-out
+   * @returns {Promise<boolean>} False if the number had not opted out
+   */
+  static async delete(phone, channel) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM messaging_opt_outs WHERE phone = ? AND channel = ?', [phone, channel], function(err) {
+        if (err) {
+          logger.error('Error deleting messaging opt-out:', err);
+          reject(err);
+        } else {
+          if (this.changes > 0) {
+            logger.info(`${phone} opted back in to ${channel} messages`);
+          }
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+}
+
+export default MessagingOptOut;
@@ -0,0 +1,270 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class Notification {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.channel = data.channel || 'email';
+    this.template = data.template;
+    this.recipient = data.recipient;
+    this.subject = data.subject;
+    this.body = data.body;
+    // References to what is attached, e.g. [{ type: 'invoice', id }] or [{ type: 'calendar', id, audience }];
+    // rendered when the message is sent
+    this.attachments = typeof data.attachments === 'string' ? JSON.parse(data.attachments) : (data.attachments || []);
+    this.payment_id = data.payment_id || null;
+    this.appointment_id = data.appointment_id || null;
+    this.dedupe_key = data.dedupe_key || null;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.next_attempt_at = data.next_attempt_at;
+    this.last_error = data.last_error;
+    this.provider_message_id = data.provider_message_id;
+    this.sent_at = data.sent_at;
+    // What the provider reported after accepting the message, e.g. delivered, read or undelivered
+    this.delivery_status = data.delivery_status;
+    this.delivery_updated_at = data.delivery_updated_at;
+    this.created_at = data.created_at;
+  }
+
+  static async create(notificationData) {
+    const notification = new Notification({
+      next_attempt_at: new Date().toISOString(),
+      ...notificationData
+    });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO notifications (
+          id, channel, template, recipient, subject, body, attachments, payment_id, appointment_id,
+          dedupe_key, status, attempts, next_attempt_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        notification.id,
+        notification.channel,
+        notification.template,
+        notification.recipient,
+        notification.subject,
+        notification.body,
+        JSON.stringify(notification.attachments),
+        notification.payment_id,
+        notification.appointment_id,
+        notification.dedupe_key,
+        notification.status,
+        notification.attempts,
+        notification.next_attempt_at
+      ], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          logger.info(`Queued ${notification.template} ${notification.channel} ${notification.id}`);
+          resolve(notification);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM notifications WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding notification:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Notification(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByDedupeKey(dedupeKey) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM notifications WHERE dedupe_key = ?', [dedupeKey], (err, row) => {
+        if (err) {
+          logger.error('Error finding notification by dedupe key:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Notification(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByPaymentId(paymentId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM notifications WHERE payment_id = ? ORDER BY created_at ASC',
+        [paymentId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error finding notifications for payment:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new Notification(row)));
+          }
+        }
+      );
+    });
+  }
+
+  static async findByProviderMessageId(channel, providerMessageId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM notifications WHERE channel = ? AND provider_message_id = ?',
+        [channel, providerMessageId],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding notification by provider message ID:', err);
+            reject(err);
+          } else {
+            resolve(row ? new Notification(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * The delivery log, newest first
+   * @param {Object} filters - { channel, status, template, recipient, payment_id, appointment_id, limit, offset }
+   * @returns {Promise<Array<Notification>>}
+   */
+  static async findAll({ channel, status, template, recipient, payment_id, appointment_id, limit = 50, offset = 0 } = {}) {
+    const filters = { channel, status, template, recipient, payment_id, appointment_id };
+    const columns = Object.keys(filters).filter(column => filters[column] !== undefined);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM notifications
+        WHERE ${['1=1', ...columns.map(column => `${column} = ?`)].join(' AND ')}
+        ORDER BY created_at DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      db.all(query, [...columns.map(column => filters[column]), limit, offset], (err, rows) => {
+        if (err) {
+          logger.error('Error listing notifications:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Notification(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Pending messages whose next attempt is due, oldest first.
+   * @param {number} limit
+   * @returns {Promise<Array<Notification>>}
+   */
+  static async findDue(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM notifications
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC
+        LIMIT ?
+      `;
+
+      db.all(query, [new Date().toISOString(), limit], (err, rows) => {
+        if (err) {
+          logger.error('Error finding notifications due:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Notification(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Take the message for one more delivery attempt. next_attempt_at is pushed out first, so a
+   * message whose attempt never finishes (the process died) becomes due again on its own.
+   * @param {string} nextAttemptAt - When to try again should this attempt not finish
+   * @returns {Promise<boolean>} False if someone else took it first or it is not due
+   */
+  async claimAttempt(nextAttemptAt) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE notifications
+        SET attempts = attempts + 1, next_attempt_at = ?
+        WHERE id = ? AND attempts = ? AND status = 'pending' AND next_attempt_at <= ?
+      `;
+
+      const notification = this;
+      db.run(query, [nextAttemptAt, this.id, this.attempts, new Date().toISOString()], function(err) {
+        if (err) {
+          logger.error('Error claiming notification:', err);
+          reject(err);
+        } else if (this.changes === 1) {
+          notification.attempts += 1;
+          notification.next_attempt_at = nextAttemptAt;
+          resolve(true);
+        } else {
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  async markSent(providerMessageId) {
+    return this.update({
+      status: 'sent',
+      provider_message_id: providerMessageId || null,
+      last_error: null,
+      next_attempt_at: null,
+      sent_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a failed attempt and either schedule the next one or give up on the message.
+   * @param {string} errorMessage
+   * @param {string|null} nextAttemptAt - When to try again, or null to give up
+   */
+  async markFailed(errorMessage, nextAttemptAt) {
+    return this.update({
+      status: nextAttemptAt ? 'pending' : 'failed',
+      last_error: errorMessage,
+      next_attempt_at: nextAttemptAt
+    });
+  }
+
+  /**
+   * Record a delivery report from the provider
+   * @param {string} deliveryStatus - e.g. delivered, read, undelivered, failed
+   * @param {string} [errorMessage] - Why delivery failed, if it did
+   */
+  async recordDelivery(deliveryStatus, errorMessage) {
+    return this.update({
+      delivery_status: deliveryStatus,
+      delivery_updated_at: new Date().toISOString(),
+      ...(errorMessage && { last_error: errorMessage })
+    });
+  }
+
+  async update(fields) {
+    const columns = Object.keys(fields);
+    const values = columns.map(column => fields[column]);
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE notifications SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating notification:', err);
+          reject(err);
+        } else {
+          Object.assign(this, fields);
+          resolve(this);
+        }
+      });
+    });
+  }
+}
+
+export default Notification;
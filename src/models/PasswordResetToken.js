@@ -0,0 +1,105 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class PasswordResetToken {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at || null;
+    this.created_at = data.created_at;
+  }
+
+  static async create(tokenData) {
+    const token = new PasswordResetToken(tokenData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        token.id,
+        token.user_id,
+        token.token_hash,
+        token.expires_at
+      ], (err) => {
+        if (err) {
+          logger.error('Error creating password reset token:', err);
+          reject(err);
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  // Used and expired tokens are not found
+  static async findUsable(tokenHash, now = new Date()) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+        [tokenHash, now.toISOString()],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding password reset token:', err);
+            reject(err);
+          } else {
+            resolve(row ? new PasswordResetToken(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Use up this token and any other the user still holds
+   * @returns {Promise<boolean>} False if this token was used meanwhile
+   */
+  async use() {
+    const usedAt = new Date().toISOString();
+
+    const claimed = await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+        [usedAt, this.id],
+        function(err) {
+          if (err) {
+            logger.error('Error using password reset token:', err);
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+
+    if (claimed) {
+      await PasswordResetToken.invalidateForUser(this.user_id);
+      this.used_at = usedAt;
+    }
+    return claimed;
+  }
+
+  static async invalidateForUser(userId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+        [new Date().toISOString(), userId],
+        (err) => {
+          if (err) {
+            logger.error('Error invalidating password reset tokens:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+}
+
+export default PasswordResetToken;
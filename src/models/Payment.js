@@ -2,6 +2,10 @@ import db from '../database/database.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 
+// Metadata that works like a credential for the payment, e.g. Stripe's client secret or Paystack's access code
+const SECRET_METADATA_KEYS = ['client_secret', 'redirect_url'];
+const REDACTED = '[redacted]';
+
 class Payment {
   constructor(data) {
     this.id = data.id || uuidv4();
@@ -17,6 +21,13 @@ class Payment {
     this.payment_method = data.payment_method;
     this.customer_email = data.customer_email;
     this.customer_name = data.customer_name;
+    // VAT breakdown in minor units; amount is the gross the customer pays
+    this.customer_country = data.customer_country;
+    this.customer_vat_id = data.customer_vat_id;
+    this.net_amount = data.net_amount;
+    this.tax_amount = data.tax_amount;
+    this.tax_rate = data.tax_rate;
+    this.tax_treatment = data.tax_treatment;
     this.metadata = typeof data.metadata === 'string' ? data.metadata : JSON.stringify(data.metadata || {});
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
@@ -30,8 +41,9 @@ class Payment {
         INSERT INTO payments (
           id, appointment_id, user_id, consultation_id, provider, 
           provider_payment_id, provider_customer_id, amount, currency, 
-          status, payment_method, customer_email, customer_name, metadata
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          status, payment_method, customer_email, customer_name, customer_country,
+          customer_vat_id, net_amount, tax_amount, tax_rate, tax_treatment, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       db.run(query, [
@@ -48,6 +60,12 @@ class Payment {
         payment.payment_method,
         payment.customer_email,
         payment.customer_name,
+        payment.customer_country,
+        payment.customer_vat_id,
+        payment.net_amount,
+        payment.tax_amount,
+        payment.tax_rate,
+        payment.tax_treatment,
         payment.metadata
       ], function(err) {
         if (err) {
@@ -91,6 +109,30 @@ class Payment {
     });
   }
 
+  /**
+   * Pending payments whose deadline for paying has passed. Only payments left open for days, such as
+   * bank transfers, have a deadline.
+   * @param {string} now - ISO timestamp
+   * @returns {Promise<Array<Payment>>}
+   */
+  static async findOverdue(now) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE status = 'pending' AND json_extract(metadata, '$.payment_deadline') <= ?
+      `;
+
+      db.all(query, [now], (err, rows) => {
+        if (err) {
+          logger.error('Error finding overdue payments:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Payment(row)));
+        }
+      });
+    });
+  }
+
   static async findByUserId(userId, limit = 10, offset = 0) {
     return new Promise((resolve, reject) => {
       const query = `
@@ -145,12 +187,54 @@ class Payment {
 
       const query = `UPDATE payments SET ${updates.join(', ')} WHERE id = ?`;
 
-      db.run(query, values, function(err) {
+      db.run(query, values, (err) => {
         if (err) {
           logger.error('Error updating payment status:', err);
           reject(err);
         } else {
           logger.info(`Payment ${this.id} status updated to ${status}`);
+          this.status = status;
+          if (additionalData.provider_payment_id) this.provider_payment_id = additionalData.provider_payment_id;
+          if (additionalData.provider_customer_id) this.provider_customer_id = additionalData.provider_customer_id;
+          if (additionalData.payment_method) this.payment_method = additionalData.payment_method;
+          if (additionalData.metadata) {
+            this.metadata = typeof additionalData.metadata === 'string' ?
+                            additionalData.metadata : JSON.stringify(additionalData.metadata);
+          }
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async linkAppointment(appointmentId) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE payments SET appointment_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      db.run(query, [appointmentId, this.id], (err) => {
+        if (err) {
+          logger.error('Error linking payment to appointment:', err);
+          reject(err);
+        } else {
+          this.appointment_id = appointmentId;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // Replace the VAT breakdown; what the customer paid stays as it is
+  async updateTax({ net_amount, tax_amount, tax_rate, tax_treatment }) {
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE payments SET net_amount = ?, tax_amount = ?, tax_rate = ?, tax_treatment = ?,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+      db.run(query, [net_amount, tax_amount, tax_rate, tax_treatment, this.id], (err) => {
+        if (err) {
+          logger.error('Error updating payment tax:', err);
+          reject(err);
+        } else {
+          Object.assign(this, { net_amount, tax_amount, tax_rate, tax_treatment });
           resolve(this);
         }
       });
@@ -182,6 +266,70 @@ class Payment {
     });
   }
 
+  // VAT on payments that went through, per currency and treatment, for the tax return
+  static async getTaxStats(startDate, endDate) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          currency,
+          tax_treatment,
+          tax_rate,
+          COUNT(*) as count,
+          SUM(net_amount) as net_amount,
+          SUM(tax_amount) as tax_amount,
+          SUM(amount) as gross_amount
+        FROM payments
+        WHERE created_at BETWEEN ? AND ?
+          AND status IN ('succeeded', 'partially_refunded', 'refunded')
+          AND tax_treatment IS NOT NULL
+        GROUP BY currency, tax_treatment, tax_rate
+      `;
+
+      db.all(query, [startDate, endDate], (err, rows) => {
+        if (err) {
+          logger.error('Error getting tax stats:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // What the customer finishing a checkout gets back: the outcome and what was charged, without the metadata
+  // that holds the client secret and gateway details
+  toPublicJSON() {
+    return {
+      id: this.id,
+      consultation_id: this.consultation_id,
+      appointment_id: this.appointment_id,
+      provider: this.provider,
+      amount: this.amount,
+      currency: this.currency,
+      status: this.status,
+      payment_method: this.payment_method,
+      net_amount: this.net_amount,
+      tax_amount: this.tax_amount,
+      tax_rate: this.tax_rate,
+      tax_treatment: this.tax_treatment,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  // The payment as the audit log records it: the client secret and the checkout link let whoever
+  // holds them pay or see the payment, so they are left out of the metadata
+  toAuditJSON() {
+    const obj = this.toJSON();
+    const metadata = { ...obj.metadata };
+    SECRET_METADATA_KEYS.forEach((key) => {
+      if (metadata[key] !== undefined) {
+        metadata[key] = REDACTED;
+      }
+    });
+    return { ...obj, metadata };
+  }
+
   toJSON() {
     const obj = { ...this };
     if (typeof obj.metadata === 'string') {
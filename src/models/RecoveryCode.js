@@ -0,0 +1,92 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class RecoveryCode {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    this.code_hash = data.code_hash;
+    this.used_at = data.used_at || null;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Give the user a new set of codes in place of any they had
+   * @param {string} userId
+   * @param {Array<string>} codeHashes
+   */
+  static async replaceForUser(userId, codeHashes) {
+    await RecoveryCode.deleteForUser(userId);
+
+    for (const codeHash of codeHashes) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          'INSERT INTO recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+          [uuidv4(), userId, codeHash],
+          (err) => {
+            if (err) {
+              logger.error('Error creating recovery code:', err);
+              reject(err);
+            } else {
+              resolve();
+            }
+          }
+        );
+      });
+    }
+  }
+
+  /**
+   * Use up the user's code with this hash
+   * @returns {Promise<boolean>} False if the user has no such unused code
+   */
+  static async use(userId, codeHash) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [new Date().toISOString(), userId, codeHash],
+        function(err) {
+          if (err) {
+            logger.error('Error using recovery code:', err);
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+  }
+
+  static async countUnused(userId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId],
+        (err, row) => {
+          if (err) {
+            logger.error('Error counting recovery codes:', err);
+            reject(err);
+          } else {
+            resolve(row.count);
+          }
+        }
+      );
+    });
+  }
+
+  static async deleteForUser(userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], (err) => {
+        if (err) {
+          logger.error('Error deleting recovery codes:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+export default RecoveryCode;
@@ -0,0 +1,114 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class RefreshToken {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.user_id = data.user_id;
+    // Every token issued from one login, so a stolen token can be cut off with all its successors
+    this.family_id = data.family_id || this.id;
+    this.token_hash = data.token_hash;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at || null;
+    // The token issued in exchange for this one
+    this.replaced_by = data.replaced_by || null;
+    // The login passed a second factor; carried on to every token of the family
+    this.two_factor = !!data.two_factor;
+    this.created_at = data.created_at;
+  }
+
+  static async create(tokenData) {
+    const token = new RefreshToken(tokenData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at, two_factor)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        token.id,
+        token.user_id,
+        token.family_id,
+        token.token_hash,
+        token.expires_at,
+        token.two_factor ? 1 : 0
+      ], (err) => {
+        if (err) {
+          logger.error('Error creating refresh token:', err);
+          reject(err);
+        } else {
+          resolve(token);
+        }
+      });
+    });
+  }
+
+  static async findByTokenHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash], (err, row) => {
+        if (err) {
+          logger.error('Error finding refresh token:', err);
+          reject(err);
+        } else {
+          resolve(row ? new RefreshToken(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Revoke the token unless it already was. Only one of two concurrent refreshes wins.
+   * @param {string|null} replacedBy - The ID of the token that takes its place
+   * @returns {Promise<boolean>} False if it was already revoked
+   */
+  async revoke(replacedBy = null) {
+    const revokedAt = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+        [revokedAt, replacedBy, this.id],
+        function(err) {
+          if (err) {
+            logger.error('Error revoking refresh token:', err);
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+  }
+
+  static async revokeFamily(familyId) {
+    return revokeWhere('family_id = ?', [familyId]);
+  }
+
+  static async revokeAllForUser(userId) {
+    return revokeWhere('user_id = ?', [userId]);
+  }
+
+  isExpired(now = new Date()) {
+    return new Date(this.expires_at) <= now;
+  }
+}
+
+// Returns how many tokens were still active
+const revokeWhere = (condition, params) => new Promise((resolve, reject) => {
+  db.run(
+    `UPDATE refresh_tokens SET revoked_at = ? WHERE ${condition} AND revoked_at IS NULL`,
+    [new Date().toISOString(), ...params],
+    function(err) {
+      if (err) {
+        logger.error('Error revoking refresh tokens:', err);
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    }
+  );
+});
+
+export default RefreshToken;
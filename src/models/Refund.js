@@ -0,0 +1,242 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Refunds in these statuses take money out of the payment's refundable balance
+export const COUNTED_REFUND_STATUSES = ['pending', 'succeeded'];
+
+const countedList = COUNTED_REFUND_STATUSES.map(status => `'${status}'`).join(', ');
+
+class Refund {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.payment_id = data.payment_id;
+    this.provider = data.provider;
+    this.provider_refund_id = data.provider_refund_id;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.status = data.status || 'pending';
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create(refundData) {
+    const refund = new Refund(refundData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO refunds (
+          id, payment_id, provider, provider_refund_id, amount, currency, status, reason
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        refund.id,
+        refund.payment_id,
+        refund.provider,
+        refund.provider_refund_id,
+        refund.amount,
+        refund.currency,
+        refund.status,
+        refund.reason
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating refund:', err);
+          reject(err);
+        } else {
+          resolve(refund);
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a pending refund, but only if the payment's refundable balance covers it. The balance
+   * check and the insert are one statement, so concurrent refunds cannot overdraw the payment.
+   * @param {Object} refundData - payment_id, provider, amount, currency, reason
+   * @returns {Promise<Refund|null>} Null if the balance does not cover the amount
+   */
+  static async reserve(refundData) {
+    const refund = new Refund({ ...refundData, status: 'pending' });
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO refunds (id, payment_id, provider, amount, currency, status, reason)
+        SELECT ?, ?, ?, ?, ?, ?, ?
+        WHERE (SELECT amount FROM payments WHERE id = ?) - (
+          SELECT COALESCE(SUM(amount), 0) FROM refunds
+          WHERE payment_id = ? AND status IN (${countedList})
+        ) >= ?
+      `;
+
+      db.run(query, [
+        refund.id,
+        refund.payment_id,
+        refund.provider,
+        refund.amount,
+        refund.currency,
+        refund.status,
+        refund.reason,
+        refund.payment_id,
+        refund.payment_id,
+        refund.amount
+      ], function(err) {
+        if (err) {
+          logger.error('Error reserving refund:', err);
+          reject(err);
+        } else {
+          resolve(this.changes === 1 ? refund : null);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM refunds WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding refund:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Refund(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByProviderRefundId(provider, providerRefundId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM refunds WHERE provider = ? AND provider_refund_id = ?',
+        [provider, providerRefundId],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding refund by provider refund ID:', err);
+            reject(err);
+          } else {
+            resolve(row ? new Refund(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * The oldest refund of the given amount that is still waiting for its provider refund ID.
+   * Lets a refund webhook that overtakes the API response find the refund it belongs to.
+   */
+  static async findUnattached(paymentId, amount) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM refunds
+        WHERE payment_id = ? AND amount = ? AND provider_refund_id IS NULL
+        ORDER BY created_at ASC
+        LIMIT 1
+      `;
+
+      db.get(query, [paymentId, amount], (err, row) => {
+        if (err) {
+          logger.error('Error finding unattached refund:', err);
+          reject(err);
+        } else {
+          resolve(row ? new Refund(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByPaymentId(paymentId) {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM refunds WHERE payment_id = ? ORDER BY created_at ASC', [paymentId], (err, rows) => {
+        if (err) {
+          logger.error('Error finding refunds by payment ID:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Refund(row)));
+        }
+      });
+    });
+  }
+
+  // Sum of the payment's pending and succeeded refunds, in minor units
+  static async getRefundedAmount(paymentId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+        WHERE payment_id = ? AND status IN (${countedList})
+      `;
+
+      db.get(query, [paymentId], (err, row) => {
+        if (err) {
+          logger.error('Error summing refunds:', err);
+          reject(err);
+        } else {
+          resolve(row.refunded);
+        }
+      });
+    });
+  }
+
+  /**
+   * Link the refund to the provider's refund, unless a webhook already did.
+   * @returns {Promise<boolean>} False if the refund was linked already
+   */
+  async attach(providerRefundId, status) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE refunds SET provider_refund_id = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND provider_refund_id IS NULL
+      `;
+
+      const refund = this;
+      db.run(query, [providerRefundId, status, this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 1) {
+          refund.provider_refund_id = providerRefundId;
+          refund.status = status;
+          resolve(true);
+        } else {
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  async updateStatus(status) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE refunds SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      db.run(query, [status, this.id], (err) => {
+        if (err) {
+          logger.error('Error updating refund status:', err);
+          reject(err);
+        } else {
+          logger.info(`Refund ${this.id} status updated to ${status}`);
+          this.status = status;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async delete() {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM refunds WHERE id = ?', [this.id], (err) => {
+        if (err) {
+          logger.error('Error deleting refund:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  countsAgainstBalance() {
+    return COUNTED_REFUND_STATUSES.includes(this.status);
+  }
+}
+
+export default Refund;
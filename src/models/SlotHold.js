@@ -0,0 +1,152 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class SlotHold {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.consultation_id = data.consultation_id;
+    this.date = data.date;
+    this.time = data.time;
+    this.status = data.status || 'active';
+    this.payment_id = data.payment_id;
+    this.appointment_id = data.appointment_id;
+    this.expires_at = data.expires_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create(holdData) {
+    const hold = new SlotHold(holdData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO slot_holds (
+          id, consultation_id, date, time, status, payment_id, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        hold.id,
+        hold.consultation_id,
+        hold.date,
+        hold.time,
+        hold.status,
+        hold.payment_id,
+        hold.expires_at
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating slot hold:', err);
+          reject(err);
+        } else {
+          logger.info(`Slot hold created for ${hold.date} ${hold.time}: ${hold.id}`);
+          resolve(hold);
+        }
+      });
+    });
+  }
+
+  static async findByPaymentId(paymentId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM slot_holds WHERE payment_id = ? ORDER BY created_at DESC LIMIT 1',
+        [paymentId],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding slot hold by payment ID:', err);
+            reject(err);
+          } else if (row) {
+            resolve(new SlotHold(row));
+          } else {
+            resolve(null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Times on a date that are held by an unexpired active hold.
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Array<string>>}
+   */
+  static async findHeldTimes(date) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT time FROM slot_holds
+        WHERE date = ? AND status = 'active' AND expires_at > ?
+      `;
+
+      db.all(query, [date, new Date().toISOString()], (err, rows) => {
+        if (err) {
+          logger.error('Error finding held times:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.time));
+        }
+      });
+    });
+  }
+
+  /**
+   * Mark every active hold whose TTL has passed as expired.
+   * @returns {Promise<number>} Number of holds expired
+   */
+  static async expireStale() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE slot_holds SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND expires_at <= ?
+      `;
+
+      db.run(query, [new Date().toISOString()], function(err) {
+        if (err) {
+          logger.error('Error expiring slot holds:', err);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async updateStatus(status, additionalData = {}) {
+    const updates = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+    const values = [status];
+
+    if (additionalData.payment_id) {
+      updates.push('payment_id = ?');
+      values.push(additionalData.payment_id);
+    }
+
+    if (additionalData.appointment_id) {
+      updates.push('appointment_id = ?');
+      values.push(additionalData.appointment_id);
+    }
+
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE slot_holds SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating slot hold status:', err);
+          reject(err);
+        } else {
+          logger.info(`Slot hold ${this.id} status updated to ${status}`);
+          this.status = status;
+          if (additionalData.payment_id) this.payment_id = additionalData.payment_id;
+          if (additionalData.appointment_id) this.appointment_id = additionalData.appointment_id;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  isExpired() {
+    return this.expires_at <= new Date().toISOString();
+  }
+}
+
+export default SlotHold;
@@ -0,0 +1,50 @@
+import db from '../database/database.js';
+import logger from '../utils/logger.js';
+
+// Roles whose members need a second factor for their permissions; a row per role that does
+class TwoFactorRole {
+  static async findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT role FROM two_factor_roles ORDER BY role', [], (err, rows) => {
+        if (err) {
+          logger.error('Error listing two-factor roles:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.role));
+        }
+      });
+    });
+  }
+
+  static async isRequired(role) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT role FROM two_factor_roles WHERE role = ?', [role], (err, row) => {
+        if (err) {
+          logger.error('Error finding two-factor role:', err);
+          reject(err);
+        } else {
+          resolve(!!row);
+        }
+      });
+    });
+  }
+
+  static async setRequired(role, required) {
+    const query = required
+      ? 'INSERT INTO two_factor_roles (role) VALUES (?) ON CONFLICT(role) DO NOTHING'
+      : 'DELETE FROM two_factor_roles WHERE role = ?';
+
+    return new Promise((resolve, reject) => {
+      db.run(query, [role], (err) => {
+        if (err) {
+          logger.error('Error updating two-factor role:', err);
+          reject(err);
+        } else {
+          resolve(required);
+        }
+      });
+    });
+  }
+}
+
+export default TwoFactorRole;
@@ -0,0 +1,158 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class User {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.email = data.email;
+    this.name = data.name;
+    this.phone = data.phone;
+    // Null for customers who booked as guests and never set a password
+    this.password_hash = data.password_hash || null;
+    this.role = data.role || 'customer';
+    // Base32 TOTP secret; only in use once totp_enabled_at is set
+    this.totp_secret = data.totp_secret || null;
+    this.totp_enabled_at = data.totp_enabled_at || null;
+    // Time step of the last code accepted, so no code works twice
+    this.totp_last_step = data.totp_last_step ?? null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create(userData) {
+    const user = new User(userData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO users (id, email, name, phone, password_hash, role)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        user.id,
+        user.email,
+        user.name,
+        user.phone,
+        user.password_hash,
+        user.role
+      ], function(err) {
+        if (err) {
+          logger.error('Error creating user:', err);
+          reject(err);
+        } else {
+          logger.info(`User created with ID: ${user.id}`);
+          resolve(user);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding user by ID:', err);
+          reject(err);
+        } else if (row) {
+          resolve(new User(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  static async findByEmail(email) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM users WHERE email = ?', [email.toLowerCase()], (err, row) => {
+        if (err) {
+          logger.error('Error finding user by email:', err);
+          reject(err);
+        } else if (row) {
+          resolve(new User(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  static async findByRoles(roles) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM users WHERE role IN (${roles.map(() => '?').join(', ')}) ORDER BY role, name`,
+        roles,
+        (err, rows) => {
+          if (err) {
+            logger.error('Error finding users by role:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => new User(row)));
+          }
+        }
+      );
+    });
+  }
+
+  // Customers book without an account, so the email address identifies them. Anyone can give any address,
+  // so what is stored for an existing customer, such as the number their reminders go to, is left alone.
+  static async findOrCreateByEmail({ email, name, phone }) {
+    const existing = await User.findByEmail(email);
+    if (existing) {
+      return existing;
+    }
+
+    return User.create({ email: email.toLowerCase(), name, phone });
+  }
+
+  async update(fields) {
+    const columns = Object.keys(fields);
+    const values = columns.map(column => fields[column]);
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating user:', err);
+          reject(err);
+        } else {
+          Object.assign(this, fields);
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  /**
+   * Take the time step of an accepted code, unless that or a later one was already used
+   * @param {number} step
+   * @returns {Promise<boolean>} False if the code was used before
+   */
+  async useTotpStep(step) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, this.id, step],
+        function(err) {
+          if (err) {
+            logger.error('Error recording TOTP step:', err);
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+  }
+
+  // The password hash and TOTP secret stay in the database
+  toJSON() {
+    const { password_hash, totp_secret, totp_last_step, ...user } = this;
+    return { ...user, has_password: !!password_hash, two_factor_enabled: !!this.totp_enabled_at };
+  }
+}
+
+export default User;
@@ -0,0 +1,199 @@
+import db from '../database/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+class WebhookLog {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.provider = data.provider;
+    this.event_type = data.event_type;
+    this.event_id = data.event_id;
+    this.payload = data.payload;
+    this.signature = data.signature;
+    this.processed = !!data.processed;
+    this.error_message = data.error_message;
+    this.attempts = data.attempts || 0;
+    this.next_retry_at = data.next_retry_at;
+    this.dead_lettered_at = data.dead_lettered_at;
+    this.created_at = data.created_at;
+  }
+
+  static async create(logData) {
+    const log = new WebhookLog(logData);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO webhook_logs (
+          id, provider, event_type, event_id, payload, signature, error_message, attempts, next_retry_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        log.id,
+        log.provider,
+        log.event_type,
+        log.event_id,
+        log.payload,
+        log.signature,
+        log.error_message,
+        log.attempts,
+        log.next_retry_at
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(log);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_logs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error('Error finding webhook log:', err);
+          reject(err);
+        } else {
+          resolve(row ? new WebhookLog(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByEventId(provider, eventId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM webhook_logs WHERE provider = ? AND event_id = ?',
+        [provider, eventId],
+        (err, row) => {
+          if (err) {
+            logger.error('Error finding webhook log by event ID:', err);
+            reject(err);
+          } else {
+            resolve(row ? new WebhookLog(row) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Failed deliveries whose next retry is due, oldest first.
+   * @param {number} limit
+   * @returns {Promise<Array<WebhookLog>>}
+   */
+  static async findDueForRetry(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM webhook_logs
+        WHERE processed = FALSE AND dead_lettered_at IS NULL AND next_retry_at <= ?
+        ORDER BY next_retry_at ASC
+        LIMIT ?
+      `;
+
+      db.all(query, [new Date().toISOString(), limit], (err, rows) => {
+        if (err) {
+          logger.error('Error finding webhooks due for retry:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookLog(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Take the delivery for one more processing attempt. next_retry_at is pushed out first, so a
+   * delivery whose attempt never finishes (the process died) becomes due again on its own.
+   * @param {string} nextRetryAt - When to try again should this attempt not finish
+   * @param {Object} options - { force: take it even if it is not due or was dead-lettered }
+   * @returns {Promise<boolean>} False if someone else took it first or it is not due
+   */
+  async claimAttempt(nextRetryAt, { force = false } = {}) {
+    const conditions = ['id = ?', 'attempts = ?', 'processed = FALSE'];
+    const values = [nextRetryAt, this.id, this.attempts];
+
+    if (!force) {
+      conditions.push('dead_lettered_at IS NULL', 'next_retry_at <= ?');
+      values.push(new Date().toISOString());
+    }
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE webhook_logs
+        SET attempts = attempts + 1, next_retry_at = ?, dead_lettered_at = NULL
+        WHERE ${conditions.join(' AND ')}
+      `;
+
+      const log = this;
+      db.run(query, values, function(err) {
+        if (err) {
+          logger.error('Error claiming webhook log:', err);
+          reject(err);
+        } else if (this.changes === 1) {
+          log.attempts += 1;
+          log.next_retry_at = nextRetryAt;
+          log.dead_lettered_at = null;
+          resolve(true);
+        } else {
+          resolve(false);
+        }
+      });
+    });
+  }
+
+  async markProcessed(eventType) {
+    return this.update({
+      processed: true,
+      error_message: null,
+      next_retry_at: null,
+      ...(eventType && { event_type: eventType })
+    });
+  }
+
+  /**
+   * Record a failed attempt and either schedule the next one or give up on the delivery.
+   * @param {string} errorMessage
+   * @param {string|null} nextRetryAt - When to retry, or null to dead-letter the delivery
+   */
+  async markFailed(errorMessage, nextRetryAt) {
+    return this.update({
+      processed: false,
+      error_message: errorMessage,
+      next_retry_at: nextRetryAt,
+      dead_lettered_at: nextRetryAt ? null : new Date().toISOString()
+    });
+  }
+
+  async update(fields) {
+    const columns = Object.keys(fields);
+    const values = columns.map(column => fields[column]);
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const query = `UPDATE webhook_logs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+
+      db.run(query, values, (err) => {
+        if (err) {
+          logger.error('Error updating webhook log:', err);
+          reject(err);
+        } else {
+          Object.assign(this, fields);
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  // Only deliveries that passed signature verification are ever attempted
+  isVerified() {
+    return this.attempts > 0;
+  }
+
+  isDeadLettered() {
+    return !!this.dead_lettered_at;
+  }
+}
+
+export default WebhookLog;
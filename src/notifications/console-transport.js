@@ -0,0 +1,17 @@
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+/**
+ * Logs who each email is for instead of sending it; the default in development. The body is left out
+ * of the log, as password reset and invitation emails carry links that log in.
+ */
+class ConsoleTransport {
+  async send({ to, subject, attachments = [] }) {
+    const attached = attachments.map(attachment => attachment.filename).join(', ');
+    logger.info(`Email to ${to}: ${subject}${attached ? ` [${attached}]` : ''}`);
+
+    return { messageId: `console-${randomUUID()}` };
+  }
+}
+
+export default ConsoleTransport;
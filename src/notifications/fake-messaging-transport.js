@@ -0,0 +1,23 @@
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+/**
+ * Logs WhatsApp and SMS messages instead of sending them and keeps them in memory; the default
+ * in tests, and refused anywhere else
+ */
+class FakeMessagingTransport {
+  constructor({ channel }) {
+    this.channel = channel;
+    this.sent = [];
+  }
+
+  async send({ to, text }) {
+    const messageId = `fake-${randomUUID()}`;
+    this.sent.push({ messageId, to, text });
+    logger.info(`${this.channel} message to ${to}: ${text}`);
+
+    return { messageId };
+  }
+}
+
+export default FakeMessagingTransport;
@@ -0,0 +1,26 @@
+import nodemailer from 'nodemailer';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Writes each email as an .eml file, attachments included, for local testing. The files open
+ * in any mail client.
+ */
+class FileTransport {
+  constructor({ directory }) {
+    this.directory = directory;
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    await mkdir(this.directory, { recursive: true });
+    const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+    await writeFile(join(this.directory, filename), info.message);
+
+    return { messageId: info.messageId };
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,33 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends email through an SMTP server
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} config - { host, port, secure (TLS from the start rather than STARTTLS), user, password }
+   */
+  constructor({ host, port = 587, secure = false, user, password }) {
+    if (!host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, text, attachments: [{ filename, content, contentType }] }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpTransport;
@@ -0,0 +1,161 @@
+// Notification templates, rendered when a message is queued. Each takes the details of what happened
+// and returns the subject and plain-text body. WhatsApp and SMS get a short message without a subject.
+
+const signature = ({ company_name }) => (company_name ? `\n\nKind regards,\n${company_name}` : '');
+
+const greeting = ({ customer_name }) => `Hello${customer_name ? ` ${customer_name}` : ''},`;
+
+const appointmentLine = ({ appointment }) => (appointment ? `\nAppointment: ${appointment}` : '');
+
+const templates = {
+  booking_confirmed: (context) => ({
+    subject: `Booking confirmed: ${context.consultation_title}`,
+    text: [
+      greeting(context),
+      '',
+      `thank you for your payment of ${context.amount}. Your booking is confirmed.`,
+      '',
+      `Consultation: ${context.consultation_title}${appointmentLine(context)}`,
+      `Reference: ${context.reference}`,
+      context.invoice_number && `\nYour invoice ${context.invoice_number} is attached.`
+    ].filter(line => typeof line === 'string').join('\n') + signature(context)
+  }),
+
+  booking_received: (context) => ({
+    subject: `New booking: ${context.consultation_title}${context.appointment ? `, ${context.appointment}` : ''}`,
+    text: [
+      'A booking has been paid and confirmed.',
+      '',
+      `Consultation: ${context.consultation_title}${appointmentLine(context)}`,
+      `Customer: ${[context.customer_name, context.customer_email, context.customer_phone].filter(Boolean).join(', ')}`,
+      `Paid: ${context.amount} via ${context.payment_method}`,
+      `Reference: ${context.reference}`
+    ].join('\n')
+  }),
+
+  payment_failed: (context) => ({
+    subject: `Your payment for ${context.consultation_title} did not go through`,
+    text: [
+      greeting(context),
+      '',
+      `your payment of ${context.amount} for ${context.consultation_title} did not go through` +
+        `${context.reason ? `: ${context.reason}` : '.'}`,
+      '',
+      'Nothing has been charged and your booking is not confirmed. You are welcome to book again ' +
+        'with another payment method.',
+      '',
+      `Reference: ${context.reference}`
+    ].join('\n') + signature(context)
+  }),
+
+  refund_issued: (context) => ({
+    subject: `Refund of ${context.amount} for ${context.consultation_title}`,
+    text: [
+      greeting(context),
+      '',
+      `we have refunded ${context.amount} for ${context.consultation_title}. Depending on your ` +
+        'bank it can take a few days to show up on your statement.',
+      context.cancelled && '\nAs the booking was refunded in full, your appointment has been cancelled.',
+      '',
+      `Reference: ${context.reference}`,
+      context.credit_note_number && `\nCredit note ${context.credit_note_number} is attached.`
+    ].filter(line => typeof line === 'string').join('\n') + signature(context)
+  }),
+
+  booking_slot_unavailable: (context) => ({
+    subject: `Your booking for ${context.consultation_title} could not be confirmed`,
+    text: [
+      greeting(context),
+      '',
+      `we received your payment of ${context.amount}, but by then the time you chose had been booked by someone else.`,
+      '',
+      context.refunded
+        ? 'We have refunded the full amount. Depending on your bank it can take a few days to show up on your statement.'
+        : 'We are sending the full amount back to the account you paid from.',
+      'You are welcome to book another time.',
+      '',
+      `Reference: ${context.reference}`
+    ].join('\n') + signature(context)
+  }),
+
+  refund_required: (context) => ({
+    subject: `Refund needed: ${context.reference}`,
+    text: [
+      'A payment came in after its slot had been booked by someone else. It could not be refunded ' +
+        'automatically, so please send the money back to the customer.',
+      '',
+      `Consultation: ${context.consultation_title}`,
+      `Customer: ${[context.customer_name, context.customer_email].filter(Boolean).join(', ')}`,
+      `Paid: ${context.amount} via ${context.payment_method}`,
+      `Reference: ${context.reference}`
+    ].join('\n')
+  }),
+
+  appointment_reminder: (context) => ({
+    subject: `Reminder: ${context.consultation_title} on ${context.appointment}`,
+    text: [
+      greeting(context),
+      '',
+      'this is a reminder of your upcoming consultation.',
+      '',
+      `Consultation: ${context.consultation_title}${appointmentLine(context)}`,
+      '',
+      'If you cannot make it, please let us know as soon as possible.'
+    ].join('\n') + signature(context)
+  }),
+
+  password_reset: (context) => ({
+    subject: 'Reset your password',
+    text: [
+      greeting(context),
+      '',
+      'we received a request to reset the password of your account. To choose a new one, open this link:',
+      '',
+      context.reset_url,
+      '',
+      `The link works once and expires in ${context.expires_in}. If you did not ask for it, you can ` +
+        'ignore this email and your password stays as it is.'
+    ].join('\n') + signature(context)
+  }),
+
+  staff_invitation: (context) => ({
+    subject: `You have been added as ${context.role}${context.company_name ? ` at ${context.company_name}` : ''}`,
+    text: [
+      greeting(context),
+      '',
+      `you now have a staff account with the role ${context.role}. To choose your password and log in, open this link:`,
+      '',
+      context.reset_url,
+      '',
+      `The link works once and expires in ${context.expires_in}. Afterwards you can always set a new ` +
+        'password with "Forgot password".'
+    ].join('\n') + signature(context)
+  })
+};
+
+// Kept to one line: WhatsApp and SMS show it in a notification, and SMS bills per 160 characters
+const messageTemplates = {
+  appointment_reminder: (context) => ({
+    subject: null,
+    text: `Reminder${context.company_name ? ` from ${context.company_name}` : ''}: your ` +
+      `${context.consultation_title} is on ${context.appointment}` +
+      `${context.starts_in ? ` (in ${context.starts_in})` : ''}. Reply STOP to stop these reminders.`
+  })
+};
+
+export const TEMPLATES = Object.keys(templates);
+
+/**
+ * Render a template
+ * @param {string} template - One of TEMPLATES
+ * @param {Object} context - The details the template fills in
+ * @param {string} [channel] - 'email', or a messaging channel for the short version
+ * @returns {{subject: string|null, text: string}}
+ */
+export const renderTemplate = (template, context, channel = 'email') => {
+  const render = channel === 'email' ? templates[template] : messageTemplates[template];
+  if (!render) {
+    throw new Error(`Unknown ${channel} notification template: ${template}`);
+  }
+  return render(context);
+};
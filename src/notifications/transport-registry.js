@@ -0,0 +1,136 @@
+/**
+ * Notification Transport Registry
+ * Resolves the transport that delivers a channel's messages, so the outbox never
+ * branches on how a message actually leaves the system
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import SmtpTransport from './smtp-transport.js';
+import FileTransport from './file-transport.js';
+import ConsoleTransport from './console-transport.js';
+import TwilioTransport from './twilio-transport.js';
+import WhatsAppCloudTransport from './whatsapp-cloud-transport.js';
+import FakeMessagingTransport from './fake-messaging-transport.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+const isTest = () => process.env.NODE_ENV === 'test';
+
+// EMAIL_TRANSPORT picks how email goes out: smtp, file or console. It has to be set in production.
+const emailTransports = {
+  smtp: () => new SmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || undefined,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }),
+  file: () => new FileTransport({
+    directory: process.env.EMAIL_FILE_DIR || join(__dirname, '../../logs/emails')
+  }),
+  console: () => new ConsoleTransport()
+};
+
+const twilioTransport = (channel) => new TwilioTransport({
+  channel,
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  from: channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM,
+  statusCallbackUrl: process.env.TWILIO_STATUS_CALLBACK_URL,
+  baseURL: process.env.TWILIO_BASE_URL
+});
+
+// Keeps messages in memory and delivers nothing, so it only runs in tests
+const fakeTransport = (channel) => {
+  if (!isTest()) {
+    throw new Error(`The fake ${channel} transport only runs in tests`);
+  }
+  return new FakeMessagingTransport({ channel });
+};
+
+// WHATSAPP_TRANSPORT picks how WhatsApp messages go out: twilio or cloud (fake in tests)
+const whatsappTransports = {
+  twilio: () => twilioTransport('whatsapp'),
+  cloud: () => new WhatsAppCloudTransport({
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    template: process.env.WHATSAPP_REMINDER_TEMPLATE,
+    language: process.env.WHATSAPP_TEMPLATE_LANGUAGE,
+    baseURL: process.env.WHATSAPP_BASE_URL
+  }),
+  fake: () => fakeTransport('whatsapp')
+};
+
+// SMS_TRANSPORT picks how text messages go out: twilio (fake in tests)
+const smsTransports = {
+  twilio: () => twilioTransport('sms'),
+  fake: () => fakeTransport('sms')
+};
+
+// The fallback, where there is one, is a transport that delivers nothing
+const configured = (variable, transports, fallback) => () => {
+  const name = process.env[variable] || fallback();
+  if (!name) {
+    throw new Error(`${variable} is not configured`);
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown ${variable}: ${name}`);
+  }
+  return transports[name]();
+};
+
+// Transports are built lazily so a channel without credentials only fails when it is used, or at startup
+// for the channels the server checks (see checkConfiguration)
+const factories = new Map([
+  ['email', configured('EMAIL_TRANSPORT', emailTransports, () => !isProduction() && 'console')],
+  ['whatsapp', configured('WHATSAPP_TRANSPORT', whatsappTransports, () => isTest() && 'fake')],
+  ['sms', configured('SMS_TRANSPORT', smsTransports, () => isTest() && 'fake')]
+]);
+const instances = new Map();
+
+class TransportRegistry {
+  /**
+   * Register a transport factory
+   * @param {string} channel - Channel as stored in notifications.channel
+   * @param {Function} factory - Returns an object with send(message) => Promise<{messageId}>
+   */
+  static register(channel, factory) {
+    factories.set(channel, factory);
+    instances.delete(channel);
+  }
+
+  /**
+   * Resolve the transport for a channel
+   * @param {string} channel
+   * @throws {Error} When no transport is registered for the channel
+   */
+  static get(channel) {
+    if (!factories.has(channel)) {
+      throw new Error(`No transport for channel: ${channel}`);
+    }
+
+    if (!instances.has(channel)) {
+      instances.set(channel, factories.get(channel)());
+    }
+
+    return instances.get(channel);
+  }
+
+  /**
+   * Build the transports of the channels in use, so a server that could not deliver them refuses to start
+   * @param {Array<string>} channels
+   * @throws {Error} When a channel's transport is not configured
+   */
+  static checkConfiguration(channels) {
+    channels.forEach(channel => this.get(channel));
+  }
+
+  // Drop cached instances, e.g. after configuration changes in tests
+  static reset() {
+    instances.clear();
+  }
+}
+
+export default TransportRegistry;
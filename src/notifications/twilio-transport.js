@@ -0,0 +1,99 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const address = (channel, number) => (channel === 'whatsapp' ? `whatsapp:${number}` : number);
+const stripAddress = (value) => String(value ?? '').replace(/^whatsapp:/, '');
+
+/**
+ * Sends SMS or WhatsApp messages through the Twilio Messages API. Twilio reports delivery and
+ * forwards replies to the messaging webhook, which it signs with the account's auth token.
+ */
+class TwilioTransport {
+  /**
+   * @param {Object} config - { channel ('sms' or 'whatsapp'), accountSid, authToken, from (E.164),
+   *   statusCallbackUrl (where Twilio reports delivery), baseURL }
+   */
+  constructor({ channel, accountSid, authToken, from, statusCallbackUrl, baseURL }) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error(`Twilio is not configured for ${channel} messages`);
+    }
+
+    this.channel = channel;
+    this.accountSid = accountSid;
+    this.from = stripAddress(from);
+    this.statusCallbackUrl = statusCallbackUrl;
+    this.client = axios.create({
+      baseURL: baseURL || 'https://api.twilio.com/2010-04-01',
+      auth: { username: accountSid, password: authToken },
+      timeout: 15000
+    });
+  }
+
+  /**
+   * @param {Object} message - { to (E.164), text }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, text }) {
+    const params = new URLSearchParams({
+      To: address(this.channel, to),
+      From: address(this.channel, this.from),
+      Body: text
+    });
+    if (this.statusCallbackUrl) {
+      params.set('StatusCallback', this.statusCallbackUrl);
+    }
+
+    try {
+      const { data } = await this.client.post(`/Accounts/${this.accountSid}/Messages.json`, params);
+      return { messageId: data.sid };
+    } catch (error) {
+      throw new Error(`Twilio: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Check the X-Twilio-Signature of a webhook: an HMAC-SHA1 of the URL Twilio called followed by
+   * the POST parameters sorted by name
+   * @returns {boolean}
+   */
+  static verifyWebhookSignature(authToken, url, params, signature) {
+    if (!authToken || !signature) {
+      return false;
+    }
+
+    const signed = Object.keys(params).sort().reduce((data, key) => data + key + params[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(signed).digest('base64');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  /**
+   * Normalize a webhook: either a delivery report (MessageStatus) or a message from a customer
+   * @param {Object} params - The POST parameters
+   * @returns {{channel: string, messages: Array<{from, text}>, statuses: Array<{messageId, status, error}>}}
+   */
+  static parseWebhook(params) {
+    const channel = String(params.From || params.To || '').startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+
+    if (params.MessageStatus) {
+      return {
+        channel,
+        messages: [],
+        statuses: [{
+          messageId: params.MessageSid,
+          status: params.MessageStatus,
+          error: params.ErrorCode ? `Twilio error ${params.ErrorCode}` : undefined
+        }]
+      };
+    }
+
+    return {
+      channel,
+      messages: [{ from: stripAddress(params.From), text: params.Body || '' }],
+      statuses: []
+    };
+  }
+}
+
+export default TwilioTransport;
@@ -0,0 +1,95 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+/**
+ * Sends WhatsApp messages through Meta's WhatsApp Cloud API. Outside a conversation the customer
+ * started, WhatsApp only delivers approved templates; with `template` set, every message goes out
+ * as that template with the text as its one body parameter.
+ */
+class WhatsAppCloudTransport {
+  /**
+   * @param {Object} config - { phoneNumberId, accessToken, template, language, baseURL }
+   */
+  constructor({ phoneNumberId, accessToken, template, language = 'en', baseURL }) {
+    if (!phoneNumberId || !accessToken) {
+      throw new Error('The WhatsApp Cloud API is not configured');
+    }
+
+    this.phoneNumberId = phoneNumberId;
+    this.template = template;
+    this.language = language;
+    this.client = axios.create({
+      baseURL: baseURL || 'https://graph.facebook.com/v19.0',
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000
+    });
+  }
+
+  /**
+   * @param {Object} message - { to (E.164), text }
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, text }) {
+    const message = this.template
+      ? {
+        type: 'template',
+        template: {
+          name: this.template,
+          language: { code: this.language },
+          components: [{ type: 'body', parameters: [{ type: 'text', text }] }]
+        }
+      }
+      : { type: 'text', text: { body: text } };
+
+    try {
+      const { data } = await this.client.post(`/${this.phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        ...message
+      });
+      return { messageId: data.messages[0].id };
+    } catch (error) {
+      throw new Error(`WhatsApp: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 of a webhook: 'sha256=' and an HMAC-SHA256 of the raw body
+   * keyed with the app secret
+   * @returns {boolean}
+   */
+  static verifyWebhookSignature(appSecret, payload, signature) {
+    if (!appSecret || !signature) {
+      return false;
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(payload).digest('hex')}`;
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  /**
+   * Normalize a webhook, which can carry customer messages and delivery reports for several numbers
+   * @param {Object} payload - The parsed body
+   * @returns {{channel: string, messages: Array<{from, text}>, statuses: Array<{messageId, status, error}>}}
+   */
+  static parseWebhook(payload) {
+    const values = (payload.entry || []).flatMap(entry => (entry.changes || []).map(change => change.value || {}));
+
+    return {
+      channel: 'whatsapp',
+      messages: values.flatMap(value => value.messages || []).map(message => ({
+        from: `+${message.from}`,
+        text: message.text?.body || message.button?.text || ''
+      })),
+      statuses: values.flatMap(value => value.statuses || []).map(status => ({
+        messageId: status.id,
+        status: status.status,
+        error: status.errors?.[0]?.title
+      }))
+    };
+  }
+}
+
+export default WhatsAppCloudTransport;
@@ -0,0 +1,13 @@
+import { PERMISSIONS, hasPermission } from './roles.js';
+
+const ownsAppointment = (user, appointment) => !!appointment.user_id && appointment.user_id === user?.id;
+
+/**
+ * Who may see an appointment, given the claims authMiddleware put on req.user. Appointments carry
+ * the customer's contact details, so besides the customer only staff who may see those do.
+ */
+const AppointmentPolicy = {
+  view: (user, appointment) => hasPermission(user, PERMISSIONS.VIEW_PII) || ownsAppointment(user, appointment)
+};
+
+export default AppointmentPolicy;
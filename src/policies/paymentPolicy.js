@@ -0,0 +1,47 @@
+import { PERMISSIONS, hasPermission } from './roles.js';
+import { CHECKOUT_TOKEN } from '../services/authService.js';
+import { ApiError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const ownsPayment = (user, payment) => !!payment.user_id && payment.user_id === user?.id;
+
+// A guest's checkout token reaches only the payment it was issued for
+const startedPayment = (user, payment) => user?.purpose === CHECKOUT_TOKEN && user.payment_id === payment.id;
+
+/**
+ * Who may do what with payments, given the claims authMiddleware put on req.user. Customers may
+ * see and cancel the payments booked on their own account; staff need the permission for it.
+ * Guests finish the payment they started with its checkout token. Refunds need the refund
+ * permission, which is also checked before the route runs.
+ */
+const PaymentPolicy = {
+  view: (user, payment) => hasPermission(user, PERMISSIONS.VIEW_PAYMENTS) || ownsPayment(user, payment),
+  cancel: (user, payment) => hasPermission(user, PERMISSIONS.MANAGE_PAYMENTS) || ownsPayment(user, payment),
+  complete: (user, payment) => hasPermission(user, PERMISSIONS.MANAGE_PAYMENTS) || ownsPayment(user, payment)
+    || startedPayment(user, payment),
+  refund: (user) => hasPermission(user, PERMISSIONS.REFUND),
+  listForUser: (user, userId) => hasPermission(user, PERMISSIONS.VIEW_PAYMENTS) || user?.id === userId
+};
+
+/**
+ * Log a refused request and build its 403. Refusals are logged with who asked for what, so
+ * someone trying other people's payment IDs shows up.
+ * @param {Object} req
+ * @param {string} action - e.g. 'view'
+ * @param {string} resource - e.g. 'payment:<id>'
+ * @returns {ApiError}
+ */
+export const accessDenied = (req, action, resource) => {
+  logger.warn('Access denied', {
+    userId: req.user?.id,
+    role: req.user?.role,
+    action,
+    resource,
+    url: req.originalUrl,
+    ip: req.ip
+  });
+
+  return new ApiError(403, 'Access denied');
+};
+
+export default PaymentPolicy;
@@ -0,0 +1,88 @@
+// Staff roles and what each may do. Customers have no permissions; what they may do with their
+// own payments is decided by PaymentPolicy. Admin routes declare the permission they need with
+// requirePermission, and the role travels in the access token, so a changed role takes effect
+// when the user's token is next refreshed.
+
+export const PERMISSIONS = {
+  // Customers' contact details: bookings, the delivery log, opt-outs, coupon redemptions
+  VIEW_PII: 'view_pii',
+  // Every customer's payments, invoices and credit notes, and the payment statistics
+  VIEW_PAYMENTS: 'view_payments',
+  // Settling bank transfers and cancelling customers' payments
+  MANAGE_PAYMENTS: 'manage_payments',
+  REFUND: 'refund',
+  // Consultations, their prices, coupons and exchange rates
+  EDIT_PRICES: 'edit_prices',
+  MANAGE_APPOINTMENTS: 'manage_appointments',
+  MANAGE_AVAILABILITY: 'manage_availability',
+  // Calendar feeds, which carry customers' contact details
+  MANAGE_CALENDAR: 'manage_calendar',
+  // WhatsApp and SMS opt-outs
+  MANAGE_MESSAGING: 'manage_messaging',
+  VIEW_WEBHOOKS: 'view_webhooks',
+  RETRY_WEBHOOKS: 'retry_webhooks',
+  MANAGE_STAFF: 'manage_staff',
+  // The audit log of everyone's actions; only owners have it
+  VIEW_AUDIT_LOG: 'view_audit_log'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  consultant: [
+    PERMISSIONS.VIEW_PII,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+    PERMISSIONS.MANAGE_AVAILABILITY,
+    PERMISSIONS.MANAGE_CALENDAR,
+    PERMISSIONS.MANAGE_MESSAGING
+  ],
+  accountant: [
+    PERMISSIONS.VIEW_PAYMENTS,
+    PERMISSIONS.MANAGE_PAYMENTS,
+    PERMISSIONS.REFUND,
+    PERMISSIONS.EDIT_PRICES
+  ],
+  support: [
+    PERMISSIONS.VIEW_PII,
+    PERMISSIONS.VIEW_PAYMENTS,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+    PERMISSIONS.MANAGE_MESSAGING,
+    PERMISSIONS.VIEW_WEBHOOKS,
+    PERMISSIONS.RETRY_WEBHOOKS
+  ]
+};
+
+export const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles a user can have; 'customer' for everyone who books
+export const ROLES = ['customer', ...STAFF_ROLES];
+
+// The single role there was before staff roles, still found in tokens signed by hand for it
+const LEGACY_ROLES = { admin: 'owner' };
+
+/**
+ * @param {string} role
+ * @returns {Array<string>} The role's permissions; none for customers and unknown roles
+ */
+export const permissionsFor = (role) => {
+  return ROLE_PERMISSIONS[LEGACY_ROLES[role] || role] || [];
+};
+
+/**
+ * Whether the session passed a second factor, if the user's role required one when it was issued
+ * @param {Object} user - The claims on req.user
+ * @returns {boolean}
+ */
+export const hasSecondFactorIfRequired = (user) => !user?.two_factor_required || !!user.two_factor;
+
+/**
+ * @param {Object} user - The claims on req.user
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} False as well for staff who lack a second factor their role requires
+ */
+export const hasPermission = (user, permission) => {
+  return hasSecondFactorIfRequired(user) && permissionsFor(user?.role).includes(permission);
+};
+
+export const isStaff = (user) => permissionsFor(user?.role).length > 0;
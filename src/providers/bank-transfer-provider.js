@@ -0,0 +1,243 @@
+/**
+ * Bank Transfer Payment Provider Implementation
+ * Offline SEPA credit transfers (Überweisung) to our own account. No gateway is involved:
+ * the customer is given a creditor reference and our IBAN, and the payment is confirmed
+ * when the money shows up, either by an admin or by importing a CAMT.053 bank statement.
+ */
+
+import { PaymentProvider } from './payment-provider-interface.js';
+import { PaymentErrorTypes, createProviderError } from '../utils/errors.js';
+import { generateCreditorReference, formatInGroups } from '../utils/sepa.js';
+
+// SEPA credit transfers take a business day or two, and customers do not always send them straight away
+const DEFAULT_PAYMENT_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BankTransferProvider extends PaymentProvider {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.providerName = 'bank_transfer';
+  }
+
+  /**
+   * Issue a payment reference and transfer instructions
+   * The reference doubles as the provider payment ID and is what statement imports match on
+   */
+  async createPaymentIntent(params) {
+    const { amount, currency, expiresAt, metadata = {} } = params;
+
+    if (!this.config.iban || !this.config.accountHolder) {
+      throw createProviderError(
+        'Bank transfer account details are not configured',
+        PaymentErrorTypes.PROVIDER_ERROR,
+        { provider: 'bank_transfer' }
+      );
+    }
+
+    const reference = generateCreditorReference();
+
+    return this.normalizePaymentIntent({
+      reference,
+      amount,
+      currency,
+      metadata,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Confirm a payment intent
+   * Transfers are confirmed by BankTransferService once the money has arrived
+   */
+  async confirmPaymentIntent(paymentIntentId, params = {}) {
+    throw createProviderError(
+      'Bank transfers are confirmed when the money is received',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Capture a payment intent
+   */
+  async capturePaymentIntent(paymentIntentId, amountToCapture) {
+    throw createProviderError(
+      'Capture not supported for bank transfers',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Cancel a payment intent
+   * Nothing has to be cancelled remotely; the payment row is simply marked cancelled
+   */
+  async cancelPaymentIntent(paymentIntentId, cancellationReason = 'requested_by_customer') {
+    return {
+      id: paymentIntentId,
+      provider: 'bank_transfer',
+      status: 'canceled',
+      metadata: { cancellation_reason: cancellationReason }
+    };
+  }
+
+  /**
+   * Create a refund
+   */
+  async createRefund(paymentIntentId, params = {}) {
+    throw createProviderError(
+      'Bank transfers are refunded by sending the money back from the business account',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Retrieve a payment intent
+   */
+  async getPaymentIntent(paymentIntentId) {
+    throw createProviderError(
+      'Bank transfers can only be looked up through the payments table',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Create a customer
+   * There is no remote customer record, so the email serves as the ID
+   */
+  async createCustomer(customerData) {
+    return {
+      id: customerData.email,
+      provider: 'bank_transfer',
+      email: customerData.email,
+      name: customerData.name,
+      phone: customerData.phone,
+      metadata: customerData.metadata || {},
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create payment method
+   */
+  async createPaymentMethod(customerId, paymentMethodData) {
+    throw createProviderError(
+      'Payment methods are not stored for bank transfers',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Get webhook signature
+   */
+  getWebhookSignature(headers) {
+    return undefined;
+  }
+
+  /**
+   * Verify webhook signature
+   * Banks do not send webhooks; incoming transfers arrive through statement imports
+   */
+  verifyWebhookSignature(payload, signature) {
+    throw createProviderError(
+      'Webhooks are not supported for bank transfers',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'bank_transfer' }
+    );
+  }
+
+  /**
+   * Get webhook event type
+   */
+  getWebhookEventType(event) {
+    return event?.type || 'unknown';
+  }
+
+  /**
+   * Get webhook event ID
+   */
+  getWebhookEventId(event) {
+    return event?.id || null;
+  }
+
+  /**
+   * Process webhook event
+   */
+  async processWebhookEvent(event) {
+    return {
+      type: 'unhandled_event',
+      originalType: this.getWebhookEventType(event),
+      data: event
+    };
+  }
+
+  /**
+   * Normalize an issued transfer to the common payment intent shape
+   */
+  normalizePaymentIntent(transfer) {
+    return {
+      id: transfer.reference,
+      provider: 'bank_transfer',
+      amount: transfer.amount,
+      currency: transfer.currency.toLowerCase(),
+      status: 'requires_action',
+      clientSecret: null,
+      customerId: null,
+      paymentMethodId: null,
+      paymentMethodType: 'sepa_credit_transfer',
+      redirectUrl: null,
+      instructions: this.getInstructions(transfer),
+      metadata: transfer.metadata || {},
+      createdAt: transfer.created_at,
+      confirmedAt: null,
+      lastError: null,
+      raw: transfer
+    };
+  }
+
+  /**
+   * What the customer needs to enter in their banking app
+   */
+  getInstructions(transfer) {
+    return {
+      account_holder: this.config.accountHolder,
+      iban: formatInGroups(this.config.iban),
+      bic: this.config.bic || null,
+      bank_name: this.config.bankName || null,
+      amount: transfer.amount,
+      currency: transfer.currency.toUpperCase(),
+      // Printed in groups of four like an IBAN; either form is matched on import
+      reference: formatInGroups(transfer.reference),
+      ...(transfer.expires_at && { pay_by: transfer.expires_at })
+    };
+  }
+
+  /**
+   * Transfers are left open for days rather than minutes, with the slot held for as long
+   */
+  getPaymentWindowMs() {
+    return (this.config.paymentDays || DEFAULT_PAYMENT_DAYS) * DAY_MS;
+  }
+
+  /**
+   * Get supported currencies
+   */
+  getSupportedCurrencies() {
+    // SEPA credit transfers are always in euro
+    return ['eur'];
+  }
+
+  /**
+   * Get supported payment methods
+   */
+  getSupportedPaymentMethods() {
+    return ['sepa_credit_transfer'];
+  }
+}
+
+export default BankTransferProvider;
@@ -0,0 +1,561 @@
+/**
+ * Flutterwave Payment Provider Implementation
+ * Implements the PaymentProvider interface for Flutterwave (v3 API) integration
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { PaymentProvider } from './payment-provider-interface.js';
+import { PaymentError, PaymentErrorTypes, createProviderError } from '../utils/errors.js';
+import { toMajorUnits, toMinorUnits } from '../utils/money.js';
+
+// Flutterwave takes and reports amounts in major units, converted with the currency's ISO 4217 exponent
+
+class FlutterwaveProvider extends PaymentProvider {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.providerName = 'flutterwave';
+    this.baseURL = config.baseURL || 'https://api.flutterwave.com/v3';
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Authorization': `Bearer ${config.secretKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Create a hosted payment link (equivalent to creating payment intent)
+   * The tx_ref we generate is used as the payment intent ID throughout
+   */
+  async createPaymentIntent(params) {
+    try {
+      const {
+        amount,
+        currency,
+        customerId,
+        paymentMethodTypes = ['card', 'bank_transfer', 'ussd', 'mobile_money'],
+        metadata = {},
+        returnUrl,
+        email
+      } = params;
+
+      const paymentParams = {
+        tx_ref: this.generateReference(),
+        amount: toMajorUnits(amount, currency),
+        currency: currency.toUpperCase(),
+        redirect_url: returnUrl,
+        payment_options: this.mapPaymentMethodTypes(paymentMethodTypes),
+        customer: {
+          email: email || customerId,
+          name: metadata.customer_name || undefined
+        },
+        meta: {
+          ...metadata,
+          provider: 'flutterwave'
+        }
+      };
+
+      const response = await this.client.post('/payments', paymentParams);
+
+      if (response.data.status !== 'success') {
+        throw createProviderError(
+          response.data.message || 'Payment initialization failed',
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'flutterwave' }
+        );
+      }
+
+      return this.normalizePaymentIntent({
+        tx_ref: paymentParams.tx_ref,
+        amount: paymentParams.amount,
+        currency: paymentParams.currency,
+        link: response.data.data.link,
+        meta: paymentParams.meta
+      });
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Verify a transaction by its reference (equivalent to confirming payment intent)
+   */
+  async confirmPaymentIntent(paymentIntentId, params = {}) {
+    try {
+      const transaction = await this.verifyTransactionByReference(paymentIntentId);
+      return this.normalizePaymentIntent(transaction);
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Capture a payment (Flutterwave captures successful charges immediately)
+   */
+  async capturePaymentIntent(paymentIntentId, amountToCapture) {
+    try {
+      const paymentIntent = await this.getPaymentIntent(paymentIntentId);
+
+      if (paymentIntent.status !== 'succeeded') {
+        throw createProviderError(
+          'Cannot capture payment that has not succeeded',
+          PaymentErrorTypes.INVALID_REQUEST,
+          { provider: 'flutterwave' }
+        );
+      }
+
+      return paymentIntent;
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Cancel a payment (hosted payment links cannot be cancelled, they simply lapse)
+   */
+  async cancelPaymentIntent(paymentIntentId, cancellationReason = 'requested_by_customer') {
+    throw createProviderError(
+      'Payment cancellation not supported after initialization in Flutterwave',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'flutterwave' }
+    );
+  }
+
+  /**
+   * Create a refund
+   * Flutterwave refunds by transaction ID, so the reference is resolved first
+   */
+  async createRefund(paymentIntentId, params = {}) {
+    try {
+      const { amount } = params;
+
+      const transaction = await this.verifyTransactionByReference(paymentIntentId);
+
+      const refundParams = {};
+      if (amount) {
+        refundParams.amount = toMajorUnits(amount, transaction.currency);
+      }
+
+      const response = await this.client.post(`/transactions/${transaction.id}/refund`, refundParams);
+
+      if (response.data.status !== 'success') {
+        throw createProviderError(
+          response.data.message || 'Refund failed',
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'flutterwave' }
+        );
+      }
+
+      return this.normalizeRefund(response.data.data, transaction.currency);
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Get payment intent status
+   */
+  async getPaymentIntent(paymentIntentId) {
+    try {
+      const transaction = await this.verifyTransactionByReference(paymentIntentId);
+      return this.normalizePaymentIntent(transaction);
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Create a customer
+   * Flutterwave has no customer objects; customers are identified by email on each charge
+   */
+  async createCustomer(customerData) {
+    const {
+      email,
+      name,
+      phone,
+      metadata = {}
+    } = customerData;
+
+    if (!email) {
+      throw createProviderError(
+        'Customer email is required',
+        PaymentErrorTypes.INVALID_REQUEST,
+        { provider: 'flutterwave' }
+      );
+    }
+
+    return this.normalizeCustomer({
+      email,
+      name,
+      phone_number: phone,
+      meta: metadata
+    });
+  }
+
+  /**
+   * Create a payment method (cards are tokenized through the hosted checkout)
+   */
+  async createPaymentMethod(customerId, paymentMethodData) {
+    throw createProviderError(
+      'Payment method creation not directly supported. Use the hosted checkout.',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'flutterwave' }
+    );
+  }
+
+  /**
+   * Get webhook signature header
+   */
+  getWebhookSignature(headers) {
+    return headers['verif-hash'];
+  }
+
+  /**
+   * Verify webhook signature
+   * Flutterwave sends the secret hash configured in the dashboard as-is in the verif-hash header
+   */
+  verifyWebhookSignature(payload, signature) {
+    const expected = Buffer.from(this.config.webhookSecret || '');
+    const received = Buffer.from(signature || '');
+
+    if (!expected.length || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw createProviderError(
+        'Webhook signature verification failed',
+        PaymentErrorTypes.INVALID_SIGNATURE,
+        { provider: 'flutterwave' }
+      );
+    }
+
+    if (Buffer.isBuffer(payload)) {
+      return JSON.parse(payload.toString('utf8'));
+    }
+
+    return typeof payload === 'string' ? JSON.parse(payload) : payload;
+  }
+
+  /**
+   * Get webhook event type
+   */
+  getWebhookEventType(event) {
+    return event.event;
+  }
+
+  /**
+   * Get webhook event ID
+   * Flutterwave events carry no ID of their own, so the event type and the transaction it reports identify them
+   */
+  getWebhookEventId(event) {
+    const subject = event.data?.id ?? event.data?.tx_ref;
+    return subject !== undefined && subject !== null ? `${event.event}:${subject}` : null;
+  }
+
+  /**
+   * Process webhook event
+   * The verif-hash is a static secret, so charge outcomes are re-read from the API before use
+   */
+  async processWebhookEvent(event) {
+    const { event: eventType, data } = event;
+
+    try {
+      switch (eventType) {
+        case 'charge.completed': {
+          const transaction = await this.verifyTransaction(data.id);
+
+          if (transaction.tx_ref !== data.tx_ref) {
+            throw createProviderError(
+              'Webhook transaction does not match its reference',
+              PaymentErrorTypes.INVALID_REQUEST,
+              { provider: 'flutterwave' }
+            );
+          }
+
+          const paymentIntent = this.normalizePaymentIntent(transaction);
+
+          if (paymentIntent.status === 'succeeded') {
+            return { type: 'payment_succeeded', paymentIntent };
+          }
+
+          if (paymentIntent.status === 'payment_failed') {
+            return { type: 'payment_failed', paymentIntent };
+          }
+
+          return {
+            type: 'unhandled_event',
+            originalType: eventType,
+            data
+          };
+        }
+
+        default:
+          return {
+            type: 'unhandled_event',
+            originalType: eventType,
+            data
+          };
+      }
+
+    } catch (error) {
+      throw this.handleFlutterwaveError(error);
+    }
+  }
+
+  /**
+   * Fetch a transaction by our reference
+   */
+  async verifyTransactionByReference(txRef) {
+    const response = await this.client.get('/transactions/verify_by_reference', {
+      params: { tx_ref: txRef }
+    });
+
+    if (response.data.status !== 'success') {
+      throw createProviderError(
+        response.data.message || 'Transaction verification failed',
+        PaymentErrorTypes.PROVIDER_ERROR,
+        { provider: 'flutterwave' }
+      );
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Fetch a transaction by its Flutterwave ID
+   */
+  async verifyTransaction(transactionId) {
+    const response = await this.client.get(`/transactions/${transactionId}/verify`);
+
+    if (response.data.status !== 'success') {
+      throw createProviderError(
+        response.data.message || 'Transaction verification failed',
+        PaymentErrorTypes.PROVIDER_ERROR,
+        { provider: 'flutterwave' }
+      );
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Generate unique reference for transactions
+   */
+  generateReference() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    return `flw_${timestamp}_${random}`;
+  }
+
+  /**
+   * Map payment method types to Flutterwave payment options
+   */
+  mapPaymentMethodTypes(paymentMethodTypes) {
+    const optionMap = {
+      'card': 'card',
+      'bank_transfer': 'banktransfer',
+      'ussd': 'ussd',
+      'account': 'account',
+      'mobile_money': 'mobilemoneyghana, mobilemoneyuganda, mobilemoneyrwanda, mobilemoneyzambia, mobilemoneyfranco, mpesa'
+    };
+
+    return paymentMethodTypes
+      .map(type => optionMap[type])
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * Normalize Flutterwave transaction to common payment intent format
+   */
+  normalizePaymentIntent(flutterwaveTransaction) {
+    const statusMap = {
+      'successful': 'succeeded',
+      'failed': 'payment_failed',
+      'cancelled': 'canceled',
+      'pending': 'processing'
+    };
+
+    const currency = (flutterwaveTransaction.currency || 'NGN').toLowerCase();
+
+    return {
+      id: flutterwaveTransaction.tx_ref,
+      provider: 'flutterwave',
+      transactionId: flutterwaveTransaction.id || null,
+      amount: toMinorUnits(flutterwaveTransaction.amount, currency),
+      currency,
+      status: statusMap[flutterwaveTransaction.status] || 'requires_payment_method',
+      clientSecret: null,
+      customerId: flutterwaveTransaction.customer?.id ? String(flutterwaveTransaction.customer.id) : null,
+      paymentMethodId: flutterwaveTransaction.card?.token || null,
+      paymentMethodType: flutterwaveTransaction.payment_type,
+      // The card's country reads like 'NIGERIA NG'
+      payerCountry: flutterwaveTransaction.card?.country?.match(/\b([A-Z]{2})$/)?.[1] || null,
+      redirectUrl: flutterwaveTransaction.link || null,
+      metadata: flutterwaveTransaction.meta,
+      createdAt: flutterwaveTransaction.created_at ? new Date(flutterwaveTransaction.created_at) : new Date(),
+      confirmedAt: flutterwaveTransaction.status === 'successful'
+        ? new Date(flutterwaveTransaction.created_at || Date.now())
+        : null,
+      lastError: flutterwaveTransaction.status === 'failed'
+        ? {
+            code: 'payment_failed',
+            message: flutterwaveTransaction.processor_response || 'Payment failed',
+            type: 'card_error'
+          }
+        : null,
+      raw: flutterwaveTransaction
+    };
+  }
+
+  /**
+   * Normalize customer data
+   */
+  normalizeCustomer(flutterwaveCustomer) {
+    return {
+      id: flutterwaveCustomer.email,
+      provider: 'flutterwave',
+      email: flutterwaveCustomer.email,
+      name: flutterwaveCustomer.name,
+      phone: flutterwaveCustomer.phone_number,
+      metadata: flutterwaveCustomer.meta,
+      createdAt: new Date(flutterwaveCustomer.created_at || Date.now()),
+      raw: flutterwaveCustomer
+    };
+  }
+
+  /**
+   * Normalize refund data
+   */
+  normalizeRefund(flutterwaveRefund, currency) {
+    const statusMap = {
+      'completed': 'succeeded',
+      'successful': 'succeeded',
+      'failed': 'failed'
+    };
+
+    return {
+      id: flutterwaveRefund.id,
+      provider: 'flutterwave',
+      amount: toMinorUnits(flutterwaveRefund.amount_refunded, currency),
+      currency: currency.toLowerCase(),
+      status: statusMap[flutterwaveRefund.status] || 'pending',
+      transactionId: flutterwaveRefund.tx_id,
+      metadata: flutterwaveRefund.meta,
+      createdAt: new Date(flutterwaveRefund.created_at || Date.now()),
+      raw: flutterwaveRefund
+    };
+  }
+
+  /**
+   * Handle Flutterwave errors and convert to PaymentError
+   */
+  handleFlutterwaveError(error) {
+    if (error instanceof PaymentError) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, data } = error.response;
+
+      if (status === 400) {
+        return createProviderError(
+          data?.message || 'Invalid request',
+          PaymentErrorTypes.INVALID_REQUEST,
+          {
+            provider: 'flutterwave',
+            details: data
+          }
+        );
+      }
+
+      if (status === 401) {
+        return createProviderError(
+          'Authentication failed',
+          PaymentErrorTypes.AUTHENTICATION_ERROR,
+          {
+            provider: 'flutterwave'
+          }
+        );
+      }
+
+      if (status === 404) {
+        return createProviderError(
+          'Resource not found',
+          PaymentErrorTypes.NOT_FOUND,
+          {
+            provider: 'flutterwave'
+          }
+        );
+      }
+
+      if (status >= 500) {
+        return createProviderError(
+          'Payment provider error',
+          PaymentErrorTypes.PROVIDER_ERROR,
+          {
+            provider: 'flutterwave',
+            status
+          }
+        );
+      }
+
+      return createProviderError(
+        data?.message || 'Payment error',
+        PaymentErrorTypes.UNKNOWN_ERROR,
+        {
+          provider: 'flutterwave',
+          status,
+          details: data
+        }
+      );
+    }
+
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return createProviderError(
+        'Unable to connect to payment provider',
+        PaymentErrorTypes.NETWORK_ERROR,
+        {
+          provider: 'flutterwave'
+        }
+      );
+    }
+
+    // Unknown error
+    return createProviderError(
+      error.message || 'Unknown payment error',
+      PaymentErrorTypes.UNKNOWN_ERROR,
+      {
+        provider: 'flutterwave'
+      }
+    );
+  }
+
+  /**
+   * Get supported currencies
+   */
+  getSupportedCurrencies() {
+    return ['ngn', 'ghs', 'kes', 'ugx', 'tzs', 'zar', 'rwf', 'xaf', 'xof', 'zmw', 'usd', 'eur', 'gbp'];
+  }
+
+  /**
+   * Get supported payment method types
+   */
+  getSupportedPaymentMethods() {
+    return [
+      'card',
+      'bank_transfer',
+      'ussd',
+      'account',
+      'mobile_money'
+    ];
+  }
+}
+
+export default FlutterwaveProvider;
@@ -3,7 +3,7 @@
  * Defines the common contract that all payment providers must implement
  */
 
-class PaymentProvider {
+export class PaymentProvider {
   constructor() {
     if (this.constructor === PaymentProvider) {
       throw new Error('PaymentProvider is an abstract class and cannot be instantiated directly');
@@ -19,6 +19,9 @@ class PaymentProvider {
    * @param {Array<string>} [params.paymentMethodTypes] - Allowed payment methods
    * @param {Object} [params.metadata] - Additional metadata
    * @param {string} [params.returnUrl] - Return URL for redirects
+   * @param {string} [params.cancelUrl] - Return URL when the customer abandons a redirect
+   * @param {string} [params.idempotencyKey] - Client idempotency key, for gateways that de-duplicate retried requests
+   * @param {string} [params.expiresAt] - When the payment is given up, for providers with a payment window
    * @returns {Promise<Object>} Normalized payment intent object
    */
   async createPaymentIntent(params) {
@@ -64,7 +67,8 @@ class PaymentProvider {
    * @param {number} [params.amount] - Amount to refund (optional, refunds full amount if not provided)
    * @param {string} [params.reason] - Reason for refund
    * @param {Object} [params.metadata] - Additional metadata
-   * @returns {Promise<Object>} Normalized refund object
+   * @param {string} [params.idempotencyKey] - Client idempotency key, for gateways that de-duplicate retried requests
+   * @returns {Promise<Object>} Normalized refund object, status one of pending, succeeded, failed or cancelled
    */
   async createRefund(paymentIntentId, params = {}) {
     throw new Error('createRefund method must be implemented');
@@ -106,20 +110,49 @@ class PaymentProvider {
     throw new Error('createPaymentMethod method must be implemented');
   }
 
+  /**
+   * Extract the webhook signature from the request headers
+   * @param {Object} headers - Incoming request headers (lower-cased names)
+   * @returns {string|undefined} Webhook signature
+   */
+  getWebhookSignature(headers) {
+    throw new Error('getWebhookSignature method must be implemented');
+  }
+
   /**
    * Verify webhook signature
-   * @param {string|Buffer} payload - Webhook payload
+   * @param {string|Buffer} payload - Raw webhook request body
    * @param {string} signature - Webhook signature
-   * @returns {Object} Verified webhook event
+   * @returns {Object|Promise<Object>} Verified webhook event (providers that verify remotely resolve it)
    */
   verifyWebhookSignature(payload, signature) {
     throw new Error('verifyWebhookSignature method must be implemented');
   }
 
+  /**
+   * Get the provider's own type name for a verified webhook event
+   * @param {Object} event - Verified webhook event
+   * @returns {string} Event type (e.g. 'payment_intent.succeeded')
+   */
+  getWebhookEventType(event) {
+    throw new Error('getWebhookEventType method must be implemented');
+  }
+
+  /**
+   * Get the ID that identifies a verified webhook event across redeliveries
+   * @param {Object} event - Verified webhook event
+   * @returns {string|null} Event ID, or null when the event carries nothing to identify it by
+   */
+  getWebhookEventId(event) {
+    throw new Error('getWebhookEventId method must be implemented');
+  }
+
   /**
    * Process webhook event
    * @param {Object} event - Webhook event
-   * @returns {Promise<Object>} Normalized event object
+   * @returns {Promise<Object>} Normalized event object: payment outcomes carry a normalized paymentIntent,
+   *   refund_updated events the paymentIntentId and a list of normalized refunds. A succeeded paymentIntent
+   *   carries the payerCountry where the gateway knows it (e.g. the card's), which backs up the customer's VAT status
    */
   async processWebhookEvent(event) {
     throw new Error('processWebhookEvent method must be implemented');
@@ -141,6 +174,14 @@ class PaymentProvider {
     throw new Error('getSupportedPaymentMethods method must be implemented');
   }
 
+  /**
+   * How long the customer has to pay before the payment is given up
+   * @returns {number|null} Milliseconds, or null when the payment completes at checkout and the slot hold's default applies
+   */
+  getPaymentWindowMs() {
+    return null;
+  }
+
   /**
    * Get provider name
    * @returns {string} Provider name
@@ -150,4 +191,4 @@ class PaymentProvider {
   }
 }
 
-module.exports = { PaymentProvider };
\ No newline at end of file
+export default PaymentProvider;
\ No newline at end of file
@@ -0,0 +1,648 @@
+/**
+ * PayPal Payment Provider Implementation
+ * Implements the PaymentProvider interface on top of the PayPal Orders v2 API
+ */
+
+import axios from 'axios';
+import { PaymentProvider } from './payment-provider-interface.js';
+import { PaymentError, PaymentErrorTypes, createProviderError } from '../utils/errors.js';
+import { getCurrencyExponent, toDecimalString, toMinorUnits } from '../utils/money.js';
+
+// PayPal takes and reports decimal amounts. It accepts no decimals for these currencies,
+// although ISO 4217 gives them two, so their amounts are rounded to whole units
+const WHOLE_UNIT_CURRENCIES = ['HUF', 'TWD'];
+
+// Refresh the OAuth token a minute before PayPal expires it
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+class PayPalProvider extends PaymentProvider {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.providerName = 'paypal';
+    this.baseURL = config.baseURL || (config.mode === 'live'
+      ? 'https://api-m.paypal.com'
+      : 'https://api-m.sandbox.paypal.com');
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Create an order (equivalent to creating payment intent)
+   * The buyer approves the order at the returned redirectUrl, after which it is captured
+   */
+  async createPaymentIntent(params) {
+    try {
+      const {
+        amount,
+        currency,
+        metadata = {},
+        returnUrl,
+        cancelUrl
+      } = params;
+
+      const reference = this.generateReference();
+
+      const orderParams = {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          reference_id: reference,
+          custom_id: metadata.consultation_id || undefined,
+          amount: {
+            currency_code: currency.toUpperCase(),
+            value: this.toDecimalAmount(amount, currency)
+          }
+        }],
+        payment_source: {
+          paypal: {
+            experience_context: {
+              return_url: returnUrl,
+              cancel_url: cancelUrl || returnUrl,
+              user_action: 'PAY_NOW',
+              shipping_preference: 'NO_SHIPPING'
+            }
+          }
+        }
+      };
+
+      const order = await this.request('post', '/v2/checkout/orders', orderParams, {
+        // Lets PayPal de-duplicate a retried create
+        'PayPal-Request-Id': reference
+      });
+
+      return this.normalizePaymentIntent(order);
+
+    } catch (error) {
+      throw this.handlePayPalError(error);
+    }
+  }
+
+  /**
+   * Capture an approved order (PayPal completes payment on capture)
+   */
+  async confirmPaymentIntent(paymentIntentId, params = {}) {
+    return this.capturePaymentIntent(paymentIntentId);
+  }
+
+  /**
+   * Capture an approved order
+   * Orders are captured in full, so amountToCapture is ignored
+   */
+  async capturePaymentIntent(paymentIntentId, amountToCapture) {
+    try {
+      const order = await this.request('post', `/v2/checkout/orders/${paymentIntentId}/capture`, {}, {
+        'PayPal-Request-Id': `capture_${paymentIntentId}`
+      });
+
+      return this.normalizePaymentIntent(order);
+
+    } catch (error) {
+      throw this.handlePayPalError(error);
+    }
+  }
+
+  /**
+   * Cancel an order (unapproved orders cannot be voided, they expire after three hours)
+   */
+  async cancelPaymentIntent(paymentIntentId, cancellationReason = 'requested_by_customer') {
+    throw createProviderError(
+      'Order cancellation not supported in PayPal; unapproved orders expire',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'paypal' }
+    );
+  }
+
+  /**
+   * Create a refund
+   * PayPal refunds captures, so the capture behind the order is looked up first
+   */
+  async createRefund(paymentIntentId, params = {}) {
+    try {
+      const {
+        amount,
+        reason = 'requested_by_customer'
+      } = params;
+
+      const order = await this.request('get', `/v2/checkout/orders/${paymentIntentId}`);
+      const capture = this.getCapture(order);
+
+      if (!capture) {
+        throw createProviderError(
+          'Order has no capture to refund',
+          PaymentErrorTypes.INVALID_REQUEST,
+          { provider: 'paypal' }
+        );
+      }
+
+      const refundParams = {
+        note_to_payer: reason
+      };
+
+      if (amount) {
+        refundParams.amount = {
+          currency_code: capture.amount.currency_code,
+          value: this.toDecimalAmount(amount, capture.amount.currency_code)
+        };
+      }
+
+      const refund = await this.request('post', `/v2/payments/captures/${capture.id}/refund`, refundParams, {
+        'Prefer': 'return=representation'
+      });
+
+      return this.normalizeRefund(refund, capture);
+
+    } catch (error) {
+      throw this.handlePayPalError(error);
+    }
+  }
+
+  /**
+   * Get payment intent status
+   */
+  async getPaymentIntent(paymentIntentId) {
+    try {
+      const order = await this.request('get', `/v2/checkout/orders/${paymentIntentId}`);
+      return this.normalizePaymentIntent(order);
+
+    } catch (error) {
+      throw this.handlePayPalError(error);
+    }
+  }
+
+  /**
+   * Create a customer
+   * Orders v2 has no customer objects; payers are identified by PayPal at approval
+   */
+  async createCustomer(customerData) {
+    const {
+      email,
+      name,
+      phone,
+      metadata = {}
+    } = customerData;
+
+    if (!email) {
+      throw createProviderError(
+        'Customer email is required',
+        PaymentErrorTypes.INVALID_REQUEST,
+        { provider: 'paypal' }
+      );
+    }
+
+    return this.normalizeCustomer({
+      email_address: email,
+      name: { full_name: name },
+      phone,
+      metadata
+    });
+  }
+
+  /**
+   * Create a payment method (buyers pay from their PayPal wallet at approval)
+   */
+  async createPaymentMethod(customerId, paymentMethodData) {
+    throw createProviderError(
+      'Payment method creation not directly supported. Buyers approve orders with PayPal.',
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'paypal' }
+    );
+  }
+
+  /**
+   * Get webhook signature
+   * PayPal spreads the signature over several transmission headers; they are kept
+   * together as one JSON string so they can be stored and replayed like other signatures
+   */
+  getWebhookSignature(headers) {
+    return JSON.stringify({
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time']
+    });
+  }
+
+  /**
+   * Verify webhook signature
+   * Verification is delegated to PayPal's verify-webhook-signature endpoint
+   */
+  async verifyWebhookSignature(payload, signature) {
+    const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+    const event = typeof body === 'string' ? JSON.parse(body) : body;
+
+    let transmission;
+    try {
+      transmission = JSON.parse(signature || '{}');
+    } catch (error) {
+      transmission = {};
+    }
+
+    if (!this.config.webhookId || !transmission.transmission_sig) {
+      throw createProviderError(
+        'Webhook signature verification failed',
+        PaymentErrorTypes.INVALID_SIGNATURE,
+        { provider: 'paypal' }
+      );
+    }
+
+    try {
+      const result = await this.request('post', '/v1/notifications/verify-webhook-signature', {
+        ...transmission,
+        webhook_id: this.config.webhookId,
+        webhook_event: event
+      });
+
+      if (result.verification_status !== 'SUCCESS') {
+        throw createProviderError(
+          'Webhook signature verification failed',
+          PaymentErrorTypes.INVALID_SIGNATURE,
+          { provider: 'paypal' }
+        );
+      }
+
+      return event;
+
+    } catch (error) {
+      throw this.handlePayPalError(error);
+    }
+  }
+
+  /**
+   * Get webhook event type
+   */
+  getWebhookEventType(event) {
+    return event.event_type;
+  }
+
+  /**
+   * Get webhook event ID (WH-...), the same on every redelivery
+   */
+  getWebhookEventId(event) {
+    return event.id || null;
+  }
+
+  /**
+   * Process webhook event
+   */
+  async processWebhookEvent(event) {
+    const { event_type: eventType, resource } = event;
+
+    switch (eventType) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return {
+          type: 'payment_succeeded',
+          paymentIntent: this.normalizeCapture(resource)
+        };
+
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return {
+          type: 'payment_failed',
+          paymentIntent: this.normalizeCapture(resource)
+        };
+
+      case 'CHECKOUT.ORDER.VOIDED':
+        return {
+          type: 'payment_canceled',
+          paymentIntent: this.normalizePaymentIntent(resource)
+        };
+
+      default:
+        return {
+          type: 'unhandled_event',
+          originalType: eventType,
+          data: resource
+        };
+    }
+  }
+
+  /**
+   * Send an authenticated request to the PayPal REST API
+   */
+  async request(method, url, data, headers = {}) {
+    const accessToken = await this.getAccessToken();
+
+    const response = await this.client.request({
+      method,
+      url,
+      data,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        ...headers
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get an OAuth access token, reusing the cached one until it is about to expire
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await this.client.post('/v1/oauth2/token', 'grant_type=client_credentials', {
+      auth: {
+        username: this.config.clientId,
+        password: this.config.clientSecret
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Generate unique reference for orders
+   */
+  generateReference() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    return `pp_${timestamp}_${random}`;
+  }
+
+  /**
+   * Convert an amount in the smallest currency unit to PayPal's decimal string
+   */
+  toDecimalAmount(amount, currency) {
+    const decimals = WHOLE_UNIT_CURRENCIES.includes(currency.toUpperCase()) ? 0 : getCurrencyExponent(currency);
+    return toDecimalString(amount, currency, decimals);
+  }
+
+  /**
+   * First capture of an order, present once the order has been captured
+   */
+  getCapture(order) {
+    return order.purchase_units?.[0]?.payments?.captures?.[0] || null;
+  }
+
+  /**
+   * Normalize PayPal order to common payment intent format
+   */
+  normalizePaymentIntent(paypalOrder) {
+    const statusMap = {
+      'CREATED': 'requires_payment_method',
+      'SAVED': 'requires_payment_method',
+      'PAYER_ACTION_REQUIRED': 'requires_payment_method',
+      'APPROVED': 'requires_capture',
+      'VOIDED': 'canceled',
+      'COMPLETED': 'succeeded'
+    };
+
+    const captureStatusMap = {
+      'COMPLETED': 'succeeded',
+      'PENDING': 'processing',
+      'DECLINED': 'payment_failed',
+      'FAILED': 'payment_failed'
+    };
+
+    const purchaseUnit = paypalOrder.purchase_units?.[0] || {};
+    const capture = this.getCapture(paypalOrder);
+    const amount = capture?.amount || purchaseUnit.amount;
+    const currency = (amount?.currency_code || 'EUR').toLowerCase();
+    const approveLink = (paypalOrder.links || [])
+      .find(link => link.rel === 'payer-action' || link.rel === 'approve');
+
+    // A completed order can still hold a declined or pending capture
+    const status = capture
+      ? captureStatusMap[capture.status] || 'processing'
+      : statusMap[paypalOrder.status] || 'requires_payment_method';
+
+    return {
+      id: paypalOrder.id,
+      provider: 'paypal',
+      captureId: capture?.id || null,
+      amount: amount ? toMinorUnits(amount.value, currency) : null,
+      currency,
+      status,
+      // The PayPal JS SDK approves an order by its ID
+      clientSecret: paypalOrder.id,
+      customerId: paypalOrder.payer?.payer_id || null,
+      paymentMethodId: null,
+      paymentMethodType: 'paypal',
+      payerCountry: paypalOrder.payer?.address?.country_code || null,
+      redirectUrl: approveLink?.href || null,
+      metadata: { reference_id: purchaseUnit.reference_id, custom_id: purchaseUnit.custom_id },
+      createdAt: paypalOrder.create_time ? new Date(paypalOrder.create_time) : new Date(),
+      confirmedAt: status === 'succeeded'
+        ? new Date(capture?.create_time || paypalOrder.update_time || Date.now())
+        : null,
+      lastError: status === 'payment_failed'
+        ? {
+            code: capture?.status_details?.reason || 'payment_failed',
+            message: 'PayPal declined the payment',
+            type: 'card_error'
+          }
+        : null,
+      raw: paypalOrder
+    };
+  }
+
+  /**
+   * Normalize a capture (webhook resource) to the payment intent format, keyed by its order
+   */
+  normalizeCapture(paypalCapture) {
+    const statusMap = {
+      'COMPLETED': 'succeeded',
+      'PENDING': 'processing',
+      'DECLINED': 'payment_failed',
+      'FAILED': 'payment_failed'
+    };
+
+    const currency = paypalCapture.amount.currency_code.toLowerCase();
+    const status = statusMap[paypalCapture.status] || 'processing';
+
+    return {
+      id: paypalCapture.supplementary_data?.related_ids?.order_id,
+      provider: 'paypal',
+      captureId: paypalCapture.id,
+      amount: toMinorUnits(paypalCapture.amount.value, currency),
+      currency,
+      status,
+      clientSecret: null,
+      customerId: null,
+      paymentMethodId: null,
+      paymentMethodType: 'paypal',
+      redirectUrl: null,
+      metadata: { custom_id: paypalCapture.custom_id },
+      createdAt: new Date(paypalCapture.create_time || Date.now()),
+      confirmedAt: status === 'succeeded' ? new Date(paypalCapture.update_time || Date.now()) : null,
+      lastError: status === 'payment_failed'
+        ? {
+            code: paypalCapture.status_details?.reason || 'payment_failed',
+            message: 'PayPal declined the payment',
+            type: 'card_error'
+          }
+        : null,
+      raw: paypalCapture
+    };
+  }
+
+  /**
+   * Normalize customer data
+   */
+  normalizeCustomer(paypalPayer) {
+    return {
+      id: paypalPayer.payer_id || paypalPayer.email_address,
+      provider: 'paypal',
+      email: paypalPayer.email_address,
+      name: paypalPayer.name?.full_name
+        || `${paypalPayer.name?.given_name || ''} ${paypalPayer.name?.surname || ''}`.trim(),
+      phone: paypalPayer.phone,
+      metadata: paypalPayer.metadata,
+      createdAt: new Date(),
+      raw: paypalPayer
+    };
+  }
+
+  /**
+   * Normalize refund data
+   */
+  normalizeRefund(paypalRefund, capture) {
+    const amount = paypalRefund.amount || capture.amount;
+    const currency = amount.currency_code.toLowerCase();
+
+    return {
+      id: paypalRefund.id,
+      provider: 'paypal',
+      amount: toMinorUnits(amount.value, currency),
+      currency,
+      status: paypalRefund.status === 'COMPLETED' ? 'succeeded' : paypalRefund.status.toLowerCase(),
+      transactionId: capture.id,
+      metadata: { note_to_payer: paypalRefund.note_to_payer },
+      createdAt: new Date(paypalRefund.create_time || Date.now()),
+      raw: paypalRefund
+    };
+  }
+
+  /**
+   * Handle PayPal errors and convert to PaymentError
+   */
+  handlePayPalError(error) {
+    if (error instanceof PaymentError) {
+      return error;
+    }
+
+    if (error.response) {
+      const { status, data } = error.response;
+      const issue = data?.details?.[0]?.issue;
+
+      if (issue === 'INSTRUMENT_DECLINED') {
+        return createProviderError(
+          data.details[0].description || 'The payment method was declined',
+          PaymentErrorTypes.CARD_DECLINED,
+          {
+            provider: 'paypal',
+            details: data
+          }
+        );
+      }
+
+      if (status === 400 || status === 422) {
+        return createProviderError(
+          data?.details?.[0]?.description || data?.message || 'Invalid request',
+          PaymentErrorTypes.INVALID_REQUEST,
+          {
+            provider: 'paypal',
+            details: data
+          }
+        );
+      }
+
+      if (status === 401) {
+        return createProviderError(
+          'Authentication failed',
+          PaymentErrorTypes.AUTHENTICATION_ERROR,
+          {
+            provider: 'paypal'
+          }
+        );
+      }
+
+      if (status === 404) {
+        return createProviderError(
+          'Resource not found',
+          PaymentErrorTypes.NOT_FOUND,
+          {
+            provider: 'paypal'
+          }
+        );
+      }
+
+      if (status >= 500) {
+        return createProviderError(
+          'Payment provider error',
+          PaymentErrorTypes.PROVIDER_ERROR,
+          {
+            provider: 'paypal',
+            status
+          }
+        );
+      }
+
+      return createProviderError(
+        data?.message || 'Payment error',
+        PaymentErrorTypes.UNKNOWN_ERROR,
+        {
+          provider: 'paypal',
+          status,
+          details: data
+        }
+      );
+    }
+
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return createProviderError(
+        'Unable to connect to payment provider',
+        PaymentErrorTypes.NETWORK_ERROR,
+        {
+          provider: 'paypal'
+        }
+      );
+    }
+
+    // Unknown error
+    return createProviderError(
+      error.message || 'Unknown payment error',
+      PaymentErrorTypes.UNKNOWN_ERROR,
+      {
+        provider: 'paypal'
+      }
+    );
+  }
+
+  /**
+   * Get supported currencies
+   */
+  getSupportedCurrencies() {
+    return [
+      'aud', 'brl', 'cad', 'chf', 'czk', 'dkk', 'eur', 'gbp', 'hkd', 'huf', 'ils', 'jpy',
+      'mxn', 'myr', 'nok', 'nzd', 'php', 'pln', 'sek', 'sgd', 'thb', 'twd', 'usd'
+    ];
+  }
+
+  /**
+   * Get supported payment method types
+   */
+  getSupportedPaymentMethods() {
+    return ['paypal'];
+  }
+}
+
+export default PayPalProvider;
@@ -3,10 +3,10 @@
  * Implements the PaymentProvider interface for Paystack integration
  */
 
-const axios = require('axios');
-const crypto = require('crypto');
-const { PaymentProvider } = require('./payment-provider-interface');
-const { PaymentError, PaymentErrorTypes } = require('../utils/errors');
+import axios from 'axios';
+import crypto from 'crypto';
+import { PaymentProvider } from './payment-provider-interface.js';
+import { PaymentError, PaymentErrorTypes, createProviderError } from '../utils/errors.js';
 
 class PaystackProvider extends PaymentProvider {
   constructor(config) {
@@ -39,12 +39,9 @@ class PaystackProvider extends PaymentProvider {
         email
       } = params;
 
-      // Convert amount to kobo for NGN or smallest unit for other currencies
-      const amountInSmallestUnit = this.convertToSmallestUnit(amount, currency);
-
       const initializeParams = {
         email: email || (customerId ? await this.getCustomerEmail(customerId) : null),
-        amount: amountInSmallestUnit,
+        amount,
         currency: currency.toUpperCase(),
         reference: this.generateReference(),
         callback_url: returnUrl,
@@ -62,9 +59,10 @@ class PaystackProvider extends PaymentProvider {
       const response = await this.client.post('/transaction/initialize', initializeParams);
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Transaction initialization failed',
-          PaymentErrorTypes.PROVIDER_ERROR
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'paystack' }
         );
       }
 
@@ -84,9 +82,10 @@ class PaystackProvider extends PaymentProvider {
       const response = await this.client.get(`/transaction/verify/${paymentIntentId}`);
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Transaction verification failed',
-          PaymentErrorTypes.PROVIDER_ERROR
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'paystack' }
         );
       }
 
@@ -108,9 +107,10 @@ class PaystackProvider extends PaymentProvider {
       const paymentIntent = await this.getPaymentIntent(paymentIntentId);
       
       if (paymentIntent.status !== 'succeeded') {
-        throw new PaymentError(
+        throw createProviderError(
           'Cannot capture payment that has not succeeded',
-          PaymentErrorTypes.INVALID_REQUEST
+          PaymentErrorTypes.INVALID_REQUEST,
+          { provider: 'paystack' }
         );
       }
 
@@ -125,9 +125,10 @@ class PaystackProvider extends PaymentProvider {
    * Cancel a payment (not supported in Paystack after initialization)
    */
   async cancelPaymentIntent(paymentIntentId, cancellationReason = 'requested_by_customer') {
-    throw new PaymentError(
+    throw createProviderError(
       'Payment cancellation not supported after initialization in Paystack',
-      PaymentErrorTypes.NOT_SUPPORTED
+      PaymentErrorTypes.NOT_SUPPORTED,
+      { provider: 'paystack' }
     );
   }
 
@@ -144,7 +145,6 @@ class PaystackProvider extends PaymentProvider {
 
       const refundParams = {
         transaction: paymentIntentId,
-        currency: 'NGN', // Paystack primarily supports NGN for refunds
         metadata: {
           ...metadata,
           reason
@@ -152,15 +152,16 @@ class PaystackProvider extends PaymentProvider {
       };
 
       if (amount) {
-        refundParams.amount = this.convertToSmallestUnit(amount, 'ngn');
+        refundParams.amount = amount;
       }
 
       const response = await this.client.post('/refund', refundParams);
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Refund failed',
-          PaymentErrorTypes.PROVIDER_ERROR
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'paystack' }
         );
       }
 
@@ -179,9 +180,10 @@ class PaystackProvider extends PaymentProvider {
       const response = await this.client.get(`/transaction/${paymentIntentId}`);
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Transaction not found',
-          PaymentErrorTypes.NOT_FOUND
+          PaymentErrorTypes.NOT_FOUND,
+          { provider: 'paystack' }
         );
       }
 
@@ -218,9 +220,10 @@ class PaystackProvider extends PaymentProvider {
       const response = await this.client.post('/customer', customerParams);
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Customer creation failed',
-          PaymentErrorTypes.PROVIDER_ERROR
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'paystack' }
         );
       }
 
@@ -244,9 +247,10 @@ class PaystackProvider extends PaymentProvider {
 
       // For card tokenization, this would typically happen through the frontend
       // and the token would be passed to create payment intent
-      throw new PaymentError(
+      throw createProviderError(
         'Payment method creation not directly supported. Use tokenization flow.',
-        PaymentErrorTypes.NOT_SUPPORTED
+        PaymentErrorTypes.NOT_SUPPORTED,
+        { provider: 'paystack' }
       );
 
     } catch (error) {
@@ -265,9 +269,10 @@ class PaystackProvider extends PaymentProvider {
       });
 
       if (!response.data.status) {
-        throw new PaymentError(
+        throw createProviderError(
           response.data.message || 'Dedicated account creation failed',
-          PaymentErrorTypes.PROVIDER_ERROR
+          PaymentErrorTypes.PROVIDER_ERROR,
+          { provider: 'paystack' }
         );
       }
 
@@ -278,22 +283,51 @@ class PaystackProvider extends PaymentProvider {
     }
   }
 
+  /**
+   * Get webhook signature header
+   */
+  getWebhookSignature(headers) {
+    return headers['x-paystack-signature'];
+  }
+
   /**
    * Verify webhook signature
+   * Paystack signs the raw request body, so the payload must not be re-serialized
    */
   verifyWebhookSignature(payload, signature) {
+    const body = Buffer.isBuffer(payload) || typeof payload === 'string'
+      ? payload
+      : JSON.stringify(payload);
+
     const hash = crypto.createHmac('sha512', this.config.webhookSecret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
 
     if (hash !== signature) {
-      throw new PaymentError(
+      throw createProviderError(
         'Webhook signature verification failed',
-        PaymentErrorTypes.INVALID_SIGNATURE
+        PaymentErrorTypes.INVALID_SIGNATURE,
+        { provider: 'paystack' }
       );
     }
 
-    return payload;
+    return typeof body === 'string' ? JSON.parse(body) : JSON.parse(body.toString('utf8'));
+  }
+
+  /**
+   * Get webhook event type
+   */
+  getWebhookEventType(event) {
+    return event.event;
+  }
+
+  /**
+   * Get webhook event ID
+   * Paystack events carry no ID of their own, so the event type and the transaction it reports identify them
+   */
+  getWebhookEventId(event) {
+    const subject = event.data?.id ?? event.data?.reference;
+    return subject !== undefined && subject !== null ? `${event.event}:${subject}` : null;
   }
 
   /**
@@ -315,6 +349,15 @@ class PaystackProvider extends PaymentProvider {
           paymentIntent: this.normalizePaymentIntent(data)
         };
 
+      case 'refund.pending':
+      case 'refund.processed':
+      case 'refund.failed':
+        return {
+          type: 'refund_updated',
+          paymentIntentId: data.transaction_reference,
+          refunds: [this.normalizeRefund(data)]
+        };
+
       case 'transfer.success':
         return {
           type: 'transfer_succeeded',
@@ -345,23 +388,6 @@ class PaystackProvider extends PaymentProvider {
     return `ref_${timestamp}_${random}`;
   }
 
-  /**
-   * Convert amount to smallest currency unit
-   */
-  convertToSmallestUnit(amount, currency) {
-    const multipliers = {
-      'ngn': 100, // kobo
-      'ghs': 100, // pesewa
-      'zar': 100, // cents
-      'usd': 100, // cents
-      'eur': 100, // cents
-      'gbp': 100  // pence
-    };
-
-    const multiplier = multipliers[currency.toLowerCase()] || 100;
-    return Math.round(amount * multiplier);
-  }
-
   /**
    * Map payment method types to Paystack channels
    */
@@ -411,12 +437,15 @@ class PaystackProvider extends PaymentProvider {
     return {
       id: paystackTransaction.reference || paystackTransaction.id,
       provider: 'paystack',
-      amount: paystackTransaction.amount ? paystackTransaction.amount / 100 : initParams.amount / 100,
+      amount: paystackTransaction.amount || initParams.amount,
       currency: (paystackTransaction.currency || initParams.currency || 'NGN').toLowerCase(),
       status: statusMap[paystackTransaction.status] || 'requires_payment_method',
       clientSecret: paystackTransaction.access_code,
       customerId: paystackTransaction.customer?.customer_code,
       paymentMethodId: paystackTransaction.authorization?.authorization_code,
+      paymentMethodType: paystackTransaction.channel,
+      payerCountry: paystackTransaction.authorization?.country_code || null,
+      redirectUrl: paystackTransaction.authorization_url || null,
       metadata: paystackTransaction.metadata || initParams.metadata,
       createdAt: paystackTransaction.created_at ? new Date(paystackTransaction.created_at) : new Date(),
       confirmedAt: paystackTransaction.status === 'success' 
@@ -472,15 +501,21 @@ class PaystackProvider extends PaymentProvider {
    * Normalize refund data
    */
   normalizeRefund(paystackRefund) {
+    const statusMap = {
+      'processed': 'succeeded',
+      'failed': 'failed'
+    };
+
     return {
       id: paystackRefund.id,
       provider: 'paystack',
-      amount: paystackRefund.amount / 100,
+      // Refund webhooks send the amount as a string
+      amount: Number(paystackRefund.amount),
       currency: (paystackRefund.currency || 'NGN').toLowerCase(),
-      status: paystackRefund.status,
-      transactionId: paystackRefund.transaction,
+      status: statusMap[paystackRefund.status] || 'pending',
+      transactionId: paystackRefund.transaction || paystackRefund.transaction_reference,
       metadata: paystackRefund.metadata,
-      createdAt: new Date(paystackRefund.created_at),
+      createdAt: new Date(paystackRefund.created_at || Date.now()),
       raw: paystackRefund
     };
   }
@@ -492,7 +527,7 @@ class PaystackProvider extends PaymentProvider {
     return {
       id: paystackTransfer.id,
       provider: 'paystack',
-      amount: paystackTransfer.amount / 100,
+      amount: paystackTransfer.amount,
       currency: (paystackTransfer.currency || 'NGN').toLowerCase(),
       status: paystackTransfer.status,
       reason: paystackTransfer.reason,
@@ -507,11 +542,15 @@ class PaystackProvider extends PaymentProvider {
    * Handle Paystack errors and convert to PaymentError
    */
   handlePaystackError(error) {
+    if (error instanceof PaymentError) {
+      return error;
+    }
+
     if (error.response) {
       const { status, data } = error.response;
       
       if (status === 400) {
-        return new PaymentError(
+        return createProviderError(
           data.message || 'Invalid request',
           PaymentErrorTypes.INVALID_REQUEST,
           {
@@ -522,7 +561,7 @@ class PaystackProvider extends PaymentProvider {
       }
 
       if (status === 401) {
-        return new PaymentError(
+        return createProviderError(
           'Authentication failed',
           PaymentErrorTypes.AUTHENTICATION_ERROR,
           {
@@ -532,7 +571,7 @@ class PaystackProvider extends PaymentProvider {
       }
 
       if (status === 404) {
-        return new PaymentError(
+        return createProviderError(
           'Resource not found',
           PaymentErrorTypes.NOT_FOUND,
           {
@@ -542,7 +581,7 @@ class PaystackProvider extends PaymentProvider {
       }
 
       if (status >= 500) {
-        return new PaymentError(
+        return createProviderError(
           'Payment provider error',
           PaymentErrorTypes.PROVIDER_ERROR,
           {
@@ -552,7 +591,7 @@ class PaystackProvider extends PaymentProvider {
         );
       }
 
-      return new PaymentError(
+      return createProviderError(
         data.message || 'Payment error',
         PaymentErrorTypes.UNKNOWN_ERROR,
         {
@@ -564,7 +603,7 @@ class PaystackProvider extends PaymentProvider {
     }
 
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      return new PaymentError(
+      return createProviderError(
         'Unable to connect to payment provider',
         PaymentErrorTypes.NETWORK_ERROR,
         {
@@ -574,7 +613,7 @@ class PaystackProvider extends PaymentProvider {
     }
 
     // Unknown error
-    return new PaymentError(
+    return createProviderError(
       error.message || 'Unknown payment error',
       PaymentErrorTypes.UNKNOWN_ERROR,
       {
@@ -604,4 +643,4 @@ class PaystackProvider extends PaymentProvider {
   }
 }
 
-module.exports = PaystackProvider;
\ No newline at end of file
+export default PaystackProvider;
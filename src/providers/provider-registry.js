@@ -0,0 +1,97 @@
+/**
+ * Payment Provider Registry
+ * Resolves PaymentProvider implementations by name so controllers and
+ * services never branch on a specific gateway
+ */
+
+import StripeProvider from './stripe-provider.js';
+import PaystackProvider from './paystack-provider.js';
+import FlutterwaveProvider from './flutterwave-provider.js';
+import PayPalProvider from './paypal-provider.js';
+import BankTransferProvider from './bank-transfer-provider.js';
+import { ApiError } from '../utils/errors.js';
+
+// Providers are built lazily so a gateway without credentials only fails when it is used
+const factories = new Map();
+const instances = new Map();
+
+class ProviderRegistry {
+  /**
+   * Register a provider factory
+   * @param {string} name - Provider name as used in routes and payments.provider
+   * @param {Function} factory - Returns a PaymentProvider instance
+   */
+  static register(name, factory) {
+    factories.set(name, factory);
+    instances.delete(name);
+  }
+
+  /**
+   * Resolve a provider by name
+   * @param {string} name - Provider name
+   * @returns {PaymentProvider}
+   * @throws {ApiError} 400 when no provider is registered under that name
+   */
+  static get(name) {
+    if (!factories.has(name)) {
+      throw new ApiError(400, `Unsupported payment provider: ${name}`);
+    }
+
+    if (!instances.has(name)) {
+      instances.set(name, factories.get(name)());
+    }
+
+    return instances.get(name);
+  }
+
+  static has(name) {
+    return factories.has(name);
+  }
+
+  static names() {
+    return [...factories.keys()];
+  }
+
+  // Drop cached instances, e.g. after credentials change in tests
+  static reset() {
+    instances.clear();
+  }
+}
+
+ProviderRegistry.register('stripe', () => new StripeProvider({
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+}));
+
+ProviderRegistry.register('paystack', () => new PaystackProvider({
+  secretKey: process.env.PAYSTACK_SECRET_KEY,
+  // Paystack signs webhooks with the account secret key
+  webhookSecret: process.env.PAYSTACK_SECRET_KEY
+}));
+
+ProviderRegistry.register('flutterwave', () => new FlutterwaveProvider({
+  secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+  // Secret hash set in the Flutterwave dashboard, echoed back in the verif-hash header
+  webhookSecret: process.env.FLUTTERWAVE_SECRET_HASH,
+  baseURL: process.env.FLUTTERWAVE_BASE_URL
+}));
+
+ProviderRegistry.register('paypal', () => new PayPalProvider({
+  clientId: process.env.PAYPAL_CLIENT_ID,
+  clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+  // ID of the webhook registered in the PayPal developer dashboard, used to verify events
+  webhookId: process.env.PAYPAL_WEBHOOK_ID,
+  mode: process.env.PAYPAL_MODE,
+  baseURL: process.env.PAYPAL_BASE_URL
+}));
+
+// Incoming transfers are paid to this account and reconciled by the payment reference
+ProviderRegistry.register('bank_transfer', () => new BankTransferProvider({
+  accountHolder: process.env.BANK_TRANSFER_ACCOUNT_HOLDER,
+  iban: process.env.BANK_TRANSFER_IBAN,
+  bic: process.env.BANK_TRANSFER_BIC,
+  bankName: process.env.BANK_TRANSFER_BANK_NAME,
+  paymentDays: parseInt(process.env.BANK_TRANSFER_PAYMENT_DAYS)
+}));
+
+export default ProviderRegistry;
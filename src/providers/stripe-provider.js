@@ -3,9 +3,9 @@
  * Implements the PaymentProvider interface for Stripe integration
  */
 
-const Stripe = require('stripe');
-const { PaymentProvider } = require('./payment-provider-interface');
-const { PaymentError, PaymentErrorTypes } = require('../utils/errors');
+import Stripe from 'stripe';
+import { PaymentProvider } from './payment-provider-interface.js';
+import { PaymentError, PaymentErrorTypes, createProviderError } from '../utils/errors.js';
 
 class StripeProvider extends PaymentProvider {
   constructor(config) {
@@ -24,15 +24,16 @@ class StripeProvider extends PaymentProvider {
         amount,
         currency,
         customerId,
-        paymentMethodTypes = ['card'],
+        paymentMethodTypes,
         metadata = {},
-        returnUrl
+        returnUrl,
+        email,
+        idempotencyKey
       } = params;
 
       const createParams = {
         amount,
         currency: currency.toLowerCase(),
-        payment_method_types: paymentMethodTypes,
         metadata: {
           ...metadata,
           provider: 'stripe'
@@ -44,15 +45,24 @@ class StripeProvider extends PaymentProvider {
         createParams.customer = await this.getStripeCustomerId(customerId);
       }
 
-      // Add return URL for payment methods that require it
-      if (returnUrl && paymentMethodTypes.includes('card')) {
-        createParams.automatic_payment_methods = {
-          enabled: true,
-          allow_redirects: 'always'
-        };
+      if (email) {
+        createParams.receipt_email = email;
+      }
+
+      // Stripe rejects explicit payment method types combined with automatic payment methods
+      if (paymentMethodTypes) {
+        createParams.payment_method_types = paymentMethodTypes;
+      } else {
+        createParams.automatic_payment_methods = returnUrl
+          ? { enabled: true, allow_redirects: 'always' }
+          : { enabled: true };
       }
 
-      const paymentIntent = await this.stripe.paymentIntents.create(createParams);
+      // Stripe answers a repeated key with the intent it created the first time
+      const paymentIntent = await this.stripe.paymentIntents.create(
+        createParams,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
 
       return this.normalizePaymentIntent(paymentIntent);
 
@@ -146,16 +156,18 @@ class StripeProvider extends PaymentProvider {
       const {
         amount,
         reason = 'requested_by_customer',
-        metadata = {}
+        metadata = {},
+        idempotencyKey
       } = params;
 
       // Get the payment intent to find the charge
       const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
       
       if (!paymentIntent.latest_charge) {
-        throw new PaymentError(
+        throw createProviderError(
           'No charge found for this payment intent',
-          PaymentErrorTypes.INVALID_REQUEST
+          PaymentErrorTypes.INVALID_REQUEST,
+          { provider: 'stripe' }
         );
       }
 
@@ -172,7 +184,10 @@ class StripeProvider extends PaymentProvider {
         refundParams.amount = amount;
       }
 
-      const refund = await this.stripe.refunds.create(refundParams);
+      const refund = await this.stripe.refunds.create(
+        refundParams,
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
 
       return this.normalizeRefund(refund);
 
@@ -186,7 +201,7 @@ class StripeProvider extends PaymentProvider {
    */
   async getPaymentIntent(paymentIntentId) {
     try {
-      const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
       return this.normalizePaymentIntent(paymentIntent);
     } catch (error) {
       throw this.handleStripeError(error);
@@ -249,6 +264,13 @@ class StripeProvider extends PaymentProvider {
     }
   }
 
+  /**
+   * Get webhook signature header
+   */
+  getWebhookSignature(headers) {
+    return headers['stripe-signature'];
+  }
+
   /**
    * Verify webhook signature
    */
@@ -261,13 +283,28 @@ class StripeProvider extends PaymentProvider {
       );
       return event;
     } catch (error) {
-      throw new PaymentError(
+      throw createProviderError(
         `Webhook signature verification failed: ${error.message}`,
-        PaymentErrorTypes.INVALID_SIGNATURE
+        PaymentErrorTypes.INVALID_SIGNATURE,
+        { provider: 'stripe' }
       );
     }
   }
 
+  /**
+   * Get webhook event type
+   */
+  getWebhookEventType(event) {
+    return event.type;
+  }
+
+  /**
+   * Get webhook event ID (evt_...), the same on every redelivery
+   */
+  getWebhookEventId(event) {
+    return event.id || null;
+  }
+
   /**
    * Process webhook event
    */
@@ -279,7 +316,7 @@ class StripeProvider extends PaymentProvider {
       case 'payment_intent.succeeded':
         return {
           type: 'payment_succeeded',
-          paymentIntent: this.normalizePaymentIntent(object)
+          paymentIntent: this.normalizePaymentIntent(await this.withLatestCharge(object))
         };
 
       case 'payment_intent.payment_failed':
@@ -294,12 +331,42 @@ class StripeProvider extends PaymentProvider {
           paymentIntent: this.normalizePaymentIntent(object)
         };
 
+      // SEPA Direct Debit and other delayed methods take days to settle
+      case 'payment_intent.processing':
+        return {
+          type: 'payment_processing',
+          paymentIntent: this.normalizePaymentIntent(object)
+        };
+
       case 'payment_intent.requires_action':
         return {
           type: 'payment_requires_action',
           paymentIntent: this.normalizePaymentIntent(object)
         };
 
+      case 'checkout.session.completed':
+        return {
+          type: 'payment_succeeded',
+          paymentIntent: this.normalizeCheckoutSession(object)
+        };
+
+      // Refunds made here or in the Stripe dashboard; the refund list is only expanded on older API versions
+      case 'charge.refunded':
+        return {
+          type: 'refund_updated',
+          paymentIntentId: object.payment_intent,
+          refunds: (object.refunds?.data ?? (await this.stripe.refunds.list({ charge: object.id, limit: 100 })).data)
+            .map(refund => this.normalizeRefund(refund))
+        };
+
+      // A pending refund settled, failed or was canceled
+      case 'charge.refund.updated':
+        return {
+          type: 'refund_updated',
+          paymentIntentId: object.payment_intent,
+          refunds: [this.normalizeRefund(object)]
+        };
+
       case 'charge.dispute.created':
         return {
           type: 'dispute_created',
@@ -338,6 +405,10 @@ class StripeProvider extends PaymentProvider {
       clientSecret: stripePaymentIntent.client_secret,
       customerId: stripePaymentIntent.customer,
       paymentMethodId: stripePaymentIntent.payment_method,
+      paymentMethodType: stripePaymentIntent.payment_method_types?.[0],
+      // Where the card was issued, once the charge is expanded
+      payerCountry: stripePaymentIntent.latest_charge?.payment_method_details?.card?.country || null,
+      redirectUrl: stripePaymentIntent.next_action?.redirect_to_url?.url || null,
       metadata: stripePaymentIntent.metadata,
       createdAt: new Date(stripePaymentIntent.created * 1000),
       confirmedAt: stripePaymentIntent.status === 'succeeded' 
@@ -354,6 +425,52 @@ class StripeProvider extends PaymentProvider {
     };
   }
 
+  /**
+   * Webhooks only carry the ID of a payment intent's latest charge, which says where the card is from.
+   * When the charge cannot be fetched the payment goes on without it.
+   */
+  async withLatestCharge(stripePaymentIntent) {
+    if (typeof stripePaymentIntent.latest_charge !== 'string') {
+      return stripePaymentIntent;
+    }
+
+    try {
+      const charge = await this.stripe.charges.retrieve(stripePaymentIntent.latest_charge);
+      return { ...stripePaymentIntent, latest_charge: charge };
+    } catch (error) {
+      return stripePaymentIntent;
+    }
+  }
+
+  /**
+   * Normalize a completed Checkout Session to the payment intent format.
+   * Checkout payments are stored under the session ID, so that is the ID used here.
+   */
+  normalizeCheckoutSession(stripeSession) {
+    return {
+      id: stripeSession.id,
+      provider: 'stripe',
+      amount: stripeSession.amount_total,
+      currency: stripeSession.currency,
+      status: stripeSession.payment_status === 'paid' ? 'succeeded' : 'processing',
+      clientSecret: null,
+      customerId: stripeSession.customer,
+      paymentMethodId: null,
+      paymentMethodType: stripeSession.payment_method_types?.[0],
+      // The billing address Stripe collected at checkout
+      payerCountry: stripeSession.customer_details?.address?.country || null,
+      redirectUrl: stripeSession.url || null,
+      metadata: {
+        ...stripeSession.metadata,
+        stripe_payment_intent_id: stripeSession.payment_intent
+      },
+      createdAt: new Date(stripeSession.created * 1000),
+      confirmedAt: new Date(),
+      lastError: null,
+      raw: stripeSession
+    };
+  }
+
   /**
    * Normalize payment status
    */
@@ -414,12 +531,18 @@ class StripeProvider extends PaymentProvider {
    * Normalize refund data
    */
   normalizeRefund(stripeRefund) {
+    const statusMap = {
+      'succeeded': 'succeeded',
+      'failed': 'failed',
+      'canceled': 'cancelled'
+    };
+
     return {
       id: stripeRefund.id,
       provider: 'stripe',
       amount: stripeRefund.amount,
       currency: stripeRefund.currency,
-      status: stripeRefund.status,
+      status: statusMap[stripeRefund.status] || 'pending',
       reason: stripeRefund.reason,
       chargeId: stripeRefund.charge,
       metadata: stripeRefund.metadata,
@@ -450,8 +573,12 @@ class StripeProvider extends PaymentProvider {
    * Handle Stripe errors and convert to PaymentError
    */
   handleStripeError(error) {
+    if (error instanceof PaymentError) {
+      return error;
+    }
+
     if (error.type === 'StripeCardError') {
-      return new PaymentError(
+      return createProviderError(
         error.message,
         PaymentErrorTypes.CARD_DECLINED,
         {
@@ -463,7 +590,7 @@ class StripeProvider extends PaymentProvider {
     }
 
     if (error.type === 'StripeInvalidRequestError') {
-      return new PaymentError(
+      return createProviderError(
         error.message,
         PaymentErrorTypes.INVALID_REQUEST,
         {
@@ -474,7 +601,7 @@ class StripeProvider extends PaymentProvider {
     }
 
     if (error.type === 'StripeAPIError') {
-      return new PaymentError(
+      return createProviderError(
         'Payment provider error',
         PaymentErrorTypes.PROVIDER_ERROR,
         {
@@ -485,7 +612,7 @@ class StripeProvider extends PaymentProvider {
     }
 
     if (error.type === 'StripeConnectionError') {
-      return new PaymentError(
+      return createProviderError(
         'Unable to connect to payment provider',
         PaymentErrorTypes.NETWORK_ERROR,
         {
@@ -495,7 +622,7 @@ class StripeProvider extends PaymentProvider {
     }
 
     // Unknown Stripe error
-    return new PaymentError(
+    return createProviderError(
       error.message || 'Unknown payment error',
       PaymentErrorTypes.UNKNOWN_ERROR,
       {
@@ -544,4 +671,4 @@ class StripeProvider extends PaymentProvider {
   }
 }
 
-module.exports = StripeProvider;
\ No newline at end of file
+export default StripeProvider;
\ No newline at end of file
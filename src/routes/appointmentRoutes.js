@@ -0,0 +1,67 @@
+import express from 'express';
+import { body } from 'express-validator';
+import AppointmentController from '../controllers/appointmentController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import Appointment from '../models/Appointment.js';
+
+const router = express.Router();
+
+// Validation rules
+const createAppointmentValidation = [
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('Date must be in YYYY-MM-DD format'),
+  body('time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be in HH:mm format'),
+  body('customer_email').isEmail().withMessage('Valid email is required'),
+  body('customer_name').isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
+  body('customer_phone').optional().isLength({ min: 5, max: 30 }).withMessage('Phone number must be 5-30 characters'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+const updateStatusValidation = [
+  body('status').isIn(['pending', 'confirmed', 'completed', 'cancelled']).withMessage('Invalid appointment status'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters')
+];
+
+// Public booking route
+router.post(
+  '/',
+  createAppointmentValidation,
+  AppointmentController.createAppointment
+);
+
+// The customer's own appointment; staff need view_pii, since it carries the customer's contact details
+router.get(
+  '/:appointmentId',
+  authMiddleware,
+  AppointmentController.getAppointment
+);
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_PII),
+  AppointmentController.getAppointments
+);
+
+router.patch(
+  '/:appointmentId/status',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_APPOINTMENTS),
+  updateStatusValidation,
+  audit('appointment.update_status', { id: req => req.params.appointmentId, load: id => Appointment.findById(id) }),
+  AppointmentController.updateAppointmentStatus
+);
+
+router.post(
+  '/:appointmentId/cancel',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_APPOINTMENTS),
+  audit('appointment.cancel', { id: req => req.params.appointmentId, load: id => Appointment.findById(id) }),
+  AppointmentController.cancelAppointment
+);
+
+export default router;
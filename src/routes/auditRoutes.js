@@ -0,0 +1,39 @@
+import express from 'express';
+import { query } from 'express-validator';
+import AuditController from '../controllers/auditController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+
+const router = express.Router();
+
+// Validation rules
+const auditLogValidation = [
+  query('actor_id').optional().isString().withMessage('Actor ID must be a string'),
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('target_type').optional().isString().withMessage('Target type must be a string'),
+  query('target_id').optional().isString().withMessage('Target ID must be a string'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+];
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_AUDIT_LOG),
+  auditLogValidation,
+  AuditController.getAuditLog
+);
+
+router.get(
+  '/verify',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_AUDIT_LOG),
+  AuditController.verifyAuditLog
+);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { body } from 'express-validator';
+import AuthController from '../controllers/authController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// bcrypt only reads the first 72 bytes, so longer passwords are refused rather than cut short
+const passwordRule = (field) => body(field)
+  .isString()
+  .custom(value => value.length >= 8 && Buffer.byteLength(value) <= 72)
+  .withMessage('Password must be at least 8 characters and at most 72 bytes');
+
+// Validation rules
+const registerValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  passwordRule('password'),
+  body('name').isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('phone').optional().isLength({ min: 5, max: 30 }).withMessage('Phone number must be 5-30 characters')
+];
+
+const loginValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const refreshTokenValidation = [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+const passwordResetValidation = [
+  body('email').isEmail().withMessage('Valid email is required')
+];
+
+const passwordResetConfirmValidation = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  passwordRule('password')
+];
+
+// 123456, or 123 456 as apps show it
+const codeRule = (chain = body('code')) => chain
+  .isString()
+  .matches(/^\s*\d{3}\s*\d{3}\s*$/)
+  .withMessage('Code must be the 6 digits from the authenticator app');
+
+// The code from the app, or failing that a recovery code
+const secondFactorValidation = [
+  body('recovery_code').optional().isString().notEmpty().withMessage('Recovery code must be a string'),
+  codeRule(body('code').if(body('recovery_code').not().exists()))
+];
+
+const twoFactorLoginValidation = [
+  body('challenge_token').isString().notEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidation
+];
+
+// Public routes
+router.post('/register', registerValidation, AuthController.register);
+router.post('/login', loginValidation, AuthController.login);
+router.post('/refresh', refreshTokenValidation, AuthController.refresh);
+router.post('/logout', refreshTokenValidation, AuthController.logout);
+router.post('/password-reset', passwordResetValidation, AuthController.requestPasswordReset);
+router.post('/password-reset/confirm', passwordResetConfirmValidation, AuthController.resetPassword);
+router.post('/login/2fa', twoFactorLoginValidation, AuthController.completeTwoFactorLogin);
+
+// Protected routes
+router.get('/me', authMiddleware, AuthController.getCurrentUser);
+router.post('/2fa/setup', authMiddleware, AuthController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, [codeRule()], AuthController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, secondFactorValidation, AuthController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, [codeRule()], AuthController.regenerateRecoveryCodes);
+
+export default router;
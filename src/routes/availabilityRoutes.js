@@ -0,0 +1,70 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import AvailabilityController from '../controllers/availabilityController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import Availability from '../models/Availability.js';
+
+const router = express.Router();
+
+// What the audit log records as the state before and after a change
+const loadRecurring = async (dayOfWeek) => ({ slots: (await Availability.getRecurring())[dayOfWeek] ?? [] });
+const loadOverride = async (date) => ({ slots: (await Availability.getOverrides(date, date))[date] ?? null });
+
+// Validation rules
+const dateParamValidation = param('date')
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .isISO8601({ strict: true })
+  .withMessage('Date must be in YYYY-MM-DD format');
+
+const slotsValidation = [
+  body('slots').isArray().withMessage('Slots must be an array'),
+  body('slots.*').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Each slot must be in HH:mm format')
+];
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_AVAILABILITY),
+  AvailabilityController.getSchedule
+);
+
+router.put(
+  '/recurring/:dayOfWeek',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_AVAILABILITY),
+  param('dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Monday) to 6 (Sunday)'),
+  slotsValidation,
+  audit('availability.set_recurring', { id: req => req.params.dayOfWeek, load: loadRecurring }),
+  AvailabilityController.setRecurringSlots
+);
+
+router.put(
+  '/overrides/:date',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_AVAILABILITY),
+  dateParamValidation,
+  slotsValidation,
+  audit('availability.set_override', { id: req => req.params.date, load: loadOverride }),
+  AvailabilityController.setOverrideSlots
+);
+
+router.delete(
+  '/overrides/:date',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_AVAILABILITY),
+  audit('availability.remove_override', { id: req => req.params.date, load: loadOverride }),
+  AvailabilityController.removeOverride
+);
+
+// Public route used by the booking flow
+router.get(
+  '/:date',
+  dateParamValidation,
+  AvailabilityController.getOpenSlots
+);
+
+export default router;
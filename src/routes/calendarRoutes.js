@@ -0,0 +1,51 @@
+import express from 'express';
+import { body } from 'express-validator';
+import CalendarController from '../controllers/calendarController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import CalendarFeed from '../models/CalendarFeed.js';
+
+const router = express.Router();
+
+// Validation rules
+const createFeedValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('email').optional({ nullable: true }).isEmail().withMessage('Valid email is required'),
+  body('consultation_ids').optional({ nullable: true }).isArray().withMessage('Consultation IDs must be an array'),
+  body('consultation_ids.*').isString().withMessage('Consultation IDs must be strings')
+];
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/feeds',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_CALENDAR),
+  CalendarController.getFeeds
+);
+
+router.post(
+  '/feeds',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_CALENDAR),
+  createFeedValidation,
+  audit('calendar_feed.create', { id: (req, data) => data?.feed?.id, load: id => CalendarFeed.findById(id) }),
+  CalendarController.createFeed
+);
+
+router.delete(
+  '/feeds/:feedId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_CALENDAR),
+  audit('calendar_feed.revoke', { id: req => req.params.feedId, load: id => CalendarFeed.findById(id) }),
+  CalendarController.revokeFeed
+);
+
+// Subscription feed (no authentication - the token is the credential)
+router.get(
+  '/:token.ics',
+  CalendarController.getFeed
+);
+
+export default router;
@@ -0,0 +1,105 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import ConsultationController from '../controllers/consultationController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import Consultation from '../models/Consultation.js';
+import ConsultationPrice from '../models/ConsultationPrice.js';
+
+const router = express.Router();
+
+// What the audit log records as the state before and after a change
+const priceId = req => `${req.params.consultationId}/${req.params.currency.toUpperCase()}`;
+const loadPrice = (id, req) => ConsultationPrice.find(req.params.consultationId, req.params.currency);
+
+// Validation rules
+const createConsultationValidation = [
+  body('id').optional().matches(/^[a-z0-9_-]{1,64}$/).withMessage('ID may only contain lowercase letters, digits, "_" and "-"'),
+  body('title').isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('duration').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be 5-480 minutes'),
+  body('price').isInt({ min: 0 }).withMessage('Price must be a non-negative integer in the smallest currency unit'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code')
+];
+
+const updateConsultationValidation = [
+  body('title').optional().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('description').optional().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('duration').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be 5-480 minutes'),
+  body('price').optional().isInt({ min: 0 }).withMessage('Price must be a non-negative integer in the smallest currency unit'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code'),
+  body('stripe_price_id').optional().isString().withMessage('Stripe price ID must be a string'),
+  body('paystack_plan_code').optional().isString().withMessage('Paystack plan code must be a string')
+];
+
+const quoteValidation = [
+  query('provider').optional().isString().withMessage('Provider must be a string'),
+  query('currency').optional().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code')
+];
+
+const setPriceValidation = [
+  param('currency').matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('amount').isInt({ min: 0 }).withMessage('Amount must be a non-negative integer in the smallest currency unit')
+];
+
+// Public catalog routes
+router.get(
+  '/',
+  ConsultationController.getConsultations
+);
+
+router.get(
+  '/:consultationId',
+  ConsultationController.getConsultation
+);
+
+router.get(
+  '/:consultationId/prices',
+  ConsultationController.getConsultationPrices
+);
+
+router.get(
+  '/:consultationId/price',
+  quoteValidation,
+  ConsultationController.getConsultationQuote
+);
+
+// Admin routes (require a staff account with the permission each declares)
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  createConsultationValidation,
+  audit('consultation.create', { id: (req, data) => data?.consultation?.id, load: id => Consultation.findById(id) }),
+  ConsultationController.createConsultation
+);
+
+router.put(
+  '/:consultationId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  updateConsultationValidation,
+  audit('consultation.update', { id: req => req.params.consultationId, load: id => Consultation.findById(id) }),
+  ConsultationController.updateConsultation
+);
+
+router.put(
+  '/:consultationId/prices/:currency',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  setPriceValidation,
+  audit('consultation_price.set', { id: priceId, load: loadPrice }),
+  ConsultationController.setConsultationPrice
+);
+
+router.delete(
+  '/:consultationId/prices/:currency',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  audit('consultation_price.delete', { id: priceId, load: loadPrice }),
+  ConsultationController.deleteConsultationPrice
+);
+
+export default router;
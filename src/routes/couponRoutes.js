@@ -0,0 +1,91 @@
+import express from 'express';
+import { body } from 'express-validator';
+import CouponController from '../controllers/couponController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import Coupon from '../models/Coupon.js';
+
+const router = express.Router();
+
+// Validation rules
+const validateCouponValidation = [
+  body('code').isString().isLength({ min: 1, max: 64 }).withMessage('Coupon code must be 1-64 characters'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('currency').optional().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('provider').optional().isString().withMessage('Provider must be a string'),
+  body('user_id').optional().isUUID().withMessage('User ID must be a valid UUID'),
+  body('customer_email').optional().isEmail().withMessage('Valid email is required')
+];
+
+const couponFieldValidation = [
+  body('description').optional().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  body('discount_type').optional().isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  body('discount_value').optional().isInt({ min: 1 }).withMessage('Discount must be a positive integer: a percentage, or the smallest currency unit'),
+  body('currency').optional({ nullable: true }).matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('valid_from').optional({ nullable: true }).isISO8601().withMessage('Valid from must be an ISO 8601 date'),
+  body('valid_until').optional({ nullable: true }).isISO8601().withMessage('Valid until must be an ISO 8601 date'),
+  body('max_redemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max redemptions must be a positive integer'),
+  body('max_redemptions_per_user').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max redemptions per user must be a positive integer'),
+  body('consultation_ids').optional({ nullable: true }).isArray().withMessage('Consultation IDs must be an array'),
+  body('consultation_ids.*').isString().withMessage('Consultation IDs must be strings'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+];
+
+const createCouponValidation = [
+  body('code').matches(/^[A-Za-z0-9_-]{3,64}$/).withMessage('Code must be 3-64 letters, digits, dashes or underscores'),
+  body('discount_type').exists().withMessage('Discount type is required'),
+  body('discount_value').exists().withMessage('Discount value is required'),
+  ...couponFieldValidation
+];
+
+// Public routes
+router.post(
+  '/validate',
+  validateCouponValidation,
+  CouponController.validateCoupon
+);
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  CouponController.getCoupons
+);
+
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  createCouponValidation,
+  audit('coupon.create', { id: (req, data) => data?.coupon?.id, load: id => Coupon.findById(id) }),
+  CouponController.createCoupon
+);
+
+router.put(
+  '/:couponId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  couponFieldValidation,
+  audit('coupon.update', { id: req => req.params.couponId, load: id => Coupon.findById(id) }),
+  CouponController.updateCoupon
+);
+
+router.delete(
+  '/:couponId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  audit('coupon.delete', { id: req => req.params.couponId, load: id => Coupon.findById(id) }),
+  CouponController.deleteCoupon
+);
+
+router.get(
+  '/:couponId/redemptions',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_PII),
+  CouponController.getCouponRedemptions
+);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { body } from 'express-validator';
+import ExchangeRateController from '../controllers/exchangeRateController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+
+const router = express.Router();
+
+// What the audit log records as the state before and after a change
+const loadRatesFrom = async (base) => (await ExchangeRate.findAll()).filter(rate => rate.base_currency === base);
+const rateId = req => `${req.params.base.toUpperCase()}/${req.params.quote.toUpperCase()}`;
+const loadRate = (id, req) => ExchangeRate.find(req.params.base, req.params.quote);
+
+// Validation rules
+const uploadValidation = [
+  body('base').matches(/^[A-Za-z]{3}$/).withMessage('Base must be a 3-letter ISO code'),
+  body('rates').isObject().withMessage('Rates must be an object of currency codes to rates'),
+  body('rates').custom(rates => Object.keys(rates).every(code => /^[A-Za-z]{3}$/.test(code)))
+    .withMessage('Rate keys must be 3-letter ISO codes')
+];
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  ExchangeRateController.getExchangeRates
+);
+
+router.put(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  uploadValidation,
+  audit('exchange_rates.upload', { id: req => req.body.base?.toUpperCase(), load: loadRatesFrom }),
+  ExchangeRateController.uploadExchangeRates
+);
+
+router.post(
+  '/refresh',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  audit('exchange_rates.refresh'),
+  ExchangeRateController.refreshExchangeRates
+);
+
+router.delete(
+  '/:base/:quote',
+  authMiddleware,
+  requirePermission(PERMISSIONS.EDIT_PRICES),
+  audit('exchange_rate.delete', { id: rateId, load: loadRate }),
+  ExchangeRateController.deleteExchangeRate
+);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import NotificationController from '../controllers/notificationController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import { MESSAGING_CHANNELS } from '../models/MessagingOptOut.js';
+
+const router = express.Router();
+
+// Validation rules
+const deliveryLogValidation = [
+  query('channel').optional().isIn(['email', ...MESSAGING_CHANNELS]).withMessage('Channel must be email, whatsapp or sms'),
+  query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Status must be pending, sent or failed'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+];
+
+const optOutListValidation = [
+  query('channel').optional().isIn(MESSAGING_CHANNELS).withMessage('Channel must be whatsapp or sms'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+];
+
+const optOutValidation = [
+  body('phone').isString().notEmpty().withMessage('Phone number is required'),
+  body('channel').isIn(MESSAGING_CHANNELS).withMessage('Channel must be whatsapp or sms')
+];
+
+const optInValidation = [
+  param('channel').isIn(MESSAGING_CHANNELS).withMessage('Channel must be whatsapp or sms')
+];
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_PII),
+  deliveryLogValidation,
+  NotificationController.getDeliveryLog
+);
+
+router.get(
+  '/opt-outs',
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_PII),
+  optOutListValidation,
+  NotificationController.getOptOuts
+);
+
+router.post(
+  '/opt-outs',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_MESSAGING),
+  optOutValidation,
+  audit('messaging_opt_out.create', { id: req => `${req.body.channel}:${req.body.phone}` }),
+  NotificationController.createOptOut
+);
+
+router.delete(
+  '/opt-outs/:channel/:phone',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_MESSAGING),
+  optInValidation,
+  audit('messaging_opt_out.delete', { id: req => `${req.params.channel}:${req.params.phone}` }),
+  NotificationController.deleteOptOut
+);
+
+export default router;
@@ -1,58 +1,173 @@
 import express from 'express';
 import { body } from 'express-validator';
 import PaymentController from '../controllers/paymentController.js';
-import authMiddleware from '../middleware/authMiddleware.js';
-import adminMiddleware from '../middleware/adminMiddleware.js';
+import authMiddleware, { optionalAuthMiddleware, checkoutAuthMiddleware } from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import idempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+import paymentLimiter from '../middleware/paymentLimiter.js';
+import Payment from '../models/Payment.js';
+import RefundService from '../services/refundService.js';
 
 const router = express.Router();
 
+// What the audit log records of a payment, without the secrets in its metadata
+const loadPayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  return payment && payment.toAuditJSON();
+};
+
+// Its refunds too, so the amount of a refund shows
+const loadPaymentWithRefunds = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  return payment && { payment: payment.toAuditJSON(), ...(await RefundService.getLedger(payment)) };
+};
+
 // Validation rules
-const stripePaymentIntentValidation = [
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer in cents'),
+
+// Optional slot to hold while the payment is in flight; date and time go together
+const slotValidation = [
+  body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601({ strict: true }).withMessage('Date must be in YYYY-MM-DD format'),
+  body('time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be in HH:mm format'),
+  body('time').if(body('date').exists()).exists().withMessage('Time is required when a date is given'),
+  body('date').if(body('time').exists()).exists().withMessage('Date is required when a time is given')
+];
+
+// Where the customer is and their VAT ID decide how VAT is charged
+const customerTaxValidation = [
+  body('customer_country').optional().matches(/^[A-Za-z]{2}$/).withMessage('Country must be a 2-letter ISO code'),
+  body('customer_vat_id').optional().isString().isLength({ min: 4, max: 20 }).withMessage('VAT ID must be 4-20 characters')
+];
+
+// The amount is worked out on the server from the consultation's price, the optional coupon and
+// the customer's VAT status; an amount sent by the client is only checked against it
+const priceValidation = [
+  body('amount').optional().isInt({ min: 1 }).withMessage('Amount must be a positive integer in the smallest currency unit'),
+  body('coupon_code').optional().isString().isLength({ min: 1, max: 64 }).withMessage('Coupon code must be 1-64 characters'),
+  ...customerTaxValidation
+];
+
+const quoteValidation = [
+  body('provider').isString().notEmpty().withMessage('Provider is required'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('currency').optional().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter ISO code'),
+  body('customer_email').optional().isEmail().withMessage('Valid email is required'),
+  body('coupon_code').optional().isString().isLength({ min: 1, max: 64 }).withMessage('Coupon code must be 1-64 characters'),
+  ...customerTaxValidation
+];
+
+const paymentIntentValidation = [
   body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code'),
-  body('user_id').isUUID().withMessage('User ID must be a valid UUID'),
-  body('consultation_id').isUUID().withMessage('Consultation ID must be a valid UUID'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
   body('customer_email').isEmail().withMessage('Valid email is required'),
   body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
   body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
-  body('customer_id').optional().isString().withMessage('Customer ID must be a string')
+  body('customer_id').optional().isString().withMessage('Customer ID must be a string'),
+  ...slotValidation,
+  ...priceValidation
 ];
 
 const stripeCheckoutValidation = [
-  body('price_id').isString().withMessage('Stripe price ID is required'),
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer in cents'),
+  body('amount').optional().isInt({ min: 1 }).withMessage('Amount must be a positive integer in the smallest currency unit'),
   body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code'),
-  body('user_id').isUUID().withMessage('User ID must be a valid UUID'),
-  body('consultation_id').isUUID().withMessage('Consultation ID must be a valid UUID'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
   body('customer_email').isEmail().withMessage('Valid email is required'),
   body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
-  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID')
+  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+  ...customerTaxValidation
 ];
 
 const paystackPaymentValidation = [
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer in kobo (for NGN) or cents'),
   body('currency').optional().isIn(['NGN', 'USD', 'GHS', 'ZAR', 'KES']).withMessage('Invalid currency for Paystack'),
-  body('user_id').isUUID().withMessage('User ID must be a valid UUID'),
-  body('consultation_id').isUUID().withMessage('Consultation ID must be a valid UUID'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('customer_email').isEmail().withMessage('Valid email is required'),
+  body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
+  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+  ...slotValidation,
+  ...priceValidation
+];
+
+const flutterwavePaymentValidation = [
+  body('currency').optional().isIn(['NGN', 'GHS', 'KES', 'UGX', 'TZS', 'ZAR', 'RWF', 'XAF', 'XOF', 'ZMW', 'USD', 'EUR', 'GBP']).withMessage('Invalid currency for Flutterwave'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('customer_email').isEmail().withMessage('Valid email is required'),
+  body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
+  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+  ...slotValidation,
+  ...priceValidation
+];
+
+const paypalOrderValidation = [
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
+  body('customer_email').isEmail().withMessage('Valid email is required'),
+  body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
+  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+  ...slotValidation,
+  ...priceValidation
+];
+
+const bankTransferValidation = [
+  body('currency').optional().isIn(['EUR']).withMessage('Bank transfers are only accepted in EUR'),
+  body('consultation_id').isString().notEmpty().withMessage('Consultation ID is required'),
   body('customer_email').isEmail().withMessage('Valid email is required'),
   body('customer_name').optional().isLength({ min: 1, max: 100 }).withMessage('Customer name must be 1-100 characters'),
-  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID')
+  body('appointment_id').optional().isUUID().withMessage('Appointment ID must be a valid UUID'),
+  ...slotValidation,
+  ...priceValidation
+];
+
+const bankTransferReceivedValidation = [
+  body('amount').optional().isInt({ min: 1 }).withMessage('Amount must be a positive integer in the smallest currency unit'),
+  body('note').optional().isLength({ min: 1, max: 500 }).withMessage('Note must be 1-500 characters')
 ];
 
 const refundValidation = [
-  body('amount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
   body('reason').optional().isLength({ min: 1, max: 200 }).withMessage('Reason must be 1-200 characters')
 ];
 
+// Endpoints that create payments or refunds accept an optional Idempotency-Key header,
+// so a double submit or a retried request cannot charge or refund twice
+
+// Payments are started by logged-in customers and guests alike and booked on the login, or on
+// the guest's email; the customer is never taken from the body. Guests get a checkout token back
+// with which only they can verify or capture the payment they started
+
+// What a booking will cost, VAT included, before any payment is made
+router.post(
+  '/quote',
+  optionalAuthMiddleware,
+  quoteValidation,
+  PaymentController.getQuote
+);
+
+// Provider-agnostic payment routes (provider resolved through the provider registry)
+router.post(
+  '/:provider/intents',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
+  paymentIntentValidation,
+  PaymentController.createPaymentIntent
+);
+
 // Stripe payment routes
 router.post(
   '/stripe/payment-intent',
-  stripePaymentIntentValidation,
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
+  paymentIntentValidation,
   PaymentController.createStripePaymentIntent
 );
 
 router.post(
   '/stripe/checkout-session',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
   stripeCheckoutValidation,
   PaymentController.createStripeCheckoutSession
 );
@@ -60,41 +175,140 @@ router.post(
 // Paystack payment routes
 router.post(
   '/paystack/initialize',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
   paystackPaymentValidation,
   PaymentController.initializePaystackPayment
 );
 
 router.get(
   '/paystack/verify/:reference',
+  checkoutAuthMiddleware,
   PaymentController.verifyPaystackPayment
 );
 
-// General payment routes
+// Flutterwave payment routes
+router.post(
+  '/flutterwave/initialize',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
+  flutterwavePaymentValidation,
+  PaymentController.initializeFlutterwavePayment
+);
+
+router.get(
+  '/flutterwave/verify/:txRef',
+  checkoutAuthMiddleware,
+  PaymentController.verifyFlutterwavePayment
+);
+
+// PayPal payment routes
+router.post(
+  '/paypal/orders',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
+  paypalOrderValidation,
+  PaymentController.createPayPalOrder
+);
+
+router.post(
+  '/paypal/orders/:orderId/capture',
+  checkoutAuthMiddleware,
+  PaymentController.capturePayPalOrder
+);
+
+// Bank transfer routes
+router.post(
+  '/bank-transfer',
+  paymentLimiter,
+  optionalAuthMiddleware,
+  idempotencyMiddleware,
+  bankTransferValidation,
+  PaymentController.createBankTransfer
+);
+
+router.post(
+  '/bank-transfer/statements',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_PAYMENTS),
+  express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' }),
+  audit('bank_statement.import'),
+  PaymentController.importBankStatement
+);
+
+router.post(
+  '/bank-transfer/:paymentId/received',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_PAYMENTS),
+  bankTransferReceivedValidation,
+  audit('payment.mark_received', { id: req => req.params.paymentId, load: loadPayment }),
+  PaymentController.markBankTransferReceived
+);
+
+// Routes for existing payments (require authentication). Customers only reach their own
+// payments, which the controller checks against PaymentPolicy; staff reach all of them.
 router.get(
   '/status/:paymentId',
+  authMiddleware,
   PaymentController.getPaymentStatus
 );
 
 router.get(
   '/user/:userId',
+  authMiddleware,
   PaymentController.getUserPayments
 );
 
+// Checked before the Idempotency-Key, so a stored refund is never replayed to anyone else
 router.post(
   '/refund/:paymentId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.REFUND),
+  idempotencyMiddleware,
   refundValidation,
+  audit('payment.refund', { id: req => req.params.paymentId, load: loadPaymentWithRefunds }),
   PaymentController.refundPayment
 );
 
+router.get(
+  '/:paymentId/refunds',
+  authMiddleware,
+  PaymentController.getPaymentRefunds
+);
+
+router.get(
+  '/:paymentId/invoice',
+  authMiddleware,
+  PaymentController.getPaymentInvoice
+);
+
+router.get(
+  '/:paymentId/credit-notes',
+  authMiddleware,
+  PaymentController.getPaymentCreditNotes
+);
+
+router.get(
+  '/:paymentId/credit-notes/:creditNoteId',
+  authMiddleware,
+  PaymentController.getPaymentCreditNote
+);
+
 router.post(
   '/cancel/:paymentId',
+  authMiddleware,
+  audit('payment.cancel', { id: req => req.params.paymentId, load: loadPayment }),
   PaymentController.cancelPayment
 );
 
-// Admin routes (require admin authentication)
+// Admin routes (require a staff account with the permission each declares)
 router.get(
   '/admin/stats',
-  adminMiddleware,
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_PAYMENTS),
   PaymentController.getPaymentStats
 );
 
@@ -106,7 +320,10 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       stripe: !!process.env.STRIPE_SECRET_KEY,
-      paystack: !!process.env.PAYSTACK_SECRET_KEY
+      paystack: !!process.env.PAYSTACK_SECRET_KEY,
+      flutterwave: !!process.env.FLUTTERWAVE_SECRET_KEY,
+      paypal: !!process.env.PAYPAL_CLIENT_ID,
+      bank_transfer: !!process.env.BANK_TRANSFER_IBAN
     }
   });
 });
@@ -0,0 +1,81 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import StaffController from '../controllers/staffController.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS, STAFF_ROLES } from '../policies/roles.js';
+import User from '../models/User.js';
+import TwoFactorRole from '../models/TwoFactorRole.js';
+
+const router = express.Router();
+
+// Validation rules
+const addStaffValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('name').isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('role').isIn(STAFF_ROLES).withMessage(`Role must be one of ${STAFF_ROLES.join(', ')}`)
+];
+
+const updateRoleValidation = [
+  param('userId').isUUID().withMessage('User ID must be a valid UUID'),
+  body('role').isIn([...STAFF_ROLES, 'customer']).withMessage(`Role must be one of ${STAFF_ROLES.join(', ')} or customer`)
+];
+
+const twoFactorRoleValidation = [
+  param('role').isIn(STAFF_ROLES).withMessage(`Role must be one of ${STAFF_ROLES.join(', ')}`),
+  body('required').isBoolean().withMessage('Required must be a boolean').toBoolean(true)
+];
+
+const resetTwoFactorValidation = [
+  param('userId').isUUID().withMessage('User ID must be a valid UUID')
+];
+
+// What the audit log records of a role's two-factor requirement
+const loadTwoFactorRole = async (role) => ({ required: await TwoFactorRole.isRequired(role) });
+
+// Admin routes (require a staff account with the permission each declares)
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  StaffController.getStaff
+);
+
+router.post(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  addStaffValidation,
+  audit('staff.add', { id: (req, data) => data?.user?.id, load: id => User.findById(id) }),
+  StaffController.addStaff
+);
+
+router.patch(
+  '/:userId/role',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  updateRoleValidation,
+  audit('staff.set_role', { id: req => req.params.userId, load: id => User.findById(id) }),
+  StaffController.updateStaffRole
+);
+
+router.put(
+  '/roles/:role/two-factor',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  twoFactorRoleValidation,
+  audit('two_factor_role.update', { id: req => req.params.role, load: loadTwoFactorRole }),
+  StaffController.updateTwoFactorRole
+);
+
+router.delete(
+  '/:userId/two-factor',
+  authMiddleware,
+  requirePermission(PERMISSIONS.MANAGE_STAFF),
+  resetTwoFactorValidation,
+  audit('staff.reset_two_factor', { id: req => req.params.userId, load: id => User.findById(id) }),
+  StaffController.resetTwoFactor
+);
+
+export default router;
@@ -1,36 +1,44 @@
 import express from 'express';
 import WebhookController from '../controllers/webhookController.js';
-import adminMiddleware from '../middleware/adminMiddleware.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import requirePermission from '../middleware/permissionMiddleware.js';
+import audit from '../middleware/auditMiddleware.js';
+import { PERMISSIONS } from '../policies/roles.js';
+import ProviderRegistry from '../providers/provider-registry.js';
+import WebhookLog from '../models/WebhookLog.js';
 
 const router = express.Router();
 
-// Webhook endpoints (no authentication required - verified by signature)
-router.post(
-  '/stripe',
-  WebhookController.handleStripeWebhook
-);
-
-router.post(
-  '/paystack',
-  WebhookController.handlePaystackWebhook
-);
+// What the audit log records of a delivery: not the payload, which holds the customer's details
+const loadDelivery = async (webhookId) => {
+  const log = await WebhookLog.findById(webhookId);
+  if (!log) {
+    return null;
+  }
+  const { payload, signature, ...delivery } = log;
+  return delivery;
+};
 
 // Admin webhook management routes
 router.get(
   '/logs',
-  adminMiddleware,
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_WEBHOOKS),
   WebhookController.getWebhookLogs
 );
 
 router.post(
   '/retry/:webhookId',
-  adminMiddleware,
+  authMiddleware,
+  requirePermission(PERMISSIONS.RETRY_WEBHOOKS),
+  audit('webhook.retry', { id: req => req.params.webhookId, load: loadDelivery }),
   WebhookController.retryWebhook
 );
 
 router.get(
   '/stats',
-  adminMiddleware,
+  authMiddleware,
+  requirePermission(PERMISSIONS.VIEW_WEBHOOKS),
   WebhookController.getWebhookStats
 );
 
@@ -40,11 +48,33 @@ router.get('/health', (req, res) => {
     success: true,
     message: 'Webhook service is healthy',
     timestamp: new Date().toISOString(),
-    endpoints: {
-      stripe: '/webhooks/stripe',
-      paystack: '/webhooks/paystack'
-    }
+    endpoints: Object.fromEntries(
+      ProviderRegistry.names().map(name => [name, `/webhooks/${name}`])
+    )
   });
 });
 
+// WhatsApp and SMS delivery reports and replies (verified by signature)
+router.post(
+  '/messaging/twilio',
+  WebhookController.handleTwilioMessagingWebhook
+);
+
+router.get(
+  '/messaging/whatsapp',
+  WebhookController.verifyWhatsAppSubscription
+);
+
+router.post(
+  '/messaging/whatsapp',
+  WebhookController.handleWhatsAppWebhook
+);
+
+// Webhook endpoint per registered provider (no authentication required - verified by signature).
+// Declared last so it cannot shadow the admin routes above.
+router.post(
+  '/:provider',
+  WebhookController.handleProviderWebhook
+);
+
 export default router;
\ No newline at end of file
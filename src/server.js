@@ -9,14 +9,32 @@ import { dirname, join } from 'path';
 // Import routes
 import paymentRoutes from './routes/paymentRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
+import appointmentRoutes from './routes/appointmentRoutes.js';
+import consultationRoutes from './routes/consultationRoutes.js';
+import availabilityRoutes from './routes/availabilityRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
 
 // Import middleware
 import errorHandler from './middleware/errorHandler.js';
 import requestLogger from './middleware/requestLogger.js';
 import securityMiddleware from './middleware/securityMiddleware.js';
+import paymentLimiter from './middleware/paymentLimiter.js';
 
 // Import database
 import { initializeDatabase } from './database/database.js';
+import { seedDatabase } from './database/seed.js';
+
+// Import background jobs
+import SlotHoldService from './services/slotHoldService.js';
+import PaymentService from './services/paymentService.js';
+import WebhookService from './services/webhookService.js';
+import NotificationService from './services/notificationService.js';
 
 // Import logger
 import logger from './utils/logger.js';
@@ -30,8 +48,25 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Refuse to start without a way to send emails and reminder messages
+NotificationService.checkTransports();
+
 // Initialize database
 await initializeDatabase();
+await seedDatabase();
+
+// Release slot holds and coupon uses whose checkout never completed
+SlotHoldService.startExpirySweep();
+
+// Give up bank transfers that were not paid by their deadline
+PaymentService.startDeadlineSweep();
+
+// Retry webhooks whose processing failed, with exponential backoff
+WebhookService.startRetryWorker();
+
+// Send queued emails, retrying failed ones, and queue appointment reminders
+NotificationService.startDeliveryWorker();
+NotificationService.startReminderSweep();
 
 // Security middleware
 app.use(helmet({
@@ -50,8 +85,9 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id']
 }));
 
 // Rate limiting
@@ -63,23 +99,25 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-const paymentLimiter = rateLimit({
+// Stricter for logins and password resets, which are worth guessing at
+const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // limit each IP to 10 payment requests per windowMs
-  message: 'Too many payment requests from this IP, please try again later.',
+  max: 20, // limit each IP to 20 auth requests per windowMs
+  message: 'Too many authentication attempts from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
 });
 
 app.use(limiter);
 app.use(requestLogger);
-app.use(securityMiddleware);
 
-// Body parsing middleware
+// Body parsing middleware (must run before securityMiddleware, which inspects req.body)
 app.use('/webhooks', express.raw({ type: 'application/json' })); // Raw body for webhooks
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+app.use(securityMiddleware);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -90,7 +128,19 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/payments', paymentLimiter, paymentRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
+// Only the routes that start payments take the stricter payment limit, see paymentRoutes
+app.use('/api/payments', paymentRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/consultations', consultationRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+// Rate limited like payments so coupon codes cannot be guessed by brute force
+app.use('/api/coupons', paymentLimiter, couponRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/admin/audit', auditRoutes);
 app.use('/webhooks', webhookRoutes);
 
 // 404 handler
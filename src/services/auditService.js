@@ -0,0 +1,81 @@
+import AuditLog, { GENESIS_HASH } from '../models/AuditLog.js';
+
+// Entries read at a time while verifying the chain
+const VERIFY_BATCH_SIZE = 500;
+
+// Why the entry does not follow the previous one, or null if it does
+const chainBreak = (entry, previous) => {
+  if (entry.sequence !== previous.sequence + 1) {
+    return 'An entry before this one is missing';
+  }
+  if (entry.prev_hash !== previous.hash) {
+    return 'It does not chain to the entry before it';
+  }
+  if (entry.hash !== entry.computeHash()) {
+    return 'Its contents do not match its hash';
+  }
+  return null;
+};
+
+/**
+ * The audit log of staff actions. Admin routes record through auditMiddleware; entries are
+ * hash-chained, so verify() shows whether any was changed or removed after it was written.
+ */
+class AuditService {
+  /**
+   * @param {Object} req - The request the action came in on; its user is the actor
+   * @param {Object} entry - { action, target_type, target_id, before, after }
+   * @returns {Promise<AuditLog>}
+   */
+  static async record(req, { action, target_type, target_id, before, after }) {
+    return AuditLog.append({
+      actor_id: req.user?.id,
+      actor_email: req.user?.email,
+      actor_role: req.user?.role,
+      action,
+      target_type,
+      target_id,
+      before_value: before,
+      after_value: after,
+      ip: req.ip,
+      request_id: req.id
+    });
+  }
+
+  static async list(filters) {
+    return AuditLog.findAll(filters);
+  }
+
+  /**
+   * Walk the chain from the first entry, recomputing each hash.
+   * @returns {Promise<Object>} { valid, entries, broken_at, reason, last_hash }. broken_at is the sequence
+   * of the first entry that does not fit the chain. Entries cut off the end leave no gap, so keep
+   * last_hash somewhere else and check that it is still in the chain later.
+   */
+  static async verify() {
+    let previous = { sequence: 0, hash: GENESIS_HASH };
+    let entries = 0;
+
+    for (;;) {
+      const batch = await AuditLog.findAfter(previous.sequence, VERIFY_BATCH_SIZE);
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const entry of batch) {
+        const reason = chainBreak(entry, previous);
+
+        if (reason) {
+          return { valid: false, entries, broken_at: entry.sequence, reason, last_hash: null };
+        }
+
+        previous = entry;
+        entries += 1;
+      }
+    }
+
+    return { valid: true, entries, broken_at: null, reason: null, last_hash: previous.hash };
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import LoginChallenge from '../models/LoginChallenge.js';
+import TwoFactorRole from '../models/TwoFactorRole.js';
+import NotificationService from './notificationService.js';
+import { hasSecondFactorIfRequired, permissionsFor } from '../policies/roles.js';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const BCRYPT_ROUNDS = 12;
+// Access tokens cannot be revoked, only left to expire
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+// Time to type in the code from the authenticator app after the password
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Time to finish a payment, e.g. to come back from the gateway's page, on the token it was started with
+const CHECKOUT_TOKEN_EXPIRES_IN = '1d';
+
+// The purpose claim of login challenges, which authMiddleware refuses as access tokens
+export const TWO_FACTOR_CHALLENGE = 'two_factor_challenge';
+// The purpose claim of checkout tokens, which only the routes that finish a payment accept
+export const CHECKOUT_TOKEN = 'checkout';
+
+// A hash of a random password nobody knows, compared against when the email is unknown so a
+// failed login takes as long either way
+const DUMMY_PASSWORD_HASH = '$2a$12$thn/7Q11Vt.0spBuD3oOP.VuLCo2mdi6nr/ZmFslwr2ZBppysrvqW';
+
+const getRefreshTokenTtlMs = () => {
+  return (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+const getPasswordResetTtlMinutes = () => {
+  return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_PASSWORD_RESET_TTL_MINUTES;
+};
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const formatDuration = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minutes`;
+};
+
+const invalidRefreshToken = () => new ApiError(401, 'Invalid or expired refresh token');
+
+/**
+ * Customer accounts. Logging in issues a short-lived JWT access token with the claims
+ * authMiddleware reads ({ id, email, role, two_factor, two_factor_required }) and an opaque
+ * refresh token. Refresh tokens are
+ * stored as hashes and rotate: each refresh revokes the token it was given and issues the next
+ * one of the same family. A revoked token coming back means it was copied, so its whole family
+ * is revoked and the session has to log in again.
+ */
+class AuthService {
+  static async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Create an account. Customers who booked as guests already have a user without a password;
+   * they set one through the password reset instead, which proves they own the address.
+   * @param {Object} account - { email, password, name, phone }
+   * @returns {Promise<Object>} The user and its tokens, as from issueTokens
+   * @throws {ApiError} 409 when the email is taken
+   */
+  static async register({ email, password, name, phone }) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const emailTaken = () => new ApiError(409, 'An account with this email already exists. Log in, or reset your password to set one.');
+
+    if (await User.findByEmail(normalizedEmail)) {
+      throw emailTaken();
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        email: normalizedEmail,
+        name,
+        phone,
+        password_hash: await this.hashPassword(password)
+      });
+    } catch (error) {
+      // Registered or booked meanwhile
+      if (isUniqueConstraintError(error)) {
+        throw emailTaken();
+      }
+      throw error;
+    }
+
+    logger.info(`User ${user.id} registered`);
+    return this.issueTokens(user);
+  }
+
+  /**
+   * @returns {Promise<Object>} The user and its tokens, as from issueTokens, or for users with
+   * two-factor authentication { two_factor_required, challenge_token, expires_in }, which
+   * TwoFactorService.completeLogin exchanges for tokens together with a code
+   * @throws {ApiError} 401 for an unknown email, a wrong password or an account without one
+   */
+  static async login({ email, password }) {
+    const user = await User.findByEmail(email.trim());
+    const matches = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+
+    if (!user?.password_hash || !matches) {
+      logger.warn(`Failed login for ${email}`);
+      throw new ApiError(401, 'Invalid email or password');
+    }
+
+    if (user.totp_enabled_at) {
+      logger.info(`User ${user.id} entered their password; waiting for the second factor`);
+      return this.twoFactorChallenge(user);
+    }
+
+    logger.info(`User ${user.id} logged in`);
+    return this.issueTokens(user);
+  }
+
+  /**
+   * A token for the one payment a checkout started, so a guest can finish it without an account
+   * @param {Payment} payment
+   * @returns {string}
+   */
+  static issueCheckoutToken(payment) {
+    return jwt.sign(
+      { payment_id: payment.id, purpose: CHECKOUT_TOKEN },
+      process.env.JWT_SECRET,
+      { expiresIn: CHECKOUT_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  // The token names a stored challenge, which counts the codes tried against it
+  static async twoFactorChallenge(user) {
+    const challenge = await LoginChallenge.create({ user_id: user.id });
+    const challengeToken = jwt.sign(
+      { id: user.id, purpose: TWO_FACTOR_CHALLENGE },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN, jwtid: challenge.id }
+    );
+    const { iat, exp } = jwt.decode(challengeToken);
+
+    return {
+      two_factor_required: true,
+      challenge_token: challengeToken,
+      expires_in: exp - iat
+    };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The claims are read from the user again, so a
+   * changed role takes effect with the next refresh.
+   * @param {string} token
+   * @returns {Promise<Object>} The user and its tokens, as from issueTokens
+   * @throws {ApiError} 401 for unknown, expired and revoked tokens
+   */
+  static async refresh(token) {
+    const refreshToken = await RefreshToken.findByTokenHash(hashToken(token));
+    if (!refreshToken) {
+      throw invalidRefreshToken();
+    }
+
+    if (refreshToken.revoked_at) {
+      if (refreshToken.replaced_by) {
+        const revoked = await RefreshToken.revokeFamily(refreshToken.family_id);
+        logger.warn(`Refresh token ${refreshToken.id} of user ${refreshToken.user_id} reused; revoked ${revoked} token(s) of its family`);
+      }
+      throw invalidRefreshToken();
+    }
+
+    const user = await User.findById(refreshToken.user_id);
+    if (refreshToken.isExpired() || !user) {
+      await refreshToken.revoke();
+      throw invalidRefreshToken();
+    }
+
+    const next = this.newRefreshToken(user, refreshToken.family_id, refreshToken.two_factor);
+
+    // Another request refreshed with the same token first
+    if (!(await refreshToken.revoke(next.id))) {
+      await RefreshToken.revokeFamily(refreshToken.family_id);
+      logger.warn(`Refresh token ${refreshToken.id} of user ${user.id} used concurrently; revoked its family`);
+      throw invalidRefreshToken();
+    }
+
+    return this.issueTokens(user, next);
+  }
+
+  /**
+   * End the session the refresh token belongs to. Access tokens already issued stay valid until
+   * they expire, which is why they are short-lived.
+   * @param {string} token
+   * @returns {Promise<boolean>} False if the token was unknown
+   */
+  static async logout(token) {
+    const refreshToken = await RefreshToken.findByTokenHash(hashToken(token));
+    if (!refreshToken) {
+      return false;
+    }
+
+    await RefreshToken.revokeFamily(refreshToken.family_id);
+    logger.info(`User ${refreshToken.user_id} logged out`);
+    return true;
+  }
+
+  /**
+   * Email a reset link if the address belongs to a user, including one who only ever booked as a
+   * guest. Says nothing either way, so the response cannot be used to find out who has an account.
+   * @param {string} email
+   */
+  static async requestPasswordReset(email) {
+    const user = await User.findByEmail(email.trim());
+    if (!user) {
+      logger.info(`Password reset requested for unknown email ${email}`);
+      return;
+    }
+
+    await this.sendPasswordLink(user, 'password_reset', getPasswordResetTtlMinutes());
+  }
+
+  /**
+   * Email the user a single-use link to set their password, replacing any link sent before
+   * @param {User} user
+   * @param {string} template - 'password_reset', or 'staff_invitation' for new staff
+   * @param {number} ttlMinutes - How long the link works
+   * @param {Object} [context] - Whatever else the template shows
+   * @returns {Promise<boolean>} Whether the email went out
+   */
+  static async sendPasswordLink(user, template, ttlMinutes, context = {}) {
+    const token = generateToken();
+
+    await PasswordResetToken.invalidateForUser(user.id);
+    await PasswordResetToken.create({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+    });
+
+    return NotificationService.sendAccountEmail(template, user, {
+      ...context,
+      reset_url: `${process.env.FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+      expires_in: formatDuration(ttlMinutes)
+    });
+  }
+
+  /**
+   * Set a new password with a token from the reset email, and log out every session of the user
+   * @param {string} token
+   * @param {string} password
+   * @returns {Promise<User>}
+   * @throws {ApiError} 400 for unknown, used and expired tokens
+   */
+  static async resetPassword(token, password) {
+    const resetToken = await PasswordResetToken.findUsable(hashToken(token));
+    const user = resetToken && await User.findById(resetToken.user_id);
+
+    if (!user || !(await resetToken.use())) {
+      throw new ApiError(400, 'Invalid or expired password reset token');
+    }
+
+    await user.update({ password_hash: await this.hashPassword(password) });
+    const revoked = await RefreshToken.revokeAllForUser(user.id);
+
+    logger.info(`User ${user.id} reset their password; revoked ${revoked} refresh token(s)`);
+    return user;
+  }
+
+  /**
+   * Make sure the given account exists with the owner role, e.g. from ADMIN_EMAIL and
+   * ADMIN_PASSWORD when seeding. An existing password is left alone.
+   * @returns {Promise<User>}
+   */
+  static async ensureOwner({ email, password, name = 'Administrator' }) {
+    const user = await User.findByEmail(email.trim());
+
+    if (!user) {
+      const owner = await User.create({
+        email: email.trim().toLowerCase(),
+        name,
+        role: 'owner',
+        password_hash: await this.hashPassword(password)
+      });
+      logger.info(`Owner account ${owner.email} created`);
+      return owner;
+    }
+
+    const fields = {};
+    if (user.role !== 'owner') fields.role = 'owner';
+    if (!user.password_hash) fields.password_hash = await this.hashPassword(password);
+
+    if (Object.keys(fields).length > 0) {
+      await user.update(fields);
+      logger.info(`Account ${user.email} made an owner`);
+    }
+    return user;
+  }
+
+  /**
+   * Staff whose role requires a second factor get no permissions in a session without one, and
+   * two_factor_setup_required tells them to set it up.
+   * @param {User} user
+   * @param {RefreshToken} [refreshToken] - Unsaved, from newRefreshToken; a new family if omitted
+   * @returns {Promise<Object>} { user, permissions, two_factor_setup_required, access_token, token_type,
+   *   expires_in, refresh_token, refresh_token_expires_at }
+   */
+  static async issueTokens(user, refreshToken = this.newRefreshToken(user)) {
+    const claims = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      two_factor: refreshToken.two_factor,
+      two_factor_required: await TwoFactorRole.isRequired(user.role)
+    };
+
+    const accessToken = jwt.sign(
+      claims,
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN }
+    );
+    const { iat, exp } = jwt.decode(accessToken);
+
+    await RefreshToken.create(refreshToken);
+
+    return {
+      user,
+      permissions: hasSecondFactorIfRequired(claims) ? permissionsFor(user.role) : [],
+      two_factor_setup_required: claims.two_factor_required && !user.totp_enabled_at,
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      refresh_token: refreshToken.token,
+      refresh_token_expires_at: refreshToken.expires_at
+    };
+  }
+
+  // The plain token rides along on the model until it is handed out; only its hash is saved
+  static newRefreshToken(user, familyId, twoFactor = false) {
+    const token = generateToken();
+    const refreshToken = new RefreshToken({
+      user_id: user.id,
+      family_id: familyId,
+      two_factor: twoFactor,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + getRefreshTokenTtlMs()).toISOString()
+    });
+
+    return Object.assign(refreshToken, { token });
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,32 @@
+import Availability from '../models/Availability.js';
+import Appointment from '../models/Appointment.js';
+import SlotHold from '../models/SlotHold.js';
+
+class AvailabilityService {
+  /**
+   * Slots the consultant offers on a date that are not taken by a live appointment or held by a checkout.
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Array<string>>} Open HH:mm slots, sorted
+   */
+  static async getOpenSlots(date) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (date < today) {
+      return [];
+    }
+
+    const [offeredSlots, bookedTimes, heldTimes] = await Promise.all([
+      Availability.getSlotsForDate(date),
+      Appointment.findBookedTimes(date),
+      SlotHold.findHeldTimes(date)
+    ]);
+
+    return offeredSlots.filter(slot => !bookedTimes.includes(slot) && !heldTimes.includes(slot));
+  }
+
+  static async isSlotOpen(date, time) {
+    const openSlots = await this.getOpenSlots(date);
+    return openSlots.includes(time);
+  }
+}
+
+export default AvailabilityService;
@@ -0,0 +1,214 @@
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import PaymentService from './paymentService.js';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+import { parseCamt053 } from '../utils/camt053.js';
+import { findCreditorReferences } from '../utils/sepa.js';
+
+// Transfers that money can still settle: cancelled ones were given up at their deadline, but the money
+// has to be accounted for when it arrives anyway
+const OPEN_STATUSES = ['pending', 'cancelled'];
+
+class BankTransferService {
+  static async createTransfer(paymentData) {
+    try {
+      const { payment, intent, hold_expires_at } = await PaymentService.createIntent('bank_transfer', {
+        ...paymentData,
+        currency: paymentData.currency || 'EUR'
+      });
+
+      return {
+        payment,
+        reference: intent.instructions.reference,
+        instructions: intent.instructions,
+        hold_expires_at
+      };
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new Error(`Bank transfer creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirm a transfer an admin has seen arrive on the account. A transfer given up at its deadline is
+   * still confirmed when the money turns up late.
+   * @param {string} paymentId
+   * @param {Object} receipt - { amount (minor units, defaults to the amount due), note, received_by }
+   * @returns {Promise<Payment|null>} The payment, or null if it does not exist
+   * @throws {ApiError} When the payment is not an open bank transfer or the amount falls short
+   */
+  static async markReceived(paymentId, { amount, note, received_by } = {}) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return null;
+    }
+
+    if (payment.provider !== 'bank_transfer') {
+      throw new ApiError(400, 'Payment is not a bank transfer');
+    }
+
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, `Payment is already ${payment.status}`);
+    }
+
+    const received = amount ?? payment.amount;
+    if (received < payment.amount) {
+      throw new ApiError(400, 'Received amount is less than the amount due');
+    }
+
+    await this.applyReceipt(payment, {
+      source: 'manual',
+      amount: received,
+      note,
+      received_by
+    });
+
+    return payment;
+  }
+
+  /**
+   * Reconcile a CAMT.053 statement against open bank transfers.
+   * Booked credits are matched by the creditor reference found in their remittance information.
+   * Importing the same statement again is harmless: already settled payments are reported, not re-applied.
+   * @param {string} xml - Statement XML
+   * @param {Object} options - { imported_by }
+   * @returns {Promise<Object>} Matched, already settled and unmatched transactions, plus the number of skipped entries
+   */
+  static async importStatement(xml, { imported_by } = {}) {
+    let parsed;
+    try {
+      parsed = parseCamt053(xml);
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+
+    const result = {
+      statements: [],
+      matched: [],
+      already_settled: [],
+      unmatched: [],
+      skipped: 0
+    };
+
+    for (const statement of parsed.statements) {
+      result.statements.push({ id: statement.id, iban: statement.iban, entries: statement.entries.length });
+
+      for (const entry of statement.entries) {
+        // Only booked incoming money can settle a payment; pending entries may still be reversed
+        if (entry.creditDebit !== 'CRDT' || (entry.status && entry.status !== 'BOOK')) {
+          result.skipped++;
+          continue;
+        }
+
+        for (const transaction of entry.transactions) {
+          const outcome = await this.reconcileTransaction(statement, entry, transaction, imported_by);
+          result[outcome.bucket].push(outcome.line);
+        }
+      }
+    }
+
+    logger.info(
+      `Bank statement imported: ${result.matched.length} matched, ` +
+      `${result.already_settled.length} already settled, ${result.unmatched.length} unmatched`
+    );
+
+    return result;
+  }
+
+  static async reconcileTransaction(statement, entry, transaction, importedBy) {
+    const texts = [
+      transaction.creditorReference,
+      ...transaction.remittanceInformation,
+      entry.additionalInformation
+    ].filter(Boolean);
+
+    const line = {
+      statement_id: statement.id,
+      entry_reference: transaction.accountServicerReference || entry.reference,
+      booking_date: entry.bookingDate,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      debtor_name: transaction.debtorName,
+      debtor_iban: transaction.debtorIban,
+      remittance_information: texts.join(' ')
+    };
+
+    const references = [...new Set(texts.flatMap(findCreditorReferences))];
+    if (references.length === 0) {
+      return { bucket: 'unmatched', line: { ...line, reason: 'no_reference' } };
+    }
+
+    let payment = null;
+    for (const reference of references) {
+      const candidate = await Payment.findByProviderPaymentId(reference);
+      if (candidate?.provider === 'bank_transfer') {
+        payment = candidate;
+        break;
+      }
+    }
+
+    if (!payment) {
+      return { bucket: 'unmatched', line: { ...line, reference: references[0], reason: 'unknown_reference' } };
+    }
+
+    const matchedLine = { ...line, reference: payment.provider_payment_id, payment_id: payment.id };
+
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      return { bucket: 'already_settled', line: { ...matchedLine, payment_status: payment.status } };
+    }
+
+    if (transaction.currency !== payment.currency) {
+      return { bucket: 'unmatched', line: { ...matchedLine, reason: 'currency_mismatch' } };
+    }
+
+    // Short payments are left for an admin to chase up rather than confirmed automatically
+    if (transaction.amount < payment.amount) {
+      return { bucket: 'unmatched', line: { ...matchedLine, reason: 'underpaid', amount_due: payment.amount } };
+    }
+
+    await this.applyReceipt(payment, {
+      source: 'camt053',
+      amount: transaction.amount,
+      statement_id: statement.id,
+      entry_reference: line.entry_reference,
+      booking_date: entry.bookingDate,
+      debtor_name: transaction.debtorName,
+      debtor_iban: transaction.debtorIban,
+      received_by: importedBy
+    });
+
+    return {
+      bucket: 'matched',
+      line: { ...matchedLine, overpaid_by: transaction.amount - payment.amount }
+    };
+  }
+
+  static async applyReceipt(payment, receipt) {
+    await PaymentService.markSucceeded(payment, {
+      id: payment.provider_payment_id,
+      amount: receipt.amount,
+      currency: payment.currency.toLowerCase(),
+      paymentMethodType: 'sepa_credit_transfer',
+      // The country an IBAN starts with is where the payer banks
+      payerCountry: receipt.debtor_iban?.slice(0, 2) || null
+    });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'bank_transfer.received',
+      event_data: {
+        provider: 'bank_transfer',
+        reference: payment.provider_payment_id,
+        ...receipt
+      }
+    });
+
+    logger.info(`Bank transfer received: ${payment.id} (${receipt.source})`);
+  }
+}
+
+export default BankTransferService;
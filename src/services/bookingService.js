@@ -0,0 +1,155 @@
+import Appointment from '../models/Appointment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+// Allowed appointment status transitions; completed and cancelled are final
+export const APPOINTMENT_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+class BookingService {
+  static canTransition(from, to) {
+    return (APPOINTMENT_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Move an appointment to a new status and record the transition against its payment.
+   * @param {Appointment} appointment
+   * @param {string} status - Target status
+   * @param {Object} options - { payment_id, reason, notes }
+   * @returns {Promise<Appointment>}
+   * @throws {ApiError} 400 when the transition is not allowed
+   */
+  static async transition(appointment, status, { payment_id, reason, notes } = {}) {
+    const from = appointment.status;
+
+    if (!this.canTransition(from, status)) {
+      throw new ApiError(400, `Appointment cannot move from ${from} to ${status}`);
+    }
+
+    await appointment.updateStatus(status, { payment_id, notes });
+
+    const paymentId = payment_id || appointment.payment_id;
+    if (paymentId) {
+      await PaymentEvent.create({
+        payment_id: paymentId,
+        event_type: `appointment.${status}`,
+        event_data: {
+          appointment_id: appointment.id,
+          from,
+          to: status,
+          reason
+        }
+      });
+    }
+
+    logger.info(`Appointment ${appointment.id} moved from ${from} to ${status}${reason ? ` (${reason})` : ''}`);
+    return appointment;
+  }
+
+  /**
+   * The appointment a new payment is for. It has to be the customer's own, for the consultation being
+   * paid for and still waiting for its payment, so a cheap consultation's payment cannot confirm another.
+   * @param {string} appointmentId
+   * @param {Object} payer - { consultation_id, user_id } of the payment
+   * @returns {Promise<Appointment>}
+   * @throws {ApiError} 404 for an unknown appointment or someone else's, 400 for another consultation's,
+   *   409 when it is no longer pending
+   */
+  static async findPayableAppointment(appointmentId, { consultation_id, user_id }) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment || appointment.user_id !== user_id) {
+      throw new ApiError(404, 'Appointment not found');
+    }
+    if (appointment.consultation_id !== consultation_id) {
+      throw new ApiError(400, 'Appointment is for a different consultation');
+    }
+    if (appointment.status !== 'pending') {
+      throw new ApiError(409, `Appointment is ${appointment.status}, not awaiting payment`);
+    }
+    return appointment;
+  }
+
+  /**
+   * Confirm the appointment a successful payment was made for. A payment for another consultation or
+   * customer than the appointment's leaves it as it is.
+   * @param {Payment} payment
+   * @returns {Promise<Appointment|null>}
+   */
+  static async confirmForPayment(payment) {
+    const appointment = await this.findPaymentAppointment(payment);
+    if (!appointment || appointment.status === 'confirmed') {
+      return appointment;
+    }
+
+    if (appointment.consultation_id !== payment.consultation_id || appointment.user_id !== payment.user_id) {
+      await this.recordRejectedTransition(appointment, payment, 'confirmed', 'payment_mismatch');
+      return appointment;
+    }
+
+    if (!this.canTransition(appointment.status, 'confirmed')) {
+      await this.recordRejectedTransition(appointment, payment, 'confirmed', 'payment_succeeded');
+      return appointment;
+    }
+
+    return this.transition(appointment, 'confirmed', {
+      payment_id: payment.id,
+      reason: 'payment_succeeded'
+    });
+  }
+
+  /**
+   * Cancel the appointment behind a refunded payment.
+   * @param {Payment} payment
+   * @returns {Promise<Appointment|null>}
+   */
+  static async cancelForRefund(payment) {
+    const appointment = await this.findPaymentAppointment(payment);
+    if (!appointment || appointment.status === 'cancelled') {
+      return appointment;
+    }
+
+    if (!this.canTransition(appointment.status, 'cancelled')) {
+      await this.recordRejectedTransition(appointment, payment, 'cancelled', 'payment_refunded');
+      return appointment;
+    }
+
+    return this.transition(appointment, 'cancelled', {
+      payment_id: payment.id,
+      reason: 'payment_refunded'
+    });
+  }
+
+  static async findPaymentAppointment(payment) {
+    if (!payment.appointment_id) {
+      return null;
+    }
+
+    const appointment = await Appointment.findById(payment.appointment_id);
+    if (!appointment) {
+      logger.warn(`Appointment ${payment.appointment_id} for payment ${payment.id} not found`);
+    }
+    return appointment;
+  }
+
+  static async recordRejectedTransition(appointment, payment, status, reason) {
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'appointment.transition_rejected',
+      event_data: {
+        appointment_id: appointment.id,
+        from: appointment.status,
+        to: status,
+        reason
+      }
+    });
+
+    logger.warn(`Appointment ${appointment.id} is ${appointment.status}; ignoring ${reason} for payment ${payment.id}`);
+  }
+}
+
+export default BookingService;
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import CalendarFeed from '../models/CalendarFeed.js';
+import Appointment from '../models/Appointment.js';
+import { renderCalendar } from '../utils/ical.js';
+import { toInstant, parseTimestamp } from '../utils/datetime.js';
+
+const UID_DOMAIN = 'consultant-booking-payments';
+const DEFAULT_DURATION_MINUTES = 30;
+// Past appointments stay in feeds this long, so a calendar that was offline still hears of changes
+const FEED_DAYS_BACK = 90;
+const FEED_REFRESH_MINUTES = 15;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const organizer = () => {
+  const email = process.env.COMPANY_EMAIL || process.env.EMAIL_FROM;
+  return email ? { name: process.env.COMPANY_NAME, email } : null;
+};
+
+/**
+ * Appointments as iCalendar: an .ics attachment for booking emails and subscription feeds for the
+ * consultant's calendar. Each appointment is one event whose SEQUENCE rises with every status
+ * change, so calendars replace their copy; cancelled appointments stay in the feed as CANCELLED.
+ */
+class CalendarService {
+  /**
+   * Create a subscription feed. The token is only returned here; the feed keeps its hash.
+   * @param {Object} feedData - { name, email, consultation_ids }
+   * @returns {Promise<{feed: CalendarFeed, token: string}>}
+   */
+  static async createFeed({ name, email, consultation_ids }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const feed = await CalendarFeed.create({ name, email, consultation_ids, token_hash: hashToken(token) });
+
+    return { feed, token };
+  }
+
+  /**
+   * @param {string} token - From the feed URL
+   * @returns {Promise<CalendarFeed|null>} Null for unknown and revoked tokens
+   */
+  static async findFeedByToken(token) {
+    return CalendarFeed.findByTokenHash(hashToken(token));
+  }
+
+  /**
+   * @param {CalendarFeed} feed
+   * @param {Date} [now]
+   * @returns {Promise<string>} The feed as an iCalendar file
+   */
+  static async renderFeed(feed, now = new Date()) {
+    const appointments = await Appointment.findForCalendar({
+      startDate: new Date(now.getTime() - FEED_DAYS_BACK * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      consultationIds: feed.consultation_ids
+    });
+
+    return renderCalendar({
+      name: `Bookings${process.env.COMPANY_NAME ? ` - ${process.env.COMPANY_NAME}` : ''}`,
+      refreshMinutes: FEED_REFRESH_MINUTES,
+      events: appointments.map(appointment => this.appointmentEvent(appointment, 'consultant'))
+    });
+  }
+
+  /**
+   * A single appointment, to attach to an email
+   * @param {Appointment} appointment - With the joined customer and consultation columns
+   * @param {string} audience - 'customer' or 'consultant'
+   * @returns {string}
+   */
+  static renderAppointment(appointment, audience) {
+    return renderCalendar({
+      method: 'PUBLISH',
+      events: [{ ...this.appointmentEvent(appointment, audience), stamp: new Date() }]
+    });
+  }
+
+  // The consultant sees who they are meeting; the customer sees who they booked with
+  static appointmentEvent(appointment, audience) {
+    const start = toInstant(appointment.date, appointment.time);
+    const durationMinutes = appointment.consultation_duration || DEFAULT_DURATION_MINUTES;
+    const lastModified = parseTimestamp(appointment.updated_at || appointment.created_at || new Date().toISOString());
+    const company = process.env.COMPANY_NAME;
+
+    const details = audience === 'consultant'
+      ? {
+        summary: `${appointment.consultation_title}: ${appointment.customer_name || appointment.customer_email}`,
+        description: [
+          appointment.customer_name && `Customer: ${appointment.customer_name}`,
+          appointment.customer_email && `Email: ${appointment.customer_email}`,
+          appointment.customer_phone && `Phone/WhatsApp: ${appointment.customer_phone}`,
+          appointment.notes && `Notes: ${appointment.notes}`
+        ].filter(Boolean).join('\n')
+      }
+      : {
+        summary: `${appointment.consultation_title}${company ? ` with ${company}` : ''}`,
+        description: 'If you cannot make it, please let us know as soon as possible.'
+      };
+
+    return {
+      uid: `${appointment.id}@${UID_DOMAIN}`,
+      sequence: appointment.sequence,
+      status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      stamp: lastModified,
+      lastModified,
+      start,
+      end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+      organizer: organizer(),
+      ...details
+    };
+  }
+}
+
+export default CalendarService;
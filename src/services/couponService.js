@@ -0,0 +1,209 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import PricingService from './pricingService.js';
+import ExchangeRateService from './exchangeRateService.js';
+import logger from '../utils/logger.js';
+import { roundHalfAwayFromZero, toMajorUnits, toMinorUnits } from '../utils/money.js';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+/**
+ * Discount coupons. Prices are always worked out here from the consultation's price, never taken
+ * from the client: a quote applies the coupon to the price in the charged currency, and a payment
+ * started with a coupon reserves one redemption until the provider reports the outcome.
+ */
+class CouponService {
+  /**
+   * Apply a coupon to the price of a consultation.
+   * @param {string} code - Coupon code, case-insensitive
+   * @param {Object} context - { consultation, currency, user_id, customer_email }
+   * @returns {Promise<{coupon: Coupon, original_amount: number, discount_amount: number, amount: number, currency: string}>}
+   *   amounts in minor units of currency
+   * @throws {ApiError} 404 for an unknown code, 400 when the coupon cannot be used for this booking
+   */
+  static async quote(code, { consultation, currency, user_id, customer_email } = {}) {
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+      throw new ApiError(404, 'Coupon not found');
+    }
+
+    const now = new Date();
+    if (!coupon.isValidAt(now)) {
+      const expired = coupon.active && coupon.valid_until && now > new Date(coupon.valid_until);
+      throw new ApiError(400, `Coupon ${coupon.code} ${expired ? 'has expired' : 'is not active'}`);
+    }
+    if (!coupon.appliesTo(consultation.id)) {
+      throw new ApiError(400, `Coupon ${coupon.code} does not apply to this consultation`);
+    }
+
+    await this.checkLimits(coupon, user_id, customer_email);
+
+    const price = await PricingService.getPrice(consultation, currency);
+    const discount = Math.min(await this.getDiscount(coupon, price.currency, price.amount), price.amount);
+
+    if (price.amount - discount < 1) {
+      throw new ApiError(400, `Coupon ${coupon.code} covers the full price and cannot be used for a payment`);
+    }
+
+    return {
+      coupon,
+      original_amount: price.amount,
+      discount_amount: discount,
+      amount: price.amount - discount,
+      currency: price.currency
+    };
+  }
+
+  // Discount in minor units of the charged currency; fixed coupons in another currency are converted
+  static async getDiscount(coupon, currency, amount) {
+    if (coupon.discount_type === 'percent') {
+      return roundHalfAwayFromZero(amount * coupon.discount_value / 100);
+    }
+
+    if (coupon.currency === currency) {
+      return coupon.discount_value;
+    }
+
+    const rate = await ExchangeRateService.getRate(coupon.currency, currency);
+    return toMinorUnits(toMajorUnits(coupon.discount_value, coupon.currency) * rate, currency);
+  }
+
+  static async checkLimits(coupon, userId, email) {
+    if (coupon.max_redemptions_per_user && !userId && !email) {
+      throw new ApiError(400, `Coupon ${coupon.code} requires a user ID or email address`);
+    }
+
+    const counts = await CouponRedemption.countForCoupon(coupon.id, userId, email);
+
+    if (coupon.max_redemptions && counts.total >= coupon.max_redemptions) {
+      throw new ApiError(400, `Coupon ${coupon.code} has been fully redeemed`);
+    }
+    if (coupon.max_redemptions_per_user && counts.customer >= coupon.max_redemptions_per_user) {
+      throw new ApiError(400, `Coupon ${coupon.code} has already been used`);
+    }
+  }
+
+  /**
+   * Hold one use of the coupon for a payment that is about to start.
+   * @param {Object} quote - Result of quote()
+   * @param {Object} customer - { user_id, customer_email, consultation_id }
+   * @returns {Promise<CouponRedemption>}
+   * @throws {ApiError} 409 when another checkout took the last use meanwhile
+   */
+  static async reserve(quote, { user_id, customer_email, consultation_id }) {
+    const redemption = await CouponRedemption.reserve(quote.coupon, {
+      user_id,
+      customer_email,
+      consultation_id,
+      original_amount: quote.original_amount,
+      discount_amount: quote.discount_amount,
+      currency: quote.currency
+    });
+
+    if (!redemption) {
+      throw new ApiError(409, `Coupon ${quote.coupon.code} has just been used up, please try again without it`);
+    }
+
+    return redemption;
+  }
+
+  // The payment succeeded: the redemption counts for good
+  static async redeemForPayment(payment) {
+    const redemption = await CouponRedemption.findByPaymentId(payment.id);
+    if (!redemption || redemption.status === 'redeemed') {
+      return null;
+    }
+
+    await redemption.updateStatus('redeemed');
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'coupon.redeemed',
+      event_data: {
+        coupon_id: redemption.coupon_id,
+        discount_amount: redemption.discount_amount,
+        currency: redemption.currency
+      }
+    });
+
+    return redemption;
+  }
+
+  // The payment failed or was cancelled: give the use back to the coupon
+  static async releaseForPayment(payment) {
+    const redemption = await CouponRedemption.findByPaymentId(payment.id);
+    if (!redemption || redemption.status !== 'reserved') {
+      return null;
+    }
+
+    await redemption.updateStatus('released');
+    logger.info(`Coupon redemption released for payment ${payment.id}`);
+
+    return redemption;
+  }
+
+  /**
+   * Give the uses of abandoned checkouts back to their coupons, so starting checkouts cannot use a code up.
+   * A payment that still succeeds afterwards redeems its use all the same.
+   * @param {number} maxAgeMs - How long a checkout may take
+   * @returns {Promise<number>} Number of reservations released
+   */
+  static async releaseAbandoned(maxAgeMs) {
+    const released = await CouponRedemption.releaseAbandoned(new Date(Date.now() - maxAgeMs).toISOString());
+    if (released > 0) {
+      logger.info(`Released ${released} abandoned coupon reservation(s)`);
+    }
+    return released;
+  }
+
+  static async list() {
+    return Coupon.findAll();
+  }
+
+  /**
+   * @param {Object} couponData - Coupon fields; fixed coupons need a currency
+   * @throws {ApiError} 409 when the code is taken
+   */
+  static async create(couponData) {
+    this.checkDiscount(couponData);
+
+    try {
+      return await Coupon.create(couponData);
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        throw new ApiError(409, `Coupon code ${couponData.code.toUpperCase()} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  static async update(coupon, changes) {
+    this.checkDiscount({ ...coupon, ...changes });
+    return coupon.update(changes);
+  }
+
+  /**
+   * Delete a coupon nobody has used yet. Used coupons are kept for their redemption history
+   * and should be deactivated instead.
+   * @throws {ApiError} 409 when the coupon has redemptions
+   */
+  static async remove(coupon) {
+    const redemptions = await CouponRedemption.findByCouponId(coupon.id);
+    if (redemptions.length > 0) {
+      throw new ApiError(409, `Coupon ${coupon.code} has been used; deactivate it instead`);
+    }
+
+    await coupon.delete();
+  }
+
+  static checkDiscount({ discount_type, discount_value, currency }) {
+    if (discount_type === 'percent' && discount_value > 100) {
+      throw new ApiError(400, 'A percent discount cannot exceed 100');
+    }
+    if (discount_type === 'fixed' && !currency) {
+      throw new ApiError(400, 'A fixed discount needs a currency');
+    }
+  }
+}
+
+export default CouponService;
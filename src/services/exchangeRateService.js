@@ -0,0 +1,132 @@
+import axios from 'axios';
+import ExchangeRate from '../models/ExchangeRate.js';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+const DEFAULT_MAX_AGE_HOURS = 24;
+// Keeps a feed that lacks a currency from being asked again on every price lookup
+const MIN_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const FEED_TIMEOUT_MS = 10 * 1000;
+
+const getMaxAgeMs = () => {
+  return (parseFloat(process.env.FX_RATES_MAX_AGE_HOURS) || DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000;
+};
+
+const isValidRate = (rate) => Number.isFinite(rate) && rate > 0;
+
+let pendingRefresh = null;
+let lastRefreshAt = 0;
+
+/**
+ * Exchange rates for converting catalog prices. Rates come from an admin upload or are cached
+ * from the feed at FX_RATES_URL, which is refreshed once its rates are older than
+ * FX_RATES_MAX_AGE_HOURS. Uploaded rates never expire and always win over feed rates.
+ */
+class ExchangeRateService {
+  static isFeedConfigured() {
+    return Boolean(process.env.FX_RATES_URL);
+  }
+
+  /**
+   * Units of `to` per unit of `from`, e.g. 1650 for EUR -> NGN
+   * @param {string} from - ISO 4217 code
+   * @param {string} to - ISO 4217 code
+   * @returns {Promise<number>}
+   * @throws {ApiError} 422 when no rate is known for the pair
+   */
+  static async getRate(from, to) {
+    if (from.toUpperCase() === to.toUpperCase()) {
+      return 1;
+    }
+
+    let rate = await this.findRate(from, to);
+
+    const stale = rate && rate.source === 'feed' && rate.ageMs() > getMaxAgeMs();
+    if ((!rate || stale) && this.isFeedConfigured() && Date.now() - lastRefreshAt > MIN_REFRESH_INTERVAL_MS) {
+      try {
+        await this.refresh();
+        rate = await this.findRate(from, to);
+      } catch (error) {
+        logger.warn(`Exchange rate feed unavailable, using cached rates: ${error.message}`);
+      }
+    }
+
+    if (!rate) {
+      throw new ApiError(422, `No exchange rate from ${from.toUpperCase()} to ${to.toUpperCase()}`);
+    }
+
+    return rate.rate;
+  }
+
+  // The stored rate for the pair, or the inverse of the rate stored the other way round
+  static async findRate(from, to) {
+    const direct = await ExchangeRate.find(from, to);
+    if (direct) {
+      return direct;
+    }
+
+    const inverse = await ExchangeRate.find(to, from);
+    return inverse
+      ? new ExchangeRate({ ...inverse, base_currency: inverse.quote_currency, quote_currency: inverse.base_currency, rate: 1 / inverse.rate })
+      : null;
+  }
+
+  /**
+   * Fetch the feed and cache its rates. Concurrent callers share one request.
+   * @returns {Promise<number>} Number of rates stored
+   */
+  static async refresh() {
+    if (!this.isFeedConfigured()) {
+      throw new ApiError(400, 'No exchange rate feed configured (FX_RATES_URL)');
+    }
+
+    if (!pendingRefresh) {
+      lastRefreshAt = Date.now();
+      pendingRefresh = this.fetchRates()
+        .then(({ base, rates }) => ExchangeRate.saveAll(base, rates, 'feed'))
+        .finally(() => {
+          pendingRefresh = null;
+        });
+    }
+
+    return pendingRefresh;
+  }
+
+  /**
+   * Read the feed. It must answer with `{ base: 'EUR', rates: { NGN: 1650.5, ... } }`,
+   * the format of most rate APIs (Frankfurter, exchangerate.host, Open Exchange Rates).
+   */
+  static async fetchRates() {
+    const response = await axios.get(process.env.FX_RATES_URL, { timeout: FEED_TIMEOUT_MS });
+    const { base, rates } = response.data || {};
+
+    if (typeof base !== 'string' || !rates || typeof rates !== 'object') {
+      throw new Error('Unexpected response from the exchange rate feed');
+    }
+
+    return {
+      base,
+      rates: Object.fromEntries(Object.entries(rates).filter(([, rate]) => isValidRate(rate)))
+    };
+  }
+
+  /**
+   * Store rates uploaded by an admin
+   * @param {string} base - ISO 4217 code
+   * @param {Object<string, number>} rates - Units of each currency per unit of base
+   */
+  static async upload(base, rates) {
+    const invalid = Object.entries(rates).filter(([, rate]) => !isValidRate(rate));
+    if (invalid.length > 0) {
+      throw new ApiError(400, `Invalid exchange rates for ${invalid.map(([quote]) => quote).join(', ')}`);
+    }
+
+    return ExchangeRate.saveAll(base, rates, 'admin');
+  }
+
+  static async list() {
+    return ExchangeRate.findAll();
+  }
+}
+
+export default ExchangeRateService;
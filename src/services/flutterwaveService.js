@@ -0,0 +1,80 @@
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import PaymentService from './paymentService.js';
+import ProviderRegistry from '../providers/provider-registry.js';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+class FlutterwaveService {
+  static async initializePayment(paymentData) {
+    try {
+      const { payment, intent, hold_expires_at } = await PaymentService.createIntent('flutterwave', {
+        ...paymentData,
+        currency: paymentData.currency || 'NGN'
+      });
+
+      return {
+        payment,
+        payment_link: intent.redirectUrl,
+        tx_ref: intent.id,
+        hold_expires_at
+      };
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new Error(`Payment initialization failed: ${error.message}`);
+    }
+  }
+
+  static async verifyPayment(txRef) {
+    try {
+      const intent = await ProviderRegistry.get('flutterwave').confirmPaymentIntent(txRef);
+      const transactionData = intent.raw;
+
+      // Find payment in database
+      const payment = await Payment.findByProviderPaymentId(txRef);
+      if (!payment) {
+        logger.warn(`Payment not found for Flutterwave reference: ${txRef}`);
+        return null;
+      }
+
+      // Apply the verification result through the shared payment flow
+      if (transactionData.status === 'successful') {
+        await PaymentService.markSucceeded(payment, intent);
+      } else if (transactionData.status === 'cancelled') {
+        await PaymentService.markCancelled(payment, intent);
+      } else if (transactionData.status === 'failed') {
+        await PaymentService.markFailed(payment, intent);
+      }
+
+      // Log verification event
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.verified',
+        event_data: {
+          provider: 'flutterwave',
+          reference: txRef,
+          transaction_id: transactionData.id,
+          status: transactionData.status,
+          amount: intent.amount,
+          fees: transactionData.app_fee
+        }
+      });
+
+      logger.info(`Payment verified: ${payment.id} - Status: ${payment.status}`);
+
+      return {
+        payment,
+        transaction_data: transactionData
+      };
+
+    } catch (error) {
+      logger.error(`Error verifying Flutterwave payment ${txRef}:`, error);
+      throw new Error(`Payment verification failed: ${error.message}`);
+    }
+  }
+}
+
+export default FlutterwaveService;
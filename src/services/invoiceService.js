@@ -0,0 +1,294 @@
+import Invoice from '../models/Invoice.js';
+import Refund from '../models/Refund.js';
+import Consultation from '../models/Consultation.js';
+import Appointment from '../models/Appointment.js';
+import TaxService from './taxService.js';
+import logger from '../utils/logger.js';
+import { formatMoney, roundHalfAwayFromZero } from '../utils/money.js';
+import { renderPdf, PAGE_WIDTH } from '../utils/pdf.js';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+// Payment statuses an invoice can be issued for: the money was taken, even if some went back since
+const INVOICEABLE_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const PROVIDER_NAMES = {
+  stripe: 'Stripe',
+  paystack: 'Paystack',
+  flutterwave: 'Flutterwave',
+  paypal: 'PayPal',
+  bank_transfer: 'Bank transfer'
+};
+
+// What the document has to say when no German VAT is charged
+const TAX_NOTES = {
+  reverse_charge: 'Reverse charge: VAT to be accounted for by the recipient (Art. 196 Directive 2006/112/EC)',
+  not_taxable: 'Not taxable in Germany: service supplied to a recipient outside the EU'
+};
+
+const LOCALE = 'en-GB';
+const countryNames = new Intl.DisplayNames([LOCALE], { type: 'region' });
+
+const formatDate = (date) => new Date(date).toLocaleDateString(LOCALE, { dateStyle: 'medium' });
+
+const companyDetails = () => ({
+  name: process.env.COMPANY_NAME || process.env.BANK_TRANSFER_ACCOUNT_HOLDER || '',
+  address: (process.env.COMPANY_ADDRESS || '').split(',').map(line => line.trim()).filter(Boolean),
+  vat_id: process.env.COMPANY_VAT_ID,
+  tax_number: process.env.COMPANY_TAX_NUMBER,
+  email: process.env.COMPANY_EMAIL
+});
+
+/**
+ * Invoices for successful payments and credit notes for their refunds. Both are numbered
+ * without gaps per type and year, keep a copy of what was billed, and render to PDF on request.
+ */
+class InvoiceService {
+  /**
+   * The payment's invoice, issued now if it has none yet. Issuing is safe to repeat.
+   * @param {Payment} payment
+   * @returns {Promise<Invoice>}
+   * @throws {ApiError} 409 when the payment has not succeeded
+   */
+  static async issueForPayment(payment) {
+    const existing = await Invoice.findInvoiceForPayment(payment.id);
+    if (existing) {
+      return existing;
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, 'An invoice is only issued once the payment has succeeded');
+    }
+
+    let invoice;
+    try {
+      invoice = await Invoice.issue({
+        type: 'invoice',
+        payment_id: payment.id,
+        description: await this.describe(payment),
+        ...this.taxOf(payment),
+        amount: payment.amount,
+        currency: payment.currency,
+        customer_name: payment.customer_name,
+        customer_email: payment.customer_email,
+        customer_vat_id: payment.customer_vat_id,
+        payment_method: [PROVIDER_NAMES[payment.provider] || payment.provider, payment.payment_method]
+          .filter(Boolean).join(', '),
+        payment_reference: payment.provider_payment_id
+      });
+    } catch (error) {
+      // Issued meanwhile by another delivery of the same outcome
+      if (isUniqueConstraintError(error)) {
+        return Invoice.findInvoiceForPayment(payment.id);
+      }
+      throw error;
+    }
+
+    // Refunds made before the invoice was issued are credited right away
+    if (payment.status !== 'succeeded') {
+      await this.issueCreditNotes(payment);
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Issue a credit note for each succeeded refund of the payment that has none yet. Payments
+   * without an invoice get none; there is nothing to correct.
+   * @param {Payment} payment
+   * @returns {Promise<Array<Invoice>>} The credit notes issued now
+   */
+  static async issueCreditNotes(payment) {
+    const invoice = await Invoice.findInvoiceForPayment(payment.id);
+    if (!invoice) {
+      logger.warn(`No invoice to credit for payment ${payment.id}`);
+      return [];
+    }
+
+    const credited = await Invoice.findCreditNotes(invoice.id);
+    const refunds = (await Refund.findByPaymentId(payment.id))
+      .filter(refund => refund.status === 'succeeded' && !credited.some(note => note.refund_id === refund.id));
+
+    const issued = [];
+    for (const refund of refunds) {
+      const note = await this.issueCreditNote(invoice, refund, credited);
+      if (note) {
+        credited.push(note);
+        issued.push(note);
+      }
+    }
+
+    return issued;
+  }
+
+  static async issueCreditNote(invoice, refund, credited) {
+    // Split the VAT on the running total, so the credit notes of a full refund add up to the invoice exactly
+    const creditedAmount = credited.reduce((sum, note) => sum + note.amount, 0);
+    const creditedTax = credited.reduce((sum, note) => sum + note.tax_amount, 0);
+    const taxAmount = roundHalfAwayFromZero((creditedAmount + refund.amount) * invoice.tax_amount / invoice.amount)
+      - creditedTax;
+
+    try {
+      return await Invoice.issue({
+        type: 'credit_note',
+        payment_id: invoice.payment_id,
+        refund_id: refund.id,
+        invoice_id: invoice.id,
+        description: `Refund for invoice ${invoice.number}: ${invoice.description}`,
+        net_amount: refund.amount - taxAmount,
+        tax_amount: taxAmount,
+        tax_rate: invoice.tax_rate,
+        tax_treatment: invoice.tax_treatment,
+        amount: refund.amount,
+        currency: invoice.currency,
+        customer_name: invoice.customer_name,
+        customer_email: invoice.customer_email,
+        customer_country: invoice.customer_country,
+        customer_vat_id: invoice.customer_vat_id,
+        payment_method: invoice.payment_method,
+        payment_reference: refund.provider_refund_id
+      });
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The payment's invoice and credit notes
+   * @param {Payment} payment
+   * @returns {Promise<{invoice: Invoice|null, credit_notes: Array<Invoice>}>}
+   */
+  static async listForPayment(payment) {
+    const invoice = await Invoice.findInvoiceForPayment(payment.id);
+
+    return {
+      invoice,
+      credit_notes: invoice ? await Invoice.findCreditNotes(invoice.id) : []
+    };
+  }
+
+  // The line item: the consultation and, once booked, its slot
+  static async describe(payment) {
+    const consultation = await Consultation.findById(payment.consultation_id);
+    const appointment = payment.appointment_id ? await Appointment.findById(payment.appointment_id) : null;
+
+    return [consultation?.title || 'Consultation', appointment && `${appointment.date} ${appointment.time}`]
+      .filter(Boolean).join(', ');
+  }
+
+  // VAT as recorded on the payment; payments taken before VAT was recorded were charged German VAT
+  static taxOf(payment) {
+    if (payment.tax_treatment) {
+      return {
+        net_amount: payment.net_amount,
+        tax_amount: payment.tax_amount,
+        tax_rate: payment.tax_rate,
+        tax_treatment: payment.tax_treatment,
+        customer_country: payment.customer_country
+      };
+    }
+
+    const { net_amount, tax_amount, tax_rate, tax_treatment, customer_country } = TaxService.calculate(payment.amount);
+    return { net_amount, tax_amount, tax_rate, tax_treatment, customer_country };
+  }
+
+  /**
+   * Render an invoice or credit note as a one-page PDF
+   * @param {Invoice} document
+   * @param {Invoice} [invoice] - The invoice a credit note corrects
+   * @returns {Buffer}
+   */
+  static renderPdf(document, invoice = null) {
+    const company = companyDetails();
+    const isCreditNote = document.type === 'credit_note';
+    // Credit notes show their amounts as negative
+    const money = (amount) => formatMoney(isCreditNote ? -amount : amount, document.currency, LOCALE);
+    const right = PAGE_WIDTH - 50;
+    const items = [];
+    let y = 60;
+
+    const text = (value, options = {}) => items.push({ text: value, x: 50, y, ...options });
+
+    // Seller
+    text(company.name, { size: 16, bold: true });
+    items.push({ text: isCreditNote ? 'Credit note' : 'Invoice', x: right, y, size: 16, bold: true, align: 'right' });
+    for (const line of [
+      ...company.address,
+      company.vat_id && `VAT ID: ${company.vat_id}`,
+      company.tax_number && `Tax number: ${company.tax_number}`
+    ].filter(Boolean)) {
+      y += 14;
+      text(line, { size: 9 });
+    }
+
+    // Document details
+    const details = [
+      `No. ${document.number}`,
+      `Date: ${formatDate(document.issued_at)}`,
+      isCreditNote && invoice && `Corrects invoice ${invoice.number}`
+    ].filter(Boolean);
+    details.forEach((line, index) => items.push({ text: line, x: right, y: 76 + index * 14, size: 9, align: 'right' }));
+
+    // Customer
+    y = Math.max(y, 76 + details.length * 14) + 36;
+    text(isCreditNote ? 'Credited to' : 'Billed to', { bold: true });
+    for (const line of [
+      document.customer_name,
+      document.customer_email,
+      document.customer_country && countryNames.of(document.customer_country),
+      document.customer_vat_id && `VAT ID: ${document.customer_vat_id}`
+    ].filter(Boolean)) {
+      y += 14;
+      text(line);
+    }
+
+    // Line item
+    y += 40;
+    text('Description', { bold: true });
+    items.push({ text: 'Net', x: 380, y, bold: true, align: 'right' });
+    items.push({ text: `VAT ${document.tax_rate}%`, x: 460, y, bold: true, align: 'right' });
+    items.push({ text: 'Amount', x: right, y, bold: true, align: 'right' });
+    items.push({ line: true, y: y + 6 });
+    y += 22;
+    text(document.description.length > 52 ? `${document.description.slice(0, 51)}…` : document.description);
+    items.push({ text: money(document.net_amount), x: 380, y, align: 'right' });
+    items.push({ text: money(document.tax_amount), x: 460, y, align: 'right' });
+    items.push({ text: money(document.amount), x: right, y, align: 'right' });
+    items.push({ line: true, y: y + 8 });
+
+    // Totals
+    for (const [label, amount, bold] of [
+      ['Net total', document.net_amount, false],
+      [`VAT ${document.tax_rate}%`, document.tax_amount, false],
+      [isCreditNote ? 'Total credited' : 'Total', document.amount, true]
+    ]) {
+      y += 18;
+      items.push({ text: label, x: 460, y, bold, align: 'right' });
+      items.push({ text: money(amount), x: right, y, bold, align: 'right' });
+    }
+
+    // Payment and VAT notes
+    y += 40;
+    text(isCreditNote
+      ? `Refunded via ${document.payment_method}.`
+      : `Paid in full via ${document.payment_method}. This invoice is your receipt.`);
+    if (document.payment_reference) {
+      y += 14;
+      text(`${isCreditNote ? 'Refund' : 'Payment'} reference: ${document.payment_reference}`, { size: 9 });
+    }
+    if (TAX_NOTES[document.tax_treatment]) {
+      y += 20;
+      text(TAX_NOTES[document.tax_treatment], { size: 9 });
+    }
+
+    if (company.email) {
+      items.push({ text: `Questions about this document: ${company.email}`, x: 50, y: 800, size: 8 });
+    }
+
+    return renderPdf(items, { title: `${isCreditNote ? 'Credit note' : 'Invoice'} ${document.number}` });
+  }
+}
+
+export default InvoiceService;
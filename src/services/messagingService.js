@@ -0,0 +1,142 @@
+import MessagingOptOut from '../models/MessagingOptOut.js';
+import Notification from '../models/Notification.js';
+import TwilioTransport from '../notifications/twilio-transport.js';
+import WhatsAppCloudTransport from '../notifications/whatsapp-cloud-transport.js';
+import { normalizePhoneNumber } from '../utils/validation.js';
+import { ApiError, WebhookError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// The keywords carriers and WhatsApp users expect to work, compared case-insensitively
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const START_KEYWORDS = ['START', 'UNSTOP'];
+
+/**
+ * WhatsApp and SMS beyond sending: who has opted out, replies from customers and the delivery
+ * reports providers send back for messages the outbox handed them.
+ */
+class MessagingService {
+  static async isOptedOut(phone, channel) {
+    return !!(await MessagingOptOut.find(phone, channel));
+  }
+
+  /**
+   * @param {string} phone - Any common notation; stored in E.164
+   * @param {string} channel - 'whatsapp' or 'sms'
+   * @param {string} [source] - 'reply' or 'admin'
+   * @returns {Promise<MessagingOptOut>}
+   */
+  static async optOut(phone, channel, source = 'admin') {
+    return MessagingOptOut.create({ phone: this.requirePhoneNumber(phone), channel, source });
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if the number had not opted out
+   */
+  static async optIn(phone, channel) {
+    return MessagingOptOut.delete(this.requirePhoneNumber(phone), channel);
+  }
+
+  static requirePhoneNumber(phone) {
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized) {
+      throw new ApiError(400, 'Phone number must be in international format, e.g. +4917612345678');
+    }
+    return normalized;
+  }
+
+  /**
+   * Act on a message from a customer. Only the opt-out keywords mean anything; anything else is
+   * logged for someone to read.
+   * @returns {Promise<string|null>} 'opted_out', 'opted_in' or null
+   */
+  static async handleInboundMessage(channel, from, text) {
+    const keyword = String(text ?? '').trim().toUpperCase();
+    const phone = normalizePhoneNumber(from);
+
+    if (phone && STOP_KEYWORDS.includes(keyword)) {
+      await MessagingOptOut.create({ phone, channel, source: 'reply' });
+      return 'opted_out';
+    }
+
+    if (phone && START_KEYWORDS.includes(keyword)) {
+      await MessagingOptOut.delete(phone, channel);
+      return 'opted_in';
+    }
+
+    logger.info(`${channel} message from ${from}: ${text}`);
+    return null;
+  }
+
+  /**
+   * Record a provider's delivery report on the message it is about
+   * @returns {Promise<Notification|null>} Null for messages this system did not send
+   */
+  static async recordDeliveryStatus(channel, providerMessageId, status, error) {
+    const notification = await Notification.findByProviderMessageId(channel, providerMessageId);
+    if (!notification) {
+      logger.warn(`Delivery report for unknown ${channel} message ${providerMessageId}`);
+      return null;
+    }
+
+    await notification.recordDelivery(status, error);
+    logger.info(`${channel} message ${notification.id} ${status}${error ? `: ${error}` : ''}`);
+    return notification;
+  }
+
+  /**
+   * Apply a webhook normalized by a transport's parseWebhook
+   * @param {Object} webhook - { channel, messages, statuses }
+   */
+  static async handleWebhook({ channel, messages, statuses }) {
+    for (const message of messages) {
+      await this.handleInboundMessage(channel, message.from, message.text);
+    }
+
+    for (const status of statuses) {
+      await this.recordDeliveryStatus(channel, status.messageId, status.status, status.error);
+    }
+  }
+
+  /**
+   * @param {string} url - The URL Twilio called, as it signed it
+   * @param {Object} params - The POST parameters
+   * @param {string} signature - X-Twilio-Signature
+   * @throws {WebhookError} When the signature does not match
+   */
+  static async handleTwilioWebhook(url, params, signature) {
+    if (!TwilioTransport.verifyWebhookSignature(process.env.TWILIO_AUTH_TOKEN, url, params, signature)) {
+      throw new WebhookError('Invalid webhook signature', 'twilio', 401);
+    }
+
+    await this.handleWebhook(TwilioTransport.parseWebhook(params));
+  }
+
+  /**
+   * @param {string} payload - The raw body
+   * @param {string} signature - X-Hub-Signature-256
+   * @throws {WebhookError} When the signature does not match
+   */
+  static async handleWhatsAppCloudWebhook(payload, signature) {
+    if (!WhatsAppCloudTransport.verifyWebhookSignature(process.env.WHATSAPP_APP_SECRET, payload, signature)) {
+      throw new WebhookError('Invalid webhook signature', 'whatsapp', 401);
+    }
+
+    await this.handleWebhook(WhatsAppCloudTransport.parseWebhook(JSON.parse(payload)));
+  }
+
+  /**
+   * Meta checks the webhook URL before subscribing it by asking for the challenge back
+   * @param {Object} query - hub.mode, hub.verify_token and hub.challenge
+   * @returns {string|null} The challenge, or null if the verify token does not match
+   */
+  static verifyWhatsAppSubscription(query) {
+    const expected = process.env.WHATSAPP_VERIFY_TOKEN;
+
+    if (query['hub.mode'] === 'subscribe' && expected && query['hub.verify_token'] === expected) {
+      return query['hub.challenge'];
+    }
+    return null;
+  }
+}
+
+export default MessagingService;
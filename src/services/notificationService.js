@@ -0,0 +1,520 @@
+import Notification from '../models/Notification.js';
+import Consultation from '../models/Consultation.js';
+import Appointment from '../models/Appointment.js';
+import User from '../models/User.js';
+import Invoice from '../models/Invoice.js';
+import Refund from '../models/Refund.js';
+import InvoiceService from './invoiceService.js';
+import MessagingService from './messagingService.js';
+import CalendarService from './calendarService.js';
+import TransportRegistry from '../notifications/transport-registry.js';
+import { renderTemplate } from '../notifications/templates.js';
+import logger from '../utils/logger.js';
+import { formatMoney } from '../utils/money.js';
+import { toInstant, formatLocalDateTime, parseTimestamp } from '../utils/datetime.js';
+import { isUniqueConstraintError } from '../utils/errors.js';
+import { normalizePhoneNumber } from '../utils/validation.js';
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_SWEEP_INTERVAL_MS = 15 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const DEFAULT_REMINDER_HOURS_BEFORE = 24;
+const DEFAULT_MESSAGE_REMINDER_CHANNEL = 'whatsapp';
+const DEFAULT_MESSAGE_REMINDER_HOURS_BEFORE = '24,1';
+// Often enough for a reminder an hour ahead to go out on time
+const REMINDER_SWEEP_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const getMaxAttempts = () => {
+  return parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+};
+
+// Exponential backoff: the base delay after the first attempt, doubling after every further one
+const getRetryDelayMs = (attempts) => {
+  const baseMs = (parseInt(process.env.EMAIL_RETRY_BASE_DELAY_SECONDS) || DEFAULT_RETRY_BASE_DELAY_SECONDS) * 1000;
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+};
+
+const retryAt = (attempts) => new Date(Date.now() + getRetryDelayMs(attempts)).toISOString();
+
+const parseHours = (value) => String(value)
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0);
+
+/**
+ * When reminders go out: one email, and WhatsApp or SMS messages at each of
+ * MESSAGE_REMINDER_HOURS_BEFORE unless MESSAGE_REMINDER_CHANNEL is 'none'
+ * @returns {Array<{channel: string, hoursBefore: Array<number>}>}
+ */
+const getReminderSchedules = () => {
+  const schedules = [{
+    channel: 'email',
+    hoursBefore: [parseInt(process.env.EMAIL_REMINDER_HOURS_BEFORE) || DEFAULT_REMINDER_HOURS_BEFORE]
+  }];
+
+  const channel = process.env.MESSAGE_REMINDER_CHANNEL || DEFAULT_MESSAGE_REMINDER_CHANNEL;
+  if (channel !== 'none') {
+    schedules.push({
+      channel,
+      hoursBefore: parseHours(process.env.MESSAGE_REMINDER_HOURS_BEFORE || DEFAULT_MESSAGE_REMINDER_HOURS_BEFORE)
+    });
+  }
+
+  return schedules;
+};
+
+const formatTimeLeft = (ms) => {
+  const minutes = Math.max(Math.round(ms / 60000), 1);
+  if (minutes < 60) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(ms / HOUR_MS);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const sender = () => process.env.EMAIL_FROM || process.env.COMPANY_EMAIL;
+
+const companyName = () => process.env.COMPANY_NAME || process.env.BANK_TRANSFER_ACCOUNT_HOLDER;
+
+const calendarAttachment = (payment, audience) => {
+  return payment.appointment_id ? [{ type: 'calendar', id: payment.appointment_id, audience }] : [];
+};
+
+/**
+ * Emails to customers and the consultant, and WhatsApp or SMS reminders to customers. Messages are
+ * written to the notifications outbox when something happens to a payment or appointment and
+ * delivered by a worker, which retries them with exponential backoff until they are sent or run out
+ * of attempts. Queuing never fails the payment processing that triggers it.
+ */
+class NotificationService {
+  /**
+   * Render a template and queue the message. A message with the same dedupe key is only queued once.
+   * @param {Object} message - { channel, template, recipient (email address or E.164 number), context,
+   *   attachments, payment_id, appointment_id, dedupe_key }
+   * @returns {Promise<Notification|null>} The queued message, or null when there is no one to send
+   *   it to or the recipient opted out of the channel
+   */
+  static async enqueue({
+    channel = 'email',
+    template,
+    recipient,
+    context,
+    attachments = [],
+    payment_id,
+    appointment_id,
+    dedupe_key
+  }) {
+    if (!recipient) {
+      logger.warn(`Not queuing ${template}: no recipient`);
+      return null;
+    }
+
+    if (dedupe_key) {
+      const existing = await Notification.findByDedupeKey(dedupe_key);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    if (channel !== 'email' && await MessagingService.isOptedOut(recipient, channel)) {
+      logger.debug(`Not queuing ${template}: ${recipient} opted out of ${channel} messages`);
+      return null;
+    }
+
+    const { subject, text } = renderTemplate(template, { company_name: companyName(), ...context }, channel);
+
+    try {
+      return await Notification.create({
+        channel,
+        template,
+        recipient,
+        subject,
+        body: text,
+        attachments,
+        payment_id,
+        appointment_id,
+        dedupe_key
+      });
+    } catch (error) {
+      // Queued meanwhile by another delivery of the same trigger
+      if (isUniqueConstraintError(error)) {
+        return Notification.findByDedupeKey(dedupe_key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a paid booking to the customer, invoice and calendar entry attached, and tell the
+   * consultant about it, calendar entry attached.
+   * @param {Payment} payment
+   */
+  static async notifyBookingConfirmed(payment) {
+    try {
+      const context = await this.paymentContext(payment);
+      const invoice = await Invoice.findInvoiceForPayment(payment.id);
+
+      await this.enqueue({
+        template: 'booking_confirmed',
+        recipient: context.customer_email,
+        context: { ...context, invoice_number: invoice?.number },
+        attachments: [
+          ...(invoice ? [{ type: 'invoice', id: invoice.id }] : []),
+          ...calendarAttachment(payment, 'customer')
+        ],
+        payment_id: payment.id,
+        appointment_id: payment.appointment_id,
+        dedupe_key: `booking_confirmed:${payment.id}`
+      });
+
+      await this.enqueue({
+        template: 'booking_received',
+        recipient: process.env.CONSULTANT_EMAIL,
+        context: { ...context, payment_method: invoice?.payment_method || payment.provider },
+        attachments: calendarAttachment(payment, 'consultant'),
+        payment_id: payment.id,
+        appointment_id: payment.appointment_id,
+        dedupe_key: `booking_received:${payment.id}`
+      });
+    } catch (error) {
+      logger.error(`Error queuing booking confirmation for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * @param {Payment} payment
+   * @param {string} [reason] - The provider's explanation, if it gave one
+   */
+  static async notifyPaymentFailed(payment, reason) {
+    try {
+      const context = await this.paymentContext(payment);
+
+      await this.enqueue({
+        template: 'payment_failed',
+        recipient: context.customer_email,
+        context: { ...context, reason },
+        payment_id: payment.id,
+        dedupe_key: `payment_failed:${payment.id}`
+      });
+    } catch (error) {
+      logger.error(`Error queuing payment failure notice for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Tell the customer that their payment came in after someone else booked the slot, and staff when
+   * the money has to be sent back by hand.
+   * @param {Payment} payment
+   * @param {Object} options - { refunded: whether the provider has refunded it already }
+   */
+  static async notifySlotUnavailable(payment, { refunded }) {
+    try {
+      const context = await this.paymentContext(payment);
+
+      await this.enqueue({
+        template: 'booking_slot_unavailable',
+        recipient: context.customer_email,
+        context: { ...context, refunded },
+        payment_id: payment.id,
+        dedupe_key: `booking_slot_unavailable:${payment.id}`
+      });
+
+      if (!refunded) {
+        await this.enqueue({
+          template: 'refund_required',
+          recipient: process.env.CONSULTANT_EMAIL,
+          context: { ...context, payment_method: payment.provider },
+          payment_id: payment.id,
+          dedupe_key: `refund_required:${payment.id}`
+        });
+      }
+    } catch (error) {
+      logger.error(`Error queuing slot unavailable notices for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Tell the customer about each succeeded refund of the payment, credit note attached. Refunds
+   * that were already announced are skipped, so this can run after every change to the ledger.
+   * @param {Payment} payment
+   */
+  static async notifyRefunds(payment) {
+    try {
+      const refunds = (await Refund.findByPaymentId(payment.id)).filter(refund => refund.status === 'succeeded');
+      if (refunds.length === 0) {
+        return;
+      }
+
+      const context = await this.paymentContext(payment);
+
+      for (const refund of refunds) {
+        const creditNote = await Invoice.findByRefundId(refund.id);
+        const cancelled = payment.status === 'refunded' && !!payment.appointment_id;
+
+        await this.enqueue({
+          template: 'refund_issued',
+          recipient: context.customer_email,
+          context: {
+            ...context,
+            amount: formatMoney(refund.amount, refund.currency, 'en-GB'),
+            cancelled,
+            credit_note_number: creditNote?.number
+          },
+          // The calendar entry, now cancelled, so the customer's calendar drops the appointment
+          attachments: [
+            ...(creditNote ? [{ type: 'invoice', id: creditNote.id }] : []),
+            ...(cancelled ? calendarAttachment(payment, 'customer') : [])
+          ],
+          payment_id: payment.id,
+          dedupe_key: `refund_issued:${refund.id}`
+        });
+      }
+    } catch (error) {
+      logger.error(`Error queuing refund notices for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Queue the reminders that are due for confirmed appointments, on each channel of the reminder
+   * schedules. Of a channel's reminders only the latest one due is sent, so a sweep that ran late
+   * does not send the 24 hour reminder an hour before. Reminders whose time came before the
+   * appointment was booked are skipped; its confirmation has only just gone out.
+   * @param {Date} [now]
+   * @returns {Promise<Array<Notification>>} The reminders queued
+   */
+  static async queueReminders(now = new Date()) {
+    const schedules = getReminderSchedules();
+    const windowMs = Math.max(...schedules.flatMap(schedule => schedule.hoursBefore)) * HOUR_MS;
+    const until = new Date(now.getTime() + windowMs);
+
+    // A day either side covers any difference between UTC and the business's time zone
+    const appointments = await Appointment.findConfirmedBetween(
+      new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10),
+      new Date(until.getTime() + DAY_MS).toISOString().slice(0, 10)
+    );
+
+    const reminders = [];
+    for (const appointment of appointments) {
+      const startsAt = toInstant(appointment.date, appointment.time);
+      if (startsAt <= now || startsAt > until) {
+        continue;
+      }
+      const bookedAt = appointment.created_at ? parseTimestamp(appointment.created_at) : null;
+
+      for (const { channel, hoursBefore } of schedules) {
+        const due = hoursBefore.filter(hours => {
+          const remindAt = startsAt - hours * HOUR_MS;
+          return remindAt <= now && !(bookedAt && remindAt < bookedAt);
+        });
+        const recipient = channel === 'email'
+          ? appointment.customer_email
+          : normalizePhoneNumber(appointment.customer_phone);
+        if (due.length === 0 || !recipient) {
+          continue;
+        }
+
+        const hours = Math.min(...due);
+        const reminder = await this.enqueue({
+          channel,
+          template: 'appointment_reminder',
+          recipient,
+          context: {
+            customer_name: appointment.customer_name,
+            consultation_title: appointment.consultation_title,
+            appointment: formatLocalDateTime(appointment.date, appointment.time),
+            starts_in: formatTimeLeft(startsAt - now)
+          },
+          payment_id: appointment.payment_id,
+          appointment_id: appointment.id,
+          dedupe_key: `appointment_reminder:${channel}:${hours}h:${appointment.id}`
+        });
+        if (reminder) {
+          reminders.push(reminder);
+        }
+      }
+    }
+
+    return reminders;
+  }
+
+  // What the payment templates fill in
+  static async paymentContext(payment) {
+    const [consultation, appointment, user] = await Promise.all([
+      Consultation.findById(payment.consultation_id),
+      payment.appointment_id ? Appointment.findById(payment.appointment_id) : null,
+      payment.user_id ? User.findById(payment.user_id) : null
+    ]);
+
+    return {
+      customer_name: payment.customer_name || user?.name,
+      customer_email: payment.customer_email || user?.email,
+      customer_phone: user?.phone,
+      consultation_title: consultation?.title || 'Consultation',
+      appointment: appointment ? formatLocalDateTime(appointment.date, appointment.time) : null,
+      amount: formatMoney(payment.amount, payment.currency, 'en-GB'),
+      reference: payment.provider_payment_id || payment.id
+    };
+  }
+
+  /**
+   * Email a link to set a password. Sent right away instead of through the outbox, so the link is
+   * never stored with the delivery log; if sending fails the user can simply ask again.
+   * @param {string} template - 'password_reset' or 'staff_invitation'
+   * @param {User} user
+   * @param {Object} context - { reset_url, expires_in, ... }
+   * @returns {Promise<boolean>} Whether the transport accepted the email
+   */
+  static async sendAccountEmail(template, user, context) {
+    const { subject, text } = renderTemplate(template, {
+      company_name: companyName(),
+      customer_name: user.name,
+      ...context
+    });
+
+    try {
+      await TransportRegistry.get('email').send({ from: sender(), to: user.email, subject, text, attachments: [] });
+      logger.info(`Sent ${template} to user ${user.id}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error sending ${template} to user ${user.id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Attempt to deliver a queued message once and record the outcome on it.
+   * @param {Notification} notification
+   * @returns {Promise<boolean>} True if it was sent; false if it failed, was not due or another worker took it
+   */
+  static async deliver(notification) {
+    const claimed = await notification.claimAttempt(retryAt(notification.attempts + 1));
+    if (!claimed) {
+      return false;
+    }
+
+    // Opted out after the message was queued
+    if (notification.channel !== 'email' && await MessagingService.isOptedOut(notification.recipient, notification.channel)) {
+      await notification.markFailed('Recipient opted out', null);
+      logger.info(`Not sending ${notification.template} ${notification.id}: recipient opted out`);
+      return false;
+    }
+
+    try {
+      const { messageId } = await TransportRegistry.get(notification.channel).send({
+        from: sender(),
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body,
+        attachments: await this.renderAttachments(notification)
+      });
+
+      await notification.markSent(messageId);
+      logger.info(`Sent ${notification.template} ${notification.id} to ${notification.recipient}`);
+      return true;
+    } catch (error) {
+      const giveUp = notification.attempts >= getMaxAttempts();
+      await notification.markFailed(error.message, giveUp ? null : retryAt(notification.attempts));
+
+      if (giveUp) {
+        logger.error(`Notification ${notification.id} failed after ${notification.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Notification ${notification.id} attempt ${notification.attempts} failed, retrying at ${notification.next_attempt_at}: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  // Attachments are rendered when the message is sent: invoices and credit notes from the copy kept
+  // when they were issued, calendar entries from the appointment as it is then
+  static async renderAttachments(notification) {
+    const attachments = [];
+
+    for (const attachment of notification.attachments) {
+      if (attachment.type === 'invoice') {
+        const document = await Invoice.findById(attachment.id);
+        if (!document) {
+          throw new Error(`Invoice ${attachment.id} not found`);
+        }
+        const invoice = document.invoice_id ? await Invoice.findById(document.invoice_id) : null;
+
+        attachments.push({
+          filename: `${document.number}.pdf`,
+          content: InvoiceService.renderPdf(document, invoice),
+          contentType: 'application/pdf'
+        });
+      } else if (attachment.type === 'calendar') {
+        const appointment = await Appointment.findById(attachment.id);
+        if (!appointment) {
+          throw new Error(`Appointment ${attachment.id} not found`);
+        }
+
+        attachments.push({
+          filename: 'appointment.ics',
+          content: CalendarService.renderAppointment(appointment, attachment.audience),
+          contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+        });
+      } else {
+        throw new Error(`Unknown attachment type: ${attachment.type}`);
+      }
+    }
+
+    return attachments;
+  }
+
+  static async deliverDue() {
+    const due = await Notification.findDue(DELIVERY_BATCH_SIZE);
+    let sent = 0;
+
+    for (const notification of due) {
+      if (await this.deliver(notification)) {
+        sent += 1;
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info(`Delivered ${sent} of ${due.length} notification(s)`);
+    }
+    return sent;
+  }
+
+  /**
+   * Build the transports of every channel that messages are sent on, so a server that could not
+   * deliver them refuses to start
+   * @throws {Error} When a channel's transport is not configured
+   */
+  static checkTransports() {
+    TransportRegistry.checkConfiguration(getReminderSchedules().map(schedule => schedule.channel));
+  }
+
+  static startDeliveryWorker(intervalMs = DELIVERY_SWEEP_INTERVAL_MS) {
+    return this.startSweep('delivering notifications', () => this.deliverDue(), intervalMs);
+  }
+
+  static startReminderSweep(intervalMs = REMINDER_SWEEP_INTERVAL_MS) {
+    return this.startSweep('queuing reminders', () => this.queueReminders(), intervalMs);
+  }
+
+  static startSweep(description, sweep, intervalMs) {
+    let running = false;
+
+    const timer = setInterval(() => {
+      // A slow sweep must not overlap with the next one
+      if (running) return;
+      running = true;
+
+      sweep()
+        .catch(error => logger.error(`Error ${description}:`, error))
+        .finally(() => {
+          running = false;
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default NotificationService;
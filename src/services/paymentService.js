@@ -0,0 +1,629 @@
+import ProviderRegistry from '../providers/provider-registry.js';
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import SlotHoldService from './slotHoldService.js';
+import BookingService from './bookingService.js';
+import RefundService from './refundService.js';
+import CouponService from './couponService.js';
+import PricingService from './pricingService.js';
+import TaxService from './taxService.js';
+import InvoiceService from './invoiceService.js';
+import NotificationService from './notificationService.js';
+import Consultation from '../models/Consultation.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { validatePaymentAmount } from '../utils/validation.js';
+import { ApiError } from '../utils/errors.js';
+
+const DEADLINE_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Statuses a payment may move to from a provider outcome, keyed by the new status. Webhooks can
+// arrive late or out of order, so an outcome that would undo a later state (a payment_failed
+// delivered after the payment succeeded) is recorded and otherwise ignored. A success is always
+// taken, even after a failure or cancellation, because the money has moved; the slot is booked
+// if it is still free and the money refunded otherwise.
+const OUTCOME_TRANSITIONS = {
+  succeeded: ['pending', 'processing', 'failed', 'cancelled'],
+  processing: ['pending'],
+  failed: ['pending', 'processing'],
+  cancelled: ['pending', 'processing', 'failed']
+};
+
+/**
+ * Provider-agnostic payment flows. Gateways are resolved through the
+ * ProviderRegistry and only ever spoken to through the PaymentProvider interface.
+ */
+class PaymentService {
+  /**
+   * Start a payment with the named provider and record it.
+   * @param {string} providerName - Registered provider name
+   * @param {Object} paymentData - Currency, customer, consultation, optional slot, coupon_code, customer_country
+   *   and customer_vat_id, plus the client's idempotency_key when the request carried one. The amount is worked
+   *   out from the consultation's price; an amount sent by the client (minor units) must match it
+   * @returns {Promise<{payment: Payment, intent: Object, hold_expires_at: string|undefined}>}
+   */
+  static async createIntent(providerName, paymentData) {
+    const provider = ProviderRegistry.get(providerName);
+    paymentData = { ...paymentData, user_id: await this.resolveCustomer(paymentData) };
+
+    const currency = paymentData.currency.toUpperCase();
+    if (!provider.getSupportedCurrencies().includes(currency.toLowerCase())) {
+      throw new ApiError(400, `Currency ${currency} is not supported by ${providerName}`);
+    }
+
+    const price = await this.priceFor(providerName, paymentData, currency);
+    const { amount } = price;
+    const discount = price.coupon ? price : null;
+
+    if (!validatePaymentAmount(amount)) {
+      throw new ApiError(400, 'Invalid payment amount');
+    }
+
+    let hold = null;
+    let redemption = null;
+
+    try {
+      if (discount) {
+        redemption = await CouponService.reserve(discount, paymentData);
+      }
+
+      // Hold the requested slot before charging so nobody else can pay for it meanwhile. Payments left
+      // open for days keep the slot until their deadline, when they are given up (see expireOverdue).
+      const windowMs = provider.getPaymentWindowMs?.() || undefined;
+      if (paymentData.date && paymentData.time) {
+        hold = await SlotHoldService.reserve({
+          consultation_id: paymentData.consultation_id,
+          date: paymentData.date,
+          time: paymentData.time
+        }, { ttlMs: windowMs });
+      }
+      const deadline = windowMs && (hold?.expires_at || new Date(Date.now() + windowMs).toISOString());
+
+      const intent = await provider.createPaymentIntent({
+        amount,
+        currency,
+        customerId: paymentData.customer_id,
+        email: paymentData.customer_email,
+        returnUrl: `${process.env.FRONTEND_URL}/payment/success`,
+        cancelUrl: `${process.env.FRONTEND_URL}/payment/cancel`,
+        idempotencyKey: paymentData.idempotency_key,
+        expiresAt: deadline,
+        metadata: {
+          user_id: paymentData.user_id,
+          consultation_id: paymentData.consultation_id,
+          appointment_id: paymentData.appointment_id || '',
+          customer_email: paymentData.customer_email || '',
+          customer_name: paymentData.customer_name || '',
+          slot_hold_id: hold?.id || '',
+          coupon_code: discount?.coupon.code || ''
+        }
+      });
+
+      const payment = await Payment.create({
+        user_id: paymentData.user_id,
+        consultation_id: paymentData.consultation_id,
+        appointment_id: paymentData.appointment_id,
+        provider: providerName,
+        provider_payment_id: intent.id,
+        provider_customer_id: paymentData.customer_id,
+        amount,
+        currency,
+        status: 'pending',
+        customer_email: paymentData.customer_email,
+        customer_name: paymentData.customer_name,
+        ...this.taxColumns(price.tax),
+        metadata: {
+          client_secret: intent.clientSecret,
+          redirect_url: intent.redirectUrl,
+          // Offline methods such as bank transfer tell the customer where to send the money
+          instructions: intent.instructions,
+          payment_deadline: deadline,
+          ...(discount && {
+            coupon_code: discount.coupon.code,
+            original_amount: discount.original_amount,
+            discount_amount: discount.discount_amount
+          })
+        }
+      });
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.created',
+        event_data: {
+          provider: providerName,
+          provider_payment_id: intent.id,
+          amount,
+          currency,
+          tax_amount: price.tax.tax_amount,
+          tax_treatment: price.tax.tax_treatment,
+          coupon_code: discount?.coupon.code
+        }
+      });
+
+      if (redemption) {
+        await redemption.attachPayment(payment.id);
+      }
+
+      if (hold) {
+        await SlotHoldService.attachPayment(hold, payment);
+      }
+
+      logger.info(`${providerName} payment intent created: ${intent.id}`);
+
+      return {
+        payment,
+        intent,
+        hold_expires_at: hold?.expires_at
+      };
+
+    } catch (error) {
+      if (hold?.status === 'active') {
+        await hold.updateStatus('released').catch(() => {});
+      }
+      if (redemption && !redemption.payment_id) {
+        await redemption.delete().catch(() => {});
+      }
+
+      logger.error(`Error creating ${providerName} payment intent:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * The amount to charge for a booking: the consultation's price in the payment currency, less the
+   * coupon if one was given, less VAT when the customer is not charged any. Prices come from the
+   * server only. A client amount that differs is refused and recorded as a payment.amount_mismatch event.
+   * @param {string} providerName - Registered provider name
+   * @param {Object} paymentData - consultation_id, optional appointment_id, amount, coupon_code, customer_country
+   *   and customer_vat_id, customer
+   * @param {string} currency - ISO 4217 code
+   * @returns {Promise<{amount: number, currency: string, tax: Object, consultation: Consultation, coupon?: Coupon,
+   *   original_amount?: number, discount_amount?: number}>} amounts in minor units; original_amount and
+   *   discount_amount are VAT inclusive, tax is TaxService.calculate's breakdown of amount
+   * @throws {ApiError} 404 for an unknown consultation, 400 when the client amount does not match or the
+   *   VAT ID is malformed, and as BookingService.findPayableAppointment for an appointment that is not payable
+   */
+  static async priceFor(providerName, paymentData, currency) {
+    const consultation = await Consultation.findById(paymentData.consultation_id);
+    if (!consultation) {
+      throw new ApiError(404, 'Consultation not found');
+    }
+
+    // The price is the consultation's, so the appointment has to be for that consultation
+    if (paymentData.appointment_id) {
+      await BookingService.findPayableAppointment(paymentData.appointment_id, paymentData);
+    }
+
+    const price = paymentData.coupon_code
+      ? await CouponService.quote(paymentData.coupon_code, {
+        consultation,
+        currency,
+        user_id: paymentData.user_id,
+        customer_email: paymentData.customer_email
+      })
+      : await PricingService.getPrice(consultation, currency);
+
+    const tax = TaxService.calculate(price.amount, {
+      country: paymentData.customer_country,
+      vat_id: paymentData.customer_vat_id
+    });
+    const amount = tax.gross_amount;
+
+    const clientAmount = paymentData.amount ?? null;
+    if (clientAmount !== null && Number(clientAmount) !== amount) {
+      await this.recordMismatch(providerName, paymentData, {
+        currency: price.currency,
+        client_amount: clientAmount,
+        expected_amount: amount
+      });
+      throw new ApiError(400, `Amount ${clientAmount} does not match the price of ${amount} ${price.currency}`);
+    }
+
+    return { ...price, amount, tax, consultation };
+  }
+
+  /**
+   * The customer a payment is booked on: the logged-in user, or for guests the account
+   * their email is looked up or created under, the way bookings do
+   * @param {Object} paymentData - user_id from the login (never from the request body), customer_email, customer_name
+   * @returns {Promise<string>} user ID
+   */
+  static async resolveCustomer(paymentData) {
+    if (paymentData.user_id) {
+      return paymentData.user_id;
+    }
+
+    const user = await User.findOrCreateByEmail({
+      email: paymentData.customer_email,
+      name: paymentData.customer_name || paymentData.customer_email
+    });
+    return user.id;
+  }
+
+  // The VAT breakdown as stored on a payment
+  static taxColumns(tax) {
+    return {
+      customer_country: tax.customer_country,
+      customer_vat_id: tax.customer_vat_id,
+      net_amount: tax.net_amount,
+      tax_amount: tax.tax_amount,
+      tax_rate: tax.tax_rate,
+      tax_treatment: tax.tax_treatment
+    };
+  }
+
+  // Audit a booking whose client-supplied price was refused; no payment exists for it
+  static async recordMismatch(providerName, paymentData, details) {
+    await PaymentEvent.create({
+      payment_id: null,
+      event_type: 'payment.amount_mismatch',
+      event_data: {
+        provider: providerName,
+        consultation_id: paymentData.consultation_id,
+        user_id: paymentData.user_id,
+        customer_email: paymentData.customer_email,
+        coupon_code: paymentData.coupon_code,
+        ...details
+      }
+    });
+
+    logger.warn(`Refused ${providerName} payment for ${paymentData.consultation_id}: client price does not match`, details);
+  }
+
+  /**
+   * Verify and apply an incoming webhook.
+   * @param {string} providerName - Registered provider name
+   * @param {string|Buffer} payload - Raw request body
+   * @param {string} signature - Signature taken from the request headers
+   * @returns {Promise<{event: Object, normalized: Object}>}
+   */
+  static async handleWebhook(providerName, payload, signature) {
+    const event = await this.verifyWebhook(providerName, payload, signature);
+    const normalized = await this.processWebhookEvent(providerName, event);
+
+    return { event, normalized };
+  }
+
+  /**
+   * Check a webhook's signature and read the event from it.
+   * @param {string} providerName - Registered provider name
+   * @param {string|Buffer} payload - Raw request body
+   * @param {string} signature - Signature taken from the request headers
+   * @returns {Promise<Object>} The verified event
+   */
+  static async verifyWebhook(providerName, payload, signature) {
+    return ProviderRegistry.get(providerName).verifyWebhookSignature(payload, signature);
+  }
+
+  /**
+   * Apply a verified webhook event to the payment it is about.
+   * @param {string} providerName - Registered provider name
+   * @param {Object} event - Event returned by verifyWebhook
+   * @returns {Promise<Object>} The normalized event
+   */
+  static async processWebhookEvent(providerName, event) {
+    const normalized = await ProviderRegistry.get(providerName).processWebhookEvent(event);
+
+    logger.info(`Processing ${providerName} webhook: ${normalized.originalType || normalized.type}`);
+
+    switch (normalized.type) {
+      case 'payment_succeeded':
+        await this.applyToPayment(normalized.paymentIntent, payment => this.markSucceeded(payment, normalized.paymentIntent));
+        break;
+
+      case 'payment_failed':
+        await this.applyToPayment(normalized.paymentIntent, payment => this.markFailed(payment, normalized.paymentIntent));
+        break;
+
+      case 'payment_canceled':
+        await this.applyToPayment(normalized.paymentIntent, payment => this.markCancelled(payment, normalized.paymentIntent));
+        break;
+
+      case 'payment_processing':
+        await this.applyToPayment(normalized.paymentIntent, payment => this.markProcessing(payment, normalized.paymentIntent));
+        break;
+
+      case 'refund_updated':
+        await this.applyToPayment(
+          { id: normalized.paymentIntentId, provider: providerName },
+          payment => RefundService.applyProviderRefunds(payment, normalized.refunds)
+        );
+        break;
+
+      default:
+        logger.info(`Unhandled ${providerName} webhook event: ${normalized.originalType || normalized.type}`);
+    }
+
+    return normalized;
+  }
+
+  static async applyToPayment(intent, apply) {
+    const payment = await Payment.findByProviderPaymentId(intent.id);
+    if (!payment) {
+      logger.warn(`Payment not found for ${intent.provider} payment ${intent.id}`);
+      return null;
+    }
+
+    return apply(payment);
+  }
+
+  // A success only counts for the amount and currency the payment was priced at. A short or foreign payment
+  // is recorded and left pending for staff to sort out; more is fine, bank transfers are overpaid now and then.
+  // Outcomes that do not report an amount are taken as they are.
+  static async paidInFull(payment, intent) {
+    const short = intent.amount != null && Number(intent.amount) < payment.amount;
+    const otherCurrency = !!intent.currency && intent.currency.toUpperCase() !== payment.currency.toUpperCase();
+    if (!short && !otherCurrency) {
+      return true;
+    }
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.amount_mismatch',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id,
+        paid_amount: intent.amount,
+        paid_currency: intent.currency,
+        expected_amount: payment.amount,
+        currency: payment.currency
+      }
+    });
+
+    logger.warn(`Ignoring success of payment ${payment.id}: paid ${intent.amount} ${intent.currency}, due ${payment.amount} ${payment.currency}`);
+    return false;
+  }
+
+  /**
+   * Whether a provider outcome may move the payment to the given status. Repeats of the
+   * current status are dropped silently; stale outcomes are logged to the payment's events.
+   * @returns {Promise<boolean>}
+   */
+  static async acceptsOutcome(payment, status, intent) {
+    if (payment.status === status) {
+      return false;
+    }
+
+    if (OUTCOME_TRANSITIONS[status].includes(payment.status)) {
+      return true;
+    }
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.outcome_ignored',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id,
+        current_status: payment.status,
+        ignored_status: status
+      }
+    });
+
+    logger.warn(`Ignoring ${status} outcome for payment ${payment.id}, which is already ${payment.status}`);
+    return false;
+  }
+
+  static async markSucceeded(payment, intent) {
+    if (!(await this.acceptsOutcome(payment, 'succeeded', intent)) || !(await this.paidInFull(payment, intent))) {
+      return payment;
+    }
+
+    await payment.updateStatus('succeeded', {
+      payment_method: intent.paymentMethodType,
+      metadata: {
+        ...JSON.parse(payment.metadata || '{}'),
+        provider_customer_id: intent.customerId,
+        provider_payment_method_id: intent.paymentMethodId,
+        payer_country: intent.payerCountry
+      }
+    });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.succeeded',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id,
+        amount: intent.amount,
+        currency: intent.currency
+      }
+    });
+
+    const { conflict } = await SlotHoldService.convertForPayment(payment);
+    if (conflict) {
+      await this.refundForTakenSlot(payment);
+    } else {
+      await CouponService.redeemForPayment(payment);
+      await BookingService.confirmForPayment(payment);
+      await this.checkTaxEvidence(payment, intent);
+      await this.issueInvoice(payment);
+      await NotificationService.notifyBookingConfirmed(payment);
+    }
+
+    logger.info(`Payment succeeded: ${payment.id}`);
+    return payment;
+  }
+
+  // The money came in for a slot someone else booked after the hold ran out, so the customer gets it back
+  // in full. Providers that cannot refund on their own, such as bank transfers, leave it to staff.
+  static async refundForTakenSlot(payment) {
+    await CouponService.releaseForPayment(payment);
+
+    let refunded = true;
+    try {
+      await RefundService.refund(payment);
+    } catch (error) {
+      refunded = false;
+      logger.error(`Error refunding payment ${payment.id} for a slot that was taken:`, error);
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.refund_required',
+        event_data: {
+          provider: payment.provider,
+          provider_payment_id: payment.provider_payment_id,
+          amount: payment.amount,
+          reason: 'slot_unavailable',
+          error: error.message
+        }
+      });
+    }
+
+    await NotificationService.notifySlotUnavailable(payment, { refunded });
+  }
+
+  // Customers who are not charged German VAT pay the net price on the strength of the country they gave. Unless
+  // the gateway backs it up, the VAT is owed all the same and comes out of what they paid; nobody is charged more.
+  static async checkTaxEvidence(payment, intent) {
+    const payerCountry = intent.payerCountry?.toUpperCase() || null;
+    if (!payment.tax_treatment || TaxService.isBackedBy(payment, payerCountry)) {
+      return;
+    }
+
+    const treatment = payment.tax_treatment;
+    const { net_amount, tax_amount, tax_rate, tax_treatment } = TaxService.calculate(payment.amount);
+    await payment.updateTax({ net_amount, tax_amount, tax_rate, tax_treatment });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.tax_unconfirmed',
+      event_data: {
+        customer_country: payment.customer_country,
+        payer_country: payerCountry,
+        from: treatment,
+        to: tax_treatment,
+        tax_amount
+      }
+    });
+
+    logger.warn(`Payment ${payment.id} charged German VAT: ${payment.customer_country} not backed up by the payer's country ${payerCountry}`);
+  }
+
+  // A missing invoice is issued when it is first requested, so it does not hold up the booking
+  static async issueInvoice(payment) {
+    try {
+      await InvoiceService.issueForPayment(payment);
+    } catch (error) {
+      logger.error(`Error issuing invoice for payment ${payment.id}:`, error);
+    }
+  }
+
+  // Delayed methods such as SEPA Direct Debit sit here until the bank settles them
+  static async markProcessing(payment, intent) {
+    if (!(await this.acceptsOutcome(payment, 'processing', intent))) {
+      return payment;
+    }
+
+    await payment.updateStatus('processing', {
+      payment_method: intent.paymentMethodType
+    });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.processing',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id,
+        payment_method: intent.paymentMethodType
+      }
+    });
+
+    logger.info(`Payment processing: ${payment.id}`);
+    return payment;
+  }
+
+  static async markFailed(payment, intent) {
+    if (!(await this.acceptsOutcome(payment, 'failed', intent))) {
+      return payment;
+    }
+
+    await payment.updateStatus('failed', {
+      metadata: {
+        ...JSON.parse(payment.metadata || '{}'),
+        failure_code: intent.lastError?.code,
+        failure_message: intent.lastError?.message
+      }
+    });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.failed',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id,
+        error: intent.lastError
+      }
+    });
+
+    await SlotHoldService.releaseForPayment(payment, 'payment_failed');
+    await CouponService.releaseForPayment(payment);
+    await NotificationService.notifyPaymentFailed(payment, intent.lastError?.message);
+
+    logger.info(`Payment failed: ${payment.id}`);
+    return payment;
+  }
+
+  static async markCancelled(payment, intent) {
+    if (!(await this.acceptsOutcome(payment, 'cancelled', intent))) {
+      return payment;
+    }
+
+    await payment.updateStatus('cancelled');
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.cancelled',
+      event_data: {
+        provider: payment.provider,
+        provider_payment_id: intent.id
+      }
+    });
+
+    await SlotHoldService.releaseForPayment(payment, 'payment_cancelled');
+    await CouponService.releaseForPayment(payment);
+
+    logger.info(`Payment cancelled: ${payment.id}`);
+    return payment;
+  }
+
+  /**
+   * Give up pending payments whose deadline passed without the money arriving, which frees their slot
+   * and coupon. Money that still turns up afterwards is taken like any other late success.
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of payments given up
+   */
+  static async expireOverdue(now = new Date()) {
+    const overdue = await Payment.findOverdue(now.toISOString());
+
+    for (const payment of overdue) {
+      await this.markCancelled(payment, { id: payment.provider_payment_id });
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.expired',
+        event_data: {
+          provider: payment.provider,
+          provider_payment_id: payment.provider_payment_id,
+          payment_deadline: JSON.parse(payment.metadata).payment_deadline
+        }
+      });
+    }
+
+    if (overdue.length > 0) {
+      logger.info(`Gave up ${overdue.length} overdue payment(s)`);
+    }
+    return overdue.length;
+  }
+
+  static startDeadlineSweep(intervalMs = DEADLINE_SWEEP_INTERVAL_MS) {
+    const timer = setInterval(() => {
+      this.expireOverdue().catch(error => {
+        logger.error('Error giving up overdue payments:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default PaymentService;
@@ -0,0 +1,78 @@
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import PaymentService from './paymentService.js';
+import ProviderRegistry from '../providers/provider-registry.js';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+class PayPalService {
+  static async createOrder(paymentData) {
+    try {
+      const { payment, intent, hold_expires_at } = await PaymentService.createIntent('paypal', {
+        ...paymentData,
+        currency: paymentData.currency || 'EUR'
+      });
+
+      return {
+        payment,
+        order_id: intent.id,
+        approve_url: intent.redirectUrl,
+        hold_expires_at
+      };
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new Error(`Order creation failed: ${error.message}`);
+    }
+  }
+
+  static async captureOrder(orderId) {
+    try {
+      const payment = await Payment.findByProviderPaymentId(orderId);
+      if (!payment) {
+        logger.warn(`Payment not found for PayPal order: ${orderId}`);
+        return null;
+      }
+
+      // PayPal completes the payment when the approved order is captured
+      const intent = await ProviderRegistry.get('paypal').capturePaymentIntent(orderId);
+
+      // Apply the capture result through the shared payment flow
+      if (intent.status === 'succeeded') {
+        await PaymentService.markSucceeded(payment, intent);
+      } else if (intent.status === 'payment_failed') {
+        await PaymentService.markFailed(payment, intent);
+      }
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.captured',
+        event_data: {
+          provider: 'paypal',
+          order_id: orderId,
+          capture_id: intent.captureId,
+          status: intent.status,
+          amount: intent.amount
+        }
+      });
+
+      logger.info(`PayPal order captured: ${payment.id} - Status: ${payment.status}`);
+
+      return {
+        payment,
+        capture: intent
+      };
+
+    } catch (error) {
+      logger.error(`Error capturing PayPal order ${orderId}:`, error);
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new Error(`Order capture failed: ${error.message}`);
+    }
+  }
+}
+
+export default PayPalService;
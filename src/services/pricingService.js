@@ -0,0 +1,111 @@
+import ConsultationPrice from '../models/ConsultationPrice.js';
+import ExchangeRateService from './exchangeRateService.js';
+import ProviderRegistry from '../providers/provider-registry.js';
+import { toMajorUnits, toMinorUnits } from '../utils/money.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Consultation prices per currency. The consultation's own price is its base price; a fixed
+ * price from consultation_prices wins for its currency, and any other currency is converted
+ * from the base price at the current exchange rate.
+ */
+class PricingService {
+  /**
+   * @param {Consultation} consultation
+   * @param {string} [currency] - ISO 4217 code, the consultation's base currency by default
+   * @returns {Promise<{consultation_id: string, amount: number, currency: string, source: string, exchange_rate?: number}>}
+   *   amount in minor units; source is 'base', 'catalog' or 'converted'
+   */
+  static async getPrice(consultation, currency = consultation.currency) {
+    const target = currency.toUpperCase();
+
+    if (target === consultation.currency) {
+      return { consultation_id: consultation.id, amount: consultation.price, currency: target, source: 'base' };
+    }
+
+    const listed = await ConsultationPrice.find(consultation.id, target);
+    if (listed) {
+      return { consultation_id: consultation.id, amount: listed.amount, currency: target, source: 'catalog' };
+    }
+
+    const rate = await ExchangeRateService.getRate(consultation.currency, target);
+    return {
+      consultation_id: consultation.id,
+      amount: toMinorUnits(toMajorUnits(consultation.price, consultation.currency) * rate, target),
+      currency: target,
+      source: 'converted',
+      exchange_rate: rate
+    };
+  }
+
+  /**
+   * The currency to charge in with a provider: the requested one if the provider takes it,
+   * otherwise the base currency, a currency with a fixed catalog price, or the provider's
+   * first currency, in that order.
+   * @param {Consultation} consultation
+   * @param {string} providerName - Registered provider name
+   * @param {string} [requested] - ISO 4217 code asked for by the customer
+   * @returns {Promise<string>}
+   * @throws {ApiError} 400 when the provider does not take the requested currency
+   */
+  static async getCurrencyForProvider(consultation, providerName, requested) {
+    const supported = ProviderRegistry.get(providerName).getSupportedCurrencies().map(code => code.toUpperCase());
+
+    if (requested) {
+      if (!supported.includes(requested.toUpperCase())) {
+        throw new ApiError(400, `${providerName} does not accept ${requested.toUpperCase()}`);
+      }
+      return requested.toUpperCase();
+    }
+
+    if (supported.includes(consultation.currency)) {
+      return consultation.currency;
+    }
+
+    const listed = await ConsultationPrice.findByConsultationId(consultation.id);
+    return listed.find(price => supported.includes(price.currency))?.currency ?? supported[0];
+  }
+
+  /**
+   * Price of a consultation when paying with the given provider
+   * @param {Consultation} consultation
+   * @param {string} providerName - Registered provider name
+   * @param {string} [currency] - ISO 4217 code asked for by the customer
+   */
+  static async getPriceForProvider(consultation, providerName, currency) {
+    const price = await this.getPrice(
+      consultation,
+      await this.getCurrencyForProvider(consultation, providerName, currency)
+    );
+
+    return { ...price, provider: providerName };
+  }
+
+  /**
+   * The base price and the fixed prices of a consultation
+   * @param {Consultation} consultation
+   */
+  static async listPrices(consultation) {
+    return {
+      base: { amount: consultation.price, currency: consultation.currency },
+      prices: await ConsultationPrice.findByConsultationId(consultation.id)
+    };
+  }
+
+  /**
+   * Fix the consultation's price in a currency other than its base currency
+   * @param {Consultation} consultation
+   * @param {string} currency - ISO 4217 code
+   * @param {number} amount - Minor units
+   * @throws {ApiError} 400 for the base currency, which is the consultation's own price
+   */
+  static async setPrice(consultation, currency, amount) {
+    if (currency.toUpperCase() === consultation.currency) {
+      throw new ApiError(400, `${consultation.currency} is the base currency; update the consultation's price instead`);
+    }
+
+    return ConsultationPrice.set(consultation.id, currency, amount);
+  }
+}
+
+export default PricingService;
@@ -0,0 +1,262 @@
+import ProviderRegistry from '../providers/provider-registry.js';
+import Refund from '../models/Refund.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import BookingService from './bookingService.js';
+import InvoiceService from './invoiceService.js';
+import NotificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+// Payment statuses that still have money left to refund
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+// Payment statuses that refunds move between
+const SETTLED_STATUSES = [...REFUNDABLE_STATUSES, 'refunded'];
+
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+
+const ledgerStatus = (providerRefund) => {
+  return REFUND_STATUSES.includes(providerRefund.status) ? providerRefund.status : 'pending';
+};
+
+/**
+ * Refunds and the ledger behind them. A payment can be refunded in several parts until the
+ * refunded total reaches its amount; its status follows the ledger from succeeded to
+ * partially_refunded to refunded.
+ */
+class RefundService {
+  /**
+   * Refund part or all of the remaining balance through the provider the payment was made with.
+   * @param {Payment} payment
+   * @param {Object} options - { amount (minor units, omit to refund the remaining balance), reason, idempotencyKey }
+   * @returns {Promise<Refund>} The ledger entry
+   */
+  static async refund(payment, { amount = null, reason = 'requested_by_customer', idempotencyKey } = {}) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new ApiError(400, 'Payment must be successful to process refund');
+    }
+
+    const provider = ProviderRegistry.get(payment.provider);
+    const refundable = payment.amount - await Refund.getRefundedAmount(payment.id);
+    const refundAmount = amount ?? refundable;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new ApiError(400, `Refund amount exceeds the refundable balance of ${refundable}`);
+    }
+
+    // Take the amount out of the balance before asking the provider, so two refunds
+    // running side by side cannot both spend the same balance
+    const reservation = await Refund.reserve({
+      payment_id: payment.id,
+      provider: payment.provider,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason
+    });
+
+    if (!reservation) {
+      throw new ApiError(409, 'Another refund changed the refundable balance of this payment, please try again');
+    }
+
+    let providerRefund;
+    try {
+      providerRefund = await provider.createRefund(payment.provider_payment_id, {
+        amount: refundAmount,
+        reason,
+        idempotencyKey
+      });
+    } catch (error) {
+      // Nothing was refunded, so the amount goes back into the balance
+      await reservation.delete().catch(deleteError => logger.error('Error releasing refund reservation:', deleteError));
+      throw error;
+    }
+
+    const refund = await this.attachProviderRefund(reservation, providerRefund);
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'payment.refunded',
+      event_data: {
+        provider: payment.provider,
+        refund_id: refund.provider_refund_id,
+        amount: refund.amount,
+        status: refund.status,
+        reason
+      }
+    });
+
+    await this.syncPaymentStatus(payment);
+    await this.issueCreditNotes(payment);
+    await NotificationService.notifyRefunds(payment);
+
+    logger.info(`Payment ${payment.id} refunded ${refund.amount}: ${refund.provider_refund_id}`);
+    return refund;
+  }
+
+  // Record the provider's refund ID on the reservation. A refund webhook may have beaten us to it.
+  static async attachProviderRefund(reservation, providerRefund) {
+    const providerRefundId = String(providerRefund.id);
+
+    try {
+      if (await reservation.attach(providerRefundId, ledgerStatus(providerRefund))) {
+        return reservation;
+      }
+      return await Refund.findById(reservation.id);
+    } catch (error) {
+      if (!isUniqueConstraintError(error)) {
+        throw error;
+      }
+
+      // The webhook recorded this refund against another entry; drop the duplicate
+      await reservation.delete();
+      return Refund.findByProviderRefundId(reservation.provider, providerRefundId);
+    }
+  }
+
+  /**
+   * Bring the ledger up to date with refunds reported by a provider webhook, including
+   * refunds made outside this API (in the provider's dashboard, say).
+   * @param {Payment} payment
+   * @param {Array<Object>} providerRefunds - Normalized refunds
+   * @returns {Promise<Payment>}
+   */
+  static async applyProviderRefunds(payment, providerRefunds) {
+    for (const providerRefund of providerRefunds) {
+      await this.applyProviderRefund(payment, providerRefund);
+    }
+
+    await this.syncPaymentStatus(payment);
+    await this.issueCreditNotes(payment);
+    await NotificationService.notifyRefunds(payment);
+    return payment;
+  }
+
+  static async applyProviderRefund(payment, providerRefund) {
+    const providerRefundId = String(providerRefund.id);
+    const status = ledgerStatus(providerRefund);
+
+    const refund = await Refund.findByProviderRefundId(payment.provider, providerRefundId);
+    if (!refund) {
+      return this.recordProviderRefund(payment, providerRefundId, providerRefund.amount, status);
+    }
+
+    if (refund.status !== status) {
+      await refund.updateStatus(status);
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.refund_updated',
+        event_data: {
+          provider: payment.provider,
+          refund_id: providerRefundId,
+          amount: refund.amount,
+          status
+        }
+      });
+    }
+
+    return refund;
+  }
+
+  // A refund the ledger does not know by its provider ID yet
+  static async recordProviderRefund(payment, providerRefundId, amount, status) {
+    // Made through this API, with the provider's response not recorded yet
+    const reservation = await Refund.findUnattached(payment.id, amount);
+    if (reservation && await reservation.attach(providerRefundId, status)) {
+      return reservation;
+    }
+
+    // Made outside this API, in the provider's dashboard for instance
+    try {
+      const refund = await Refund.create({
+        payment_id: payment.id,
+        provider: payment.provider,
+        provider_refund_id: providerRefundId,
+        amount,
+        currency: payment.currency,
+        status
+      });
+
+      await PaymentEvent.create({
+        payment_id: payment.id,
+        event_type: 'payment.refunded',
+        event_data: {
+          provider: payment.provider,
+          refund_id: providerRefundId,
+          amount,
+          status,
+          source: 'webhook'
+        }
+      });
+
+      return refund;
+    } catch (error) {
+      // Another delivery of the same refund got there first
+      if (isUniqueConstraintError(error)) {
+        return Refund.findByProviderRefundId(payment.provider, providerRefundId);
+      }
+      throw error;
+    }
+  }
+
+  // The money has gone back either way; a credit note that fails here is issued when the credit notes are next requested
+  static async issueCreditNotes(payment) {
+    try {
+      await InvoiceService.issueCreditNotes(payment);
+    } catch (error) {
+      logger.error(`Error issuing credit notes for payment ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Derive the payment's status from its refunds: refunded once they add up to its amount,
+   * partially_refunded while some money has been returned.
+   * @param {Payment} payment
+   * @returns {Promise<Payment>}
+   */
+  static async syncPaymentStatus(payment) {
+    if (!SETTLED_STATUSES.includes(payment.status)) {
+      logger.warn(`Not updating refund status of payment ${payment.id}, which is ${payment.status}`);
+      return payment;
+    }
+
+    const refunded = await Refund.getRefundedAmount(payment.id);
+    const status = refunded >= payment.amount
+      ? 'refunded'
+      : refunded > 0 ? 'partially_refunded' : 'succeeded';
+
+    if (status === payment.status) {
+      return payment;
+    }
+
+    await payment.updateStatus(status);
+
+    // Only a full refund calls the appointment off; a partial one is a goodwill gesture
+    if (status === 'refunded') {
+      await BookingService.cancelForRefund(payment);
+    }
+
+    return payment;
+  }
+
+  /**
+   * The payment's refunds with its refunded and still refundable amounts.
+   * @param {Payment} payment
+   * @returns {Promise<{refunds: Array<Refund>, refunded_amount: number, refundable_amount: number}>}
+   */
+  static async getLedger(payment) {
+    const refunds = await Refund.findByPaymentId(payment.id);
+    const refundedAmount = refunds
+      .filter(refund => refund.countsAgainstBalance())
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    return {
+      refunds,
+      refunded_amount: refundedAmount,
+      refundable_amount: REFUNDABLE_STATUSES.includes(payment.status)
+        ? Math.max(payment.amount - refundedAmount, 0)
+        : 0
+    };
+  }
+}
+
+export default RefundService;
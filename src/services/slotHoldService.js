@@ -0,0 +1,189 @@
+import SlotHold from '../models/SlotHold.js';
+import Appointment from '../models/Appointment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import AvailabilityService from './availabilityService.js';
+import CouponService from './couponService.js';
+import logger from '../utils/logger.js';
+import { toInstant } from '../utils/datetime.js';
+import { ApiError, isUniqueConstraintError } from '../utils/errors.js';
+
+const DEFAULT_HOLD_TTL_MINUTES = 15;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const getHoldTtlMs = () => {
+  const minutes = parseInt(process.env.SLOT_HOLD_TTL_MINUTES) || DEFAULT_HOLD_TTL_MINUTES;
+  return minutes * 60 * 1000;
+};
+
+class SlotHoldService {
+  /**
+   * Reserve a slot for the duration of a checkout. A hold never lasts past the start of the appointment.
+   * @param {Object} slot - { consultation_id, date, time }
+   * @param {Object} [options] - { ttlMs: how long to hold the slot, for payments that take longer than a checkout }
+   * @returns {Promise<SlotHold>}
+   * @throws {ApiError} 409 when the slot is booked or held by someone else
+   */
+  static async reserve({ consultation_id, date, time }, { ttlMs = getHoldTtlMs() } = {}) {
+    await SlotHold.expireStale();
+
+    if (!(await AvailabilityService.isSlotOpen(date, time))) {
+      throw new ApiError(409, 'The selected time slot is no longer available');
+    }
+
+    try {
+      return await SlotHold.create({
+        consultation_id,
+        date,
+        time,
+        expires_at: new Date(Math.min(Date.now() + ttlMs, toInstant(date, time).getTime())).toISOString()
+      });
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        throw new ApiError(409, 'The selected time slot is no longer available');
+      }
+      throw error;
+    }
+  }
+
+  static async attachPayment(hold, payment) {
+    await hold.updateStatus('active', { payment_id: payment.id });
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'slot.held',
+      event_data: {
+        hold_id: hold.id,
+        date: hold.date,
+        time: hold.time,
+        expires_at: hold.expires_at
+      }
+    });
+
+    return hold;
+  }
+
+  /**
+   * Turn the hold belonging to a paid payment into an appointment linked to that payment.
+   * The appointment starts out pending; BookingService.confirmForPayment confirms it.
+   * A hold that ran out, or was released when the payment failed or was cancelled before the money
+   * came in after all, is still honoured as long as nobody else took the slot meanwhile.
+   * @param {Payment} payment
+   * @returns {Promise<{appointment: Appointment|null, conflict: boolean}>} The appointment, if there was a
+   *   hold to convert; conflict when someone else took the slot after the hold ran out
+   */
+  static async convertForPayment(payment) {
+    const hold = await SlotHold.findByPaymentId(payment.id);
+    if (!hold || hold.status === 'converted') {
+      return { appointment: null, conflict: false };
+    }
+
+    const lapsed = hold.status !== 'active' || hold.isExpired();
+    if (lapsed && !(await AvailabilityService.isSlotOpen(hold.date, hold.time))) {
+      return this.recordConflict(hold, payment);
+    }
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        user_id: payment.user_id,
+        consultation_id: hold.consultation_id,
+        date: hold.date,
+        time: hold.time,
+        status: 'pending',
+        payment_id: payment.id
+      });
+    } catch (error) {
+      if (isUniqueConstraintError(error)) {
+        return this.recordConflict(hold, payment);
+      }
+      throw error;
+    }
+
+    await hold.updateStatus('converted', { appointment_id: appointment.id });
+    await payment.linkAppointment(appointment.id);
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'slot.converted',
+      event_data: {
+        hold_id: hold.id,
+        appointment_id: appointment.id,
+        date: hold.date,
+        time: hold.time
+      }
+    });
+
+    logger.info(`Slot hold ${hold.id} converted to appointment ${appointment.id}`);
+    return { appointment, conflict: false };
+  }
+
+  /**
+   * Give the slot back after a payment failed or was cancelled.
+   * @param {Payment} payment
+   * @param {string} reason - Why the hold is released (e.g. 'payment_failed')
+   * @returns {Promise<SlotHold|null>}
+   */
+  static async releaseForPayment(payment, reason) {
+    const hold = await SlotHold.findByPaymentId(payment.id);
+    if (!hold || hold.status !== 'active') {
+      return null;
+    }
+
+    await hold.updateStatus('released');
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'slot.released',
+      event_data: {
+        hold_id: hold.id,
+        date: hold.date,
+        time: hold.time,
+        reason
+      }
+    });
+
+    return hold;
+  }
+
+  static async recordConflict(hold, payment) {
+    if (hold.status === 'active') {
+      await hold.updateStatus('expired');
+    }
+
+    await PaymentEvent.create({
+      payment_id: payment.id,
+      event_type: 'slot.conflict',
+      event_data: {
+        hold_id: hold.id,
+        date: hold.date,
+        time: hold.time
+      }
+    });
+
+    logger.warn(`Payment ${payment.id} succeeded but slot ${hold.date} ${hold.time} was taken after its hold ${hold.status}`);
+    return { appointment: null, conflict: true };
+  }
+
+  // A checkout that outlived its hold was abandoned, so its coupon use is given back along with the slot
+  static async expireStaleHolds() {
+    const expired = await SlotHold.expireStale();
+    if (expired > 0) {
+      logger.info(`Expired ${expired} slot hold(s)`);
+    }
+
+    await CouponService.releaseAbandoned(getHoldTtlMs());
+    return expired;
+  }
+
+  static startExpirySweep(intervalMs = EXPIRY_SWEEP_INTERVAL_MS) {
+    const timer = setInterval(() => {
+      this.expireStaleHolds().catch(error => {
+        logger.error('Error expiring slot holds:', error);
+      });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default SlotHoldService;
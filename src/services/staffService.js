@@ -0,0 +1,78 @@
+import User from '../models/User.js';
+import AuthService from './authService.js';
+import { STAFF_ROLES } from '../policies/roles.js';
+import { ApiError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Longer than a password reset: new staff may not read their email straight away
+const INVITATION_TTL_MINUTES = 3 * 24 * 60;
+
+/**
+ * Staff accounts: users whose role is one of STAFF_ROLES. Staff are added by email; someone
+ * without a password yet is sent a link to choose one. There is always at least one owner left,
+ * so the business cannot lock itself out.
+ */
+class StaffService {
+  static async list() {
+    return User.findByRoles(STAFF_ROLES);
+  }
+
+  /**
+   * Give the account with this email a staff role, creating it if need be
+   * @param {Object} staff - { email, name, role }
+   * @returns {Promise<{user: User, invited: boolean}>} invited is true if a link to set a password went out
+   */
+  static async add({ email, name, role }) {
+    const normalizedEmail = email.trim().toLowerCase();
+    let user = await User.findByEmail(normalizedEmail);
+
+    if (user) {
+      if (user.role !== role) {
+        await this.assertOwnerRemains(user, role);
+        await user.update({ role });
+      }
+    } else {
+      user = await User.create({ email: normalizedEmail, name, role });
+    }
+
+    logger.info(`User ${user.id} has the staff role ${role}`);
+
+    const invited = !user.password_hash &&
+      await AuthService.sendPasswordLink(user, 'staff_invitation', INVITATION_TTL_MINUTES, { role });
+
+    return { user, invited };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} role - A staff role, or 'customer' to take staff access away
+   * @returns {Promise<User>}
+   */
+  static async setRole(userId, role) {
+    const user = await User.findById(userId);
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      throw new ApiError(404, 'Staff member not found');
+    }
+
+    if (user.role !== role) {
+      await this.assertOwnerRemains(user, role);
+      await user.update({ role });
+      logger.info(`Staff member ${user.id} now has the role ${role}`);
+    }
+    return user;
+  }
+
+  // Refuse to take the owner role from the last user who has it
+  static async assertOwnerRemains(user, newRole) {
+    if (user.role !== 'owner' || newRole === 'owner') {
+      return;
+    }
+
+    const owners = await User.findByRoles(['owner']);
+    if (owners.length <= 1) {
+      throw new ApiError(409, 'There must be at least one owner');
+    }
+  }
+}
+
+export default StaffService;
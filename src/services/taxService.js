@@ -0,0 +1,145 @@
+import { roundHalfAwayFromZero } from '../utils/money.js';
+import { ApiError } from '../utils/errors.js';
+
+// The business is established in Germany and its catalog prices include German VAT
+const SELLER_COUNTRY = 'DE';
+const STANDARD_RATE = 19;
+
+export const TAX_TREATMENTS = ['standard', 'reverse_charge', 'not_taxable'];
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+// VAT ID formats per member state, prefix included. Greek IDs start with EL rather than GR.
+const VAT_ID_FORMATS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  BG: /^BG\d{9,10}$/,
+  CY: /^CY\d{8}[A-Z]$/,
+  CZ: /^CZ\d{8,10}$/,
+  DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/,
+  EE: /^EE\d{9}$/,
+  ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^FI\d{8}$/,
+  FR: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^EL\d{9}$/,
+  HR: /^HR\d{11}$/,
+  HU: /^HU\d{8}$/,
+  IE: /^IE\d[A-Z0-9+*]\d{5}[A-Z]{1,2}$/,
+  IT: /^IT\d{11}$/,
+  LT: /^LT(\d{9}|\d{12})$/,
+  LU: /^LU\d{8}$/,
+  LV: /^LV\d{11}$/,
+  MT: /^MT\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/,
+  RO: /^RO\d{2,10}$/,
+  SE: /^SE\d{12}$/,
+  SI: /^SI\d{8}$/,
+  SK: /^SK\d{10}$/
+};
+
+/**
+ * VAT on bookings. Consulting is taxed where the seller is for private customers in the EU and
+ * where the customer is for businesses and for anyone outside the EU, so a booking is either
+ * charged German VAT, reverse charged to an EU business, or not taxable in Germany at all.
+ * Catalog prices are gross; customers who are not charged VAT pay the net price.
+ */
+class TaxService {
+  /**
+   * Uppercase a VAT ID and drop the spaces, dots and dashes it is often written with
+   * @param {string} [vatId]
+   * @returns {string|null}
+   */
+  static normalizeVatId(vatId) {
+    const normalized = String(vatId ?? '').toUpperCase().replace(/[\s.-]/g, '');
+    return normalized || null;
+  }
+
+  /**
+   * Whether a VAT ID is well formed for the given member state. Only the format is checked; the
+   * ID may still not be registered.
+   * @param {string} vatId - Normalized VAT ID, country prefix included
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @returns {boolean}
+   */
+  static isValidVatId(vatId, country) {
+    return VAT_ID_FORMATS[country]?.test(vatId) ?? false;
+  }
+
+  static isInEU(country) {
+    return EU_COUNTRIES.includes(country);
+  }
+
+  /**
+   * How a booking is taxed
+   * @param {Object} customer - { country, vat_id }; an unknown country is treated as Germany
+   * @returns {{treatment: string, rate: number, country: string, vat_id: string|null}}
+   * @throws {ApiError} 400 when the VAT ID is malformed or not from the customer's country
+   */
+  static getTreatment({ country, vat_id } = {}) {
+    const customerCountry = (country || SELLER_COUNTRY).toUpperCase();
+    const vatId = this.normalizeVatId(vat_id);
+
+    if (vatId) {
+      if (!this.isInEU(customerCountry)) {
+        throw new ApiError(400, 'A VAT ID can only be given for a customer in the EU');
+      }
+      if (!this.isValidVatId(vatId, customerCountry)) {
+        throw new ApiError(400, `${vatId} is not a valid VAT ID for ${customerCountry}`);
+      }
+    }
+
+    const treatment = !this.isInEU(customerCountry)
+      ? 'not_taxable'
+      : vatId && customerCountry !== SELLER_COUNTRY ? 'reverse_charge' : 'standard';
+
+    return {
+      treatment,
+      rate: treatment === 'standard' ? STANDARD_RATE : 0,
+      country: customerCountry,
+      vat_id: vatId
+    };
+  }
+
+  /**
+   * Whether what the gateway knows of the payer backs up how a payment was taxed. German VAT is only
+   * left off when the payer's country, e.g. where their card was issued, is the one they gave.
+   * @param {Object} payment - { tax_treatment, customer_country }
+   * @param {string|null} payerCountry - ISO 3166-1 alpha-2 code, null when the gateway does not say
+   * @returns {boolean}
+   */
+  static isBackedBy({ tax_treatment, customer_country }, payerCountry) {
+    return tax_treatment === 'standard' || (!!payerCountry && payerCountry.toUpperCase() === customer_country);
+  }
+
+  /**
+   * Split a catalog price into net, tax and what the customer pays
+   * @param {number} amount - Gross catalog price in minor units
+   * @param {Object} customer - { country, vat_id }
+   * @returns {{net_amount: number, tax_amount: number, gross_amount: number, tax_rate: number,
+   *   tax_treatment: string, customer_country: string, customer_vat_id: string|null}} amounts in minor units
+   */
+  static calculate(amount, customer = {}) {
+    const { treatment, rate, country, vat_id } = this.getTreatment(customer);
+
+    const netAmount = roundHalfAwayFromZero(amount * 100 / (100 + STANDARD_RATE));
+    const taxAmount = treatment === 'standard' ? amount - netAmount : 0;
+
+    return {
+      net_amount: netAmount,
+      tax_amount: taxAmount,
+      gross_amount: netAmount + taxAmount,
+      tax_rate: rate,
+      tax_treatment: treatment,
+      customer_country: country,
+      customer_vat_id: vat_id
+    };
+  }
+}
+
+export default TaxService;
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RecoveryCode from '../models/RecoveryCode.js';
+import LoginChallenge from '../models/LoginChallenge.js';
+import TwoFactorRole from '../models/TwoFactorRole.js';
+import AuthService, { TWO_FACTOR_CHALLENGE } from './authService.js';
+import { encodeBase32, generateSecret, otpauthUri, verifyCode } from '../utils/totp.js';
+import { ApiError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_BYTES = 6;
+// Codes a login challenge takes before the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Recovery codes are typed by hand: case, spaces and dashes do not matter
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+};
+
+// xxxxx-xxxxx
+const generateRecoveryCode = () => {
+  return encodeBase32(crypto.randomBytes(RECOVERY_CODE_BYTES)).slice(0, 10).toLowerCase().replace(/(.{5})/, '$1-');
+};
+
+const invalidCode = (statusCode = 400) => new ApiError(statusCode, 'Invalid two-factor code');
+
+const findUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+};
+
+/**
+ * TOTP two-factor authentication. Users enroll by adding the secret to an authenticator app and
+ * confirming it with a code, and get single-use recovery codes for when the app is lost. Once
+ * enrolled, logging in with the password only yields a challenge, which a code turns into tokens.
+ * Owners can require a second factor per role: its members keep their permissions only in
+ * sessions that passed one. Every method that checks a code takes the time to check it against.
+ */
+class TwoFactorService {
+  /**
+   * Start enrolling, or start over: a new secret replaces one that was never confirmed
+   * @param {string} userId
+   * @returns {Promise<Object>} { secret, otpauth_uri }; the URI is what the QR code shows
+   * @throws {ApiError} 409 when two-factor authentication is already on
+   */
+  static async setup(userId) {
+    const user = await findUser(userId);
+    if (user.totp_enabled_at) {
+      throw new ApiError(409, 'Two-factor authentication is already on; turn it off to set it up again');
+    }
+
+    const secret = generateSecret();
+    await user.update({ totp_secret: secret, totp_last_step: null });
+
+    return {
+      secret,
+      otpauth_uri: otpauthUri({ secret, label: user.email, issuer: process.env.COMPANY_NAME })
+    };
+  }
+
+  /**
+   * Confirm the secret from setup with a code from the app. Every other session of the user is
+   * logged out, and the one returned counts as having passed the second factor.
+   * @param {string} userId
+   * @param {string} code
+   * @param {Date} [now]
+   * @returns {Promise<Object>} The recovery codes, shown this once, and tokens as from issueTokens
+   * @throws {ApiError} 400 for a wrong code, 409 without a setup to confirm
+   */
+  static async enable(userId, code, now = new Date()) {
+    const user = await findUser(userId);
+    if (user.totp_enabled_at) {
+      throw new ApiError(409, 'Two-factor authentication is already on');
+    }
+    if (!user.totp_secret) {
+      throw new ApiError(409, 'Set up two-factor authentication before turning it on');
+    }
+
+    if (!(await this.checkCode(user, code, now))) {
+      throw invalidCode();
+    }
+
+    await user.update({ totp_enabled_at: now.toISOString() });
+    const recoveryCodes = await this.issueRecoveryCodes(user);
+    const revoked = await RefreshToken.revokeAllForUser(user.id);
+
+    logger.info(`User ${user.id} turned on two-factor authentication; revoked ${revoked} refresh token(s)`);
+
+    const session = await AuthService.issueTokens(user, AuthService.newRefreshToken(user, undefined, true));
+    return { recovery_codes: recoveryCodes, ...session };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} proof - { code } from the app, or { recovery_code }
+   * @param {Date} [now]
+   * @throws {ApiError} 400 for a wrong code, 409 when it is off or the user's role requires it
+   */
+  static async disable(userId, proof, now = new Date()) {
+    const user = await findUser(userId);
+    if (!user.totp_enabled_at) {
+      throw new ApiError(409, 'Two-factor authentication is not on');
+    }
+    if (await TwoFactorRole.isRequired(user.role)) {
+      throw new ApiError(409, `Two-factor authentication is required for the ${user.role} role`);
+    }
+
+    if (!(await this.checkSecondFactor(user, proof, now))) {
+      throw invalidCode();
+    }
+
+    await this.clear(user);
+    logger.info(`User ${user.id} turned off two-factor authentication`);
+  }
+
+  /**
+   * Replace the recovery codes, e.g. when they are running out
+   * @returns {Promise<Array<string>>} The new codes
+   * @throws {ApiError} 400 for a wrong code, 409 when two-factor authentication is off
+   */
+  static async regenerateRecoveryCodes(userId, code, now = new Date()) {
+    const user = await findUser(userId);
+    if (!user.totp_enabled_at) {
+      throw new ApiError(409, 'Two-factor authentication is not on');
+    }
+
+    if (!(await this.checkCode(user, code, now))) {
+      throw invalidCode();
+    }
+
+    logger.info(`User ${user.id} replaced their recovery codes`);
+    return this.issueRecoveryCodes(user);
+  }
+
+  /**
+   * Finish a login that answered with a challenge
+   * @param {string} challengeToken - From the login response
+   * @param {Object} proof - { code } from the app, or { recovery_code }
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Tokens, as from issueTokens
+   * @throws {ApiError} 401 for an invalid or expired challenge, a wrong code, or a challenge that
+   *   has taken MAX_CHALLENGE_ATTEMPTS codes
+   */
+  static async completeLogin(challengeToken, proof, now = new Date()) {
+    let claims;
+    try {
+      claims = jwt.verify(challengeToken, process.env.JWT_SECRET, { clockTimestamp: Math.floor(now.getTime() / 1000) });
+    } catch (error) {
+      throw new ApiError(401, 'Invalid or expired login challenge, please log in again');
+    }
+
+    const challenge = claims.purpose === TWO_FACTOR_CHALLENGE && await LoginChallenge.findById(claims.jti);
+    const user = challenge?.user_id === claims.id && await User.findById(claims.id);
+    if (!user?.totp_enabled_at) {
+      throw new ApiError(401, 'Invalid or expired login challenge, please log in again');
+    }
+
+    if (!(await challenge.claimAttempt(MAX_CHALLENGE_ATTEMPTS))) {
+      logger.warn(`Two-factor login challenge of user ${user.id} used up`);
+      throw new ApiError(401, 'Too many wrong codes, please log in again');
+    }
+
+    if (!(await this.checkSecondFactor(user, proof, now))) {
+      logger.warn(`Failed two-factor login for user ${user.id}`);
+      throw invalidCode(401);
+    }
+
+    logger.info(`User ${user.id} logged in with two-factor authentication`);
+    return AuthService.issueTokens(user, AuthService.newRefreshToken(user, undefined, true));
+  }
+
+  /**
+   * Turn two-factor authentication off for someone who lost their app and recovery codes, and log
+   * out their sessions. They set it up again at their next login if their role requires it.
+   * @param {string} userId
+   * @returns {Promise<User>}
+   * @throws {ApiError} 404 for an unknown user
+   */
+  static async reset(userId) {
+    const user = await findUser(userId);
+
+    await this.clear(user);
+    const revoked = await RefreshToken.revokeAllForUser(user.id);
+
+    logger.info(`Two-factor authentication of user ${user.id} reset; revoked ${revoked} refresh token(s)`);
+    return user;
+  }
+
+  static async requiredRoles() {
+    return TwoFactorRole.findAll();
+  }
+
+  /**
+   * Require a second factor of the role's members, or stop requiring it. Takes effect with each
+   * member's next login or refresh.
+   * @param {string} role - A staff role
+   * @param {boolean} required
+   * @returns {Promise<Array<string>>} The roles that require it now
+   */
+  static async setRoleRequired(role, required) {
+    await TwoFactorRole.setRequired(role, required);
+    logger.info(`Two-factor authentication ${required ? 'required' : 'no longer required'} for the ${role} role`);
+    return TwoFactorRole.findAll();
+  }
+
+  // A code from the app, which cannot be used twice, or an unused recovery code
+  static async checkSecondFactor(user, { code, recovery_code } = {}, now = new Date()) {
+    if (recovery_code) {
+      const used = await RecoveryCode.use(user.id, hashRecoveryCode(recovery_code));
+      if (used) {
+        logger.info(`User ${user.id} used a recovery code; ${await RecoveryCode.countUnused(user.id)} left`);
+      }
+      return used;
+    }
+
+    return !!code && this.checkCode(user, code, now);
+  }
+
+  static async checkCode(user, code, now = new Date()) {
+    const step = verifyCode(user.totp_secret, code, { now });
+    return step !== null && user.useTotpStep(step);
+  }
+
+  static async issueRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await RecoveryCode.replaceForUser(user.id, codes.map(hashRecoveryCode));
+    return codes;
+  }
+
+  static async clear(user) {
+    await user.update({ totp_secret: null, totp_enabled_at: null, totp_last_step: null });
+    await RecoveryCode.deleteForUser(user.id);
+  }
+}
+
+export default TwoFactorService;
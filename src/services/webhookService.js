@@ -0,0 +1,181 @@
+import WebhookLog from '../models/WebhookLog.js';
+import PaymentService from './paymentService.js';
+import ProviderRegistry from '../providers/provider-registry.js';
+import logger from '../utils/logger.js';
+import { isUniqueConstraintError } from '../utils/errors.js';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const RETRY_SWEEP_INTERVAL_MS = 30 * 1000;
+const RETRY_BATCH_SIZE = 20;
+
+const getMaxAttempts = () => {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+};
+
+// Exponential backoff: the base delay after the first attempt, doubling after every further one
+export const getRetryDelayMs = (attempts) => {
+  const baseMs = (parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS) || DEFAULT_RETRY_BASE_DELAY_SECONDS) * 1000;
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+};
+
+const retryAt = (attempts) => new Date(Date.now() + getRetryDelayMs(attempts)).toISOString();
+
+/**
+ * Webhook intake and the retry queue behind it. Every delivery is logged in webhook_logs;
+ * a verified event whose processing fails is retried with exponential backoff until it
+ * succeeds or runs out of attempts, at which point it is dead-lettered for an admin.
+ */
+class WebhookService {
+  /**
+   * Verify, log and apply an incoming webhook.
+   * @param {string} providerName - Registered provider name
+   * @param {string} payload - Raw request body
+   * @param {string} signature - Signature taken from the request headers
+   * @returns {Promise<{log: WebhookLog|null, duplicate: boolean}>}
+   * @throws When verification or processing fails; the delivery is logged either way
+   */
+  static async receive(providerName, payload, signature) {
+    const provider = ProviderRegistry.get(providerName);
+
+    let event;
+    try {
+      event = await PaymentService.verifyWebhook(providerName, payload, signature);
+    } catch (error) {
+      // Keep a record of the rejected delivery; it is never attempted, so never retried
+      await WebhookLog.create({
+        provider: providerName,
+        event_type: 'unknown',
+        event_id: null,
+        payload,
+        signature,
+        error_message: error.message
+      }).catch(logError => logger.error('Error logging rejected webhook:', logError));
+
+      throw error;
+    }
+
+    const eventId = provider.getWebhookEventId(event);
+
+    if (eventId) {
+      const existing = await WebhookLog.findByEventId(providerName, eventId);
+
+      // Providers redeliver events; a repeat is only taken up when its retry is due anyway
+      if (existing) {
+        const claimed = await existing.claimAttempt(retryAt(existing.attempts + 1));
+        if (!claimed) {
+          return { log: existing, duplicate: true };
+        }
+
+        await this.attempt(existing, event);
+        return { log: existing, duplicate: false };
+      }
+    }
+
+    let log;
+    try {
+      log = await WebhookLog.create({
+        provider: providerName,
+        event_type: provider.getWebhookEventType(event),
+        event_id: eventId,
+        payload,
+        signature,
+        attempts: 1,
+        next_retry_at: retryAt(1)
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event got there first
+      if (isUniqueConstraintError(error)) {
+        return { log: null, duplicate: true };
+      }
+      throw error;
+    }
+
+    await this.attempt(log, event);
+    return { log, duplicate: false };
+  }
+
+  /**
+   * Retry a logged delivery from its stored payload. A payload that was verified when it arrived
+   * is used as is: re-verifying is not an option, since Stripe signatures, for one, expire after
+   * five minutes. A delivery that was rejected on arrival has to pass verification now.
+   * @param {WebhookLog} log
+   * @param {Object} options - { force: retry even if not due or dead-lettered (admin retries) }
+   * @returns {Promise<boolean>} False if the delivery was not due or another worker took it
+   * @throws When verification or processing fails again
+   */
+  static async retry(log, { force = false } = {}) {
+    const event = log.isVerified()
+      ? JSON.parse(log.payload)
+      : await PaymentService.verifyWebhook(log.provider, log.payload, log.signature);
+
+    const claimed = await log.claimAttempt(retryAt(log.attempts + 1), { force });
+    if (!claimed) {
+      return false;
+    }
+
+    await this.attempt(log, event);
+    return true;
+  }
+
+  // Process the event once and record the outcome on its log entry
+  static async attempt(log, event) {
+    try {
+      await PaymentService.processWebhookEvent(log.provider, event);
+    } catch (error) {
+      const deadLetter = log.attempts >= getMaxAttempts();
+      await log.markFailed(error.message, deadLetter ? null : retryAt(log.attempts));
+
+      if (deadLetter) {
+        logger.error(`Webhook ${log.id} dead-lettered after ${log.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Webhook ${log.id} attempt ${log.attempts} failed, retrying at ${log.next_retry_at}: ${error.message}`);
+      }
+
+      throw error;
+    }
+
+    await log.markProcessed(ProviderRegistry.get(log.provider).getWebhookEventType(event));
+  }
+
+  static async retryDue() {
+    const due = await WebhookLog.findDueForRetry(RETRY_BATCH_SIZE);
+    let succeeded = 0;
+
+    for (const log of due) {
+      try {
+        if (await this.retry(log)) {
+          succeeded += 1;
+        }
+      } catch (error) {
+        // Already recorded on the log entry by attempt()
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info(`Retried ${due.length} webhook(s), ${succeeded} succeeded`);
+    }
+    return succeeded;
+  }
+
+  static startRetryWorker(intervalMs = RETRY_SWEEP_INTERVAL_MS) {
+    let running = false;
+
+    const timer = setInterval(() => {
+      // A slow batch must not overlap with the next sweep
+      if (running) return;
+      running = true;
+
+      this.retryDue()
+        .catch(error => logger.error('Error retrying webhooks:', error))
+        .finally(() => {
+          running = false;
+        });
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default WebhookService;
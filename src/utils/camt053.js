@@ -0,0 +1,131 @@
+// Reader for ISO 20022 CAMT.053 bank-to-customer statements (the "Kontoauszug" format German banks export).
+// Only the fields needed to reconcile incoming transfers are read; namespace prefixes and schema
+// versions (camt.053.001.02 to .08) are tolerated because the reader matches on element names only.
+
+import { toMinorUnits } from './money.js';
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+const decodeXml = (text) => {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[entity] ?? match;
+    })
+    .trim();
+};
+
+// Inner XML of every <tag> element; the elements read here are never nested in themselves
+const elements = (xml, tag) => {
+  if (!xml) return [];
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+};
+
+// Follow a path of element names, e.g. first(xml, 'Acct', 'Id', 'IBAN')
+const first = (xml, ...path) => {
+  let current = xml;
+  for (const tag of path) {
+    [current] = elements(current, tag);
+    if (current === undefined) return undefined;
+  }
+  return current;
+};
+
+const text = (xml, ...path) => {
+  const value = first(xml, ...path);
+  return value === undefined ? undefined : decodeXml(value);
+};
+
+// Amount element with its currency attribute, converted to minor units
+const amount = (xml, ...path) => {
+  const parentXml = path.length > 1 ? first(xml, ...path.slice(0, -1)) : xml;
+  const tag = path[path.length - 1];
+  const match = parentXml?.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\s[^>]*Ccy="([A-Z]{3})"[^>]*>([^<]+)<`));
+  if (!match) return undefined;
+
+  return {
+    amount: toMinorUnits(match[2].trim(), match[1]),
+    currency: match[1]
+  };
+};
+
+const parseParty = (xml, party) => {
+  // camt.053.001.08 wraps the party in <Pty>, earlier versions do not
+  const partyXml = first(xml, 'RltdPties', party);
+  return {
+    name: text(partyXml, 'Pty', 'Nm') ?? text(partyXml, 'Nm'),
+    iban: text(xml, 'RltdPties', `${party}Acct`, 'Id', 'IBAN')
+  };
+};
+
+const parseTransaction = (xml, entry) => {
+  const transactionAmount = amount(xml, 'AmtDtls', 'TxAmt', 'Amt') ?? amount(xml, 'Amt');
+  const remittance = first(xml, 'RmtInf');
+  const debtor = parseParty(xml, 'Dbtr');
+
+  return {
+    endToEndId: text(xml, 'Refs', 'EndToEndId'),
+    accountServicerReference: text(xml, 'Refs', 'AcctSvcrRef'),
+    amount: transactionAmount?.amount ?? entry.amount,
+    currency: transactionAmount?.currency ?? entry.currency,
+    debtorName: debtor.name,
+    debtorIban: debtor.iban,
+    remittanceInformation: elements(remittance, 'Ustrd').map(decodeXml),
+    creditorReference: text(remittance, 'Strd', 'CdtrRefInf', 'Ref')
+  };
+};
+
+const parseEntry = (xml) => {
+  const entryAmount = amount(xml, 'Amt');
+  const entry = {
+    reference: text(xml, 'AcctSvcrRef') ?? text(xml, 'NtryRef'),
+    amount: entryAmount?.amount,
+    currency: entryAmount?.currency,
+    creditDebit: text(xml, 'CdtDbtInd'),
+    // <Sts>BOOK</Sts> up to version .04, <Sts><Cd>BOOK</Cd></Sts> afterwards
+    status: text(xml, 'Sts', 'Cd') ?? text(xml, 'Sts'),
+    bookingDate: text(xml, 'BookgDt', 'Dt') ?? text(xml, 'BookgDt', 'DtTm'),
+    valueDate: text(xml, 'ValDt', 'Dt') ?? text(xml, 'ValDt', 'DtTm'),
+    // Some banks only put the payer's reference text here
+    additionalInformation: text(xml, 'AddtlNtryInf')
+  };
+
+  // Batch bookings list each transfer in its own <TxDtls>; single bookings may carry none
+  const details = elements(first(xml, 'NtryDtls'), 'TxDtls');
+  const transactions = details.length > 0
+    ? details.map(detailXml => parseTransaction(detailXml, entry))
+    : [{ amount: entry.amount, currency: entry.currency, remittanceInformation: [] }];
+
+  return { ...entry, transactions };
+};
+
+/**
+ * Parse a CAMT.053 statement file.
+ * @param {string} xml - Statement XML
+ * @returns {{statements: Array<{id: string, iban: string, entries: Array<Object>}>}}
+ * @throws {Error} When the document is not a CAMT.053 statement
+ */
+export const parseCamt053 = (xml) => {
+  if (typeof xml !== 'string' || !/<(?:[\w-]+:)?BkToCstmrStmt[\s>]/.test(xml)) {
+    throw new Error('Not a CAMT.053 bank statement');
+  }
+
+  const statements = elements(first(xml, 'BkToCstmrStmt'), 'Stmt').map(statementXml => ({
+    id: text(statementXml, 'Id'),
+    iban: text(statementXml, 'Acct', 'Id', 'IBAN'),
+    entries: elements(statementXml, 'Ntry').map(parseEntry)
+  }));
+
+  return { statements };
+};
@@ -0,0 +1,29 @@
+// Minimal CSV (RFC 4180) writer: a header line, then one line per row, ending in CRLF.
+
+// Spreadsheet apps run cells starting with these as formulas; a leading quote keeps them text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<string>} columns - Header names, also the keys read from each row
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','));
+
+  return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,57 @@
+// Appointments are stored as a local date ('YYYY-MM-DD') and time ('HH:MM') in the business's
+// time zone. These helpers turn them into instants for scheduling and into text for messages.
+
+const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+
+export const getBusinessTimeZone = () => process.env.BUSINESS_TIME_ZONE || DEFAULT_TIME_ZONE;
+
+// How far the zone's wall clock is ahead of UTC at the given instant, in ms
+const zoneOffsetMs = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(instant).map(part => [part.type, Number(part.value)])
+  );
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - Math.floor(instant.getTime() / 60000) * 60000;
+};
+
+/**
+ * The instant a local date and time in the business's time zone refers to
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export const toInstant = (date, time, timeZone = getBusinessTimeZone()) => {
+  const asUtc = new Date(`${date}T${time.slice(0, 5)}:00Z`);
+  const offset = zoneOffsetMs(asUtc, timeZone);
+  const instant = new Date(asUtc.getTime() - offset);
+
+  // Close to a daylight saving change the offset at the instant itself can differ from the first guess
+  const actualOffset = zoneOffsetMs(instant, timeZone);
+  return actualOffset === offset ? instant : new Date(asUtc.getTime() - actualOffset);
+};
+
+/**
+ * A local date and time as people read it, e.g. 'Tuesday, 3 November 2026 at 10:00'
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @returns {string}
+ */
+export const formatLocalDateTime = (date, time) => {
+  const day = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC', dateStyle: 'full' });
+  return `${day} at ${time.slice(0, 5)}`;
+};
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone designator
+export const parseTimestamp = (timestamp) => {
+  return new Date(/[zZ]|[+-]\d\d:\d\d$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+};
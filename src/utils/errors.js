@@ -69,7 +69,43 @@ export class RateLimitError extends ApiError {
   }
 }
 
+// Error types raised by payment provider adapters (src/providers)
+export const PaymentErrorTypes = {
+  CARD_DECLINED: 'card_declined',
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_SIGNATURE: 'invalid_signature',
+  AUTHENTICATION_ERROR: 'authentication_error',
+  NOT_FOUND: 'not_found',
+  NOT_SUPPORTED: 'not_supported',
+  NETWORK_ERROR: 'network_error',
+  PROVIDER_ERROR: 'provider_error',
+  UNKNOWN_ERROR: 'unknown_error'
+};
+
+const PAYMENT_ERROR_STATUS_CODES = {
+  [PaymentErrorTypes.CARD_DECLINED]: 402,
+  [PaymentErrorTypes.INVALID_REQUEST]: 400,
+  [PaymentErrorTypes.INVALID_SIGNATURE]: 400,
+  [PaymentErrorTypes.AUTHENTICATION_ERROR]: 500,
+  [PaymentErrorTypes.NOT_FOUND]: 404,
+  [PaymentErrorTypes.NOT_SUPPORTED]: 400,
+  [PaymentErrorTypes.NETWORK_ERROR]: 503,
+  [PaymentErrorTypes.PROVIDER_ERROR]: 502,
+  [PaymentErrorTypes.UNKNOWN_ERROR]: 500
+};
+
 // Error factory functions
+export const createProviderError = (message, type = PaymentErrorTypes.UNKNOWN_ERROR, details = {}) => {
+  const error = new PaymentError(
+    message,
+    PAYMENT_ERROR_STATUS_CODES[type] || 500,
+    details.provider || null,
+    type
+  );
+  error.details = details;
+  return error;
+};
+
 export const createStripeError = (stripeError) => {
   const { type, code, message } = stripeError;
   
@@ -150,6 +186,11 @@ export const createDatabaseError = (sqliteError, operation = null) => {
   }
 };
 
+// node-sqlite3 reports every constraint violation as SQLITE_CONSTRAINT; the kind is only in the message
+export const isUniqueConstraintError = (error) => {
+  return error?.code === 'SQLITE_CONSTRAINT' && /UNIQUE constraint failed/.test(error.message);
+};
+
 // Error response formatters
 export const formatErrorResponse = (error) => {
   const response = {
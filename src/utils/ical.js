@@ -0,0 +1,81 @@
+// Minimal iCalendar (RFC 5545) writer for appointments: one VEVENT per appointment, times in UTC
+// so no VTIMEZONE is needed. Calendars match events by UID and take the one with the highest
+// SEQUENCE, which is how reschedules and cancellations reach them.
+
+const PRODUCT_ID = '-//Consultant Booking Payments//Appointments//EN';
+const MAX_LINE_OCTETS = 75;
+
+// 20261103T090000Z
+export const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Lines longer than 75 octets continue on the next line after a space, never inside a character
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+const renderEvent = (event) => {
+  const organizer = event.organizer?.email
+    ? `ORGANIZER${event.organizer.name ? `;CN="${event.organizer.name.replace(/"/g, '')}"` : ''}:mailto:${event.organizer.email}`
+    : null;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence}`,
+    `STATUS:${event.status}`,
+    `DTSTAMP:${formatDateTime(event.stamp)}`,
+    event.lastModified && `LAST-MODIFIED:${formatDateTime(event.lastModified)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    organizer,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * Render a calendar
+ * @param {Object} calendar - { name, method (e.g. PUBLISH for an email attachment), refreshMinutes
+ *   (how often subscribers should check a feed), events: [{ uid, sequence, status (CONFIRMED or
+ *   CANCELLED), stamp, lastModified, start, end, summary, description, location, organizer: { name, email } }] }
+ * @returns {string}
+ */
+export const renderCalendar = ({ name, method, refreshMinutes, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    method && `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    refreshMinutes && `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    refreshMinutes && `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ...events.flatMap(renderEvent),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
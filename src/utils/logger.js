@@ -103,10 +103,9 @@ logger.stream = {
   }
 };
 
-// Export logger with additional convenience methods
-export default {
-  ...logger,
-  
+// Attach additional convenience methods; spreading the winston instance into a
+// plain object would drop the level methods that live on its prototype
+Object.assign(logger, {
   // Payment-specific logging methods
   paymentSuccess: (message, meta = {}) => {
     logger.info(`PAYMENT SUCCESS: ${message}`, { type: 'payment_success', ...meta });
@@ -127,4 +126,6 @@ export default {
   auditLog: (action, userId, meta = {}) => {
     logger.info(`AUDIT: ${action}`, { type: 'audit', userId, action, ...meta });
   }
-};
\ No newline at end of file
+});
+
+export default logger;
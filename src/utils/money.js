@@ -0,0 +1,181 @@
+// Money helpers shared by the API and the frontend (components/payments/paymentUtils.ts).
+// Amounts travel and are stored as integers in the currency's minor unit: cents, kobo, or
+// whole yen for currencies without one. Keep this module free of Node-only imports.
+
+// ISO 4217 exponents that differ from the usual two decimals
+const CURRENCY_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+const DEFAULT_EXPONENT = 2;
+
+/**
+ * Number of decimals in the currency's minor unit, e.g. 2 for EUR, 0 for JPY, 3 for KWD
+ * @param {string} currency - ISO 4217 code, any case
+ * @returns {number}
+ */
+export const getCurrencyExponent = (currency) => {
+  return CURRENCY_EXPONENTS[String(currency).toUpperCase()] ?? DEFAULT_EXPONENT;
+};
+
+/**
+ * Round half away from zero (commercial rounding), after dropping binary floating point noise
+ * such as 1.005 * 100 = 100.49999999999999
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundHalfAwayFromZero = (value) => {
+  const rounded = Math.round(Number(Math.abs(value).toPrecision(15)));
+  return value < 0 && rounded !== 0 ? -rounded : rounded;
+};
+
+/**
+ * Convert a decimal amount to minor units: 89.5 or "89.50" EUR -> 8950, 8950 JPY -> 8950
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Integer amount in minor units
+ */
+export const toMinorUnits = (amount, currency) => {
+  return roundHalfAwayFromZero(Number(amount) * 10 ** getCurrencyExponent(currency));
+};
+
+/**
+ * Convert minor units back to a decimal amount (8950 EUR -> 89.5)
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export const toMajorUnits = (amount, currency) => {
+  return amount / 10 ** getCurrencyExponent(currency);
+};
+
+/**
+ * Exact decimal string for gateways and statements, e.g. 8950 EUR -> "89.50". Asking for fewer
+ * decimals than the currency has rounds to them, for gateways that take whole units only.
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {number} [decimals] - Decimals to print, the currency's exponent by default
+ * @returns {string}
+ */
+export const toDecimalString = (amount, currency, decimals = getCurrencyExponent(currency)) => {
+  const exponent = getCurrencyExponent(currency);
+  const places = Math.min(decimals, exponent);
+  const units = roundHalfAwayFromZero(amount / 10 ** (exponent - places));
+
+  const digits = String(Math.abs(units)).padStart(places + 1, '0');
+  const sign = units < 0 ? '-' : '';
+  return places > 0
+    ? `${sign}${digits.slice(0, -places)}.${digits.slice(-places)}`
+    : `${sign}${digits}`;
+};
+
+/**
+ * Format minor units for display, e.g. 8950 EUR -> "€89.50"
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency, locale = 'en-US') => {
+  const exponent = getCurrencyExponent(currency);
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: String(currency).toUpperCase(),
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent
+  }).format(toMajorUnits(amount, currency));
+};
+
+// A usable payment amount: a positive whole number of minor units
+export const isValidMinorAmount = (amount) => {
+  return Number.isSafeInteger(amount) && amount > 0;
+};
+
+/**
+ * Amount of money in one currency, held in minor units. Immutable; arithmetic returns new values
+ * and refuses to mix currencies.
+ */
+export class Money {
+  /**
+   * @param {number} amount - Integer amount in minor units
+   * @param {string} currency - ISO 4217 code
+   */
+  constructor(amount, currency) {
+    if (!Number.isSafeInteger(amount)) {
+      throw new TypeError(`Money amounts are whole minor units, got ${amount}`);
+    }
+    if (!/^[A-Za-z]{3}$/.test(String(currency))) {
+      throw new TypeError(`Invalid currency code: ${currency}`);
+    }
+
+    this.amount = amount;
+    this.currency = currency.toUpperCase();
+    Object.freeze(this);
+  }
+
+  /**
+   * @param {number|string} amount - Amount in major units, e.g. 89.5
+   * @param {string} currency - ISO 4217 code
+   * @returns {Money}
+   */
+  static fromMajor(amount, currency) {
+    return new Money(toMinorUnits(amount, currency), currency);
+  }
+
+  get exponent() {
+    return getCurrencyExponent(this.currency);
+  }
+
+  toMajor() {
+    return toMajorUnits(this.amount, this.currency);
+  }
+
+  /** @param {number} [decimals] */
+  toDecimalString(decimals) {
+    return toDecimalString(this.amount, this.currency, decimals);
+  }
+
+  /** @param {string} [locale] */
+  format(locale) {
+    return formatMoney(this.amount, this.currency, locale);
+  }
+
+  /** @param {Money} other */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.amount + other.amount, this.currency);
+  }
+
+  /** @param {Money} other */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.amount - other.amount, this.currency);
+  }
+
+  /**
+   * Multiply by a factor such as a tax rate or an exchange rate, rounding half away from zero
+   * @param {number} factor
+   */
+  multiply(factor) {
+    return new Money(roundHalfAwayFromZero(this.amount * factor), this.currency);
+  }
+
+  /** @param {Money} other */
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.amount === this.amount;
+  }
+
+  /** @param {Money} other */
+  assertSameCurrency(other) {
+    if (other.currency !== this.currency) {
+      throw new TypeError(`Cannot combine ${this.currency} with ${other.currency}`);
+    }
+  }
+
+  toJSON() {
+    return { amount: this.amount, currency: this.currency };
+  }
+}
@@ -0,0 +1,105 @@
+// Minimal PDF writer for one-page documents such as invoices: text in the standard Helvetica
+// fonts and horizontal rules on an A4 page. Standard fonts need no embedding, and text is
+// written in WinAnsiEncoding, which covers German umlauts and the euro sign.
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; Helvetica-Bold is close enough for alignment
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+
+// WinAnsiEncoding codes for characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const charCode = (char) => {
+  const code = WIN_ANSI_EXTRAS[char] ?? char.codePointAt(0);
+  const encodable = (code >= 32 && code <= 126) || (code >= 160 && code <= 255) || char in WIN_ANSI_EXTRAS;
+  return encodable ? code : '?'.charCodeAt(0);
+};
+
+// A PDF string literal body; anything outside ASCII is written as an octal escape so the file stays ASCII
+const encodeText = (text) => {
+  return [...String(text ?? '')].map(char => {
+    const code = charCode(char);
+    if (code > 126) {
+      return `\\${code.toString(8).padStart(3, '0')}`;
+    }
+    const printable = String.fromCharCode(code);
+    return ['(', ')', '\\'].includes(printable) ? `\\${printable}` : printable;
+  }).join('');
+};
+
+/**
+ * Width of a line of text in points
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @returns {number}
+ */
+export const textWidth = (text, size) => {
+  const units = [...String(text ?? '')].reduce((sum, char) => {
+    const code = char.codePointAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH);
+  }, 0);
+  return units * size / 1000;
+};
+
+const drawItem = (item) => {
+  const y = (PAGE_HEIGHT - item.y).toFixed(2);
+
+  if (item.line) {
+    const { x1 = 50, x2 = PAGE_WIDTH - 50 } = item;
+    return `0.5 w ${x1} ${y} m ${x2} ${y} l S`;
+  }
+
+  const size = item.size || 10;
+  const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+  return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y} Td (${encodeText(item.text)}) Tj ET`;
+};
+
+/**
+ * Render one A4 page
+ * @param {Array<Object>} items - Text as { text, x, y, size?, bold?, align? ('left' or 'right', x being
+ *   the right edge) } and rules as { line: true, y, x1?, x2? }; y is measured from the top of the page in points
+ * @param {Object} [info] - { title }
+ * @returns {Buffer}
+ */
+export const renderPdf = (items, { title } = {}) => {
+  const content = items.map(drawItem).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${encodeText(title)}) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'ascii');
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+// SEPA helpers: ISO 11649 creditor references ("RF" references) used to match bank transfers
+
+// Reference bodies avoid characters that are easily mistyped from a printed reference (0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const REFERENCE_BODY_LENGTH = 10;
+
+// ISO 7064 MOD 97-10 over the alphanumeric string, letters counting as 10 (A) to 35 (Z)
+const mod97 = (value) => {
+  let remainder = 0;
+  for (const char of value) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+};
+
+// References are compared without the spaces they are printed with
+export const compactReference = (reference) => {
+  return String(reference || '').replace(/\s+/g, '').toUpperCase();
+};
+
+export const isValidCreditorReference = (reference) => {
+  const compact = compactReference(reference);
+  if (!/^RF\d{2}[0-9A-Z]{1,21}$/.test(compact)) {
+    return false;
+  }
+  return mod97(compact.slice(4) + compact.slice(0, 4)) === 1;
+};
+
+/**
+ * Create a random creditor reference, e.g. RF42HK3M9QZ2XA
+ * @returns {string} The reference in compact form
+ */
+export const generateCreditorReference = () => {
+  let body = '';
+  for (let i = 0; i < REFERENCE_BODY_LENGTH; i++) {
+    body += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+  }
+
+  const checkDigits = String(98 - mod97(`${body}RF00`)).padStart(2, '0');
+  return `RF${checkDigits}${body}`;
+};
+
+/**
+ * Find the creditor references we issued in free text, such as unstructured remittance information.
+ * Banks and payers often add, drop or move spaces, so the text is compacted before scanning.
+ * @param {string} text
+ * @returns {string[]} Valid references in compact form
+ */
+export const findCreditorReferences = (text) => {
+  const compact = compactReference(text);
+  const length = 4 + REFERENCE_BODY_LENGTH;
+  const found = new Set();
+
+  let index = compact.indexOf('RF');
+  while (index !== -1) {
+    const candidate = compact.slice(index, index + length);
+    if (candidate.length === length && isValidCreditorReference(candidate)) {
+      found.add(candidate);
+    }
+    index = compact.indexOf('RF', index + 1);
+  }
+
+  return [...found];
+};
+
+// Print an IBAN or reference in groups of four, the way it appears on bank forms
+export const formatInGroups = (value) => {
+  return compactReference(value).replace(/(.{4})(?=.)/g, '$1 ');
+};
@@ -1,7 +1,10 @@
 // Validation utilities for payment data
 
+import { isValidMinorAmount } from './money.js';
+
+// Amounts are whole minor units (see money.js)
 export const validatePaymentAmount = (amount) => {
-  return typeof amount === 'number' && amount > 0 && amount <= 999999999; // Max ~$10M
+  return isValidMinorAmount(amount) && amount <= 999999999; // Max ~$10M
 };
 
 export const validateCurrency = (currency) => {
@@ -27,6 +30,12 @@ export const validatePhoneNumber = (phone) => {
   return phoneRegex.test(phone?.replace(/\s|-/g, ''));
 };
 
+// A phone number in E.164 form (+4917612345678), or null if it is not an international number
+export const normalizePhoneNumber = (phone) => {
+  const compact = String(phone ?? '').replace(/[\s\-().\/]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{6,14}$/.test(compact) ? compact : null;
+};
+
 export const validateURL = (url) => {
   try {
     new URL(url);
@@ -79,7 +88,7 @@ export const validateWebhookSignature = (signature, provider) => {
 
 export const validatePaymentStatus = (status) => {
   const validStatuses = [
-    'pending', 'processing', 'succeeded', 'failed', 'cancelled', 'refunded'
+    'pending', 'processing', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'
   ];
   return validStatuses.includes(status);
 };
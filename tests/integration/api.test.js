@@ -1,5 +1,6 @@
 import { jest } from '@jest/globals';
 import request from 'supertest';
+import jwt from 'jsonwebtoken';
 import app from '../../src/server.js';
 
 // Mock database and external services
@@ -7,6 +8,10 @@ jest.mock('../../src/database/database.js');
 jest.mock('../../src/services/stripeService.js');
 jest.mock('../../src/services/paystackService.js');
 
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const bearer = (claims) => `Bearer ${jwt.sign(claims, process.env.JWT_SECRET)}`;
+
 describe('Payment API Integration Tests', () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -269,6 +274,7 @@ describe('Payment API Integration Tests', () => {
       const Payment = require('../../src/models/Payment.js').default;
       Payment.findById = jest.fn().mockResolvedValue({
         id: 'payment-123',
+        user_id: 'user-123',
         status: 'succeeded',
         toJSON: () => ({
           id: 'payment-123',
@@ -279,6 +285,7 @@ describe('Payment API Integration Tests', () => {
 
       const response = await request(app)
         .get('/api/payments/status/payment-123')
+        .set('Authorization', bearer({ id: 'user-123', email: 'test@example.com', role: 'customer' }))
         .expect(200);
 
       expect(response.body).toMatchObject({
@@ -299,6 +306,7 @@ describe('Payment API Integration Tests', () => {
 
       const response = await request(app)
         .get('/api/payments/status/non-existent-payment')
+        .set('Authorization', bearer({ id: 'admin-1', email: 'admin@example.com', role: 'admin' }))
         .expect(404);
 
       expect(response.body).toMatchObject({
@@ -306,6 +314,26 @@ describe('Payment API Integration Tests', () => {
         message: 'Payment not found'
       });
     });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/payments/status/payment-123')
+        .expect(401);
+    });
+
+    it('should not show another customer\'s payment', async () => {
+      const Payment = require('../../src/models/Payment.js').default;
+      Payment.findById = jest.fn().mockResolvedValue({
+        id: 'payment-123',
+        user_id: 'user-123',
+        status: 'succeeded'
+      });
+
+      await request(app)
+        .get('/api/payments/status/payment-123')
+        .set('Authorization', bearer({ id: 'user-456', email: 'other@example.com', role: 'customer' }))
+        .expect(403);
+    });
   });
 
   describe('POST /webhooks/stripe', () => {
@@ -0,0 +1,258 @@
+/**
+ * Integration Tests for the Flutterwave provider
+ * Runs the provider against a local mock of the Flutterwave v3 API
+ */
+
+import http from 'http';
+import FlutterwaveProvider from '../../src/providers/flutterwave-provider.js';
+
+const SECRET_KEY = 'FLWSECK_TEST-mock';
+const SECRET_HASH = 'mock-secret-hash';
+
+// Minimal stand-in for the Flutterwave v3 endpoints the provider uses
+const createMockFlutterwave = () => {
+  const transactions = new Map();
+  const requests = [];
+  let nextId = 1000;
+
+  const send = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const findById = (id) => [...transactions.values()].find(transaction => transaction.id === Number(id));
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ method: req.method, path: url.pathname, body });
+
+      if (req.headers.authorization !== `Bearer ${SECRET_KEY}`) {
+        return send(res, 401, { status: 'error', message: 'Invalid authorization key', data: null });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v3/payments') {
+        const id = nextId++;
+        transactions.set(body.tx_ref, {
+          id,
+          tx_ref: body.tx_ref,
+          flw_ref: `FLW-MOCK-${id}`,
+          amount: body.amount,
+          currency: body.currency,
+          status: 'pending',
+          payment_type: 'mobilemoneyghana',
+          customer: { id: 42, email: body.customer.email },
+          created_at: new Date().toISOString(),
+          meta: body.meta
+        });
+        return send(res, 200, {
+          status: 'success',
+          message: 'Hosted Link',
+          data: { link: `https://checkout.flutterwave.com/v3/hosted/pay/${id}` }
+        });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/v3/transactions/verify_by_reference') {
+        const transaction = transactions.get(url.searchParams.get('tx_ref'));
+        return transaction
+          ? send(res, 200, { status: 'success', message: 'Transaction fetched successfully', data: transaction })
+          : send(res, 400, { status: 'error', message: 'No transaction was found for this id', data: null });
+      }
+
+      let match = url.pathname.match(/^\/v3\/transactions\/(\d+)\/verify$/);
+      if (req.method === 'GET' && match) {
+        const transaction = findById(match[1]);
+        return transaction
+          ? send(res, 200, { status: 'success', message: 'Transaction fetched successfully', data: transaction })
+          : send(res, 400, { status: 'error', message: 'No transaction was found for this id', data: null });
+      }
+
+      match = url.pathname.match(/^\/v3\/transactions\/(\d+)\/refund$/);
+      if (req.method === 'POST' && match) {
+        const transaction = findById(match[1]);
+        return send(res, 200, {
+          status: 'success',
+          message: 'Transaction refund initiated',
+          data: {
+            id: 75923,
+            tx_id: transaction.id,
+            flw_ref: transaction.flw_ref,
+            amount_refunded: body.amount ?? transaction.amount,
+            status: 'completed',
+            created_at: new Date().toISOString()
+          }
+        });
+      }
+
+      send(res, 404, { status: 'error', message: 'Not found', data: null });
+    });
+  });
+
+  return { server, transactions, requests };
+};
+
+describe('Flutterwave Integration', () => {
+  let mock;
+  let provider;
+
+  beforeAll(async () => {
+    mock = createMockFlutterwave();
+    await new Promise(resolve => mock.server.listen(0, resolve));
+
+    provider = new FlutterwaveProvider({
+      secretKey: SECRET_KEY,
+      webhookSecret: SECRET_HASH,
+      baseURL: `http://localhost:${mock.server.address().port}/v3`
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  const createIntent = (overrides = {}) => provider.createPaymentIntent({
+    amount: 150050,
+    currency: 'NGN',
+    email: 'customer@example.com',
+    returnUrl: 'http://localhost:3000/payment/success',
+    metadata: { consultation_id: 'visa_extension', customer_name: 'Ada Obi' },
+    ...overrides
+  });
+
+  describe('createPaymentIntent', () => {
+    it('should create a hosted payment link with the amount in major units', async () => {
+      const intent = await createIntent();
+
+      expect(intent.provider).toBe('flutterwave');
+      expect(intent.id).toMatch(/^flw_/);
+      expect(intent.amount).toBe(150050);
+      expect(intent.status).toBe('requires_payment_method');
+      expect(intent.redirectUrl).toMatch(/^https:\/\/checkout\.flutterwave\.com\//);
+
+      const [request] = mock.requests;
+      expect(request.body.amount).toBe(1500.5);
+      expect(request.body.tx_ref).toBe(intent.id);
+      expect(request.body.customer).toEqual({ email: 'customer@example.com', name: 'Ada Obi' });
+      expect(request.body.payment_options).toContain('mobilemoneyghana');
+    });
+
+    it('should not divide zero-decimal currencies', async () => {
+      await createIntent({ amount: 50000, currency: 'UGX' });
+
+      expect(mock.requests[0].body.amount).toBe(50000);
+    });
+
+    it('should map authentication failures to a provider error', async () => {
+      const unauthorized = new FlutterwaveProvider({
+        secretKey: 'wrong',
+        webhookSecret: SECRET_HASH,
+        baseURL: provider.baseURL
+      });
+
+      await expect(unauthorized.createPaymentIntent({ amount: 1000, currency: 'NGN', email: 'a@b.co' }))
+        .rejects.toMatchObject({ name: 'PaymentError', provider: 'flutterwave', errorCode: 'authentication_error' });
+    });
+  });
+
+  describe('confirmPaymentIntent', () => {
+    it('should report the verified status of a transaction', async () => {
+      const intent = await createIntent();
+      mock.transactions.get(intent.id).status = 'successful';
+
+      const confirmed = await provider.confirmPaymentIntent(intent.id);
+
+      expect(confirmed.status).toBe('succeeded');
+      expect(confirmed.amount).toBe(150050);
+      expect(confirmed.paymentMethodType).toBe('mobilemoneyghana');
+      expect(confirmed.transactionId).toBe(mock.transactions.get(intent.id).id);
+    });
+
+    it('should reject unknown references', async () => {
+      await expect(provider.confirmPaymentIntent('flw_unknown'))
+        .rejects.toMatchObject({ name: 'PaymentError', errorCode: 'invalid_request' });
+    });
+  });
+
+  describe('createRefund', () => {
+    it('should refund through the transaction ID behind the reference', async () => {
+      const intent = await createIntent();
+      const { id } = mock.transactions.get(intent.id);
+
+      const refund = await provider.createRefund(intent.id, { amount: 10025 });
+
+      expect(mock.requests.at(-1)).toMatchObject({
+        method: 'POST',
+        path: `/v3/transactions/${id}/refund`,
+        body: { amount: 100.25 }
+      });
+      expect(refund.amount).toBe(10025);
+      expect(refund.status).toBe('succeeded');
+    });
+  });
+
+  describe('createCustomer', () => {
+    it('should identify customers by email', async () => {
+      const customer = await provider.createCustomer({ email: 'customer@example.com', name: 'Ada Obi' });
+
+      expect(customer).toMatchObject({ id: 'customer@example.com', provider: 'flutterwave', name: 'Ada Obi' });
+    });
+  });
+
+  describe('webhooks', () => {
+    it('should read the signature from the verif-hash header', () => {
+      expect(provider.getWebhookSignature({ 'verif-hash': SECRET_HASH })).toBe(SECRET_HASH);
+    });
+
+    it('should accept the configured secret hash', () => {
+      const payload = JSON.stringify({ event: 'charge.completed', data: { id: 1 } });
+
+      expect(provider.verifyWebhookSignature(Buffer.from(payload), SECRET_HASH)).toEqual(JSON.parse(payload));
+    });
+
+    it('should reject a wrong or missing secret hash', () => {
+      const payload = JSON.stringify({ event: 'charge.completed', data: { id: 1 } });
+
+      expect(() => provider.verifyWebhookSignature(payload, 'not-the-hash')).toThrow('Webhook signature verification failed');
+      expect(() => provider.verifyWebhookSignature(payload, undefined)).toThrow('Webhook signature verification failed');
+    });
+
+    it('should identify events by their type and transaction', () => {
+      expect(provider.getWebhookEventId({ event: 'charge.completed', data: { id: 4711, tx_ref: 'flw_1' } }))
+        .toBe('charge.completed:4711');
+      expect(provider.getWebhookEventId({ event: 'charge.completed', data: {} })).toBeNull();
+    });
+
+    it('should confirm charge.completed against the API', async () => {
+      const intent = await createIntent();
+      const transaction = mock.transactions.get(intent.id);
+      transaction.status = 'successful';
+
+      // The webhook claims failure but the API is the source of truth
+      const result = await provider.processWebhookEvent({
+        event: 'charge.completed',
+        data: { id: transaction.id, tx_ref: intent.id, status: 'failed' }
+      });
+
+      expect(result.type).toBe('payment_succeeded');
+      expect(result.paymentIntent.id).toBe(intent.id);
+      expect(mock.requests.at(-1).path).toBe(`/v3/transactions/${transaction.id}/verify`);
+    });
+
+    it('should reject events whose reference does not match the transaction', async () => {
+      const intent = await createIntent();
+      const { id } = mock.transactions.get(intent.id);
+
+      await expect(provider.processWebhookEvent({
+        event: 'charge.completed',
+        data: { id, tx_ref: 'flw_someone_else' }
+      })).rejects.toThrow('Webhook transaction does not match its reference');
+    });
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Integration Tests for the PayPal provider
+ * Runs the provider against a local mock of the PayPal Orders v2 API
+ */
+
+import http from 'http';
+import PayPalProvider from '../../src/providers/paypal-provider.js';
+
+const CLIENT_ID = 'mock-client-id';
+const CLIENT_SECRET = 'mock-client-secret';
+const WEBHOOK_ID = 'WH-MOCK';
+const ACCESS_TOKEN = 'A21AA-mock-token';
+
+// Minimal stand-in for the PayPal endpoints the provider uses
+const createMockPayPal = () => {
+  const orders = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  const send = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, raw });
+
+      if (req.method === 'POST' && url.pathname === '/v1/oauth2/token') {
+        const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        return req.headers.authorization === expected
+          ? send(res, 200, { access_token: ACCESS_TOKEN, token_type: 'Bearer', expires_in: 32400 })
+          : send(res, 401, { error: 'invalid_client', error_description: 'Client Authentication failed' });
+      }
+
+      if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+        return send(res, 401, { name: 'AUTHENTICATION_FAILURE', message: 'Authentication failed due to invalid authentication credentials' });
+      }
+
+      const body = raw ? JSON.parse(raw) : {};
+      requests.at(-1).body = body;
+
+      if (req.method === 'POST' && url.pathname === '/v2/checkout/orders') {
+        const id = `ORDER-${nextId++}`;
+        const order = {
+          id,
+          status: 'PAYER_ACTION_REQUIRED',
+          purchase_units: body.purchase_units,
+          create_time: new Date().toISOString(),
+          links: [
+            { rel: 'self', href: `https://api-m.sandbox.paypal.com/v2/checkout/orders/${id}`, method: 'GET' },
+            { rel: 'payer-action', href: `https://www.sandbox.paypal.com/checkoutnow?token=${id}`, method: 'GET' }
+          ]
+        };
+        orders.set(id, order);
+        return send(res, 200, order);
+      }
+
+      let match = url.pathname.match(/^\/v2\/checkout\/orders\/([\w-]+)\/capture$/);
+      if (req.method === 'POST' && match) {
+        const order = orders.get(match[1]);
+        if (!order) {
+          return send(res, 404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }], message: 'The specified resource does not exist.' });
+        }
+        if (order.declined) {
+          return send(res, 422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'INSTRUMENT_DECLINED', description: 'The instrument presented was declined.' }] });
+        }
+        order.status = 'COMPLETED';
+        order.payer = { payer_id: 'PAYER-1', email_address: 'buyer@example.com' };
+        order.purchase_units[0].payments = {
+          captures: [{
+            id: `CAPTURE-${order.id}`,
+            status: 'COMPLETED',
+            amount: order.purchase_units[0].amount,
+            create_time: new Date().toISOString()
+          }]
+        };
+        return send(res, 201, order);
+      }
+
+      match = url.pathname.match(/^\/v2\/checkout\/orders\/([\w-]+)$/);
+      if (req.method === 'GET' && match) {
+        const order = orders.get(match[1]);
+        return order
+          ? send(res, 200, order)
+          : send(res, 404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }], message: 'The specified resource does not exist.' });
+      }
+
+      match = url.pathname.match(/^\/v2\/payments\/captures\/([\w-]+)\/refund$/);
+      if (req.method === 'POST' && match) {
+        return send(res, 201, {
+          id: 'REFUND-1',
+          status: 'COMPLETED',
+          amount: body.amount,
+          note_to_payer: body.note_to_payer,
+          create_time: new Date().toISOString()
+        });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/notifications/verify-webhook-signature') {
+        const valid = body.webhook_id === WEBHOOK_ID && body.transmission_sig === 'valid-signature';
+        return send(res, 200, { verification_status: valid ? 'SUCCESS' : 'FAILURE' });
+      }
+
+      send(res, 404, { name: 'NOT_FOUND', message: 'Not found' });
+    });
+  });
+
+  return { server, orders, requests };
+};
+
+describe('PayPal Integration', () => {
+  let mock;
+  let provider;
+
+  const transmissionHeaders = {
+    'paypal-auth-algo': 'SHA256withRSA',
+    'paypal-cert-url': 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-360caa42',
+    'paypal-transmission-id': '69cd13f0-d67a-11e5-baa3-778b53f4ae55',
+    'paypal-transmission-sig': 'valid-signature',
+    'paypal-transmission-time': '2026-10-19T10:00:00Z'
+  };
+
+  beforeAll(async () => {
+    mock = createMockPayPal();
+    await new Promise(resolve => mock.server.listen(0, resolve));
+
+    provider = new PayPalProvider({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      webhookId: WEBHOOK_ID,
+      baseURL: `http://localhost:${mock.server.address().port}`
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  const createIntent = (overrides = {}) => provider.createPaymentIntent({
+    amount: 4000,
+    currency: 'EUR',
+    email: 'customer@example.com',
+    returnUrl: 'http://localhost:3000/payment/success',
+    cancelUrl: 'http://localhost:3000/payment/cancel',
+    metadata: { consultation_id: 'visa_extension' },
+    ...overrides
+  });
+
+  const orderRequests = () => mock.requests.filter(request => request.path !== '/v1/oauth2/token');
+
+  describe('createPaymentIntent', () => {
+    it('should create an order with the amount as a decimal string', async () => {
+      const intent = await createIntent();
+
+      expect(intent.provider).toBe('paypal');
+      expect(intent.id).toMatch(/^ORDER-/);
+      expect(intent.amount).toBe(4000);
+      expect(intent.currency).toBe('eur');
+      expect(intent.status).toBe('requires_payment_method');
+      expect(intent.redirectUrl).toBe(`https://www.sandbox.paypal.com/checkoutnow?token=${intent.id}`);
+
+      const [request] = orderRequests();
+      const [unit] = request.body.purchase_units;
+      expect(request.body.intent).toBe('CAPTURE');
+      expect(unit.amount).toEqual({ currency_code: 'EUR', value: '40.00' });
+      expect(unit.custom_id).toBe('visa_extension');
+      expect(request.headers['paypal-request-id']).toBe(unit.reference_id);
+      expect(request.body.payment_source.paypal.experience_context.cancel_url).toBe('http://localhost:3000/payment/cancel');
+    });
+
+    it('should not divide zero-decimal currencies', async () => {
+      await createIntent({ amount: 5000, currency: 'JPY' });
+
+      expect(orderRequests()[0].body.purchase_units[0].amount.value).toBe('5000');
+    });
+
+    it('should reuse the OAuth token between requests', async () => {
+      const fresh = new PayPalProvider({ ...provider.config });
+
+      await fresh.createPaymentIntent({ amount: 1000, currency: 'EUR' });
+      await fresh.createPaymentIntent({ amount: 2000, currency: 'EUR' });
+
+      expect(mock.requests.filter(request => request.path === '/v1/oauth2/token')).toHaveLength(1);
+    });
+
+    it('should map authentication failures to a provider error', async () => {
+      const unauthorized = new PayPalProvider({
+        clientId: CLIENT_ID,
+        clientSecret: 'wrong',
+        webhookId: WEBHOOK_ID,
+        baseURL: provider.baseURL
+      });
+
+      await expect(unauthorized.createPaymentIntent({ amount: 1000, currency: 'EUR' }))
+        .rejects.toMatchObject({ name: 'PaymentError', provider: 'paypal', errorCode: 'authentication_error' });
+    });
+  });
+
+  describe('capturePaymentIntent', () => {
+    it('should capture an approved order', async () => {
+      const intent = await createIntent();
+
+      const captured = await provider.capturePaymentIntent(intent.id);
+
+      expect(captured.status).toBe('succeeded');
+      expect(captured.captureId).toBe(`CAPTURE-${intent.id}`);
+      expect(captured.amount).toBe(4000);
+      expect(captured.customerId).toBe('PAYER-1');
+    });
+
+    it('should map a declined funding source to a card error', async () => {
+      const intent = await createIntent();
+      mock.orders.get(intent.id).declined = true;
+
+      await expect(provider.capturePaymentIntent(intent.id))
+        .rejects.toMatchObject({ name: 'PaymentError', errorCode: 'card_declined' });
+    });
+
+    it('should reject unknown orders', async () => {
+      await expect(provider.capturePaymentIntent('ORDER-unknown'))
+        .rejects.toMatchObject({ name: 'PaymentError', provider: 'paypal' });
+    });
+  });
+
+  describe('createRefund', () => {
+    it('should refund the capture behind the order', async () => {
+      const intent = await createIntent();
+      await provider.capturePaymentIntent(intent.id);
+
+      const refund = await provider.createRefund(intent.id, { amount: 1550 });
+
+      expect(mock.requests.at(-1)).toMatchObject({
+        method: 'POST',
+        path: `/v2/payments/captures/CAPTURE-${intent.id}/refund`,
+        body: { amount: { currency_code: 'EUR', value: '15.50' } }
+      });
+      expect(refund.amount).toBe(1550);
+      expect(refund.status).toBe('succeeded');
+    });
+  });
+
+  describe('webhooks', () => {
+    const event = {
+      id: 'WH-EVENT-1',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: 'CAPTURE-ORDER-1',
+        status: 'COMPLETED',
+        amount: { currency_code: 'EUR', value: '40.00' },
+        supplementary_data: { related_ids: { order_id: 'ORDER-1' } }
+      }
+    };
+
+    it('should collect the transmission headers as the signature', () => {
+      const signature = JSON.parse(provider.getWebhookSignature(transmissionHeaders));
+
+      expect(signature).toMatchObject({
+        transmission_id: transmissionHeaders['paypal-transmission-id'],
+        transmission_sig: 'valid-signature'
+      });
+    });
+
+    it('should verify events through the PayPal API', async () => {
+      const signature = provider.getWebhookSignature(transmissionHeaders);
+
+      await expect(provider.verifyWebhookSignature(Buffer.from(JSON.stringify(event)), signature))
+        .resolves.toEqual(event);
+      expect(mock.requests.at(-1).body).toMatchObject({ webhook_id: WEBHOOK_ID, webhook_event: event });
+    });
+
+    it('should reject events PayPal does not vouch for', async () => {
+      const signature = provider.getWebhookSignature({ ...transmissionHeaders, 'paypal-transmission-sig': 'forged' });
+
+      await expect(provider.verifyWebhookSignature(JSON.stringify(event), signature))
+        .rejects.toThrow('Webhook signature verification failed');
+      await expect(provider.verifyWebhookSignature(JSON.stringify(event), undefined))
+        .rejects.toThrow('Webhook signature verification failed');
+    });
+
+    it('should identify events by the ID PayPal keeps across redeliveries', () => {
+      expect(provider.getWebhookEventId(event)).toBe('WH-EVENT-1');
+    });
+
+    it('should resolve captures to their order', async () => {
+      const result = await provider.processWebhookEvent(event);
+
+      expect(result.type).toBe('payment_succeeded');
+      expect(result.paymentIntent.id).toBe('ORDER-1');
+      expect(result.paymentIntent.amount).toBe(4000);
+    });
+  });
+});
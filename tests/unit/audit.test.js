@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for the audit log: the hash chain, its append-only table and the route middleware
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import audit from '../../src/middleware/auditMiddleware.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import paymentRoutes from '../../src/routes/paymentRoutes.js';
+import AuditLog from '../../src/models/AuditLog.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import User from '../../src/models/User.js';
+import AuditService from '../../src/services/auditService.js';
+import { toCsv } from '../../src/utils/csv.js';
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const staff = { id: crypto.randomUUID(), email: 'accounts@example.de', role: 'accountant' };
+
+const createRequest = (params = {}) => ({ user: staff, params, body: {}, ip: '203.0.113.7', id: crypto.randomUUID() });
+
+// Resolves once the response goes out, i.e. after the audit entry is written
+const send = (middleware, req, handler) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve(body);
+      return this;
+    }
+  };
+
+  middleware(req, res, (error) => (error ? reject(error) : handler(req, res)));
+});
+
+describe('Audit log', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  it('should chain each entry to the one before it and refuse changes', async () => {
+    const first = await AuditService.record(createRequest(), {
+      action: 'coupon.update', target_type: 'coupon', target_id: 'coupon-1', before: { active: true }, after: { active: false }
+    });
+    const second = await AuditService.record(createRequest(), {
+      action: 'payment.refund', target_type: 'payment', target_id: 'payment-1', before: null, after: { refunded_amount: 500 }
+    });
+
+    expect(second.sequence).toBe(first.sequence + 1);
+    expect(second.prev_hash).toBe(first.hash);
+    expect(second.hash).toBe(second.computeHash());
+
+    // Any change to what an entry records changes its hash
+    const tampered = new AuditLog({ ...first, after_value: JSON.stringify({ active: true }) });
+    expect(tampered.computeHash()).not.toBe(first.hash);
+
+    await expect(run('UPDATE audit_log SET actor_email = ? WHERE id = ?', ['someone@example.de', first.id]))
+      .rejects.toThrow('append-only');
+    await expect(run('DELETE FROM audit_log WHERE id = ?', [first.id])).rejects.toThrow('append-only');
+
+    const result = await AuditService.verify();
+    expect(result).toMatchObject({ valid: true, broken_at: null, last_hash: second.hash });
+    expect(result.entries).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should record the target before and after a successful admin call', async () => {
+    const target = { id: crypto.randomUUID(), status: 'pending' };
+    const middleware = audit('payment.cancel', { id: req => req.params.paymentId, load: async () => ({ ...target }) });
+
+    const req = createRequest({ paymentId: target.id });
+    await send(middleware, req, (req, res) => {
+      target.status = 'cancelled';
+      res.status(200).json({ success: true, data: {} });
+    });
+
+    const [entry] = await AuditLog.findAll({ target_type: 'payment', target_id: target.id });
+    expect(entry.toJSON()).toMatchObject({
+      actor_id: staff.id,
+      actor_role: 'accountant',
+      action: 'payment.cancel',
+      before: { status: 'pending' },
+      after: { status: 'cancelled' },
+      ip: '203.0.113.7',
+      request_id: req.id
+    });
+
+    // Refused calls change nothing, so they are not recorded
+    await send(middleware, createRequest({ paymentId: target.id }), (req, res) => {
+      res.status(400).json({ success: false, message: 'Only pending payments can be cancelled' });
+    });
+    expect(await AuditLog.findAll({ target_type: 'payment', target_id: target.id })).toHaveLength(1);
+  });
+
+  it('should keep the secrets in a payment\'s metadata out of the log', async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', paymentRoutes);
+    app.use(errorHandler);
+
+    const consultation = await Consultation.create({ id: `audit_${crypto.randomUUID()}`, title: 'Blue Card', price: 8950, currency: 'EUR' });
+    const customer = await User.findOrCreateByEmail({ email: `audit-${crypto.randomUUID()}@example.de`, name: 'Erika Mustermann' });
+    const payment = await Payment.create({
+      user_id: customer.id,
+      consultation_id: consultation.id,
+      provider: 'paystack',
+      provider_payment_id: `ref_${crypto.randomUUID()}`,
+      amount: 8950,
+      currency: 'EUR',
+      metadata: { client_secret: 'access_code_secret', redirect_url: 'https://checkout.paystack.com/access_code_secret', coupon_code: 'SPRING' }
+    });
+
+    const owner = jwt.sign({ id: crypto.randomUUID(), email: 'owner@example.de', role: 'owner' }, process.env.JWT_SECRET);
+    const response = await request(app).post(`/api/payments/cancel/${payment.id}`).set('Authorization', `Bearer ${owner}`);
+    expect(response.status).toBe(200);
+
+    const [entry] = await AuditLog.findAll({ target_type: 'payment', target_id: payment.id });
+    expect(entry.before_value).not.toContain('access_code_secret');
+    expect(entry.after_value).not.toContain('access_code_secret');
+    expect(entry.toJSON()).toMatchObject({
+      before: { status: 'pending', metadata: { client_secret: '[redacted]', coupon_code: 'SPRING' } },
+      after: { status: 'cancelled' }
+    });
+  });
+
+  it('should export CSV that spreadsheets do not run as formulas', () => {
+    expect(toCsv(['action', 'after_value'], [{ action: '=HYPERLINK("x")', after_value: '{"a":1,"b":"c"}' }]))
+      .toBe('action,after_value\r\n"\'=HYPERLINK(""x"")","{""a"":1,""b"":""c""}"\r\n');
+  });
+});
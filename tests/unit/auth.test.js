@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for customer accounts
+ * Reset emails go to an in-memory transport registered in place of the configured one
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import User from '../../src/models/User.js';
+import AuthService from '../../src/services/authService.js';
+import authMiddleware from '../../src/middleware/authMiddleware.js';
+
+// Hashing at the production cost takes a while without native bcrypt
+const BCRYPT_TIMEOUT_MS = 60000;
+
+const transport = {
+  sent: [],
+  async send(message) {
+    transport.sent.push(message);
+    return { messageId: `<${crypto.randomUUID()}@test>` };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const uniqueEmail = () => `${crypto.randomUUID()}@Example.de`;
+
+// The claims authMiddleware puts on the request, or the error it passes on
+const authenticate = (accessToken) => new Promise((resolve) => {
+  const req = { header: () => `Bearer ${accessToken}`, originalUrl: '/test' };
+  authMiddleware(req, {}, (error) => resolve(error || req.user));
+});
+
+describe('AuthService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    TransportRegistry.register('email', () => transport);
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.FRONTEND_URL = 'https://booking.example.de';
+  });
+
+  beforeEach(() => {
+    transport.sent = [];
+  });
+
+  it('should register and log in with a hashed password and the claims authMiddleware expects', async () => {
+    const email = uniqueEmail();
+    const session = await AuthService.register({ email, password: 'correct horse', name: 'Erika Mustermann' });
+
+    const user = await User.findById(session.user.id);
+    expect(user.email).toBe(email.toLowerCase());
+    expect(user.password_hash).toMatch(/^\$2[aby]\$12\$/);
+    expect(JSON.stringify(session.user)).not.toContain(user.password_hash);
+
+    expect(await authenticate(session.access_token)).toMatchObject({ id: user.id, email: user.email, role: 'customer' });
+    expect(session.expires_in).toBe(15 * 60);
+
+    await expect(AuthService.register({ email, password: 'another one', name: 'Erika' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const login = await AuthService.login({ email: email.toLowerCase(), password: 'correct horse' });
+    expect(await authenticate(login.access_token)).toMatchObject({ id: user.id });
+
+    await expect(AuthService.login({ email, password: 'wrong horse' })).rejects.toMatchObject({ statusCode: 401 });
+    await expect(AuthService.login({ email: uniqueEmail(), password: 'correct horse' })).rejects.toMatchObject({ statusCode: 401 });
+  }, BCRYPT_TIMEOUT_MS);
+
+  it('should rotate refresh tokens and revoke the session when a used one comes back', async () => {
+    const first = await AuthService.register({ email: uniqueEmail(), password: 'correct horse', name: 'Erika' });
+
+    const second = await AuthService.refresh(first.refresh_token);
+    expect(second.refresh_token).not.toBe(first.refresh_token);
+    expect(await authenticate(second.access_token)).toMatchObject({ id: first.user.id });
+
+    // The old token again: refused, and the token issued for it stops working too
+    await expect(AuthService.refresh(first.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(AuthService.refresh(second.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+
+    // Logging out ends only that session
+    const laptop = await AuthService.login({ email: first.user.email, password: 'correct horse' });
+    const phone = await AuthService.login({ email: first.user.email, password: 'correct horse' });
+    expect(await AuthService.logout(laptop.refresh_token)).toBe(true);
+    await expect(AuthService.refresh(laptop.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+    expect((await AuthService.refresh(phone.refresh_token)).user.id).toBe(first.user.id);
+  }, BCRYPT_TIMEOUT_MS);
+
+  it('should let a guest customer set a password through a single-use reset link', async () => {
+    const email = uniqueEmail().toLowerCase();
+    const guest = await User.findOrCreateByEmail({ email, name: 'Erika' });
+    await expect(AuthService.login({ email, password: 'correct horse' })).rejects.toMatchObject({ statusCode: 401 });
+
+    await AuthService.requestPasswordReset(uniqueEmail());
+    expect(transport.sent).toHaveLength(0);
+
+    await AuthService.requestPasswordReset(email);
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe(email);
+    const token = new URL(transport.sent[0].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+
+    await AuthService.resetPassword(token, 'correct horse');
+    await expect(AuthService.resetPassword(token, 'stolen horse')).rejects.toMatchObject({ statusCode: 400 });
+
+    const session = await AuthService.login({ email, password: 'correct horse' });
+    expect(session.user.id).toBe(guest.id);
+
+    // Resetting again logs out every session
+    await AuthService.requestPasswordReset(email);
+    const nextToken = new URL(transport.sent[1].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    await AuthService.resetPassword(nextToken, 'battery staple');
+    await expect(AuthService.refresh(session.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+
+    // Expired tokens do not work
+    await AuthService.requestPasswordReset(email);
+    const expiredToken = new URL(transport.sent[2].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    await run('UPDATE password_reset_tokens SET expires_at = ? WHERE user_id = ? AND used_at IS NULL', [new Date(Date.now() - 1000).toISOString(), guest.id]);
+    await expect(AuthService.resetPassword(expiredToken, 'correct horse')).rejects.toMatchObject({ statusCode: 400 });
+  }, BCRYPT_TIMEOUT_MS);
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit Tests for bank transfer references, CAMT.053 parsing, the bank transfer provider and settling transfers
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Appointment from '../../src/models/Appointment.js';
+import Availability from '../../src/models/Availability.js';
+import Consultation from '../../src/models/Consultation.js';
+import Notification from '../../src/models/Notification.js';
+import PaymentEvent from '../../src/models/PaymentEvent.js';
+import Payment from '../../src/models/Payment.js';
+import SlotHold from '../../src/models/SlotHold.js';
+import AvailabilityService from '../../src/services/availabilityService.js';
+import BankTransferService from '../../src/services/bankTransferService.js';
+import PaymentService from '../../src/services/paymentService.js';
+import SlotHoldService from '../../src/services/slotHoldService.js';
+import {
+  generateCreditorReference,
+  isValidCreditorReference,
+  findCreditorReferences,
+  formatInGroups
+} from '../../src/utils/sepa.js';
+import { parseCamt053 } from '../../src/utils/camt053.js';
+import BankTransferProvider from '../../src/providers/bank-transfer-provider.js';
+
+const statement = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>MSG-2026-10-19</MsgId><CreDtTm>2026-10-19T06:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>STMT-2026-193</Id>
+      <CreDtTm>2026-10-19T06:00:00</CreDtTm>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      ${entries}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('SEPA creditor references', () => {
+  it('should accept the ISO 11649 example reference', () => {
+    expect(isValidCreditorReference('RF18 5390 0754 7034')).toBe(true);
+    expect(isValidCreditorReference('RF18 5390 0754 7035')).toBe(false);
+  });
+
+  it('should generate valid references without ambiguous characters', () => {
+    for (let i = 0; i < 50; i++) {
+      const reference = generateCreditorReference();
+      expect(reference).toMatch(/^RF\d{2}[A-HJ-NP-Z2-9]{10}$/);
+      expect(isValidCreditorReference(reference)).toBe(true);
+    }
+  });
+
+  it('should find references regardless of spacing and case', () => {
+    const reference = generateCreditorReference();
+    const text = `Beratung 19.10. ${formatInGroups(reference).toLowerCase()} Danke`;
+
+    expect(findCreditorReferences(text)).toEqual([reference]);
+  });
+
+  it('should ignore text that only looks like a reference', () => {
+    expect(findCreditorReferences('RF12 ABCD EFGH JK')).toEqual([]);
+    expect(findCreditorReferences('Rechnung 2026-114')).toEqual([]);
+  });
+});
+
+describe('parseCamt053', () => {
+  it('should read booked entries with their transaction details', () => {
+    const { statements } = parseCamt053(statement(`
+      <Ntry>
+        <Amt Ccy="EUR">89.50</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2026-10-18</Dt></BookgDt>
+        <ValDt><Dt>2026-10-18</Dt></ValDt>
+        <AcctSvcrRef>2026101800042</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+            <RltdPties>
+              <Dbtr><Nm>M&#252;ller &amp; S&#246;hne</Nm></Dbtr>
+              <DbtrAcct><Id><IBAN>DE02120300000000202051</IBAN></Id></DbtrAcct>
+            </RltdPties>
+            <RmtInf><Ustrd>RF42 HK3M 9QZ2 XA</Ustrd><Ustrd>Visa consultation</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+    `));
+
+    expect(statements).toHaveLength(1);
+    expect(statements[0]).toMatchObject({ id: 'STMT-2026-193', iban: 'DE89370400440532013000' });
+
+    const [entry] = statements[0].entries;
+    expect(entry).toMatchObject({
+      reference: '2026101800042',
+      amount: 8950,
+      currency: 'EUR',
+      creditDebit: 'CRDT',
+      status: 'BOOK',
+      bookingDate: '2026-10-18'
+    });
+    expect(entry.transactions).toEqual([expect.objectContaining({
+      amount: 8950,
+      currency: 'EUR',
+      debtorName: 'Müller & Söhne',
+      debtorIban: 'DE02120300000000202051',
+      remittanceInformation: ['RF42 HK3M 9QZ2 XA', 'Visa consultation']
+    })]);
+  });
+
+  it('should split batch bookings and read structured references (camt.053.001.08)', () => {
+    const { statements } = parseCamt053(statement(`
+      <Ntry>
+        <Amt Ccy="EUR">150.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><DtTm>2026-10-18T09:30:00</DtTm></BookgDt>
+        <NtryDtls>
+          <TxDtls>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">100</Amt></TxAmt></AmtDtls>
+            <RltdPties><Dbtr><Pty><Nm>Anna Schmidt</Nm></Pty></Dbtr></RltdPties>
+            <RmtInf><Strd><CdtrRefInf><Ref>RF18539007547034</Ref></CdtrRefInf></Strd></RmtInf>
+          </TxDtls>
+          <TxDtls>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">50.00</Amt></TxAmt></AmtDtls>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+    `));
+
+    const [entry] = statements[0].entries;
+    expect(entry.status).toBe('BOOK');
+    expect(entry.bookingDate).toBe('2026-10-18T09:30:00');
+    expect(entry.transactions.map(transaction => transaction.amount)).toEqual([10000, 5000]);
+    expect(entry.transactions[0]).toMatchObject({
+      debtorName: 'Anna Schmidt',
+      creditorReference: 'RF18539007547034'
+    });
+  });
+
+  it('should tolerate namespace prefixes and entries without details', () => {
+    const xml = `<ns2:Document xmlns:ns2="urn:iso:std:iso:20022:tech:xsd:camt.053.001.04">
+      <ns2:BkToCstmrStmt><ns2:Stmt><ns2:Id>S1</ns2:Id>
+        <ns2:Ntry>
+          <ns2:Amt Ccy="EUR">12.3</ns2:Amt>
+          <ns2:CdtDbtInd>DBIT</ns2:CdtDbtInd>
+          <ns2:AddtlNtryInf>Kontofuehrung</ns2:AddtlNtryInf>
+        </ns2:Ntry>
+      </ns2:Stmt></ns2:BkToCstmrStmt>
+    </ns2:Document>`;
+
+    const [entry] = parseCamt053(xml).statements[0].entries;
+    expect(entry).toMatchObject({ amount: 1230, creditDebit: 'DBIT', additionalInformation: 'Kontofuehrung' });
+    expect(entry.transactions).toEqual([{ amount: 1230, currency: 'EUR', remittanceInformation: [] }]);
+  });
+
+  it('should reject documents that are not statements', () => {
+    expect(() => parseCamt053('<Document><BkToCstmrDbtCdtNtfctn/></Document>')).toThrow('Not a CAMT.053 bank statement');
+    expect(() => parseCamt053(undefined)).toThrow('Not a CAMT.053 bank statement');
+  });
+});
+
+describe('BankTransferProvider', () => {
+  const provider = new BankTransferProvider({
+    accountHolder: 'Consultancy GmbH',
+    iban: 'DE89370400440532013000',
+    bic: 'COBADEFFXXX',
+    bankName: 'Commerzbank'
+  });
+
+  it('should issue a reference with transfer instructions', async () => {
+    const intent = await provider.createPaymentIntent({ amount: 8950, currency: 'EUR' });
+
+    expect(isValidCreditorReference(intent.id)).toBe(true);
+    expect(intent).toMatchObject({ provider: 'bank_transfer', amount: 8950, currency: 'eur', status: 'requires_action' });
+    expect(intent.instructions).toEqual({
+      account_holder: 'Consultancy GmbH',
+      iban: 'DE89 3704 0044 0532 0130 00',
+      bic: 'COBADEFFXXX',
+      bank_name: 'Commerzbank',
+      amount: 8950,
+      currency: 'EUR',
+      reference: formatInGroups(intent.id)
+    });
+  });
+
+  it('should refuse to issue instructions without an account', async () => {
+    const unconfigured = new BankTransferProvider({});
+
+    await expect(unconfigured.createPaymentIntent({ amount: 100, currency: 'EUR' }))
+      .rejects.toMatchObject({ name: 'PaymentError', errorCode: 'provider_error' });
+  });
+
+  it('should only accept euro', () => {
+    expect(provider.getSupportedCurrencies()).toEqual(['eur']);
+  });
+
+  it('should not take refunds or webhooks', async () => {
+    await expect(provider.createRefund('RF42HK3M9QZ2XA')).rejects.toMatchObject({ errorCode: 'not_supported' });
+    expect(() => provider.verifyWebhookSignature('{}', undefined)).toThrow('Webhooks are not supported for bank transfers');
+  });
+});
+
+describe('BankTransferService', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const USER_ID = 'bank-transfer-test-user';
+  let consultation;
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // A date far enough ahead that no other run has offered slots on it
+  const futureDate = () => {
+    const days = 400 + crypto.randomInt(20000);
+    return new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+  };
+
+  const transfer = (date, time) => BankTransferService.createTransfer({
+    user_id: USER_ID,
+    consultation_id: consultation.id,
+    customer_email: 'transfer@example.de',
+    date,
+    time
+  });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'transfer@example.de', 'Transfer Test']);
+    consultation = await Consultation.create({ id: `transfer_${crypto.randomUUID()}`, title: 'Residence Permit', price: 8950, currency: 'EUR' });
+    ProviderRegistry.register('bank_transfer', () => new BankTransferProvider({
+      accountHolder: 'Consultancy GmbH',
+      iban: 'DE89370400440532013000',
+      paymentDays: 3
+    }));
+    process.env.CONSULTANT_EMAIL = 'consultant@example.de';
+  });
+
+  afterAll(() => {
+    delete process.env.CONSULTANT_EMAIL;
+  });
+
+  it('should hold the slot until the transfer is due and give the transfer up once it is overdue', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['09:00']);
+
+    const { payment, instructions, hold_expires_at } = await transfer(date, '09:00');
+    expect(instructions.pay_by).toBe(hold_expires_at);
+    expect(new Date(instructions.pay_by).getTime() - Date.now()).toBeGreaterThan(3 * DAY_MS - 60 * 1000);
+
+    // A checkout's hold would have run out by now; the transfer's has not
+    await SlotHoldService.expireStaleHolds();
+    await PaymentService.expireOverdue();
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual([]);
+    expect((await Payment.findById(payment.id)).status).toBe('pending');
+
+    await PaymentService.expireOverdue(new Date(Date.now() + 4 * DAY_MS));
+    expect((await Payment.findById(payment.id)).status).toBe('cancelled');
+    expect(await SlotHold.findByPaymentId(payment.id)).toMatchObject({ status: 'released' });
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00']);
+    expect((await PaymentEvent.findByPaymentId(payment.id)).map(event => event.event_type)).toContain('payment.expired');
+
+    // The money turning up late still books the slot, which nobody took meanwhile
+    const settled = await BankTransferService.markReceived(payment.id);
+    expect(settled.status).toBe('succeeded');
+    expect(await SlotHold.findByPaymentId(payment.id)).toMatchObject({ status: 'converted', appointment_id: settled.appointment_id });
+  });
+
+  it('should ask staff to send the money back when it arrives after the slot was taken', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['10:00']);
+
+    const { payment } = await transfer(date, '10:00');
+    await run('UPDATE slot_holds SET expires_at = ? WHERE payment_id = ?', [new Date(Date.now() - 1000).toISOString(), payment.id]);
+    await SlotHoldService.expireStaleHolds();
+    await Appointment.create({ user_id: USER_ID, consultation_id: consultation.id, date, time: '10:00' });
+
+    const settled = await BankTransferService.markReceived(payment.id, { received_by: 'accountant-1' });
+    expect(settled.status).toBe('succeeded');
+    expect(settled.appointment_id).toBeFalsy();
+
+    const events = (await PaymentEvent.findByPaymentId(payment.id)).map(event => event.event_type);
+    expect(events).toEqual(expect.arrayContaining(['slot.conflict', 'payment.refund_required']));
+    expect(events).not.toContain('appointment.confirmed');
+
+    const notices = await Notification.findByPaymentId(payment.id);
+    expect(notices.map(notice => [notice.template, notice.recipient]).sort()).toEqual([
+      ['booking_slot_unavailable', 'transfer@example.de'],
+      ['refund_required', 'consultant@example.de']
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for moving appointments along with the outcome of their payments
+ * Payments and refunds run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Appointment from '../../src/models/Appointment.js';
+import Consultation from '../../src/models/Consultation.js';
+import PaymentEvent from '../../src/models/PaymentEvent.js';
+import BookingService from '../../src/services/bookingService.js';
+import PaymentService from '../../src/services/paymentService.js';
+import RefundService from '../../src/services/refundService.js';
+
+const USER_ID = 'booking-status-test-user';
+
+const provider = {
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent() {
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: 'secret' };
+  },
+  async createRefund(paymentIntentId, { amount }) {
+    return { id: `re_${crypto.randomUUID()}`, amount, status: 'succeeded' };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// A slot far enough ahead that no other run has booked it
+const futureSlot = () => {
+  const days = 400 + crypto.randomInt(20000);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  return {
+    date: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    time: `${pad(8 + crypto.randomInt(10))}:${pad(crypto.randomInt(60))}`
+  };
+};
+
+const eventsOf = async (payment, prefix) => {
+  const events = await PaymentEvent.findByPaymentId(payment.id);
+  return events.filter(event => event.event_type.startsWith(prefix));
+};
+
+describe('Appointment status from payments', () => {
+  let consultation;
+
+  // A pending appointment and a payment for it that went through
+  const bookAndPay = async () => {
+    const appointment = await Appointment.create({ user_id: USER_ID, consultation_id: consultation.id, ...futureSlot() });
+    const { payment } = await PaymentService.createIntent('stripe', {
+      currency: 'EUR',
+      user_id: USER_ID,
+      consultation_id: consultation.id,
+      appointment_id: appointment.id,
+      customer_email: 'status@example.de'
+    });
+
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: payment.amount, currency: 'EUR' });
+    return { appointment, payment };
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'status@example.de', 'Status Test']);
+    consultation = await Consultation.create({ id: `status_${crypto.randomUUID()}`, title: 'Student Visa', price: 6000, currency: 'EUR' });
+    ProviderRegistry.register('stripe', () => provider);
+  });
+
+  it('should confirm the appointment once its payment succeeds and record the transition', async () => {
+    const { appointment, payment } = await bookAndPay();
+
+    expect((await Appointment.findById(appointment.id)).status).toBe('confirmed');
+
+    // A repeated success webhook changes nothing
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id });
+
+    const transitions = await eventsOf(payment, 'appointment.');
+    expect(transitions).toHaveLength(1);
+    expect(transitions[0]).toMatchObject({ event_type: 'appointment.confirmed' });
+    expect(JSON.parse(transitions[0].event_data)).toMatchObject({ appointment_id: appointment.id, from: 'pending', to: 'confirmed', reason: 'payment_succeeded' });
+  });
+
+  it('should cancel the appointment only once its payment is refunded in full', async () => {
+    const { appointment, payment } = await bookAndPay();
+
+    await RefundService.refund(payment, { amount: 1000 });
+    expect(payment.status).toBe('partially_refunded');
+    expect((await Appointment.findById(appointment.id)).status).toBe('confirmed');
+
+    await RefundService.refund(payment);
+    expect(payment.status).toBe('refunded');
+    expect((await Appointment.findById(appointment.id)).status).toBe('cancelled');
+    expect((await eventsOf(payment, 'appointment.cancelled')).map(event => JSON.parse(event.event_data)))
+      .toEqual([expect.objectContaining({ from: 'confirmed', reason: 'payment_refunded' })]);
+  });
+
+  it('should leave a finished appointment as it is and record the refused transition', async () => {
+    const { appointment, payment } = await bookAndPay();
+    await BookingService.transition(await Appointment.findById(appointment.id), 'completed');
+
+    await RefundService.refund(payment);
+
+    expect((await Appointment.findById(appointment.id)).status).toBe('completed');
+    expect((await eventsOf(payment, 'appointment.transition_rejected')).map(event => JSON.parse(event.event_data)))
+      .toEqual([expect.objectContaining({ from: 'completed', to: 'cancelled', reason: 'payment_refunded' })]);
+    expect(BookingService.canTransition('cancelled', 'confirmed')).toBe(false);
+  });
+});
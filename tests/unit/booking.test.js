@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for booking appointments
+ * Controllers are called with a stand-in response that resolves with what they send
+ */
+
+import crypto from 'crypto';
+import { initializeDatabase } from '../../src/database/database.js';
+import AppointmentController from '../../src/controllers/appointmentController.js';
+import Appointment from '../../src/models/Appointment.js';
+import Availability from '../../src/models/Availability.js';
+import Consultation from '../../src/models/Consultation.js';
+import User from '../../src/models/User.js';
+import AvailabilityService from '../../src/services/availabilityService.js';
+
+// A date far enough ahead that no other run has offered slots on it
+const futureDate = () => {
+  const days = 400 + crypto.randomInt(20000);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+};
+
+const createConsultation = () => Consultation.create({
+  id: `booking_${crypto.randomUUID()}`,
+  title: 'Visa Application Support',
+  price: 8950,
+  currency: 'EUR'
+});
+
+// Resolves with { status, body } once the controller responds, or with { error } when it calls next
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  handler({ params: {}, body: {}, originalUrl: '/api/appointments', ...req }, res, (error) => resolve({ error }));
+});
+
+describe('Appointments', () => {
+  let consultation;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    consultation = await createConsultation();
+  });
+
+  const book = (date, time, email = `${crypto.randomUUID()}@example.de`) => call(AppointmentController.createAppointment, {
+    body: { consultation_id: consultation.id, date, time, customer_email: email, customer_name: 'Erika Mustermann' }
+  });
+
+  it('should offer a date\'s slots less the booked ones, and refuse a slot that is taken or not offered', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['10:00', '09:00']);
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00', '10:00']);
+
+    const booked = await book(date, '09:00');
+    expect(booked.status).toBe(201);
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['10:00']);
+
+    expect((await book(date, '09:00')).status).toBe(409);
+    expect((await book(date, '11:00')).status).toBe(409);
+
+    // A cancelled appointment gives its slot back
+    await call(AppointmentController.cancelAppointment, { params: { appointmentId: booked.body.data.appointment.id } });
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00', '10:00']);
+
+    // Nothing is offered in the past, whatever the schedule says
+    await Availability.setOverride('2020-01-06', ['09:00']);
+    expect(await AvailabilityService.getOpenSlots('2020-01-06')).toEqual([]);
+  });
+
+  it('should only move an appointment along the allowed status transitions', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['14:00']);
+    const appointmentId = (await book(date, '14:00')).body.data.appointment.id;
+    const setStatus = (status) => call(AppointmentController.updateAppointmentStatus, { params: { appointmentId }, body: { status } });
+
+    expect((await setStatus('completed')).error).toMatchObject({ statusCode: 400 });
+    expect((await setStatus('confirmed')).status).toBe(200);
+    expect((await setStatus('completed')).status).toBe(200);
+    expect((await setStatus('cancelled')).error).toMatchObject({ statusCode: 400 });
+
+    const appointment = await Appointment.findById(appointmentId);
+    expect(appointment.status).toBe('completed');
+    // Calendars learn of each change through the raised sequence
+    expect(appointment.sequence).toBe(2);
+  });
+
+  it('should show the customer\'s details only to them and to staff who may see them', async () => {
+    const email = `${crypto.randomUUID()}@example.de`;
+    const customer = await User.create({ email, name: 'Erika Mustermann', phone: '+4917612345678' });
+
+    const date = futureDate();
+    await Availability.setOverride(date, ['10:00']);
+
+    // Anyone can book with any email address, so the booking neither echoes nor changes what is stored for it
+    const booked = await call(AppointmentController.createAppointment, {
+      body: { consultation_id: consultation.id, date, time: '10:00', customer_email: email, customer_name: 'Someone Else', customer_phone: '+4915199999999' }
+    });
+    expect(booked.status).toBe(201);
+    expect(booked.body.data.appointment).toMatchObject({ date, time: '10:00', status: 'pending' });
+    expect(booked.body.data.appointment).not.toHaveProperty('customer_email');
+    expect(booked.body.data.appointment).not.toHaveProperty('customer_phone');
+
+    const appointmentId = booked.body.data.appointment.id;
+    const view = (user) => call(AppointmentController.getAppointment, { user, params: { appointmentId } });
+
+    expect((await view({ id: customer.id, role: 'customer' })).body.data.appointment)
+      .toMatchObject({ customer_email: email, customer_phone: '+4917612345678' });
+    expect((await view({ id: 'consultant-1', role: 'consultant' })).status).toBe(200);
+    expect((await view({ id: crypto.randomUUID(), role: 'customer' })).error).toMatchObject({ statusCode: 403 });
+    expect((await view({ id: 'accountant-1', role: 'accountant' })).error).toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for the iCalendar export
+ * Emails go to an in-memory transport registered in place of the configured one
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import Payment from '../../src/models/Payment.js';
+import Appointment from '../../src/models/Appointment.js';
+import Notification from '../../src/models/Notification.js';
+import PaymentService from '../../src/services/paymentService.js';
+import BookingService from '../../src/services/bookingService.js';
+import CalendarService from '../../src/services/calendarService.js';
+import NotificationService from '../../src/services/notificationService.js';
+import { renderCalendar } from '../../src/utils/ical.js';
+
+const USER_ID = 'calendar-test-user';
+const CONSULTATION_ID = 'calendar-test-consultation';
+const OTHER_CONSULTATION_ID = 'calendar-test-other-consultation';
+
+const transport = {
+  sent: [],
+  async send(message) {
+    transport.sent.push(message);
+    return { messageId: `<${crypto.randomUUID()}@test>` };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// A slot far enough ahead that no other run has booked it
+const futureSlot = () => {
+  const days = 400 + crypto.randomInt(20000);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  return {
+    date: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    time: `${pad(8 + crypto.randomInt(10))}:${pad(crypto.randomInt(60))}`
+  };
+};
+
+const createAppointment = (overrides = {}) => Appointment.create({
+  user_id: USER_ID,
+  consultation_id: CONSULTATION_ID,
+  ...futureSlot(),
+  status: 'pending',
+  ...overrides
+});
+
+// The VEVENT for an appointment, unfolded
+const eventFor = (calendar, appointment) => {
+  const events = calendar.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1);
+  return events.find(event => event.includes(`UID:${appointment.id}@`));
+};
+
+describe('CalendarService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name, phone) VALUES (?, ?, ?, ?)', [USER_ID, 'calendar@example.de', 'Erika Mustermann', '+4917612345678']);
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, duration, price, currency) VALUES (?, ?, ?, ?, ?)',
+      [CONSULTATION_ID, 'Visa consultation', 45, 8950, 'EUR']
+    );
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, price, currency) VALUES (?, ?, ?, ?)',
+      [OTHER_CONSULTATION_ID, 'Tax consultation', 8950, 'EUR']
+    );
+
+    TransportRegistry.register('email', () => transport);
+    process.env.CONSULTANT_EMAIL = 'consultant@example.de';
+  });
+
+  afterAll(() => {
+    delete process.env.CONSULTANT_EMAIL;
+  });
+
+  beforeEach(() => {
+    transport.sent = [];
+  });
+
+  it('should publish confirmed appointments and their cancellation with a rising sequence', async () => {
+    const { feed, token } = await CalendarService.createFeed({ name: 'Consultant', consultation_ids: [CONSULTATION_ID] });
+    expect(await CalendarService.findFeedByToken(token)).toMatchObject({ id: feed.id });
+    expect(JSON.stringify(feed)).not.toContain(feed.token_hash);
+
+    const appointment = await createAppointment();
+    const other = await createAppointment({ consultation_id: OTHER_CONSULTATION_ID, status: 'confirmed' });
+
+    // Unpaid appointments are not in the feed, nor are other consultations
+    let calendar = await CalendarService.renderFeed(feed);
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(eventFor(calendar, appointment)).toBeUndefined();
+    expect(eventFor(calendar, other)).toBeUndefined();
+
+    await BookingService.transition(appointment, 'confirmed');
+    calendar = await CalendarService.renderFeed(feed);
+    const confirmed = eventFor(calendar, appointment);
+    expect(confirmed).toContain('SEQUENCE:1\r\n');
+    expect(confirmed).toContain('STATUS:CONFIRMED\r\n');
+    expect(confirmed).toContain('SUMMARY:Visa consultation: Erika Mustermann\r\n');
+    expect(confirmed).toContain('Phone/WhatsApp: +4917612345678');
+
+    // 45 minutes long, in UTC
+    const start = confirmed.match(/DTSTART:(\d{8}T\d{6}Z)/)[1];
+    const end = confirmed.match(/DTEND:(\d{8}T\d{6}Z)/)[1];
+    const toDate = (value) => new Date(value.replace(/(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z/, '$1-$2-$3T$4:$5:$6Z'));
+    expect(toDate(end) - toDate(start)).toBe(45 * 60 * 1000);
+
+    await BookingService.transition(appointment, 'cancelled');
+    calendar = await CalendarService.renderFeed(feed);
+    expect(eventFor(calendar, appointment)).toContain('SEQUENCE:2\r\n');
+    expect(eventFor(calendar, appointment)).toContain('STATUS:CANCELLED\r\n');
+
+    await feed.revoke();
+    expect(await CalendarService.findFeedByToken(token)).toBeNull();
+  });
+
+  it('should attach the appointment to the booking confirmations', async () => {
+    const appointment = await createAppointment();
+    const payment = await Payment.create({
+      user_id: USER_ID,
+      consultation_id: CONSULTATION_ID,
+      appointment_id: appointment.id,
+      provider: 'stripe',
+      provider_payment_id: `pi_${crypto.randomUUID()}`,
+      amount: 8950,
+      currency: 'EUR',
+      status: 'pending',
+      customer_name: 'Erika Mustermann',
+      customer_email: 'erika@example.de'
+    });
+
+    await PaymentService.markSucceeded(payment, {
+      id: payment.provider_payment_id,
+      amount: payment.amount,
+      currency: 'eur',
+      paymentMethodType: 'card'
+    });
+
+    const [confirmation, received] = await Notification.findByPaymentId(payment.id);
+    await NotificationService.deliver(confirmation);
+    await NotificationService.deliver(received);
+
+    const [toCustomer, toConsultant] = transport.sent.map(email => email.attachments.find(attachment => attachment.filename === 'appointment.ics'));
+    expect(toCustomer.contentType).toBe('text/calendar; charset=utf-8; method=PUBLISH');
+    expect(toCustomer.content).toContain('METHOD:PUBLISH\r\n');
+    expect(eventFor(toCustomer.content, appointment)).toContain('STATUS:CONFIRMED\r\n');
+    expect(eventFor(toCustomer.content, appointment)).not.toContain('erika@example.de');
+    expect(eventFor(toConsultant.content, appointment)).toContain('Email: calendar@example.de');
+  });
+
+  it('should escape text and fold long lines', () => {
+    const calendar = renderCalendar({
+      events: [{
+        uid: 'test@example',
+        sequence: 0,
+        status: 'CONFIRMED',
+        stamp: new Date('2026-11-03T09:00:00Z'),
+        start: new Date('2026-11-03T09:00:00Z'),
+        end: new Date('2026-11-03T09:30:00Z'),
+        summary: 'Beratung; Müller, Schröder',
+        description: `Notes: ${'ä'.repeat(80)}\nSecond line`
+      }]
+    });
+
+    const lines = calendar.split('\r\n');
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(calendar).toContain('SUMMARY:Beratung\\; Müller\\, Schröder\r\n');
+    expect(calendar).toContain('DTSTART:20261103T090000Z\r\n');
+
+    const description = calendar.replace(/\r\n /g, '').match(/DESCRIPTION:(.*)\r\n/)[1];
+    expect(description).toBe(`Notes: ${'ä'.repeat(80)}\\nSecond line`);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for who may finish a payment: verify and capture take the checkout token the payment was
+ * started with, or the customer's own login, and answer without the payment's metadata
+ * Goes through the payment routes; payments run against a stand-in registered in place of PayPal
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import paymentRoutes from '../../src/routes/paymentRoutes.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import User from '../../src/models/User.js';
+
+// Orders are approved as soon as they are created and captured in full
+const provider = {
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent({ amount }) {
+    return { id: `order_${crypto.randomUUID()}`, clientSecret: `secret_${amount}`, redirectUrl: 'https://paypal.example/approve' };
+  },
+  async capturePaymentIntent(orderId) {
+    return { id: orderId, status: 'succeeded', captureId: `capture_${orderId}`, payerCountry: 'DE' };
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+describe('Finishing a payment', () => {
+  let consultation;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    await initializeDatabase();
+    consultation = await Consultation.create({ id: `checkout_${crypto.randomUUID()}`, title: 'Blue Card', price: 8950, currency: 'EUR' });
+    ProviderRegistry.register('paypal', () => provider);
+  });
+
+  const createOrder = (body = {}, token) => {
+    const req = request(app)
+      .post('/api/payments/paypal/orders')
+      .send({
+        currency: 'EUR',
+        consultation_id: consultation.id,
+        customer_email: `guest-${crypto.randomUUID()}@example.de`,
+        ...body
+      });
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const capture = (orderId, token) => {
+    const req = request(app).post(`/api/payments/paypal/orders/${orderId}/capture`);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  it('should only capture a guest\'s order with the checkout token it was created with', async () => {
+    const order = (await createOrder()).body.data;
+    const other = (await createOrder()).body.data;
+
+    expect((await capture(order.order_id)).status).toBe(401);
+    expect((await capture(order.order_id, other.checkout_token)).status).toBe(403);
+    expect((await Payment.findById(order.payment_id)).status).toBe('pending');
+
+    const captured = await capture(order.order_id, order.checkout_token);
+    expect(captured.status).toBe(200);
+    expect(captured.body.data).toMatchObject({ status: 'succeeded', payment: { id: order.payment_id, status: 'succeeded', amount: 8950 } });
+    expect(captured.body.data.payment).not.toHaveProperty('metadata');
+    expect(captured.body.data.payment).not.toHaveProperty('customer_email');
+  });
+
+  it('should book payments on the login and ignore a user ID in the body', async () => {
+    const customer = await User.findOrCreateByEmail({ email: `customer-${crypto.randomUUID()}@example.de`, name: 'Erika Mustermann' });
+    const victim = await User.findOrCreateByEmail({ email: `victim-${crypto.randomUUID()}@example.de`, name: 'Max Mustermann' });
+    const login = jwt.sign({ id: customer.id, email: customer.email, role: 'customer' }, process.env.JWT_SECRET);
+
+    const order = (await createOrder({ user_id: victim.id, customer_email: customer.email }, login)).body.data;
+    expect((await Payment.findById(order.payment_id)).user_id).toBe(customer.id);
+
+    const someoneElse = jwt.sign({ id: victim.id, email: victim.email, role: 'customer' }, process.env.JWT_SECRET);
+    expect((await capture(order.order_id, someoneElse)).status).toBe(403);
+    expect((await capture(order.order_id, login)).status).toBe(200);
+
+    // A checkout token is no login anywhere else
+    expect((await request(app).get(`/api/payments/status/${order.payment_id}`).set('Authorization', `Bearer ${order.checkout_token}`)).status)
+      .toBe(401);
+  });
+
+  it('should not verify another provider\'s payment', async () => {
+    const order = (await createOrder()).body.data;
+
+    const response = await request(app)
+      .get(`/api/payments/paystack/verify/${order.order_id}`)
+      .set('Authorization', `Bearer ${order.checkout_token}`);
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for discount coupons and their redemptions
+ * Payments run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Consultation from '../../src/models/Consultation.js';
+import CouponRedemption from '../../src/models/CouponRedemption.js';
+import PaymentEvent from '../../src/models/PaymentEvent.js';
+import PaymentController from '../../src/controllers/paymentController.js';
+import CouponService from '../../src/services/couponService.js';
+import ExchangeRateService from '../../src/services/exchangeRateService.js';
+import PaymentService from '../../src/services/paymentService.js';
+import SlotHoldService from '../../src/services/slotHoldService.js';
+
+const PROVIDER = 'stripe';
+const USER_ID = 'coupon-test-user';
+const OTHER_USER_ID = 'coupon-test-other-user';
+
+// Records the amounts it was asked to charge
+const provider = {
+  charged: [],
+  getSupportedCurrencies: () => ['eur', 'ngn'],
+  async createPaymentIntent(params) {
+    this.charged.push(params.amount);
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: 'secret' };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createConsultation = () => Consultation.create({
+  id: `coupon_${crypto.randomUUID()}`,
+  title: 'Visa Application Support',
+  price: 8950,
+  currency: 'EUR'
+});
+
+const createCoupon = (overrides = {}) => CouponService.create({
+  code: `TEST${crypto.randomUUID().slice(0, 8)}`,
+  discount_type: 'percent',
+  discount_value: 15,
+  ...overrides
+});
+
+const checkout = (consultation, coupon, overrides = {}) => PaymentService.createIntent(PROVIDER, {
+  currency: 'EUR',
+  user_id: USER_ID,
+  consultation_id: consultation.id,
+  customer_email: `client-${crypto.randomUUID()}@example.com`,
+  coupon_code: coupon.code.toLowerCase(),
+  ...overrides
+});
+
+describe('CouponService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'coupons@example.de', 'Coupon Test']);
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [OTHER_USER_ID, 'other@example.de', 'Other Test']);
+    ProviderRegistry.register(PROVIDER, () => provider);
+  });
+
+  beforeEach(async () => {
+    delete process.env.FX_RATES_URL;
+    await run('DELETE FROM exchange_rates');
+  });
+
+  it('should take a rounded percentage off the price', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon();
+
+    // 15% of 89.50 EUR is 13.425 EUR, rounded to 13.43
+    expect(await CouponService.quote(coupon.code, { consultation, currency: 'EUR' }))
+      .toMatchObject({ original_amount: 8950, discount_amount: 1343, amount: 7607, currency: 'EUR' });
+  });
+
+  it('should convert a fixed discount into the charged currency', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ discount_type: 'fixed', discount_value: 1000, currency: 'EUR' });
+    await ExchangeRateService.upload('EUR', { NGN: 1650 });
+
+    expect(await CouponService.quote(coupon.code, { consultation, currency: 'NGN' }))
+      .toMatchObject({ original_amount: 14767500, discount_amount: 1650000, amount: 13117500, currency: 'NGN' });
+  });
+
+  it('should refuse coupons that cannot be used for the booking', async () => {
+    const consultation = await createConsultation();
+    const expired = await createCoupon({ valid_until: '2020-01-01T00:00:00Z' });
+    const elsewhere = await createCoupon({ consultation_ids: ['another-consultation'] });
+    const inactive = await createCoupon({ active: false });
+    const everything = await createCoupon({ discount_value: 100 });
+
+    await expect(CouponService.quote('NO-SUCH-CODE', { consultation }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(CouponService.quote(expired.code, { consultation }))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${expired.code} has expired` });
+    await expect(CouponService.quote(elsewhere.code, { consultation }))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${elsewhere.code} does not apply to this consultation` });
+    await expect(CouponService.quote(inactive.code, { consultation }))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${inactive.code} is not active` });
+    await expect(CouponService.quote(everything.code, { consultation }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should charge the discounted price', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon();
+
+    await expect(checkout(consultation, coupon, { amount: 8950 })).rejects.toMatchObject({ statusCode: 400 });
+    const { payment } = await checkout(consultation, coupon, { amount: 7607 });
+
+    expect(provider.charged.at(-1)).toBe(7607);
+    expect(payment.amount).toBe(7607);
+    expect(JSON.parse(payment.metadata)).toMatchObject({ coupon_code: coupon.code, original_amount: 8950, discount_amount: 1343 });
+    expect(await CouponRedemption.findByPaymentId(payment.id)).toMatchObject({ coupon_id: coupon.id, status: 'reserved' });
+  });
+
+  it('should enforce the per-customer limit and give a use back when the payment fails', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ max_redemptions_per_user: 1 });
+    const customer = { user_id: OTHER_USER_ID, customer_email: `first-${crypto.randomUUID()}@example.com` };
+
+    const { payment } = await checkout(consultation, coupon, customer);
+
+    // The customer is recognised by user ID, or by email case-insensitively
+    await expect(checkout(consultation, coupon, { user_id: OTHER_USER_ID }))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${coupon.code} has already been used` });
+    await expect(checkout(consultation, coupon, { customer_email: customer.customer_email.toUpperCase() }))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${coupon.code} has already been used` });
+    await checkout(consultation, coupon);
+
+    await PaymentService.markFailed(payment, { id: payment.provider_payment_id });
+    expect((await CouponRedemption.findByPaymentId(payment.id)).status).toBe('released');
+
+    const retry = await checkout(consultation, coupon, customer);
+    await PaymentService.markSucceeded(retry.payment, { id: retry.payment.provider_payment_id });
+    expect((await CouponRedemption.findByPaymentId(retry.payment.id)).status).toBe('redeemed');
+  });
+
+  it('should give a use back when the customer cancels the payment', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ max_redemptions: 1 });
+    const { payment } = await checkout(consultation, coupon);
+
+    const cancelled = await new Promise((resolve, reject) => {
+      const res = { status: () => res, json: resolve };
+      PaymentController.cancelPayment({ params: { paymentId: payment.id }, user: { id: USER_ID, role: 'customer' } }, res, reject);
+    });
+    expect(cancelled.data.payment.status).toBe('cancelled');
+
+    expect((await CouponRedemption.findByPaymentId(payment.id)).status).toBe('released');
+    expect((await PaymentEvent.findByPaymentId(payment.id)).map(event => event.event_type)).toContain('payment.cancelled');
+    await checkout(consultation, coupon);
+  });
+
+  it('should stop at the total limit and keep used coupons', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ max_redemptions: 1 });
+
+    await checkout(consultation, coupon);
+
+    await expect(checkout(consultation, coupon))
+      .rejects.toMatchObject({ statusCode: 400, message: `Coupon ${coupon.code} has been fully redeemed` });
+    await expect(CouponService.remove(coupon)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should give the uses of abandoned checkouts back when their hold runs out', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ max_redemptions: 2 });
+    const abandoned = await checkout(consultation, coupon);
+    const processing = await checkout(consultation, coupon);
+    await PaymentService.markProcessing(processing.payment, { id: processing.payment.provider_payment_id });
+
+    await expect(checkout(consultation, coupon)).rejects.toMatchObject({ statusCode: 400 });
+
+    // Both were started an hour ago; only the one still waiting for the customer was abandoned
+    await run(
+      "UPDATE coupon_redemptions SET created_at = datetime('now', '-1 hour') WHERE payment_id IN (?, ?)",
+      [abandoned.payment.id, processing.payment.id]
+    );
+    await SlotHoldService.expireStaleHolds();
+
+    expect((await CouponRedemption.findByPaymentId(abandoned.payment.id)).status).toBe('released');
+    expect((await CouponRedemption.findByPaymentId(processing.payment.id)).status).toBe('reserved');
+    await checkout(consultation, coupon);
+  });
+
+  it('should reserve atomically when checkouts race for the last use', async () => {
+    const consultation = await createConsultation();
+    const coupon = await createCoupon({ max_redemptions: 1 });
+    const quote = await CouponService.quote(coupon.code, { consultation });
+    const customer = { consultation_id: consultation.id };
+
+    const results = await Promise.allSettled([
+      CouponService.reserve(quote, customer),
+      CouponService.reserve(quote, customer)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+});
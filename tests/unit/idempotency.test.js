@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for Idempotency-Key handling on payment-creating endpoints
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import idempotencyMiddleware, { hashRequest } from '../../src/middleware/idempotencyMiddleware.js';
+import { stableStringify } from '../../src/utils/json.js';
+
+const createRequest = (key, body, path = '/bank-transfer', user) => ({
+  method: 'POST',
+  baseUrl: '/api/payments',
+  path,
+  body,
+  user,
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createResponse = (onSend) => ({
+  statusCode: 200,
+  headers: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    onSend(this);
+    return this;
+  }
+});
+
+// Run the middleware; when it lets the request through, `handler` plays the controller
+const send = (req, handler) => new Promise((resolve) => {
+  const res = createResponse(resolve);
+  idempotencyMiddleware(req, res, (error) => {
+    if (error) {
+      resolve({ error });
+    } else {
+      handler(req, res);
+    }
+  });
+});
+
+describe('stableStringify', () => {
+  it('should not depend on key order', () => {
+    expect(stableStringify({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: 'x' } }))
+      .toBe(stableStringify({ a: { c: 'x', d: [1, { x: 1, y: 2 }] }, b: 1 }));
+  });
+
+  it('should leave out undefined values like JSON does', () => {
+    expect(stableStringify({ a: 1, b: undefined })).toBe('{"a":1}');
+  });
+});
+
+describe('hashRequest', () => {
+  it('should tell endpoints apart', () => {
+    const body = { amount: 8950 };
+    expect(hashRequest(createRequest('k', body, '/bank-transfer')))
+      .not.toBe(hashRequest(createRequest('k', body, '/paypal/orders')));
+  });
+});
+
+describe('idempotencyMiddleware', () => {
+  const body = { amount: 8950, currency: 'EUR', customer_email: 'kunde@example.de' };
+  let calls;
+
+  const createPayment = (req, res) => {
+    calls += 1;
+    res.status(201).json({ success: true, data: { payment_id: `pay_${calls}`, idempotency_key: req.idempotencyKey } });
+  };
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  it('should pass requests without a key straight through', async () => {
+    const res = await send(createRequest(undefined, body), createPayment);
+
+    expect(calls).toBe(1);
+    expect(res.body.data.idempotency_key).toBeUndefined();
+  });
+
+  it('should replay the stored response for a repeated request', async () => {
+    const key = crypto.randomUUID();
+
+    const first = await send(createRequest(key, body), createPayment);
+    const second = await send(createRequest(key, { ...body }), createPayment);
+
+    expect(calls).toBe(1);
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    const key = crypto.randomUUID();
+
+    await send(createRequest(key, body), createPayment);
+    const result = await send(createRequest(key, { ...body, amount: 100 }), createPayment);
+
+    expect(calls).toBe(1);
+    expect(result.error).toMatchObject({ statusCode: 422 });
+  });
+
+  it('should answer 409 while the first request is still running', async () => {
+    const key = crypto.randomUUID();
+    let finishFirst;
+
+    const first = send(createRequest(key, body), (req, res) => {
+      finishFirst = () => createPayment(req, res);
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const concurrent = await send(createRequest(key, body), createPayment);
+    expect(concurrent.error).toMatchObject({ statusCode: 409 });
+
+    finishFirst();
+    expect((await first).statusCode).toBe(201);
+    expect(calls).toBe(1);
+  });
+
+  it('should free the key when the request fails', async () => {
+    const key = crypto.randomUUID();
+
+    const failed = await send(createRequest(key, body), (req, res) => {
+      res.status(409).json({ success: false, error: 'The selected time slot is no longer available' });
+    });
+    const retried = await send(createRequest(key, body), createPayment);
+
+    expect(failed.statusCode).toBe(409);
+    expect(retried.statusCode).toBe(201);
+    expect(retried.headers['Idempotent-Replayed']).toBeUndefined();
+    expect(calls).toBe(1);
+  });
+
+  it('should keep each caller\'s keys to themselves', async () => {
+    const key = crypto.randomUUID();
+    const customer = { id: crypto.randomUUID() };
+
+    const first = await send(createRequest(key, body, '/bank-transfer', customer), createPayment);
+    const otherCustomer = await send(createRequest(key, body, '/bank-transfer', { id: crypto.randomUUID() }), createPayment);
+    const guest = await send(createRequest(key, body), createPayment);
+    const otherGuest = await send(createRequest(key, { ...body, customer_email: 'jemand@example.de' }), createPayment);
+
+    expect(calls).toBe(4);
+    [otherCustomer, guest, otherGuest].forEach((res) => {
+      expect(res.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(res.body.data.payment_id).not.toBe(first.body.data.payment_id);
+    });
+
+    // A guest's email is matched however it is typed
+    const replayed = await send(createRequest(key, { ...body, customer_email: 'jemand@example.de' }), createPayment);
+    expect(replayed.headers['Idempotent-Replayed']).toBe('true');
+    expect(hashRequest(createRequest(key, body, '/bank-transfer', customer))).not.toBe(hashRequest(createRequest(key, body)));
+  });
+
+  it('should answer 409 when two repeats race for a key that has run out', async () => {
+    const key = crypto.randomUUID();
+    const req = createRequest(key, body);
+
+    await send(req, createPayment);
+    await run('UPDATE idempotency_keys SET expires_at = ? WHERE request_hash = ?', [new Date(Date.now() - 1000).toISOString(), hashRequest(req)]);
+
+    const results = await Promise.all([send(createRequest(key, body), createPayment), send(createRequest(key, body), createPayment)]);
+
+    expect(results.map(result => result.statusCode ?? result.error.statusCode).sort()).toEqual([201, 409]);
+    expect(calls).toBe(2);
+  });
+
+  it('should reject malformed keys', async () => {
+    const result = await send(createRequest('has spaces in it', body), createPayment);
+
+    expect(result.error).toMatchObject({ statusCode: 400 });
+    expect(calls).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for invoices and credit notes
+ * Refunds run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Payment from '../../src/models/Payment.js';
+import Invoice from '../../src/models/Invoice.js';
+import PaymentService from '../../src/services/paymentService.js';
+import RefundService from '../../src/services/refundService.js';
+import InvoiceService from '../../src/services/invoiceService.js';
+
+const USER_ID = 'invoice-test-user';
+const CONSULTATION_ID = 'invoice-test-consultation';
+
+const provider = {
+  createRefund: async (providerPaymentId, { amount }) => ({
+    id: `re_${crypto.randomUUID()}`,
+    amount,
+    status: 'succeeded'
+  })
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createPayment = (overrides = {}) => Payment.create({
+  user_id: USER_ID,
+  consultation_id: CONSULTATION_ID,
+  provider: 'stripe',
+  provider_payment_id: `pi_${crypto.randomUUID()}`,
+  amount: 8950,
+  currency: 'EUR',
+  status: 'succeeded',
+  customer_name: 'Erika Mustermann',
+  customer_email: 'erika@example.de',
+  customer_country: 'DE',
+  net_amount: 7521,
+  tax_amount: 1429,
+  tax_rate: 19,
+  tax_treatment: 'standard',
+  ...overrides
+});
+
+const sequenceOf = (invoice) => Number(invoice.number.split('-').at(-1));
+
+describe('InvoiceService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'invoices@example.de', 'Invoice Test']);
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, price, currency) VALUES (?, ?, ?, ?)',
+      [CONSULTATION_ID, 'Visa consultation', 8950, 'EUR']
+    );
+    ProviderRegistry.register('stripe', () => provider);
+  });
+
+  it('should invoice a payment when it succeeds, numbered after the previous invoice', async () => {
+    const first = await InvoiceService.issueForPayment(await createPayment());
+
+    const payment = await createPayment({ status: 'pending' });
+    await PaymentService.markSucceeded(payment, {
+      id: payment.provider_payment_id,
+      amount: 8950,
+      currency: 'eur',
+      paymentMethodType: 'card'
+    });
+
+    const invoice = await Invoice.findInvoiceForPayment(payment.id);
+    expect(invoice.number).toMatch(new RegExp(`^INV-${new Date().getUTCFullYear()}-\\d{5}$`));
+    expect(sequenceOf(invoice)).toBe(sequenceOf(first) + 1);
+    expect(invoice).toMatchObject({
+      description: 'Visa consultation',
+      net_amount: 7521,
+      tax_amount: 1429,
+      amount: 8950,
+      customer_name: 'Erika Mustermann',
+      payment_method: 'Stripe, card',
+      payment_reference: payment.provider_payment_id
+    });
+  });
+
+  it('should issue one invoice per payment however often it is asked for', async () => {
+    const payment = await createPayment();
+
+    const invoices = await Promise.all([
+      InvoiceService.issueForPayment(payment),
+      InvoiceService.issueForPayment(payment),
+      InvoiceService.issueForPayment(payment)
+    ]);
+
+    expect(new Set(invoices.map(invoice => invoice.number)).size).toBe(1);
+  });
+
+  it('should not invoice payments that have not succeeded', async () => {
+    const payment = await createPayment({ status: 'pending' });
+
+    await expect(InvoiceService.issueForPayment(payment)).rejects.toMatchObject({ statusCode: 409 });
+    expect(await Invoice.findInvoiceForPayment(payment.id)).toBeNull();
+  });
+
+  it('should credit each refund with its share of the VAT', async () => {
+    const payment = await createPayment();
+    const invoice = await InvoiceService.issueForPayment(payment);
+
+    await RefundService.refund(payment, { amount: 3000 });
+    await RefundService.refund(payment);
+
+    const creditNotes = await Invoice.findCreditNotes(invoice.id);
+    expect(creditNotes.map(note => [note.amount, note.tax_amount, note.net_amount])).toEqual([
+      [3000, 479, 2521],
+      [5950, 950, 5000]
+    ]);
+    expect(creditNotes[0].number).toMatch(/^CN-\d{4}-\d{5}$/);
+    expect(sequenceOf(creditNotes[1])).toBe(sequenceOf(creditNotes[0]) + 1);
+
+    // Asking again issues nothing new
+    expect(await InvoiceService.issueCreditNotes(payment)).toEqual([]);
+  });
+
+  it('should render the invoice as a PDF', async () => {
+    const payment = await createPayment({
+      amount: 7521,
+      customer_country: 'AT',
+      customer_vat_id: 'ATU12345678',
+      net_amount: 7521,
+      tax_amount: 0,
+      tax_rate: 0,
+      tax_treatment: 'reverse_charge'
+    });
+    const invoice = await InvoiceService.issueForPayment(payment);
+
+    const pdf = InvoiceService.renderPdf(invoice).toString('ascii');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain(`(No. ${invoice.number})`);
+    expect(pdf).toContain('Reverse charge');
+
+    // The cross-reference table points at each object
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => expect(pdf.startsWith(`${index + 1} 0 obj`, offset)).toBe(true));
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for WhatsApp and SMS reminders
+ * Messages go to an in-memory transport registered in place of the configured one
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import TwilioTransport from '../../src/notifications/twilio-transport.js';
+import Appointment from '../../src/models/Appointment.js';
+import Notification from '../../src/models/Notification.js';
+import NotificationService from '../../src/services/notificationService.js';
+import MessagingService from '../../src/services/messagingService.js';
+import { toInstant } from '../../src/utils/datetime.js';
+
+const CONSULTATION_ID = 'messaging-test-consultation';
+const HOUR_MS = 60 * 60 * 1000;
+
+const transport = {
+  sent: [],
+  async send(message) {
+    transport.sent.push(message);
+    return { messageId: `SM${crypto.randomUUID().replace(/-/g, '')}` };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// A slot far enough ahead that no other run has booked it
+const futureSlot = () => {
+  const days = 400 + crypto.randomInt(20000);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  return {
+    date: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    time: `${pad(8 + crypto.randomInt(10))}:${pad(crypto.randomInt(60))}`
+  };
+};
+
+// A customer with their own number, so opt-outs in one test do not leak into another
+const bookAppointment = async ({ bookedHoursBefore } = {}) => {
+  const userId = crypto.randomUUID();
+  const phone = `+49176${crypto.randomInt(10000000, 99999999)}`;
+  await run('INSERT INTO users (id, email, name, phone) VALUES (?, ?, ?, ?)', [userId, `${userId}@example.de`, 'Erika', phone]);
+
+  const { date, time } = futureSlot();
+  const appointment = await Appointment.create({
+    user_id: userId,
+    consultation_id: CONSULTATION_ID,
+    date,
+    time,
+    status: 'confirmed'
+  });
+  const startsAt = toInstant(date, time);
+
+  if (bookedHoursBefore) {
+    const bookedAt = new Date(startsAt - bookedHoursBefore * HOUR_MS).toISOString().replace('T', ' ').slice(0, 19);
+    await run('UPDATE appointments SET created_at = ? WHERE id = ?', [bookedAt, appointment.id]);
+  }
+
+  return { appointment, phone, startsAt, time };
+};
+
+const whatsappReminders = async (appointment, now) => {
+  const reminders = await NotificationService.queueReminders(now);
+  return reminders.filter(reminder => reminder.appointment_id === appointment.id && reminder.channel === 'whatsapp');
+};
+
+describe('Messaging reminders', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, price, currency) VALUES (?, ?, ?, ?)',
+      [CONSULTATION_ID, 'Visa consultation', 8950, 'EUR']
+    );
+
+    TransportRegistry.register('whatsapp', () => transport);
+    process.env.MESSAGE_REMINDER_HOURS_BEFORE = '24,1';
+  });
+
+  afterAll(() => {
+    delete process.env.MESSAGE_REMINDER_HOURS_BEFORE;
+  });
+
+  beforeEach(() => {
+    transport.sent = [];
+  });
+
+  it('should send a WhatsApp reminder a day and an hour before the appointment', async () => {
+    const { appointment, phone, startsAt, time } = await bookAppointment({ bookedHoursBefore: 72 });
+
+    expect(await whatsappReminders(appointment, new Date(startsAt - 30 * HOUR_MS))).toEqual([]);
+
+    const [dayBefore] = await whatsappReminders(appointment, new Date(startsAt - 23.5 * HOUR_MS));
+    expect(dayBefore).toMatchObject({ recipient: phone, subject: null });
+    expect(dayBefore.body).toMatch(/^Reminder.*: your Visa consultation is on .* \(in 24 hours\)\. Reply STOP/);
+    expect(dayBefore.body).toContain(`at ${time} `);
+
+    // The next sweep finds the same reminder
+    const [again] = await whatsappReminders(appointment, new Date(startsAt - 23 * HOUR_MS));
+    expect(again.id).toBe(dayBefore.id);
+
+    const [hourBefore] = await whatsappReminders(appointment, new Date(startsAt - 0.75 * HOUR_MS));
+    expect(hourBefore.id).not.toBe(dayBefore.id);
+    expect(hourBefore.body).toContain('(in 45 minutes)');
+
+    expect(await NotificationService.deliver(hourBefore)).toBe(true);
+    expect(transport.sent).toEqual([expect.objectContaining({ to: phone, text: hourBefore.body })]);
+  });
+
+  it('should only send the latest reminder due and none from before the booking', async () => {
+    const late = await bookAppointment({ bookedHoursBefore: 72 });
+    const reminders = await whatsappReminders(late.appointment, new Date(late.startsAt - 0.5 * HOUR_MS));
+    expect(reminders.map(reminder => reminder.dedupe_key)).toEqual([`appointment_reminder:whatsapp:1h:${late.appointment.id}`]);
+
+    const recent = await bookAppointment({ bookedHoursBefore: 5 });
+    expect(await whatsappReminders(recent.appointment, new Date(recent.startsAt - 4 * HOUR_MS))).toEqual([]);
+    expect(await whatsappReminders(recent.appointment, new Date(recent.startsAt - 0.5 * HOUR_MS))).toHaveLength(1);
+  });
+
+  it('should stop messaging customers who reply STOP until they reply START', async () => {
+    const { appointment, phone, startsAt } = await bookAppointment({ bookedHoursBefore: 72 });
+    const [queued] = await whatsappReminders(appointment, new Date(startsAt - 23 * HOUR_MS));
+
+    expect(await MessagingService.handleInboundMessage('whatsapp', phone, ' stop ')).toBe('opted_out');
+
+    // Already queued: not sent
+    expect(await NotificationService.deliver(queued)).toBe(false);
+    expect(await Notification.findById(queued.id)).toMatchObject({ status: 'failed', last_error: 'Recipient opted out' });
+    expect(transport.sent).toEqual([]);
+
+    // Not queued any more
+    expect(await whatsappReminders(appointment, new Date(startsAt - 0.5 * HOUR_MS))).toEqual([]);
+    // Other channels are not affected
+    expect(await MessagingService.isOptedOut(phone, 'sms')).toBe(false);
+
+    expect(await MessagingService.handleInboundMessage('whatsapp', phone, 'START')).toBe('opted_in');
+    expect(await whatsappReminders(appointment, new Date(startsAt - 0.5 * HOUR_MS))).toHaveLength(1);
+  });
+
+  it('should record Twilio delivery reports on the message', async () => {
+    const { appointment, startsAt } = await bookAppointment({ bookedHoursBefore: 72 });
+    const [reminder] = await whatsappReminders(appointment, new Date(startsAt - 23 * HOUR_MS));
+    await NotificationService.deliver(reminder);
+
+    const url = 'https://bookings.example.de/webhooks/messaging/twilio';
+    const params = {
+      MessageSid: reminder.provider_message_id,
+      MessageStatus: 'undelivered',
+      ErrorCode: '63016',
+      From: 'whatsapp:+4930123456',
+      To: `whatsapp:${reminder.recipient}`
+    };
+    const signed = Object.keys(params).sort().reduce((data, key) => data + key + params[key], url);
+    const signature = crypto.createHmac('sha1', 'twilio-test-token').update(signed).digest('base64');
+
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-test-token';
+    try {
+      expect(TwilioTransport.verifyWebhookSignature('twilio-test-token', url, params, signature)).toBe(true);
+      await expect(MessagingService.handleTwilioWebhook(url, { ...params, MessageStatus: 'read' }, signature))
+        .rejects.toMatchObject({ statusCode: 401 });
+
+      await MessagingService.handleTwilioWebhook(url, params, signature);
+    } finally {
+      delete process.env.TWILIO_AUTH_TOKEN;
+    }
+
+    expect(await Notification.findById(reminder.id)).toMatchObject({
+      status: 'sent',
+      delivery_status: 'undelivered',
+      last_error: 'Twilio error 63016'
+    });
+  });
+});
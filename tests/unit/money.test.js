@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for minor-unit conversion, formatting and the Money value object
+ */
+
+import {
+  Money,
+  getCurrencyExponent,
+  roundHalfAwayFromZero,
+  toMinorUnits,
+  toMajorUnits,
+  toDecimalString,
+  formatMoney,
+  isValidMinorAmount
+} from '../../src/utils/money.js';
+
+describe('getCurrencyExponent', () => {
+  it('should follow ISO 4217', () => {
+    expect(getCurrencyExponent('EUR')).toBe(2);
+    expect(getCurrencyExponent('ngn')).toBe(2);
+    expect(getCurrencyExponent('JPY')).toBe(0);
+    expect(getCurrencyExponent('ugx')).toBe(0);
+    expect(getCurrencyExponent('KWD')).toBe(3);
+  });
+});
+
+describe('roundHalfAwayFromZero', () => {
+  it('should round halves away from zero', () => {
+    expect(roundHalfAwayFromZero(2.5)).toBe(3);
+    expect(roundHalfAwayFromZero(-2.5)).toBe(-3);
+    expect(roundHalfAwayFromZero(2.4999)).toBe(2);
+  });
+
+  it('should not be thrown off by floating point noise', () => {
+    expect(roundHalfAwayFromZero(1.005 * 100)).toBe(101);
+    expect(roundHalfAwayFromZero(-0.4)).toBe(0);
+    expect(Object.is(roundHalfAwayFromZero(-0.4), -0)).toBe(false);
+  });
+});
+
+describe('minor unit conversion', () => {
+  it('should convert with the currency exponent', () => {
+    expect(toMinorUnits(89.5, 'EUR')).toBe(8950);
+    expect(toMinorUnits('89.50', 'EUR')).toBe(8950);
+    expect(toMinorUnits(5000, 'JPY')).toBe(5000);
+    expect(toMinorUnits('12.345', 'KWD')).toBe(12345);
+    expect(toMinorUnits(19.99, 'USD')).toBe(1999);
+  });
+
+  it('should convert back to major units', () => {
+    expect(toMajorUnits(8950, 'EUR')).toBe(89.5);
+    expect(toMajorUnits(5000, 'JPY')).toBe(5000);
+  });
+
+  it('should print exact decimal strings', () => {
+    expect(toDecimalString(8950, 'EUR')).toBe('89.50');
+    expect(toDecimalString(5, 'EUR')).toBe('0.05');
+    expect(toDecimalString(-1999, 'EUR')).toBe('-19.99');
+    expect(toDecimalString(5000, 'JPY')).toBe('5000');
+    expect(toDecimalString(12345, 'KWD')).toBe('12.345');
+  });
+
+  it('should round to fewer decimals when asked', () => {
+    expect(toDecimalString(150050, 'HUF', 0)).toBe('1501');
+    expect(toDecimalString(150049, 'HUF', 0)).toBe('1500');
+  });
+
+  it('should format for display', () => {
+    expect(formatMoney(8950, 'EUR')).toBe('€89.50');
+    expect(formatMoney(5000, 'JPY')).toBe('¥5,000');
+  });
+
+  it('should only accept positive whole amounts', () => {
+    expect(isValidMinorAmount(8950)).toBe(true);
+    expect(isValidMinorAmount(89.5)).toBe(false);
+    expect(isValidMinorAmount(0)).toBe(false);
+    expect(isValidMinorAmount('8950')).toBe(false);
+  });
+});
+
+describe('Money', () => {
+  it('should be created from major units', () => {
+    const price = Money.fromMajor(89.5, 'eur');
+
+    expect(price.toJSON()).toEqual({ amount: 8950, currency: 'EUR' });
+    expect(price.toDecimalString()).toBe('89.50');
+    expect(price.format()).toBe('€89.50');
+  });
+
+  it('should do arithmetic within one currency', () => {
+    const price = new Money(8950, 'EUR');
+
+    expect(price.add(new Money(1050, 'EUR')).amount).toBe(10000);
+    expect(price.subtract(new Money(950, 'EUR')).amount).toBe(8000);
+    expect(price.multiply(0.19).amount).toBe(1701);
+    expect(price.equals(new Money(8950, 'EUR'))).toBe(true);
+    expect(() => price.add(new Money(8950, 'USD'))).toThrow('Cannot combine EUR with USD');
+  });
+
+  it('should reject fractional minor units', () => {
+    expect(() => new Money(89.5, 'EUR')).toThrow(TypeError);
+    expect(() => new Money(100, 'EURO')).toThrow(TypeError);
+  });
+});
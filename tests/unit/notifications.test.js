@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for the email outbox
+ * Emails go to an in-memory transport registered in place of the configured one
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import Payment from '../../src/models/Payment.js';
+import Appointment from '../../src/models/Appointment.js';
+import Notification from '../../src/models/Notification.js';
+import PaymentService from '../../src/services/paymentService.js';
+import RefundService from '../../src/services/refundService.js';
+import NotificationService from '../../src/services/notificationService.js';
+import { toInstant } from '../../src/utils/datetime.js';
+
+const USER_ID = 'notification-test-user';
+const CONSULTATION_ID = 'notification-test-consultation';
+
+// Sends succeed unless `failing` is set
+const transport = {
+  sent: [],
+  failing: false,
+  async send(message) {
+    if (transport.failing) {
+      throw new Error('Connection refused');
+    }
+    transport.sent.push(message);
+    return { messageId: `<${crypto.randomUUID()}@test>` };
+  }
+};
+
+const provider = {
+  createRefund: async (providerPaymentId, { amount }) => ({
+    id: `re_${crypto.randomUUID()}`,
+    amount,
+    status: 'succeeded'
+  })
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createPayment = (overrides = {}) => Payment.create({
+  user_id: USER_ID,
+  consultation_id: CONSULTATION_ID,
+  provider: 'stripe',
+  provider_payment_id: `pi_${crypto.randomUUID()}`,
+  amount: 8950,
+  currency: 'EUR',
+  status: 'pending',
+  customer_name: 'Erika Mustermann',
+  customer_email: 'erika@example.de',
+  ...overrides
+});
+
+const succeed = (payment) => PaymentService.markSucceeded(payment, {
+  id: payment.provider_payment_id,
+  amount: payment.amount,
+  currency: 'eur',
+  paymentMethodType: 'card'
+});
+
+// A day far enough ahead that no other run has booked its slots
+const futureDate = () => {
+  const days = 400 + crypto.randomInt(20000);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+};
+
+describe('NotificationService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'notify@example.de', 'Notify Test']);
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, price, currency) VALUES (?, ?, ?, ?)',
+      [CONSULTATION_ID, 'Visa consultation', 8950, 'EUR']
+    );
+
+    ProviderRegistry.register('stripe', () => provider);
+    TransportRegistry.register('email', () => transport);
+    process.env.CONSULTANT_EMAIL = 'consultant@example.de';
+    process.env.EMAIL_MAX_ATTEMPTS = '2';
+  });
+
+  afterAll(() => {
+    delete process.env.CONSULTANT_EMAIL;
+    delete process.env.EMAIL_MAX_ATTEMPTS;
+  });
+
+  beforeEach(() => {
+    transport.sent = [];
+    transport.failing = false;
+  });
+
+  it('should queue the booking confirmation and send it with the invoice attached', async () => {
+    const payment = await createPayment();
+    await succeed(payment);
+    // A redelivered outcome queues nothing new
+    await NotificationService.notifyBookingConfirmed(payment);
+
+    const queued = await Notification.findByPaymentId(payment.id);
+    expect(queued.map(notification => [notification.template, notification.recipient])).toEqual([
+      ['booking_confirmed', 'erika@example.de'],
+      ['booking_received', 'consultant@example.de']
+    ]);
+    expect(queued.every(notification => notification.status === 'pending')).toBe(true);
+
+    expect(await NotificationService.deliver(queued[0])).toBe(true);
+    const [email] = transport.sent;
+    expect(email).toMatchObject({ to: 'erika@example.de', subject: 'Booking confirmed: Visa consultation' });
+    expect(email.text).toContain('thank you for your payment of €89.50');
+    expect(email.attachments).toHaveLength(1);
+    expect(email.attachments[0].filename).toMatch(/^INV-\d{4}-\d{5}\.pdf$/);
+    expect(email.attachments[0].content.toString('ascii', 0, 8)).toBe('%PDF-1.4');
+
+    expect(await Notification.findById(queued[0].id)).toMatchObject({ status: 'sent', attempts: 1 });
+    // Sent messages are not sent again
+    expect(await NotificationService.deliver(queued[0])).toBe(false);
+  });
+
+  it('should retry failed sends and give up after the last attempt', async () => {
+    const payment = await createPayment();
+    await PaymentService.markFailed(payment, { id: payment.provider_payment_id, lastError: { message: 'Card declined' } });
+
+    const [notice] = await Notification.findByPaymentId(payment.id);
+    expect(notice.body).toContain('did not go through: Card declined');
+
+    transport.failing = true;
+    expect(await NotificationService.deliver(notice)).toBe(false);
+    expect(notice).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Connection refused' });
+    expect(new Date(notice.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await NotificationService.deliver(notice)).toBe(false);
+
+    await notice.update({ next_attempt_at: new Date().toISOString() });
+    expect(await NotificationService.deliver(notice)).toBe(false);
+    expect(await Notification.findById(notice.id)).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+
+  it('should tell the customer about each refund once, with its credit note', async () => {
+    const payment = await createPayment();
+    await succeed(payment);
+
+    await RefundService.refund(payment, { amount: 3000 });
+    await RefundService.refund(payment);
+
+    const notices = (await Notification.findByPaymentId(payment.id))
+      .filter(notification => notification.template === 'refund_issued');
+    expect(notices.map(notice => notice.subject)).toEqual([
+      'Refund of €30.00 for Visa consultation',
+      'Refund of €59.50 for Visa consultation'
+    ]);
+    expect(notices.every(notice => notice.attachments.length === 1)).toBe(true);
+    expect(notices[0].body).toMatch(/Credit note CN-\d{4}-\d{5} is attached/);
+  });
+
+  it('should remind customers of appointments within the reminder window', async () => {
+    const date = futureDate();
+    const appointment = await Appointment.create({
+      user_id: USER_ID,
+      consultation_id: CONSULTATION_ID,
+      date,
+      time: '10:00',
+      status: 'confirmed'
+    });
+    const startsAt = toInstant(date, '10:00');
+
+    expect(await NotificationService.queueReminders(new Date(startsAt - 30 * 60 * 60 * 1000))).toEqual([]);
+
+    const reminders = await NotificationService.queueReminders(new Date(startsAt - 2 * 60 * 60 * 1000));
+    const reminder = reminders.find(notification => notification.appointment_id === appointment.id);
+    expect(reminder).toMatchObject({ template: 'appointment_reminder', recipient: 'notify@example.de' });
+    expect(reminder.body).toContain('at 10:00');
+
+    const again = await NotificationService.queueReminders(new Date(startsAt - 60 * 60 * 1000));
+    expect(again.find(notification => notification.appointment_id === appointment.id).id).toBe(reminder.id);
+  });
+
+  it('should read appointment times in the business time zone', () => {
+    expect(toInstant('2026-07-01', '10:00').toISOString()).toBe('2026-07-01T08:00:00.000Z');
+    expect(toInstant('2026-12-01', '10:00').toISOString()).toBe('2026-12-01T09:00:00.000Z');
+    // The night clocks go forward
+    expect(toInstant('2026-03-29', '04:00').toISOString()).toBe('2026-03-29T02:00:00.000Z');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for who may see, cancel and refund payments, and what each staff role may do
+ */
+
+import PaymentPolicy, { accessDenied } from '../../src/policies/paymentPolicy.js';
+import { PERMISSIONS, hasPermission, permissionsFor } from '../../src/policies/roles.js';
+import requirePermission from '../../src/middleware/permissionMiddleware.js';
+
+const customer = { id: 'user-1', email: 'erika@example.de', role: 'customer' };
+const otherCustomer = { id: 'user-2', email: 'max@example.de', role: 'customer' };
+const owner = { id: 'owner-1', email: 'owner@example.de', role: 'owner' };
+const accountant = { id: 'accountant-1', email: 'accounts@example.de', role: 'accountant' };
+const consultant = { id: 'consultant-1', email: 'consultant@example.de', role: 'consultant' };
+
+const payment = { id: 'payment-1', user_id: 'user-1' };
+
+// What the middleware passes on: nothing, or the error
+const runMiddleware = (middleware, user) => new Promise((resolve) => {
+  middleware({ user, originalUrl: '/api/payments/refund/payment-1' }, {}, resolve);
+});
+
+describe('PaymentPolicy', () => {
+  it('should let customers see and cancel only their own payments', () => {
+    expect(PaymentPolicy.view(customer, payment)).toBe(true);
+    expect(PaymentPolicy.cancel(customer, payment)).toBe(true);
+    expect(PaymentPolicy.listForUser(customer, 'user-1')).toBe(true);
+
+    expect(PaymentPolicy.view(otherCustomer, payment)).toBe(false);
+    expect(PaymentPolicy.cancel(otherCustomer, payment)).toBe(false);
+    expect(PaymentPolicy.listForUser(otherCustomer, 'user-1')).toBe(false);
+
+    // Payments without an owner are nobody's
+    expect(PaymentPolicy.view({ id: undefined, role: 'customer' }, { id: 'payment-2', user_id: null })).toBe(false);
+
+    // Staff by permission: the accountant handles payments, the consultant does not
+    expect(PaymentPolicy.view(accountant, payment)).toBe(true);
+    expect(PaymentPolicy.listForUser(accountant, 'user-1')).toBe(true);
+    expect(PaymentPolicy.view(consultant, payment)).toBe(false);
+  });
+
+  it('should keep refunds to staff with the refund permission', async () => {
+    expect(PaymentPolicy.refund(customer)).toBe(false);
+    expect(PaymentPolicy.refund(consultant)).toBe(false);
+    expect(PaymentPolicy.refund(accountant)).toBe(true);
+
+    const refundOnly = requirePermission(PERMISSIONS.REFUND);
+    expect(await runMiddleware(refundOnly, owner)).toBeUndefined();
+    expect(await runMiddleware(refundOnly, consultant)).toMatchObject({ statusCode: 403 });
+    expect(await runMiddleware(refundOnly, customer)).toMatchObject({ statusCode: 403 });
+    expect(await runMiddleware(refundOnly, undefined)).toMatchObject({ statusCode: 401 });
+
+    expect(accessDenied({ user: customer, originalUrl: '/' }, 'refund', 'payment:payment-1')).toMatchObject({ statusCode: 403, message: 'Access denied' });
+  });
+
+  it('should give each role its own permissions', () => {
+    expect(permissionsFor('owner')).toEqual(Object.values(PERMISSIONS));
+    expect(permissionsFor('customer')).toEqual([]);
+    expect(permissionsFor('unknown')).toEqual([]);
+
+    // Tokens signed for the old single admin role act as the owner
+    expect(hasPermission({ role: 'admin' }, PERMISSIONS.MANAGE_STAFF)).toBe(true);
+
+    expect(hasPermission(consultant, PERMISSIONS.VIEW_PII)).toBe(true);
+    expect(hasPermission(consultant, PERMISSIONS.EDIT_PRICES)).toBe(false);
+    expect(hasPermission(accountant, PERMISSIONS.EDIT_PRICES)).toBe(true);
+    expect(hasPermission(accountant, PERMISSIONS.VIEW_PII)).toBe(false);
+    expect(hasPermission({ role: 'support' }, PERMISSIONS.RETRY_WEBHOOKS)).toBe(true);
+    expect(hasPermission({ role: 'support' }, PERMISSIONS.MANAGE_STAFF)).toBe(false);
+  });
+});
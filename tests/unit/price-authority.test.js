@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for server-side payment amounts
+ * Payments run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Appointment from '../../src/models/Appointment.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import PaymentEvent from '../../src/models/PaymentEvent.js';
+import PaymentService from '../../src/services/paymentService.js';
+import StripeService from '../../src/services/stripeService.js';
+import ExchangeRateService from '../../src/services/exchangeRateService.js';
+
+const USER_ID = 'price-test-user';
+
+// Records the amounts it was asked to charge
+const provider = {
+  charged: [],
+  getSupportedCurrencies: () => ['eur', 'ngn'],
+  async createPaymentIntent(params) {
+    this.charged.push(params.amount);
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: 'secret' };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const createConsultation = () => Consultation.create({
+  id: `price_${crypto.randomUUID()}`,
+  title: 'Family Reunion Visa',
+  price: 5000,
+  currency: 'EUR'
+});
+
+const createIntent = (consultation, overrides = {}) => PaymentService.createIntent('stripe', {
+  currency: 'EUR',
+  user_id: USER_ID,
+  consultation_id: consultation.id,
+  customer_email: 'kunde@example.de',
+  ...overrides
+});
+
+describe('PaymentService price authority', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'prices@example.de', 'Price Test']);
+    ProviderRegistry.register('stripe', () => provider);
+  });
+
+  it('should charge the consultation price when no amount is sent', async () => {
+    const consultation = await createConsultation();
+
+    const { payment } = await createIntent(consultation);
+
+    expect(provider.charged.at(-1)).toBe(5000);
+    expect(payment.amount).toBe(5000);
+  });
+
+  it('should charge the price in the payment currency', async () => {
+    const consultation = await createConsultation();
+    await ExchangeRateService.upload('EUR', { NGN: 1650 });
+
+    const { payment } = await createIntent(consultation, { currency: 'NGN', amount: 8250000 });
+
+    expect(payment).toMatchObject({ amount: 8250000, currency: 'NGN' });
+  });
+
+  it('should refuse a tampered amount and audit it', async () => {
+    const consultation = await createConsultation();
+    const charged = provider.charged.length;
+
+    await expect(createIntent(consultation, { amount: 50 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Amount 50 does not match the price of 5000 EUR' });
+    expect(provider.charged.length).toBe(charged);
+
+    const events = await all(
+      "SELECT * FROM payment_events WHERE event_type = 'payment.amount_mismatch' AND json_extract(event_data, '$.consultation_id') = ?",
+      [consultation.id]
+    );
+    expect(events).toHaveLength(1);
+    expect(events[0].payment_id).toBeNull();
+    expect(JSON.parse(events[0].event_data)).toMatchObject({ provider: 'stripe', client_amount: 50, expected_amount: 5000 });
+  });
+
+  it('should only take payments for the customer\'s own pending appointment of the consultation priced', async () => {
+    const expensive = await Consultation.create({ id: `price_${crypto.randomUUID()}`, title: 'Settlement Permit', price: 50000, currency: 'EUR' });
+    const cheap = await Consultation.create({ id: `price_${crypto.randomUUID()}`, title: 'Callback', price: 100, currency: 'EUR' });
+    const date = new Date(Date.now() + (400 + crypto.randomInt(20000)) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const appointment = await Appointment.create({ user_id: USER_ID, consultation_id: expensive.id, date, time: '09:00' });
+    const charged = provider.charged.length;
+
+    await expect(createIntent(cheap, { appointment_id: appointment.id }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Appointment is for a different consultation' });
+    await expect(createIntent(expensive, { appointment_id: appointment.id, user_id: undefined, customer_email: `someone-${crypto.randomUUID()}@example.de` }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(provider.charged.length).toBe(charged);
+
+    const { payment } = await createIntent(expensive, { appointment_id: appointment.id });
+    expect(payment.amount).toBe(50000);
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: payment.amount, currency: 'EUR' });
+    expect((await Appointment.findById(appointment.id)).status).toBe('confirmed');
+
+    await expect(createIntent(expensive, { appointment_id: appointment.id }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should charge Checkout sessions the server\'s price and only take a success paid in full', async () => {
+    const consultation = await createConsultation();
+
+    // Every Stripe client shares its resources' methods, so this stands in for the service's sessions.create
+    const sessions = Object.getPrototypeOf(new Stripe('sk_test_price_authority').checkout.sessions);
+    const create = sessions.create;
+    let params;
+    sessions.create = async (sessionParams) => {
+      params = sessionParams;
+      return { id: `cs_${crypto.randomUUID()}`, url: 'https://checkout.stripe.com/pay' };
+    };
+
+    let result;
+    try {
+      result = await StripeService.createCheckoutSession({
+        currency: 'EUR',
+        user_id: USER_ID,
+        consultation_id: consultation.id,
+        customer_email: 'kunde@example.de',
+        price_id: 'price_one_euro'
+      });
+    } finally {
+      sessions.create = create;
+    }
+
+    expect(params.line_items).toEqual([{
+      price_data: { currency: 'eur', unit_amount: 5000, product_data: { name: 'Family Reunion Visa' } },
+      quantity: 1
+    }]);
+    const { payment } = result;
+    expect(payment.amount).toBe(5000);
+
+    // A session that charged less confirms nothing
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: 100, currency: 'eur' });
+    expect((await Payment.findById(payment.id)).status).toBe('pending');
+    expect((await PaymentEvent.findByPaymentId(payment.id)).map(event => event.event_type)).toContain('payment.amount_mismatch');
+
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: 5000, currency: 'usd' });
+    expect((await Payment.findById(payment.id)).status).toBe('pending');
+
+    await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: 5000, currency: 'eur' });
+    expect((await Payment.findById(payment.id)).status).toBe('succeeded');
+  });
+
+  it('should refuse a consultation it does not know', async () => {
+    await expect(createIntent({ id: 'no-such-consultation' }, { amount: 5000 }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the multi-currency price catalog and exchange rates
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import Consultation from '../../src/models/Consultation.js';
+import ExchangeRate from '../../src/models/ExchangeRate.js';
+import PricingService from '../../src/services/pricingService.js';
+import ExchangeRateService from '../../src/services/exchangeRateService.js';
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createConsultation = (price = 5000, currency = 'EUR') => Consultation.create({
+  id: `pricing_${crypto.randomUUID()}`,
+  title: 'Degree Recognition (ZAB)',
+  price,
+  currency
+});
+
+describe('PricingService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(async () => {
+    delete process.env.FX_RATES_URL;
+    await run('DELETE FROM exchange_rates');
+  });
+
+  it('should charge the base price in the base currency', async () => {
+    const consultation = await createConsultation();
+
+    expect(await PricingService.getPrice(consultation)).toMatchObject({ amount: 5000, currency: 'EUR', source: 'base' });
+  });
+
+  it('should prefer a fixed price over conversion', async () => {
+    const consultation = await createConsultation();
+    await ExchangeRateService.upload('EUR', { GHS: 16.4 });
+    await PricingService.setPrice(consultation, 'ghs', 90000);
+
+    expect(await PricingService.getPrice(consultation, 'GHS')).toMatchObject({ amount: 90000, currency: 'GHS', source: 'catalog' });
+  });
+
+  it('should convert from the base price at the exchange rate', async () => {
+    const consultation = await createConsultation();
+    await ExchangeRateService.upload('EUR', { NGN: 1650.25, JPY: 162.4 });
+
+    expect(await PricingService.getPrice(consultation, 'NGN'))
+      .toMatchObject({ amount: 8251250, currency: 'NGN', source: 'converted', exchange_rate: 1650.25 });
+    // JPY has no minor unit: 50 EUR * 162.4 = 8120 yen
+    expect((await PricingService.getPrice(consultation, 'JPY')).amount).toBe(8120);
+  });
+
+  it('should use the inverse of a rate stored the other way round', async () => {
+    const consultation = await createConsultation();
+    await ExchangeRateService.upload('CHF', { EUR: 1.25 });
+
+    expect((await PricingService.getPrice(consultation, 'CHF')).amount).toBe(4000);
+  });
+
+  it('should refuse to price a currency without a rate', async () => {
+    const consultation = await createConsultation();
+
+    await expect(PricingService.getPrice(consultation, 'ISK'))
+      .rejects.toMatchObject({ statusCode: 422, message: 'No exchange rate from EUR to ISK' });
+  });
+
+  it('should not let a fixed price replace the base price', async () => {
+    const consultation = await createConsultation();
+
+    await expect(PricingService.setPrice(consultation, 'EUR', 100)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should pick the currency from the provider', async () => {
+    const consultation = await createConsultation();
+    await ExchangeRateService.upload('EUR', { NGN: 1650 });
+
+    // Stripe takes the base currency
+    expect(await PricingService.getCurrencyForProvider(consultation, 'stripe')).toBe('EUR');
+    // Paystack does not take EUR and falls back to its first currency
+    expect(await PricingService.getPriceForProvider(consultation, 'paystack'))
+      .toMatchObject({ amount: 8250000, currency: 'NGN', provider: 'paystack' });
+
+    // ...unless the consultation has a fixed price in another Paystack currency
+    await PricingService.setPrice(consultation, 'KES', 750000);
+    expect(await PricingService.getCurrencyForProvider(consultation, 'paystack')).toBe('KES');
+
+    expect(await PricingService.getCurrencyForProvider(consultation, 'paystack', 'ghs')).toBe('GHS');
+    await expect(PricingService.getCurrencyForProvider(consultation, 'paystack', 'EUR'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('ExchangeRateService', () => {
+  const fetchRates = ExchangeRateService.fetchRates;
+
+  afterEach(() => {
+    ExchangeRateService.fetchRates = fetchRates;
+    delete process.env.FX_RATES_URL;
+  });
+
+  it('should refresh stale feed rates and keep uploaded ones', async () => {
+    process.env.FX_RATES_URL = 'https://rates.example.test/latest?from=EUR';
+    await ExchangeRate.saveAll('EUR', { KES: 120 }, 'feed');
+    await ExchangeRateService.upload('EUR', { ZAR: 20 });
+    await run("UPDATE exchange_rates SET updated_at = datetime('now', '-2 days')");
+
+    let feedCalls = 0;
+    ExchangeRateService.fetchRates = async () => {
+      feedCalls += 1;
+      return { base: 'EUR', rates: { KES: 140, ZAR: 19 } };
+    };
+
+    expect(await ExchangeRateService.getRate('EUR', 'KES')).toBe(140);
+    expect(feedCalls).toBe(1);
+
+    // Uploaded rates do not expire and the feed does not overwrite them
+    expect(await ExchangeRateService.getRate('EUR', 'ZAR')).toBe(20);
+    expect(feedCalls).toBe(1);
+  });
+
+  it('should reject rates that are not positive numbers', async () => {
+    await expect(ExchangeRateService.upload('EUR', { NGN: 0, GHS: 'abc' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid exchange rates for NGN, GHS' });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for resolving payment providers by name and the routes that go through them
+ * Runs against a stand-in registered in place of Stripe; payments only take the known gateways' names
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import PaymentController from '../../src/controllers/paymentController.js';
+import WebhookController from '../../src/controllers/webhookController.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import PaymentService from '../../src/services/paymentService.js';
+
+const PROVIDER = 'stripe';
+const USER_ID = 'registry-test-user';
+
+// Events are accepted with the signature 'valid' and say which payment succeeded
+const provider = {
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent({ amount }) {
+    return { id: `gw_${crypto.randomUUID()}`, clientSecret: `secret_${amount}` };
+  },
+  getWebhookSignature: headers => headers['x-gateway-signature'],
+  verifyWebhookSignature(payload, signature) {
+    if (signature !== 'valid') {
+      throw new Error('Webhook signature verification failed');
+    }
+    return JSON.parse(payload);
+  },
+  getWebhookEventId: event => event.id,
+  getWebhookEventType: event => event.type,
+  async processWebhookEvent(event) {
+    return { type: 'payment_succeeded', originalType: event.type, paymentIntent: { id: event.payment, provider: PROVIDER } };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// Resolves with { status, body } once the controller responds, or with { error } when it calls next
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  handler({ params: {}, body: {}, headers: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+describe('ProviderRegistry', () => {
+  let consultation;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'registry@example.de', 'Registry Test']);
+    consultation = await Consultation.create({ id: `registry_${crypto.randomUUID()}`, title: 'Blue Card', price: 7500, currency: 'EUR' });
+    ProviderRegistry.register(PROVIDER, () => provider);
+  });
+
+  it('should resolve each gateway by name, once, and refuse names it does not know', () => {
+    expect(ProviderRegistry.names()).toEqual(expect.arrayContaining(['stripe', 'paystack', 'flutterwave', 'paypal', 'bank_transfer']));
+    expect(ProviderRegistry.get(PROVIDER)).toBe(ProviderRegistry.get(PROVIDER));
+
+    expect(ProviderRegistry.has('acme')).toBe(false);
+    expect(() => ProviderRegistry.get('acme')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should start payments with whichever gateway the route names', async () => {
+    const body = { currency: 'EUR', user_id: USER_ID, consultation_id: consultation.id, customer_email: 'registry@example.de' };
+
+    const created = await call(PaymentController.createPaymentIntent, { params: { provider: PROVIDER }, body });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ provider: PROVIDER, client_secret: 'secret_7500' });
+    expect(await Payment.findById(created.body.data.payment_id)).toMatchObject({ provider: PROVIDER, amount: 7500 });
+
+    expect((await call(PaymentController.createPaymentIntent, { params: { provider: 'acme' }, body })).status).toBe(404);
+    expect((await call(PaymentController.createPaymentIntent, { params: { provider: PROVIDER }, body: { ...body, currency: 'USD' } })).error)
+      .toMatchObject({ statusCode: 400, message: `Currency USD is not supported by ${PROVIDER}` });
+  });
+
+  it('should take webhooks from any registered gateway on its own route', async () => {
+    const { payment } = await PaymentService.createIntent(PROVIDER, {
+      currency: 'EUR', user_id: USER_ID, consultation_id: consultation.id, customer_email: 'registry@example.de'
+    });
+    const webhook = (provider, signature) => call(WebhookController.handleProviderWebhook, {
+      params: { provider },
+      headers: { 'x-gateway-signature': signature },
+      body: Buffer.from(JSON.stringify({ id: `evt_${crypto.randomUUID()}`, type: 'charge.completed', payment: payment.provider_payment_id }))
+    });
+
+    expect((await webhook(PROVIDER, 'forged')).status).toBe(400);
+    expect((await Payment.findById(payment.id)).status).toBe('pending');
+
+    expect((await webhook(PROVIDER, 'valid')).body).toEqual({ received: true });
+    expect((await Payment.findById(payment.id)).status).toBe('succeeded');
+
+    expect((await webhook('acme', 'valid')).status).toBe(404);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for partial refunds, the refunds ledger and refund webhooks
+ * Stripe and Paystack run with their API clients swapped for in-memory stand-ins
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import StripeProvider from '../../src/providers/stripe-provider.js';
+import PaystackProvider from '../../src/providers/paystack-provider.js';
+import Payment from '../../src/models/Payment.js';
+import Refund from '../../src/models/Refund.js';
+import RefundService from '../../src/services/refundService.js';
+import PaymentService from '../../src/services/paymentService.js';
+
+const USER_ID = 'refund-test-user';
+const CONSULTATION_ID = 'refund-test-consultation';
+
+const stripeRefund = (params, overrides = {}) => ({
+  id: `re_${crypto.randomUUID()}`,
+  amount: params.amount,
+  currency: 'eur',
+  status: 'succeeded',
+  reason: params.reason,
+  charge: params.charge,
+  created: Math.floor(Date.now() / 1000),
+  ...overrides
+});
+
+// Refunds succeed unless `failNext` is set; `beforeReturn` runs before the API answers
+const stripe = {
+  failNext: false,
+  beforeReturn: null,
+  paymentIntents: {
+    retrieve: async (id) => ({ id, latest_charge: `ch_${id}` })
+  },
+  refunds: {
+    create: async (params) => {
+      if (stripe.failNext) {
+        stripe.failNext = false;
+        throw Object.assign(new Error('Charge has already been refunded'), { type: 'StripeInvalidRequestError' });
+      }
+
+      const refund = stripeRefund(params);
+      if (stripe.beforeReturn) {
+        await stripe.beforeReturn(refund);
+        stripe.beforeReturn = null;
+      }
+      return refund;
+    }
+  }
+};
+
+// Paystack answers refund requests with a pending refund, settled later by webhook
+const paystack = {
+  post: async (path, params) => ({
+    data: {
+      status: true,
+      data: {
+        id: Math.floor(Math.random() * 1e9),
+        amount: params.amount,
+        currency: 'NGN',
+        status: 'pending',
+        transaction: params.transaction,
+        created_at: new Date().toISOString()
+      }
+    }
+  })
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createPayment = (provider = 'stripe', amount = 8950, currency = 'EUR') => Payment.create({
+  user_id: USER_ID,
+  consultation_id: CONSULTATION_ID,
+  provider,
+  provider_payment_id: `${provider === 'stripe' ? 'pi' : 'ref'}_${crypto.randomUUID()}`,
+  amount,
+  currency,
+  status: 'succeeded'
+});
+
+const chargeRefunded = (payment, refunds) => ({
+  type: 'charge.refunded',
+  data: {
+    object: {
+      id: `ch_${payment.provider_payment_id}`,
+      payment_intent: payment.provider_payment_id,
+      refunds: { data: refunds }
+    }
+  }
+});
+
+describe('RefundService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'refunds@example.de', 'Refund Test']);
+    await run(
+      'INSERT OR IGNORE INTO consultations (id, title, price, currency) VALUES (?, ?, ?, ?)',
+      [CONSULTATION_ID, 'Visa consultation', 8950, 'EUR']
+    );
+
+    ProviderRegistry.register('stripe', () => Object.assign(new StripeProvider({ secretKey: 'sk_test_x' }), { stripe }));
+    ProviderRegistry.register('paystack', () => Object.assign(new PaystackProvider({ secretKey: 'sk_test_x' }), { client: paystack }));
+  });
+
+  it('should refund a payment in parts until nothing is left', async () => {
+    const payment = await createPayment();
+
+    const first = await RefundService.refund(payment, { amount: 3000 });
+    expect(first).toMatchObject({ amount: 3000, status: 'succeeded' });
+    expect(payment.status).toBe('partially_refunded');
+
+    // Without an amount the remaining balance is refunded
+    const second = await RefundService.refund(payment);
+    expect(second.amount).toBe(5950);
+    expect(payment.status).toBe('refunded');
+
+    await expect(RefundService.refund(payment, { amount: 100 })).rejects.toMatchObject({ statusCode: 400 });
+
+    const ledger = await RefundService.getLedger(payment);
+    expect(ledger.refunds.map(refund => refund.amount)).toEqual([3000, 5950]);
+    expect(ledger).toMatchObject({ refunded_amount: 8950, refundable_amount: 0 });
+  });
+
+  it('should reject refunds above the refundable balance', async () => {
+    const payment = await createPayment();
+    await RefundService.refund(payment, { amount: 8000 });
+
+    await expect(RefundService.refund(payment, { amount: 1000 }))
+      .rejects.toThrow('Refund amount exceeds the refundable balance of 950');
+    expect(payment.status).toBe('partially_refunded');
+  });
+
+  it('should not let concurrent refunds overdraw the payment', async () => {
+    const payment = await createPayment();
+
+    const results = await Promise.allSettled([
+      RefundService.refund(payment, { amount: 6000 }),
+      RefundService.refund(payment, { amount: 6000 })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(await Refund.getRefundedAmount(payment.id)).toBe(6000);
+  });
+
+  it('should give the amount back when the provider refuses the refund', async () => {
+    const payment = await createPayment();
+    stripe.failNext = true;
+
+    await expect(RefundService.refund(payment, { amount: 2000 })).rejects.toThrow('Charge has already been refunded');
+
+    expect(await Refund.findByPaymentId(payment.id)).toEqual([]);
+    expect((await Payment.findById(payment.id)).status).toBe('succeeded');
+  });
+
+  it('should record refunds made in the Stripe dashboard from charge.refunded', async () => {
+    const payment = await createPayment();
+    const apiRefund = await RefundService.refund(payment, { amount: 2000 });
+    const dashboardRefund = stripeRefund({ amount: 6950 });
+
+    await PaymentService.processWebhookEvent('stripe', chargeRefunded(payment, [
+      stripeRefund({ amount: 2000 }, { id: apiRefund.provider_refund_id }),
+      dashboardRefund
+    ]));
+
+    const refunds = await Refund.findByPaymentId(payment.id);
+    expect(refunds.map(refund => refund.provider_refund_id).sort())
+      .toEqual([apiRefund.provider_refund_id, dashboardRefund.id].sort());
+    expect((await Payment.findById(payment.id)).status).toBe('refunded');
+  });
+
+  it('should keep one ledger entry when the webhook overtakes the API response', async () => {
+    const payment = await createPayment();
+    stripe.beforeReturn = (refund) => PaymentService.processWebhookEvent('stripe', chargeRefunded(payment, [refund]));
+
+    const refund = await RefundService.refund(payment, { amount: 2500 });
+
+    const refunds = await Refund.findByPaymentId(payment.id);
+    expect(refunds).toHaveLength(1);
+    expect(refunds[0]).toMatchObject({ id: refund.id, provider_refund_id: refund.provider_refund_id, amount: 2500 });
+  });
+
+  it('should settle pending Paystack refunds from refund webhooks', async () => {
+    const payment = await createPayment('paystack', 500000, 'NGN');
+
+    const refund = await RefundService.refund(payment, { amount: 200000 });
+    expect(refund.status).toBe('pending');
+    expect(payment.status).toBe('partially_refunded');
+
+    const refundEvent = (event, status) => ({
+      event,
+      data: {
+        id: refund.provider_refund_id,
+        status,
+        amount: '200000',
+        currency: 'NGN',
+        transaction_reference: payment.provider_payment_id
+      }
+    });
+
+    await PaymentService.processWebhookEvent('paystack', refundEvent('refund.processed', 'processed'));
+    expect((await Refund.findById(refund.id)).status).toBe('succeeded');
+
+    // A refund that fails after all returns the money to the refundable balance
+    await PaymentService.processWebhookEvent('paystack', refundEvent('refund.failed', 'failed'));
+    expect((await Refund.findById(refund.id)).status).toBe('failed');
+    expect((await Payment.findById(payment.id)).status).toBe('succeeded');
+  });
+
+  it('should only refund successful payments', async () => {
+    const payment = await createPayment();
+    await payment.updateStatus('pending');
+
+    await expect(RefundService.refund(payment)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for holding a booking slot while its payment is in flight
+ * Payments run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Appointment from '../../src/models/Appointment.js';
+import Availability from '../../src/models/Availability.js';
+import Consultation from '../../src/models/Consultation.js';
+import Notification from '../../src/models/Notification.js';
+import SlotHold from '../../src/models/SlotHold.js';
+import AvailabilityService from '../../src/services/availabilityService.js';
+import PaymentService from '../../src/services/paymentService.js';
+import SlotHoldService from '../../src/services/slotHoldService.js';
+
+const USER_ID = 'slot-hold-test-user';
+
+const provider = {
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent() {
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: 'secret' };
+  },
+  async createRefund(paymentIntentId, { amount }) {
+    return { id: `re_${crypto.randomUUID()}`, amount, status: 'succeeded' };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// A date far enough ahead that no other run has offered slots on it
+const futureDate = () => {
+  const days = 400 + crypto.randomInt(20000);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+};
+
+const outcome = (payment) => ({ id: payment.provider_payment_id, amount: payment.amount, currency: payment.currency });
+
+describe('Slot holds', () => {
+  let consultation;
+
+  const checkout = (date, time) => PaymentService.createIntent('stripe', {
+    currency: 'EUR',
+    user_id: USER_ID,
+    consultation_id: consultation.id,
+    customer_email: 'slots@example.de',
+    date,
+    time
+  });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'slots@example.de', 'Slot Test']);
+    consultation = await Consultation.create({ id: `slot_${crypto.randomUUID()}`, title: 'Work Visa', price: 8950, currency: 'EUR' });
+    ProviderRegistry.register('stripe', () => provider);
+  });
+
+  it('should keep a slot from everyone else while its payment is in flight', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['09:00', '10:00']);
+
+    const { payment, hold_expires_at } = await checkout(date, '09:00');
+    expect(new Date(hold_expires_at).getTime()).toBeGreaterThan(Date.now());
+    expect(await SlotHold.findByPaymentId(payment.id)).toMatchObject({ status: 'active', date, time: '09:00' });
+
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['10:00']);
+    await expect(checkout(date, '09:00')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(SlotHoldService.reserve({ consultation_id: consultation.id, date, time: '09:00' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should give the slot back when the payment fails or its hold runs out', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['09:00', '10:00']);
+
+    const failed = await checkout(date, '09:00');
+    await PaymentService.markFailed(failed.payment, outcome(failed.payment));
+    expect(await SlotHold.findByPaymentId(failed.payment.id)).toMatchObject({ status: 'released' });
+
+    const abandoned = await checkout(date, '10:00');
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00']);
+
+    await run('UPDATE slot_holds SET expires_at = ? WHERE payment_id = ?', [new Date(Date.now() - 1000).toISOString(), abandoned.payment.id]);
+    expect(await SlotHoldService.expireStaleHolds()).toBeGreaterThanOrEqual(1);
+    expect(await SlotHold.findByPaymentId(abandoned.payment.id)).toMatchObject({ status: 'expired' });
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00', '10:00']);
+  });
+
+  it('should book the held slot when the payment succeeds, even after the hold ran out', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['09:00', '10:00']);
+
+    const { payment } = await checkout(date, '09:00');
+    await PaymentService.markSucceeded(payment, outcome(payment));
+
+    const hold = await SlotHold.findByPaymentId(payment.id);
+    expect(hold.status).toBe('converted');
+    expect(payment.appointment_id).toBe(hold.appointment_id);
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['10:00']);
+
+    // Nobody took the slot after the hold lapsed, so the late payment still gets it
+    const late = await checkout(date, '10:00');
+    await run('UPDATE slot_holds SET expires_at = ? WHERE payment_id = ?', [new Date(Date.now() - 1000).toISOString(), late.payment.id]);
+    await SlotHoldService.expireStaleHolds();
+    await PaymentService.markSucceeded(late.payment, outcome(late.payment));
+
+    expect(await SlotHold.findByPaymentId(late.payment.id)).toMatchObject({ status: 'converted' });
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual([]);
+  });
+
+  it('should book the slot for a payment that succeeds after it was cancelled, or refund it once the slot is taken', async () => {
+    const date = futureDate();
+    await Availability.setOverride(date, ['09:00', '10:00']);
+
+    const cancelled = await checkout(date, '09:00');
+    await PaymentService.markCancelled(cancelled.payment, outcome(cancelled.payment));
+    expect(await AvailabilityService.getOpenSlots(date)).toEqual(['09:00', '10:00']);
+
+    await PaymentService.markSucceeded(cancelled.payment, outcome(cancelled.payment));
+    expect(await SlotHold.findByPaymentId(cancelled.payment.id)).toMatchObject({ status: 'converted' });
+    expect((await Appointment.findById(cancelled.payment.appointment_id)).status).toBe('confirmed');
+
+    // Someone else booked the slot between the failure and the late success
+    const failed = await checkout(date, '10:00');
+    await PaymentService.markFailed(failed.payment, outcome(failed.payment));
+    await Appointment.create({ user_id: USER_ID, consultation_id: consultation.id, date, time: '10:00' });
+
+    await PaymentService.markSucceeded(failed.payment, outcome(failed.payment));
+    expect(failed.payment.status).toBe('refunded');
+    expect(failed.payment.appointment_id).toBeFalsy();
+    expect(await SlotHold.findByPaymentId(failed.payment.id)).toMatchObject({ status: 'released' });
+
+    const templates = (await Notification.findByPaymentId(failed.payment.id)).map(notice => notice.template);
+    expect(templates).toEqual(expect.arrayContaining(['booking_slot_unavailable', 'refund_issued']));
+    expect(templates).not.toContain('booking_confirmed');
+  });
+});
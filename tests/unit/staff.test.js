@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for staff accounts
+ * Invitations go to an in-memory transport registered in place of the configured one
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import User from '../../src/models/User.js';
+import AuthService from '../../src/services/authService.js';
+import StaffService from '../../src/services/staffService.js';
+
+// Hashing at the production cost takes a while without native bcrypt
+const BCRYPT_TIMEOUT_MS = 60000;
+
+const transport = {
+  sent: [],
+  async send(message) {
+    transport.sent.push(message);
+    return { messageId: `<${crypto.randomUUID()}@test>` };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const uniqueEmail = () => `${crypto.randomUUID()}@example.de`;
+
+describe('StaffService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    TransportRegistry.register('email', () => transport);
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.FRONTEND_URL = 'https://booking.example.de';
+  });
+
+  beforeEach(() => {
+    transport.sent = [];
+  });
+
+  it('should invite new staff to set a password and log them in with their permissions', async () => {
+    const email = uniqueEmail();
+    const { user, invited } = await StaffService.add({ email, name: 'Anna Buchhalter', role: 'accountant' });
+
+    expect(invited).toBe(true);
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].subject).toContain('accountant');
+    expect(transport.sent[0].text).toContain('expires in 3 days');
+
+    const token = new URL(transport.sent[0].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    await AuthService.resetPassword(token, 'correct horse');
+
+    const session = await AuthService.login({ email, password: 'correct horse' });
+    expect(session.user.id).toBe(user.id);
+    expect(session.permissions).toContain('refund');
+    expect(session.permissions).not.toContain('view_pii');
+
+    // Staff who already have a password are not invited again
+    await StaffService.setRole(user.id, 'customer');
+    expect((await StaffService.add({ email, name: 'Anna', role: 'support' })).invited).toBe(false);
+    expect((await AuthService.refresh(session.refresh_token)).permissions).toContain('view_pii');
+  }, BCRYPT_TIMEOUT_MS);
+
+  it('should keep at least one owner', async () => {
+    // Start from no owners at all, so other runs' owners do not count
+    await run("UPDATE users SET role = 'customer' WHERE role = 'owner'");
+
+    const { user: first } = await StaffService.add({ email: uniqueEmail(), name: 'Owner', role: 'owner' });
+    await expect(StaffService.setRole(first.id, 'support')).rejects.toMatchObject({ statusCode: 409 });
+
+    const { user: second } = await StaffService.add({ email: uniqueEmail(), name: 'Co-owner', role: 'owner' });
+    await StaffService.setRole(first.id, 'support');
+    expect((await User.findById(first.id)).role).toBe('support');
+
+    await expect(StaffService.setRole(second.id, 'customer')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(StaffService.setRole(crypto.randomUUID(), 'support')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
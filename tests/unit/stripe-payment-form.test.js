@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for the request the Stripe payment form sends
+ * Goes through the payment routes as the browser does; payments run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import paymentRoutes from '../../src/routes/paymentRoutes.js';
+import errorHandler from '../../src/middleware/errorHandler.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import User from '../../src/models/User.js';
+import CouponService from '../../src/services/couponService.js';
+
+// Records the amounts it was asked to charge
+const provider = {
+  charged: [],
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent({ amount }) {
+    this.charged.push(amount);
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: `secret_${amount}` };
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+describe('Stripe payment form', () => {
+  let consultation;
+  let coupon;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    consultation = await Consultation.create({ id: `stripe_form_${crypto.randomUUID()}`, title: 'Blue Card', price: 8950, currency: 'EUR' });
+    coupon = await CouponService.create({ code: `FORM${crypto.randomUUID().slice(0, 8)}`, discount_type: 'percent', discount_value: 15 });
+    ProviderRegistry.register('stripe', () => provider);
+  });
+
+  // The body StripePaymentForm posts for a guest checking out with a coupon
+  const formBody = (overrides = {}) => ({
+    amount: 7607,
+    currency: 'EUR',
+    consultation_id: consultation.id,
+    customer_email: `guest-${crypto.randomUUID()}@example.de`,
+    customer_name: 'Erika Mustermann',
+    coupon_code: coupon.code,
+    customer_country: 'DE',
+    ...overrides
+  });
+
+  const post = (body, key = crypto.randomUUID()) => request(app)
+    .post('/api/payments/stripe/payment-intent')
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  it('should start a guest\'s payment at the server\'s price and hand back the client secret', async () => {
+    const body = formBody();
+    const response = await post(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ client_secret: 'secret_7607' });
+    expect(provider.charged.at(-1)).toBe(7607);
+
+    const guest = await User.findByEmail(body.customer_email);
+    expect(await Payment.findById(response.body.data.payment_id))
+      .toMatchObject({ provider: 'stripe', amount: 7607, user_id: guest.id });
+  });
+
+  it('should answer a resent form with the payment it already started', async () => {
+    const key = crypto.randomUUID();
+    const body = formBody();
+
+    const first = await post(body, key);
+    const charges = provider.charged.length;
+    const replay = await post(body, key);
+
+    expect(replay.status).toBe(201);
+    expect(replay.body.data.payment_id).toBe(first.body.data.payment_id);
+    expect(provider.charged).toHaveLength(charges);
+  });
+
+  it('should refuse an amount the server did not price', async () => {
+    const response = await post(formBody({ amount: 100 }));
+
+    expect(response.status).toBe(400);
+    expect(provider.charged).not.toContain(100);
+  });
+});
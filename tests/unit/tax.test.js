@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for VAT on bookings
+ * Payments run against a stand-in registered in place of Stripe
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import Consultation from '../../src/models/Consultation.js';
+import Payment from '../../src/models/Payment.js';
+import PaymentEvent from '../../src/models/PaymentEvent.js';
+import PaymentService from '../../src/services/paymentService.js';
+import TaxService from '../../src/services/taxService.js';
+
+const USER_ID = 'tax-test-user';
+
+const provider = {
+  charged: [],
+  getSupportedCurrencies: () => ['eur'],
+  async createPaymentIntent(params) {
+    this.charged.push(params.amount);
+    return { id: `pi_${crypto.randomUUID()}`, clientSecret: 'secret' };
+  }
+};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+const createIntent = (consultation, overrides = {}) => PaymentService.createIntent('stripe', {
+  currency: 'EUR',
+  user_id: USER_ID,
+  consultation_id: consultation.id,
+  customer_email: 'steuer@example.de',
+  ...overrides
+});
+
+describe('TaxService', () => {
+  let consultation;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await run('INSERT OR IGNORE INTO users (id, email, name) VALUES (?, ?, ?)', [USER_ID, 'tax@example.de', 'Tax Test']);
+    ProviderRegistry.register('stripe', () => provider);
+
+    consultation = await Consultation.create({
+      id: `tax_${crypto.randomUUID()}`,
+      title: 'Blue Card Application',
+      price: 11900,
+      currency: 'EUR'
+    });
+  });
+
+  it('should take German VAT out of the price for private customers in the EU', () => {
+    expect(TaxService.calculate(8950, { country: 'FR' })).toMatchObject({
+      net_amount: 7521,
+      tax_amount: 1429,
+      gross_amount: 8950,
+      tax_rate: 19,
+      tax_treatment: 'standard',
+      customer_country: 'FR'
+    });
+    expect(TaxService.calculate(8950).customer_country).toBe('DE');
+  });
+
+  it('should reverse charge EU businesses and charge German businesses VAT', () => {
+    expect(TaxService.calculate(8950, { country: 'at', vat_id: 'atu 1234 5678' })).toMatchObject({
+      net_amount: 7521,
+      tax_amount: 0,
+      gross_amount: 7521,
+      tax_rate: 0,
+      tax_treatment: 'reverse_charge',
+      customer_vat_id: 'ATU12345678'
+    });
+    expect(TaxService.calculate(8950, { country: 'GR', vat_id: 'EL123456789' }).tax_treatment).toBe('reverse_charge');
+    expect(TaxService.calculate(8950, { country: 'DE', vat_id: 'DE123456789' }).tax_treatment).toBe('standard');
+  });
+
+  it('should not charge German VAT outside the EU', () => {
+    expect(TaxService.calculate(8950, { country: 'NG' })).toMatchObject({
+      gross_amount: 7521,
+      tax_amount: 0,
+      tax_treatment: 'not_taxable'
+    });
+  });
+
+  it('should refuse malformed VAT IDs', () => {
+    expect(() => TaxService.calculate(8950, { country: 'FR', vat_id: 'DE123456789' }))
+      .toThrow('DE123456789 is not a valid VAT ID for FR');
+    expect(() => TaxService.calculate(8950, { country: 'NL', vat_id: 'NL12345678901' })).toThrow();
+    expect(() => TaxService.calculate(8950, { country: 'US', vat_id: 'US123' }))
+      .toThrow('A VAT ID can only be given for a customer in the EU');
+  });
+
+  it('should store the breakdown on the payment and charge reverse charge customers the net price', async () => {
+    const { payment } = await createIntent(consultation, {
+      customer_country: 'NL',
+      customer_vat_id: 'NL123456789B01',
+      amount: 10000
+    });
+
+    expect(provider.charged.at(-1)).toBe(10000);
+    expect(await Payment.findById(payment.id)).toMatchObject({
+      amount: 10000,
+      net_amount: 10000,
+      tax_amount: 0,
+      tax_rate: 0,
+      tax_treatment: 'reverse_charge',
+      customer_country: 'NL',
+      customer_vat_id: 'NL123456789B01'
+    });
+
+    const domestic = await createIntent(consultation);
+    expect(domestic.payment).toMatchObject({ amount: 11900, net_amount: 10000, tax_amount: 1900, tax_rate: 19 });
+  });
+
+  it('should charge German VAT out of what was paid when the payer\'s country does not back up the customer\'s', async () => {
+    const succeed = async (payerCountry) => {
+      const { payment } = await createIntent(consultation, { customer_country: 'US' });
+      await PaymentService.markSucceeded(payment, { id: payment.provider_payment_id, amount: 10000, currency: 'eur', payerCountry });
+      return Payment.findById(payment.id);
+    };
+
+    expect(await succeed('us')).toMatchObject({ amount: 10000, tax_amount: 0, tax_treatment: 'not_taxable' });
+
+    // A German card, or a gateway that does not say, leaves only the customer's word
+    for (const payerCountry of ['DE', null]) {
+      const payment = await succeed(payerCountry);
+      expect(payment).toMatchObject({ amount: 10000, net_amount: 8403, tax_amount: 1597, tax_rate: 19, tax_treatment: 'standard', customer_country: 'US' });
+
+      const events = (await PaymentEvent.findByPaymentId(payment.id)).filter(event => event.event_type === 'payment.tax_unconfirmed');
+      expect(events.map(event => JSON.parse(event.event_data)))
+        .toEqual([expect.objectContaining({ customer_country: 'US', payer_country: payerCountry, from: 'not_taxable', to: 'standard' })]);
+    }
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for picking the transports that deliver notifications
+ */
+
+import TransportRegistry from '../../src/notifications/transport-registry.js';
+import ConsoleTransport from '../../src/notifications/console-transport.js';
+import FakeMessagingTransport from '../../src/notifications/fake-messaging-transport.js';
+import logger from '../../src/utils/logger.js';
+
+const VARIABLES = ['NODE_ENV', 'EMAIL_TRANSPORT', 'SMTP_HOST', 'WHATSAPP_TRANSPORT'];
+
+describe('TransportRegistry', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    VARIABLES.forEach((variable) => {
+      saved[variable] = process.env[variable];
+      delete process.env[variable];
+    });
+    TransportRegistry.reset();
+  });
+
+  afterEach(() => {
+    VARIABLES.forEach((variable) => {
+      if (saved[variable] === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = saved[variable];
+      }
+    });
+    TransportRegistry.reset();
+  });
+
+  it('should only fall back to logging email outside production', () => {
+    expect(TransportRegistry.get('email')).toBeInstanceOf(ConsoleTransport);
+
+    TransportRegistry.reset();
+    process.env.NODE_ENV = 'production';
+    expect(() => TransportRegistry.checkConfiguration(['email'])).toThrow('EMAIL_TRANSPORT is not configured');
+
+    // A transport that is named but cannot be built fails at startup too
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    expect(() => TransportRegistry.checkConfiguration(['email'])).toThrow('SMTP_HOST is not configured');
+
+    process.env.SMTP_HOST = 'smtp.example.de';
+    expect(() => TransportRegistry.checkConfiguration(['email'])).not.toThrow();
+  });
+
+  it('should only fake WhatsApp and SMS messages in tests', () => {
+    process.env.NODE_ENV = 'test';
+    expect(TransportRegistry.get('whatsapp')).toBeInstanceOf(FakeMessagingTransport);
+
+    TransportRegistry.reset();
+    process.env.NODE_ENV = 'development';
+    expect(() => TransportRegistry.checkConfiguration(['whatsapp'])).toThrow('WHATSAPP_TRANSPORT is not configured');
+
+    process.env.WHATSAPP_TRANSPORT = 'fake';
+    expect(() => TransportRegistry.checkConfiguration(['whatsapp'])).toThrow('The fake whatsapp transport only runs in tests');
+  });
+
+  it('should log who an email is for but not what it says', async () => {
+    const logged = [];
+    const info = logger.info;
+    logger.info = (message) => logged.push(message);
+
+    try {
+      await new ConsoleTransport().send({
+        to: 'erika@example.de',
+        subject: 'Reset your password',
+        text: 'https://booking.example.de/reset-password?token=secret-reset-token',
+        attachments: [{ filename: 'invoice.pdf' }]
+      });
+    } finally {
+      logger.info = info;
+    }
+
+    expect(logged).toEqual(['Email to erika@example.de: Reset your password [invoice.pdf]']);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for TOTP two-factor authentication
+ * Codes are generated from the secret for a fixed time and checked against that same time
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { initializeDatabase } from '../../src/database/database.js';
+import requirePermission from '../../src/middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../../src/policies/roles.js';
+import AuthService from '../../src/services/authService.js';
+import TwoFactorService from '../../src/services/twoFactorService.js';
+import User from '../../src/models/User.js';
+import { encodeBase32, generateCode, otpauthUri, timeStep, verifyCode } from '../../src/utils/totp.js';
+
+// Hashing at the production cost takes a while without native bcrypt
+const BCRYPT_TIMEOUT_MS = 60000;
+
+const codeAt = (secret, now) => generateCode(secret, timeStep(now));
+
+const later = (now, seconds) => new Date(now.getTime() + seconds * 1000);
+
+const createUser = async (role) => {
+  const email = `${crypto.randomUUID()}@example.de`;
+  const user = await User.create({ email, name: 'Anna Buchhalter', role, password_hash: await AuthService.hashPassword('correct horse') });
+  return { user, email };
+};
+
+// What the middleware passes on: nothing, or the error
+const runMiddleware = (middleware, user) => new Promise((resolve) => {
+  middleware({ user, originalUrl: '/api/payments/refund/payment-1' }, {}, resolve);
+});
+
+describe('TOTP', () => {
+  it('should match the RFC 6238 test vectors', () => {
+    const secret = encodeBase32(Buffer.from('12345678901234567890'));
+
+    // The last 6 digits of the 8-digit SHA-1 vectors
+    expect(codeAt(secret, new Date(59 * 1000))).toBe('287082');
+    expect(codeAt(secret, new Date(1111111109 * 1000))).toBe('081804');
+    expect(codeAt(secret, new Date(1234567890 * 1000))).toBe('005924');
+
+    // One step of clock drift either way is tolerated, two are not
+    const now = new Date(1234567890 * 1000);
+    expect(verifyCode(secret, codeAt(secret, later(now, -30)), { now })).toBe(timeStep(now) - 1);
+    expect(verifyCode(secret, codeAt(secret, later(now, 60)), { now })).toBeNull();
+    expect(verifyCode(secret, '12345', { now })).toBeNull();
+
+    expect(otpauthUri({ secret, label: 'anna@example.de', issuer: 'Praxis Müller' }))
+      .toBe(`otpauth://totp/Praxis%20M%C3%BCller:anna%40example.de?secret=${secret}&issuer=Praxis%20M%C3%BCller&algorithm=SHA1&digits=6&period=30`);
+  });
+});
+
+describe('TwoFactorService', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterAll(async () => {
+    await TwoFactorService.setRoleRequired('accountant', false);
+  });
+
+  it('should enroll, then ask for a code or a recovery code at login', async () => {
+    const { user, email } = await createUser('support');
+    const now = new Date();
+
+    const { secret, otpauth_uri } = await TwoFactorService.setup(user.id);
+    expect(otpauth_uri).toContain(`secret=${secret}`);
+
+    await expect(TwoFactorService.enable(user.id, codeAt(secret, later(now, 90)), now)).rejects.toMatchObject({ statusCode: 400 });
+    const enabled = await TwoFactorService.enable(user.id, codeAt(secret, now), now);
+    expect(enabled.recovery_codes).toHaveLength(10);
+    expect(jwt.decode(enabled.access_token).two_factor).toBe(true);
+    expect((await User.findById(user.id)).toJSON()).toMatchObject({ two_factor_enabled: true });
+    expect((await User.findById(user.id)).toJSON()).not.toHaveProperty('totp_secret');
+
+    const challenge = await AuthService.login({ email, password: 'correct horse' });
+    expect(challenge).toMatchObject({ two_factor_required: true });
+    expect(challenge).not.toHaveProperty('access_token');
+
+    // The code that turned it on cannot be used again
+    await expect(TwoFactorService.completeLogin(challenge.challenge_token, { code: codeAt(secret, now) }, now))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    const session = await TwoFactorService.completeLogin(challenge.challenge_token, { code: codeAt(secret, later(now, 30)) }, later(now, 30));
+    expect(jwt.decode(session.access_token)).toMatchObject({ id: user.id, two_factor: true });
+    expect((await AuthService.refresh(session.refresh_token)).permissions).toContain(PERMISSIONS.RETRY_WEBHOOKS);
+
+    // Recovery codes work once each, however they are typed
+    const recoveryCode = enabled.recovery_codes[0].toUpperCase().replace('-', ' ');
+    await TwoFactorService.completeLogin(challenge.challenge_token, { recovery_code: recoveryCode }, now);
+    await expect(TwoFactorService.completeLogin(challenge.challenge_token, { recovery_code: recoveryCode }, now))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    // Challenges expire, and are no access tokens
+    await expect(TwoFactorService.completeLogin(challenge.challenge_token, { code: codeAt(secret, later(now, 600)) }, later(now, 600)))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid or expired login challenge, please log in again' });
+    expect(jwt.decode(challenge.challenge_token)).not.toHaveProperty('role');
+  }, BCRYPT_TIMEOUT_MS);
+
+  it('should give up a login challenge after five codes, however quickly they come', async () => {
+    const { user, email } = await createUser('support');
+    const now = new Date();
+    const { secret } = await TwoFactorService.setup(user.id);
+    await TwoFactorService.enable(user.id, codeAt(secret, now), now);
+
+    // Outside the window of clock drift the code is checked against
+    const wrongCode = codeAt(secret, later(now, 300));
+    const guess = challenge => TwoFactorService.completeLogin(challenge.challenge_token, { code: wrongCode }, now)
+      .catch(error => error.message);
+
+    const challenge = await AuthService.login({ email, password: 'correct horse' });
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      expect(await guess(challenge)).toBe('Invalid two-factor code');
+    }
+    await expect(TwoFactorService.completeLogin(challenge.challenge_token, { code: codeAt(secret, later(now, 30)) }, later(now, 30)))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Too many wrong codes, please log in again' });
+
+    const parallel = await AuthService.login({ email, password: 'correct horse' });
+    const messages = await Promise.all(Array.from({ length: 8 }, () => guess(parallel)));
+    expect(messages.filter(message => message === 'Invalid two-factor code')).toHaveLength(5);
+    expect(messages.filter(message => message === 'Too many wrong codes, please log in again')).toHaveLength(3);
+
+    // Entering the password again starts over
+    const fresh = await AuthService.login({ email, password: 'correct horse' });
+    const session = await TwoFactorService.completeLogin(fresh.challenge_token, { code: codeAt(secret, later(now, 30)) }, later(now, 30));
+    expect(jwt.decode(session.access_token)).toMatchObject({ id: user.id, two_factor: true });
+  }, BCRYPT_TIMEOUT_MS);
+
+  it('should hold back the permissions of roles that require a second factor until it is set up', async () => {
+    const { user, email } = await createUser('accountant');
+    await TwoFactorService.setRoleRequired('accountant', true);
+
+    const session = await AuthService.login({ email, password: 'correct horse' });
+    expect(session).toMatchObject({ permissions: [], two_factor_setup_required: true });
+
+    const claims = jwt.decode(session.access_token);
+    expect(await runMiddleware(requirePermission(PERMISSIONS.REFUND), claims))
+      .toMatchObject({ statusCode: 403, message: 'Two-factor authentication required: set it up, then log in again' });
+
+    const now = new Date();
+    const { secret } = await TwoFactorService.setup(user.id);
+    const enabled = await TwoFactorService.enable(user.id, codeAt(secret, now), now);
+    expect(enabled).toMatchObject({ two_factor_setup_required: false });
+    expect(enabled.permissions).toContain(PERMISSIONS.REFUND);
+    expect(await runMiddleware(requirePermission(PERMISSIONS.REFUND), jwt.decode(enabled.access_token))).toBeUndefined();
+
+    // Turning it on logged out the session without it
+    await expect(AuthService.refresh(session.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(TwoFactorService.disable(user.id, { code: codeAt(secret, later(now, 30)) }, later(now, 30)))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    // An owner can reset it for someone who lost their phone
+    await TwoFactorService.reset(user.id);
+    expect((await User.findById(user.id)).totp_secret).toBeNull();
+    await expect(AuthService.refresh(enabled.refresh_token)).rejects.toMatchObject({ statusCode: 401 });
+  }, BCRYPT_TIMEOUT_MS);
+});
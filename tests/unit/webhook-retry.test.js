@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for webhook intake, deduplication and the retry queue
+ * Runs against a stand-in provider registered under its own name
+ */
+
+import crypto from 'crypto';
+import db, { initializeDatabase } from '../../src/database/database.js';
+import ProviderRegistry from '../../src/providers/provider-registry.js';
+import WebhookLog from '../../src/models/WebhookLog.js';
+import WebhookService, { getRetryDelayMs } from '../../src/services/webhookService.js';
+
+const PROVIDER = 'test_gateway';
+
+// Events are accepted with the signature 'valid'; events listed in `failing` throw while processing
+const provider = {
+  failing: new Set(),
+  getWebhookSignature: headers => headers['x-test-signature'],
+  verifyWebhookSignature(payload, signature) {
+    if (signature !== 'valid') {
+      throw new Error('Webhook signature verification failed');
+    }
+    return JSON.parse(payload);
+  },
+  getWebhookEventId: event => event.id || null,
+  getWebhookEventType: event => event.type,
+  async processWebhookEvent(event) {
+    if (this.failing.has(event.id)) {
+      throw new Error('Payment database unavailable');
+    }
+    return { type: 'unhandled_event', originalType: event.type };
+  }
+};
+
+const deliver = (event, signature = 'valid') => {
+  return WebhookService.receive(PROVIDER, JSON.stringify(event), signature);
+};
+
+const newEvent = () => ({ id: `evt_${crypto.randomUUID()}`, type: 'charge.succeeded' });
+
+// Make a scheduled retry due now
+const makeDue = (log) => log.update({ next_retry_at: new Date(Date.now() - 1000).toISOString() });
+
+describe('getRetryDelayMs', () => {
+  it('should double the delay after every attempt up to six hours', () => {
+    expect(getRetryDelayMs(1)).toBe(60 * 1000);
+    expect(getRetryDelayMs(2)).toBe(2 * 60 * 1000);
+    expect(getRetryDelayMs(4)).toBe(8 * 60 * 1000);
+    expect(getRetryDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe('WebhookService', () => {
+  beforeAll(async () => {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    await initializeDatabase();
+    ProviderRegistry.register(PROVIDER, () => provider);
+  });
+
+  afterAll(() => {
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  });
+
+  it('should log and process a verified event once', async () => {
+    const event = newEvent();
+
+    const first = await deliver(event);
+    const repeat = await deliver(event);
+
+    expect(first.duplicate).toBe(false);
+    expect(first.log).toMatchObject({ event_id: event.id, event_type: 'charge.succeeded', processed: true, attempts: 1 });
+    expect(repeat.duplicate).toBe(true);
+    expect((await WebhookLog.findById(first.log.id)).attempts).toBe(1);
+  });
+
+  it('should schedule a failed event for a retry with backoff', async () => {
+    const event = newEvent();
+    provider.failing.add(event.id);
+
+    const before = Date.now();
+    await expect(deliver(event)).rejects.toThrow('Payment database unavailable');
+
+    const log = await WebhookLog.findByEventId(PROVIDER, event.id);
+    expect(log).toMatchObject({ processed: false, attempts: 1, error_message: 'Payment database unavailable' });
+    expect(Date.parse(log.next_retry_at) - before).toBeGreaterThanOrEqual(getRetryDelayMs(1));
+
+    // Not due yet, and a redelivery meanwhile is only acknowledged
+    expect(await WebhookService.retry(log)).toBe(false);
+    expect((await deliver(event)).duplicate).toBe(true);
+  });
+
+  it('should retry due events and dead-letter them after the last attempt', async () => {
+    const event = newEvent();
+    provider.failing.add(event.id);
+    await expect(deliver(event)).rejects.toThrow();
+
+    let log = await WebhookLog.findByEventId(PROVIDER, event.id);
+    await makeDue(log);
+    await WebhookService.retryDue();
+
+    log = await WebhookLog.findByEventId(PROVIDER, event.id);
+    expect(log.attempts).toBe(2);
+    expect(Date.parse(log.next_retry_at)).toBeGreaterThan(Date.now() + getRetryDelayMs(1));
+
+    await makeDue(log);
+    await WebhookService.retryDue();
+
+    log = await WebhookLog.findByEventId(PROVIDER, event.id);
+    expect(log.attempts).toBe(3);
+    expect(log.isDeadLettered()).toBe(true);
+    expect(log.next_retry_at).toBeNull();
+
+    // Dead letters wait for an admin
+    expect(await WebhookService.retry(log)).toBe(false);
+
+    provider.failing.delete(event.id);
+    expect(await WebhookService.retry(log, { force: true })).toBe(true);
+
+    log = await WebhookLog.findById(log.id);
+    expect(log).toMatchObject({ processed: true, attempts: 4, dead_lettered_at: null, error_message: null });
+  });
+
+  it('should take up a redelivery once its retry is due', async () => {
+    const event = newEvent();
+    provider.failing.add(event.id);
+    await expect(deliver(event)).rejects.toThrow();
+
+    await makeDue(await WebhookLog.findByEventId(PROVIDER, event.id));
+    provider.failing.delete(event.id);
+
+    const redelivery = await deliver(event);
+    expect(redelivery.duplicate).toBe(false);
+    expect(redelivery.log).toMatchObject({ processed: true, attempts: 2 });
+  });
+
+  it('should never retry deliveries that failed verification unless they verify now', async () => {
+    const event = newEvent();
+    await expect(deliver(event, 'forged')).rejects.toThrow('Webhook signature verification failed');
+
+    // Rejected deliveries are logged without their (untrusted) event ID
+    const log = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_logs WHERE payload = ?', [JSON.stringify(event)], (err, row) => {
+        if (err) reject(err); else resolve(new WebhookLog(row));
+      });
+    });
+
+    expect(log).toMatchObject({ event_id: null, attempts: 0, next_retry_at: null });
+    expect(log.isVerified()).toBe(false);
+    await expect(WebhookService.retry(log, { force: true })).rejects.toThrow('Webhook signature verification failed');
+  });
+});
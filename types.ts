@@ -32,10 +32,12 @@ export type Availability = {
 };
 
 export interface Booking {
+    id?: string; // Appointment ID on the booking backend
     name: string;
     date: string; // YYYY-MM-DD
     time: string;
     consultationTitle: string;
+    status?: 'pending' | 'confirmed' | 'completed' | 'cancelled';
 }
 
 export type RecurringAvailability = {
@@ -6,7 +6,14 @@ export default defineConfig(({ mode }) => {
     return {
       define: {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
+        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY),
+        'process.env.PAYPAL_CLIENT_ID': JSON.stringify(env.PAYPAL_CLIENT_ID)
+      },
+      server: {
+        proxy: {
+          // Booking and payment API (src/server.js)
+          '/api': env.API_PROXY_TARGET || 'http://localhost:3001',
+        }
       },
       resolve: {
         alias: {